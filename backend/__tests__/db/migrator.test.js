@@ -0,0 +1,99 @@
+/**
+ * Migrator Tests
+ * Versioned schema migrations against in-memory databases
+ */
+
+const sqlite3 = require('sqlite3');
+const { Migrator, loadMigrations } = require('../../../db/migrator');
+
+const openMemoryDb = () => new Promise((resolve, reject) => {
+  const db = new sqlite3.Database(':memory:', (err) => (err ? reject(err) : resolve(db)));
+});
+
+const tableNames = (db) => new Promise((resolve, reject) => {
+  db.all("SELECT name FROM sqlite_master WHERE type = 'table' ORDER BY name", [], (err, rows) => {
+    if (err) reject(err);
+    else resolve(rows.map(r => r.name));
+  });
+});
+
+describe('Migrator', () => {
+  let db;
+  const log = () => {};
+
+  beforeEach(async () => {
+    db = await openMemoryDb();
+  });
+
+  afterEach(() => new Promise(resolve => db.close(resolve)));
+
+  test('should load the bundled migrations in version order', () => {
+    const versions = loadMigrations().map(m => m.version);
+
+    expect(versions.length).toBeGreaterThan(0);
+    expect(versions).toEqual([...versions].sort((a, b) => a - b));
+  });
+
+  test('should apply every migration once and record it', async () => {
+    const migrator = new Migrator(db, { log });
+
+    const first = await migrator.migrate();
+    const second = await migrator.migrate();
+    const tables = await tableNames(db);
+
+    expect(first.length).toBe(loadMigrations().length);
+    expect(second).toEqual([]);
+    expect(tables).toEqual(expect.arrayContaining(['schema_migrations', 'sensor_data', 'sensors', 'rollup_state']));
+    expect((await migrator.status()).every(m => m.applied)).toBe(true);
+  });
+
+  test('should back-fill columns on a pre-migration sensor_data table', async () => {
+    await new Promise((resolve, reject) => db.run(
+      'CREATE TABLE sensor_data (id TEXT PRIMARY KEY, timestamp INTEGER NOT NULL, pressure REAL NOT NULL, flow REAL NOT NULL, leak_status BOOLEAN NOT NULL DEFAULT 0, valve_state TEXT NOT NULL DEFAULT \'CLOSED\')',
+      (err) => (err ? reject(err) : resolve())
+    ));
+
+    await new Migrator(db, { log }).migrate();
+    const columns = await new Promise((resolve, reject) => db.all('PRAGMA table_info(sensor_data)', [], (err, rows) => (err ? reject(err) : resolve(rows.map(r => r.name)))));
+
+    expect(columns).toEqual(expect.arrayContaining(['temperature', 'conductivity', 'location', 'sensor_id']));
+  });
+
+  test('should roll back by steps and re-apply', async () => {
+    const migrator = new Migrator(db, { log });
+    await migrator.migrate();
+    const latest = loadMigrations().pop();
+
+    const reverted = await migrator.rollback();
+    const pending = (await migrator.status()).filter(m => !m.applied);
+    const reapplied = await migrator.migrate();
+
+    expect(reverted).toEqual([{ version: latest.version, name: latest.name }]);
+    expect(pending.map(m => m.version)).toEqual([latest.version]);
+    expect(reapplied.map(m => m.version)).toEqual([latest.version]);
+  });
+
+  test('should roll back a failed migration and leave it pending', async () => {
+    const migrations = [
+      { version: 1, name: 'ok', file: '001_ok.js', up: (h) => h.run('CREATE TABLE a (id INTEGER)'), down: (h) => h.run('DROP TABLE a') },
+      {
+        version: 2,
+        name: 'broken',
+        file: '002_broken.js',
+        up: async (h) => {
+          await h.run('CREATE TABLE b (id INTEGER)');
+          await h.run('INSERT INTO missing_table VALUES (1)');
+        },
+        down: (h) => h.run('DROP TABLE b')
+      }
+    ];
+    const migrator = new Migrator(db, { migrations, log });
+
+    await expect(migrator.migrate()).rejects.toThrow(/002_broken\.js \(up\) failed/);
+    const tables = await tableNames(db);
+
+    expect(tables).toContain('a');
+    expect(tables).not.toContain('b');
+    expect((await migrator.status()).map(m => m.applied)).toEqual([true, false]);
+  });
+});
@@ -0,0 +1,358 @@
+/**
+ * Repository Tests
+ * The in-memory and SQL implementations must behave the same
+ */
+
+const sqlite3 = require('sqlite3');
+const { Migrator } = require('../../../db/migrator');
+const { createSqlRepositories } = require('../../../db/repositories/sqlRepositories');
+const { createMemoryRepositories } = require('../../../db/repositories/memoryRepositories');
+const { toPositionalParams, toPostgresDdl, createMigrationHelpers } = require('../../../db/postgres');
+
+/**
+ * SQL repositories over a migrated in-memory SQLite database
+ */
+const createSqliteRepositories = async () => {
+  const db = await new Promise((resolve, reject) => {
+    const conn = new sqlite3.Database(':memory:', (err) => (err ? reject(err) : resolve(conn)));
+  });
+  const migrator = new Migrator(db, { log: () => {} });
+  await migrator.migrate();
+
+  const { run, get, all } = migrator.helpers;
+  const executor = {
+    run,
+    get,
+    all,
+    runMany: async (sql, paramsList) => {
+      const outcomes = [];
+      for (const params of paramsList) {
+        try {
+          await run(sql, params);
+          outcomes.push({ success: true });
+        } catch (error) {
+          outcomes.push({ success: false, error: error.message });
+        }
+      }
+      return outcomes;
+    },
+    transaction: async (statements) => {
+      await run('BEGIN TRANSACTION');
+      const results = [];
+      for (const [sql, params] of statements) {
+        results.push(await run(sql, params));
+      }
+      await run('COMMIT');
+      return results;
+    }
+  };
+
+  return { repos: createSqlRepositories(executor), close: () => new Promise(resolve => db.close(resolve)) };
+};
+
+const reading = (id, timestamp, overrides = {}) => ({
+  id,
+  sensor_id: 'meter-a',
+  timestamp,
+  pressure: 3,
+  flow: 10,
+  leak_status: false,
+  valve_state: 'OPEN',
+  ...overrides
+});
+
+describe.each([
+  ['memory', async () => ({ repos: createMemoryRepositories(), close: async () => {} })],
+  ['sqlite', createSqliteRepositories]
+])('%s repositories', (name, factory) => {
+  let repos;
+  let close;
+
+  beforeEach(async () => {
+    ({ repos, close } = await factory());
+  });
+
+  afterEach(() => close());
+
+  test('should filter, order and paginate sensor data', async () => {
+    await repos.sensorData.insert(reading('r1', 1000));
+    await repos.sensorData.insert(reading('r2', 3000, { leak_status: true }));
+    await repos.sensorData.insert(reading('r3', 2000, { sensor_id: 'meter-b' }));
+
+    const page = await repos.sensorData.find({ limit: 2, offset: 0 });
+    const filtered = await repos.sensorData.find({ sensorIds: ['meter-a'], startTime: 1500 });
+    const leaks = await repos.sensorData.find({ leakOnly: true });
+
+    expect(page.map(r => r.id)).toEqual(['r2', 'r3']);
+    expect(filtered.map(r => r.id)).toEqual(['r2']);
+    expect(leaks[0].leak_status).toBe(1);
+    expect(await repos.sensorData.count({ sensorIds: ['meter-a'] })).toBe(2);
+    expect((await repos.sensorData.latest()).id).toBe('r2');
+    expect((await repos.sensorData.findById('r3')).sensor_id).toBe('meter-b');
+  });
+
+  test('should page sensor data with a cursor and prune old readings', async () => {
+    await repos.sensorData.insert(reading('r2', 2000));
+    await repos.sensorData.insert(reading('r1', 1000));
+    await repos.sensorData.insert(reading('r1b', 1000, { sensor_id: 'meter-b' }));
+
+    const first = await repos.sensorData.find({ order: 'asc', limit: 2 });
+    const rest = await repos.sensorData.find({ order: 'asc', limit: 2, after: { timestamp: 1000, id: 'r1b' } });
+
+    expect(first.map(r => r.id)).toEqual(['r1', 'r1b']);
+    expect(rest.map(r => r.id)).toEqual(['r2']);
+    expect(await repos.sensorData.findKeys({ sensorIds: ['meter-a'], startTime: 1500 })).toEqual([{ sensor_id: 'meter-a', timestamp: 2000 }]);
+    expect(await repos.sensorData.removeBefore(2000)).toBe(2);
+    expect(await repos.sensorData.count()).toBe(1);
+  });
+
+  test('should report per-row outcomes for bulk inserts', async () => {
+    await repos.sensorData.insert(reading('dup', 1000));
+
+    const outcomes = await repos.sensorData.insertMany([reading('new', 2000), reading('dup', 3000)]);
+
+    expect(outcomes.map(o => o.success)).toEqual([true, false]);
+    expect(await repos.sensorData.count()).toBe(2);
+  });
+
+  test('should create, filter, update and remove sensors', async () => {
+    await repos.sensors.create({ id: 'meter-b', name: 'B', status: 'ACTIVE' });
+    await repos.sensors.create({ id: 'meter-a', name: 'A', type: 'PRESSURE_SENSOR', pressure_offset: 0.2 });
+
+    await repos.sensors.update('meter-b', { status: 'INACTIVE', detector: 'knn-lof', bogus: 1 });
+
+    expect((await repos.sensors.list()).map(s => s.id)).toEqual(['meter-a', 'meter-b']);
+    expect((await repos.sensors.list({ status: 'ACTIVE' })).map(s => s.id)).toEqual(['meter-a']);
+    expect((await repos.sensors.findByIds(['meter-a', 'missing'])).map(s => s.pressure_offset)).toEqual([0.2]);
+    expect((await repos.sensors.findById('meter-b')).detector).toBe('knn-lof');
+    expect((await repos.sensors.findById('meter-a')).detector).toBeNull();
+
+    await repos.sensors.remove('meter-a');
+    expect(await repos.sensors.findById('meter-a')).toBeUndefined();
+  });
+
+  test('should list log entries newest first', async () => {
+    await repos.valveLogs.insert({ id: 'v1', operation: 'OPEN', timestamp: 1000, reason: 'test', status: 'SUCCESS' });
+    await repos.valveLogs.insert({ id: 'v2', operation: 'CLOSE', timestamp: 2000, reason: 'test', status: 'SUCCESS' });
+    await repos.trainingLogs.insert({ id: 't1', training_date: 5000, accuracy: 0.9, model_version: 'v1', status: 'COMPLETED' });
+
+    const valve = await repos.valveLogs.list({ limit: 1 });
+    const training = await repos.trainingLogs.list();
+
+    expect(valve.map(v => v.operation)).toEqual(['CLOSE']);
+    expect(training[0].accuracy).toBe(0.9);
+    expect(training[0].created_at).toBeTruthy();
+    expect((await repos.valveLogs.find({ order: 'asc', startTime: 500, after: { timestamp: 1000, id: 'v1' } })).map(v => v.id)).toEqual(['v2']);
+    expect((await repos.trainingLogs.find({ endTime: 4000 }))).toEqual([]);
+  });
+
+  test('should roll up readings, merge late ones and aggregate rollups with raw rows', async () => {
+    const minute = { table: 'sensor_data_rollup_1m', granularityMs: 60000 };
+    const hour = { table: 'sensor_data_rollup_1h', granularityMs: 3600000 };
+    await repos.sensorData.insert(reading('a0', 0, { pressure: 40 }));
+    await repos.sensorData.insert(reading('a1', 30000, { pressure: 60, leak_status: true }));
+    await repos.sensorData.insert(reading('b0', 60000, { sensor_id: 'meter-b', pressure: 50, temperature: 12 }));
+
+    for (const rollup of [minute, hour]) {
+      await repos.rollups.rebuild(rollup, 0, 120000, 5);
+    }
+    await repos.rollups.setState('prunedBefore', 120000);
+    expect(await repos.rollups.getState('prunedBefore')).toBe(120000);
+    expect(await repos.rollups.getState('watermark')).toBeNull();
+
+    // Everything is rolled up and pruned, then a late reading lands in the first minute
+    expect(await repos.sensorData.removeBefore(120000)).toBe(3);
+    await repos.sensorData.insert(reading('late', 10000, { pressure: 70 }));
+    expect(await repos.rollups.mergeBefore([minute, hour], 120000, 6)).toBe(1);
+    expect(await repos.sensorData.count()).toBe(0);
+
+    await repos.sensorData.insert(reading('raw', 180000, { pressure: 30 }));
+    const query = { rollupStart: 0, rollupEnd: 120000, rawStart: 120000, endTime: 240000, fields: ['pressure', 'temperature'] };
+
+    expect(await repos.rollups.aggregate({ ...query, rollup: minute, bucketMs: 60000, groupBySensor: true })).toEqual([
+      { sensor_id: 'meter-a', bucket: 0, reading_count: 3, leak_count: 1, pressure_min: 40, pressure_avg: 170 / 3, pressure_max: 70, temperature_min: null, temperature_avg: null, temperature_max: null },
+      { sensor_id: 'meter-a', bucket: 180000, reading_count: 1, leak_count: 0, pressure_min: 30, pressure_avg: 30, pressure_max: 30, temperature_min: null, temperature_avg: null, temperature_max: null },
+      { sensor_id: 'meter-b', bucket: 60000, reading_count: 1, leak_count: 0, pressure_min: 50, pressure_avg: 50, pressure_max: 50, temperature_min: 12, temperature_avg: 12, temperature_max: 12 }
+    ]);
+    expect(await repos.rollups.aggregate({ ...query, rollup: hour, fields: ['pressure'] })).toEqual([
+      { reading_count: 5, leak_count: 1, pressure_min: 30, pressure_avg: 50, pressure_max: 70 }
+    ]);
+    expect(await repos.rollups.aggregate({ ...query, rollup: null, rawStart: 200000, fields: ['pressure'] })).toEqual([]);
+
+    expect(await repos.rollups.removeBefore(minute, 60000)).toBe(1);
+    expect(await repos.rollups.aggregate({ ...query, rollup: minute, rawStart: null, sensorIds: ['meter-a'], fields: ['pressure'] })).toEqual([]);
+  });
+
+  test('should page and summarize detections', async () => {
+    const detection = (id, timestamp, leak, sensorId = 'meter-a') => ({
+      id,
+      sensorId,
+      timestamp,
+      detection: { overallLeakDetected: leak, overallProbability: leak ? 0.8 : 0.2, severityLevel: leak ? 'HIGH' : 'NORMAL', confidenceScore: 0.5 },
+      qualityMetrics: { dataQualityScore: 90 }
+    });
+    await repos.detections.insert(detection('d1', 1000, false));
+    await repos.detections.insert(detection('d2', 2000, true));
+    await repos.detections.insert(detection('d3', 3000, false, 'meter-b'));
+
+    const newest = await repos.detections.find({ limit: 2 });
+    const oldest = await repos.detections.find({ order: 'asc', offset: 1, limit: 1 });
+    const summary = await repos.detections.summarize({ sensorIds: ['meter-a'] });
+
+    expect(newest.map(d => d.id)).toEqual(['d3', 'd2']);
+    expect(oldest.map(d => d.id)).toEqual(['d2']);
+    expect(newest[1].detection.severityLevel).toBe('HIGH');
+    expect(await repos.detections.count({ leakOnly: true })).toBe(1);
+    expect(summary).toMatchObject({ total: 2, leaks: 1, maxProbability: 0.8, minProbability: 0.2, avgQuality: 90 });
+    expect(summary.avgProbability).toBeCloseTo(0.5);
+    expect(summary.severityCounts).toEqual({ CRITICAL: 0, HIGH: 1, MEDIUM: 0, NORMAL: 1 });
+
+    // Keyset cursor: ties on timestamp continue by id
+    await repos.detections.insert(detection('d4', 2000, false));
+    const after = { timestamp: 2000, id: 'd2' };
+    expect((await repos.detections.find({ order: 'asc', after })).map(d => d.id)).toEqual(['d4', 'd3']);
+    expect((await repos.detections.find({ after })).map(d => d.id)).toEqual(['d4', 'd1']);
+  });
+
+  test('should persist alert lifecycle updates and statistics', async () => {
+    const alert = (id, timestamp) => ({
+      id,
+      sensorId: 'meter-a',
+      timestamp,
+      severity: 'HIGH',
+      probability: 0.9,
+      acknowledged: false,
+      resolved: false,
+      recommendedActions: ['Close valve']
+    });
+    await repos.alerts.insert(alert('a1', 1000));
+    await repos.alerts.insert(alert('a2', 2000));
+
+    const acknowledged = await repos.alerts.update('a1', { acknowledged: true, acknowledgedBy: 'ops', acknowledgedAt: 4000 });
+    await repos.alerts.update('a2', { resolved: true, feedback: { isFalsePositive: true } });
+
+    expect(acknowledged).toMatchObject({ id: 'a1', acknowledged: true, acknowledgedBy: 'ops', recommendedActions: ['Close valve'] });
+    expect(await repos.alerts.update('missing', { resolved: true })).toBeNull();
+    expect((await repos.alerts.findById('a2')).feedback).toEqual({ isFalsePositive: true });
+    expect((await repos.alerts.find({ resolved: false })).map(a => a.id)).toEqual(['a1']);
+    expect(await repos.alerts.count({ acknowledged: false })).toBe(1);
+    expect(await repos.alerts.statistics()).toEqual({
+      total: 2,
+      active: 1,
+      acknowledged: 1,
+      resolved: 1,
+      falsePositives: 1,
+      responseTimeSum: 3000
+    });
+  });
+
+  test('should keep one feedback sample per alert and group feedback by model version', async () => {
+    const sample = (id, alertId, label, createdAt) => ({
+      id,
+      alertId,
+      sensorId: 'meter-a',
+      timestamp: 1000,
+      label,
+      features: { pressure: 3, flow: 10 },
+      modelVersion: 2,
+      createdAt
+    });
+    await repos.feedbackSamples.upsert(sample('f1', 'a1', 'normal', 1000));
+    await repos.feedbackSamples.upsert(sample('f2', 'a2', 'anomaly', 2000));
+    await repos.feedbackSamples.upsert(sample('f3', 'a1', 'anomaly', 3000));
+
+    expect((await repos.feedbackSamples.list()).map(s => [s.id, s.label])).toEqual([['f1', 'anomaly'], ['f2', 'anomaly']]);
+    expect((await repos.feedbackSamples.list({ since: 2500 }))[0]).toMatchObject({ alertId: 'a1', features: { pressure: 3, flow: 10 }, modelVersion: 2 });
+    expect(await repos.feedbackSamples.countByLabel()).toEqual({ anomaly: 2 });
+    expect(await repos.feedbackSamples.countByLabel({ since: 2500 })).toEqual({ anomaly: 1 });
+
+    const alert = (id, modelVersion, feedback = null) => ({ id, sensorId: 'meter-a', timestamp: 1000, modelVersion, feedback });
+    await repos.alerts.insert(alert('a1', 1, { isFalsePositive: true }));
+    await repos.alerts.insert(alert('a2', 1, { isFalsePositive: false }));
+    await repos.alerts.insert(alert('a3', 2));
+    await repos.alerts.insert(alert('a4', null));
+
+    expect(await repos.alerts.feedbackByModelVersion()).toEqual([
+      { modelVersion: null, total: 1, reviewed: 0, falsePositives: 0 },
+      { modelVersion: 1, total: 2, reviewed: 2, falsePositives: 1 },
+      { modelVersion: 2, total: 1, reviewed: 0, falsePositives: 0 }
+    ]);
+  });
+
+  test('should version models and track promotion', async () => {
+    const model = (id, version) => ({
+      id,
+      version,
+      modelType: 'isolation-forest',
+      artifact: `model_v${version}.json`,
+      metrics: { accuracy: 90 + version },
+      evaluation: { accuracy: 90 + version, roc: { auc: 0.9, points: [{ threshold: 0.5, fpr: 0.1, tpr: 0.8 }] } },
+      features: ['pressure', 'flow'],
+      trainingProfile: { sampleCount: 10, features: { flow: { edges: [10], shares: [0.5, 0.5], mean: 10, std: 1 } } },
+      createdAt: 1000 * version
+    });
+    await repos.models.insert(model('m1', 1));
+    await repos.models.insert(model('m2', 2));
+
+    await expect(repos.models.insert(model('m3', 2))).rejects.toThrow();
+    await repos.models.update('m1', { status: 'production', promotedAt: 5000, bogus: true });
+
+    expect(await repos.models.latestVersion()).toBe(2);
+    expect((await repos.models.list()).map(m => m.id)).toEqual(['m2', 'm1']);
+    expect((await repos.models.list({ status: 'production' })).map(m => m.id)).toEqual(['m1']);
+    expect(await repos.models.count({ status: 'candidate' })).toBe(1);
+    await repos.models.insert({ ...model('m3', 3), modelType: 'knn-lof' });
+    expect((await repos.models.list({ modelType: 'knn-lof' })).map(m => m.id)).toEqual(['m3']);
+    expect(await repos.models.count({ status: 'candidate', modelType: 'isolation-forest' })).toBe(1);
+    expect(await repos.models.findById('m2')).toMatchObject({ status: 'candidate', metrics: { accuracy: 92 }, features: ['pressure', 'flow'], promotedAt: null });
+    expect((await repos.models.findById('m1')).evaluation.roc.points).toHaveLength(1);
+    expect((await repos.models.findById('m1')).trainingProfile.features.flow.shares).toEqual([0.5, 0.5]);
+    expect((await repos.models.lastPromoted()).id).toBe('m1');
+    expect(await repos.models.lastPromoted({ excludeId: 'm1' })).toBeNull();
+    expect(await repos.models.update('missing', { status: 'archived' })).toBeNull();
+  });
+
+  test('should store detection rules with their condition tree', async () => {
+    const when = { all: [{ feature: 'hour_of_day', op: 'between', value: [0, 4] }, { feature: 'flow', op: '>', value: 5 }] };
+    await repos.detectionRules.insert({ id: 'NIGHT_FLOW', severity: 'HIGH', probability: 60, when, for: 7200, sensorIds: ['meter-a'], createdAt: 2000, updatedAt: 2000 });
+    await repos.detectionRules.insert({ id: 'CRITICAL_LEAK', severity: 'CRITICAL', probability: 85, when: { feature: 'pressure', op: '<', value: 10 }, builtIn: true, createdAt: 1000, updatedAt: 1000 });
+
+    await expect(repos.detectionRules.insert({ id: 'NIGHT_FLOW', severity: 'HIGH', probability: 60, when, createdAt: 3000, updatedAt: 3000 })).rejects.toThrow();
+    expect((await repos.detectionRules.list()).map(r => r.id)).toEqual(['CRITICAL_LEAK', 'NIGHT_FLOW']);
+    expect(await repos.detectionRules.findById('NIGHT_FLOW')).toMatchObject({ when, for: 7200, sensorIds: ['meter-a'], enabled: true, builtIn: false, description: null });
+
+    const updated = await repos.detectionRules.update('NIGHT_FLOW', { enabled: false, sensorIds: null, for: null, bogus: 1, updatedAt: 4000 });
+    expect(updated).toMatchObject({ enabled: false, sensorIds: null, for: null, updatedAt: 4000 });
+    expect(await repos.detectionRules.update('missing', { enabled: true })).toBeNull();
+
+    await repos.detectionRules.remove('NIGHT_FLOW');
+    expect(await repos.detectionRules.findById('NIGHT_FLOW')).toBeNull();
+  });
+});
+
+describe('Postgres executor helpers', () => {
+  test('should number placeholders outside string literals', () => {
+    expect(toPositionalParams("SELECT * FROM t WHERE a = ? AND b = '?' AND c IN (?, ?)"))
+      .toBe("SELECT * FROM t WHERE a = $1 AND b = '?' AND c IN ($2, $3)");
+  });
+
+  test('should build the schema from the SQLite migrations with Postgres types', async () => {
+    const statements = [];
+    const client = {
+      query: async (text, params) => {
+        statements.push({ text, params });
+        return { rows: [], rowCount: 0 };
+      }
+    };
+
+    const applied = await new Migrator(null, { helpers: createMigrationHelpers(client), log: () => {} }).migrate();
+
+    const ddl = statements.map(s => s.text).filter(text => /^\s*(CREATE|ALTER) TABLE/.test(text));
+    expect(applied.length).toBeGreaterThan(0);
+    expect(ddl.find(text => text.includes('TABLE IF NOT EXISTS sensor_data (')))
+      .toMatch(/timestamp BIGINT NOT NULL,\s+pressure DOUBLE PRECISION NOT NULL,[\s\S]*leak_status SMALLINT NOT NULL DEFAULT 0/);
+    ddl.forEach(text => expect(text).not.toMatch(/\b(INTEGER|REAL|DATETIME|BOOLEAN)\b/));
+    expect(statements.find(s => s.text.startsWith('INSERT INTO schema_migrations')).text).toContain('VALUES ($1, $2, $3)');
+    expect(toPostgresDdl('SELECT 1 AS INTEGER')).toBe('SELECT 1 AS INTEGER');
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Alerts Routes Tests
+ * Acknowledging and resolving persisted engine alerts
+ */
+
+process.env.DB_PATH = ':memory:';
+
+const request = require('supertest');
+const express = require('express');
+const { databaseReady } = require('../../../db/database');
+const { createMemoryRepositories } = require('../../../db/repositories/memoryRepositories');
+const { errorHandler } = require('../../../middleware/errorHandler');
+const { integratedEngine } = require('../../../utils/integratedEngine');
+const alertsRoutes = require('../../../routes/alertsRoutes');
+
+describe('Alerts Routes', () => {
+  let app;
+
+  const raise = () => integratedEngine.raiseSystemAlert({ type: 'test_alert', severity: 'HIGH', message: 'Test alert' });
+
+  beforeAll(async () => {
+    await databaseReady;
+    integratedEngine.attachStore(createMemoryRepositories());
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/alerts', alertsRoutes);
+    app.use(errorHandler);
+  });
+
+  test('should acknowledge an alert', async () => {
+    const { id } = raise();
+
+    const res = await request(app)
+      .post(`/api/alerts/${id}/acknowledge`)
+      .send({ userId: 'operator-1', notes: 'On it' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.alert).toMatchObject({ id, acknowledged: true, acknowledgedBy: 'operator-1', acknowledgeNotes: 'On it', resolved: false });
+
+    const stored = await integratedEngine.store.alerts.findById(id);
+    expect(stored).toMatchObject({ acknowledged: true, acknowledgedBy: 'operator-1' });
+  });
+
+  test('should resolve an alert with feedback', async () => {
+    const { id } = raise();
+
+    const res = await request(app)
+      .post(`/api/alerts/${id}/resolve`)
+      .send({ userId: 'operator-1', feedback: { isFalsePositive: true } });
+
+    expect(res.status).toBe(200);
+    expect(res.body.alert).toMatchObject({ id, resolved: true, feedback: { isFalsePositive: true } });
+  });
+
+  test('should return 404 for an unknown alert', async () => {
+    expect((await request(app).post('/api/alerts/missing/acknowledge').send({})).status).toBe(404);
+    expect((await request(app).post('/api/alerts/missing/resolve').send({})).status).toBe(404);
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Export Routes Tests
+ * CSV and NDJSON output, per-dataset columns and filter handling
+ */
+
+process.env.DB_PATH = ':memory:';
+
+const request = require('supertest');
+const express = require('express');
+const { databaseReady, dbRun } = require('../../../db/database');
+const { createMemoryRepositories } = require('../../../db/repositories/memoryRepositories');
+const { errorHandler } = require('../../../middleware/errorHandler');
+const { integratedEngine } = require('../../../utils/integratedEngine');
+const { EXPORT_DATASETS } = require('../../../utils/dataExporter');
+const adminRoutes = require('../../../routes/adminRoutes');
+
+// Buffer any content type (NDJSON is not parsed by supertest) into res.text
+const asText = (res, callback) => {
+  let text = '';
+  res.setEncoding('utf8');
+  res.on('data', chunk => { text += chunk; });
+  res.on('end', () => callback(null, text));
+};
+
+const exportRequest = (app, query) =>
+  request(app).get('/api/admin/export-data').query(query).buffer(true).parse(asText);
+
+const csvLines = (res) => res.body.trim().split('\n');
+const ndjsonRows = (res) => res.body.trim().split('\n').map(line => JSON.parse(line));
+
+describe('Export Routes', () => {
+  let app;
+  const start = Date.UTC(2024, 0, 1);
+
+  const detection = (id, sensorId, offset, probability, leak) => ({
+    id,
+    sensorId,
+    timestamp: start + offset,
+    location: 'Zone A',
+    readings: { pressure: 50, flow: 10, valve_state: 'OPEN' },
+    detection: {
+      overallLeakDetected: leak,
+      overallProbability: probability,
+      severityLevel: leak ? 'HIGH' : 'NORMAL',
+      confidenceScore: 80,
+      detectionMethods: [{ method: 'rule_based', probability: probability - 5 }, { method: 'ml_anomaly', probability: probability + 5 }]
+    },
+    qualityMetrics: { dataQualityScore: 0.9 }
+  });
+
+  beforeAll(async () => {
+    await databaseReady;
+
+    // 150 readings for sensor-a span two chunks; sensor-b has a single leak reading
+    for (let i = 0; i < 150; i++) {
+      await dbRun(
+        'INSERT INTO sensor_data (id, timestamp, pressure, flow, leak_status, valve_state, location, sensor_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+        [`a-${String(i).padStart(3, '0')}`, start + i * 60000, 50, 10, 0, 'OPEN', 'Zone A', 'sensor-a']
+      );
+    }
+    await dbRun(
+      'INSERT INTO sensor_data (id, timestamp, pressure, flow, leak_status, valve_state, location, sensor_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+      ['b-000', start + 30000, 20, 90, 1, 'OPEN', 'Zone, "B"', 'sensor-b']
+    );
+    await dbRun(
+      'INSERT INTO valve_control_logs (id, operation, timestamp, reason, status) VALUES (?, ?, ?, ?, ?)',
+      ['valve-1', 'CLOSE', start + 1000, 'Leak detected', 'SUCCESS']
+    );
+
+    const store = createMemoryRepositories();
+    await store.detections.insert(detection('det-1', 'sensor-a', 0, 20, false));
+    await store.detections.insert(detection('det-2', 'sensor-b', 1000, 90, true));
+    await store.alerts.insert({
+      id: 'alert-1', sensorId: 'sensor-b', timestamp: start + 1000, detectionId: 'det-2', severity: 'HIGH',
+      probability: 90, location: 'Zone A', message: 'Leak', acknowledged: false, resolved: false
+    });
+    integratedEngine.attachStore(store);
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/admin', adminRoutes);
+    app.use(errorHandler);
+  });
+
+  test('should stream sensor data as CSV with the dataset columns', async () => {
+    const res = await exportRequest(app, { type: 'sensor-data', format: 'csv', chunkSize: 100 });
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('text/csv; charset=utf-8');
+    expect(res.headers['content-disposition']).toMatch(/attachment; filename="sensor-data_\d{4}-\d{2}-\d{2}\.csv"/);
+
+    const lines = csvLines(res);
+    expect(lines[0]).toBe(EXPORT_DATASETS['sensor-data'].columns.map(c => c.name).join(','));
+    expect(lines).toHaveLength(152);
+    expect(lines[1]).toBe(`a-000,sensor-a,${start},50,10,false,OPEN,,,Zone A`);
+    expect(lines[2]).toBe(`b-000,sensor-b,${start + 30000},20,90,true,OPEN,,,"Zone, ""B"""`);
+    expect(lines[151]).toBe(`a-149,sensor-a,${start + 149 * 60000},50,10,false,OPEN,,,Zone A`);
+  });
+
+  test('should stream NDJSON and apply time, sensor and leak filters', async () => {
+    const res = await exportRequest(app, {
+      type: 'sensor-data',
+      format: 'ndjson',
+      sensorId: 'sensor-a',
+      startTime: start + 10 * 60000,
+      endTime: start + 19 * 60000
+    });
+
+    expect(res.headers['content-type']).toBe('application/x-ndjson; charset=utf-8');
+    const rows = ndjsonRows(res);
+    expect(rows).toHaveLength(10);
+    expect(Object.keys(rows[0])).toEqual(EXPORT_DATASETS['sensor-data'].columns.map(c => c.name));
+    expect(rows.every(row => row.sensor_id === 'sensor-a')).toBe(true);
+
+    const leaks = ndjsonRows(await exportRequest(app, { type: 'sensor-data', format: 'ndjson', leakOnly: 'true' }));
+    expect(leaks.map(row => row.id)).toEqual(['b-000']);
+  });
+
+  test('should export detections and alerts from the engine store', async () => {
+    const detections = ndjsonRows(await exportRequest(app, { type: 'detections', format: 'ndjson' }));
+    expect(Object.keys(detections[0])).toEqual(EXPORT_DATASETS.detections.columns.map(c => c.name));
+    expect(detections[1]).toMatchObject({
+      id: 'det-2', sensor_id: 'sensor-b', leak_detected: true, probability: 90,
+      severity: 'HIGH', rule_probability: 85, ml_probability: 95, data_quality_score: 0.9
+    });
+
+    const likely = ndjsonRows(await exportRequest(app, { type: 'detections', format: 'ndjson', minProbability: 50 }));
+    expect(likely.map(row => row.id)).toEqual(['det-2']);
+
+    const alerts = csvLines(await exportRequest(app, { type: 'alerts', format: 'csv', severity: 'high' }));
+    expect(alerts[0]).toBe(EXPORT_DATASETS.alerts.columns.map(c => c.name).join(','));
+    expect(alerts[1]).toMatch(/^alert-1,sensor-b,\d+,,det-2,HIGH,90,Zone A,Leak,false,/);
+    expect(csvLines(await exportRequest(app, { type: 'alerts', format: 'csv', severity: 'LOW' }))).toHaveLength(1);
+  });
+
+  test('should tag each dataset of a full report', async () => {
+    const rows = ndjsonRows(await exportRequest(app, { type: 'full-report', format: 'ndjson', startDate: '2024-01-01', endDate: '2024-01-01' }));
+    const counts = rows.reduce((acc, row) => ({ ...acc, [row.dataset]: (acc[row.dataset] || 0) + 1 }), {});
+
+    expect(counts).toEqual({ 'sensor-data': 151, detections: 2, alerts: 1, 'valve-history': 1 });
+    expect(rows.find(row => row.dataset === 'valve-history')).toEqual({
+      dataset: 'valve-history', id: 'valve-1', timestamp: start + 1000, operation: 'CLOSE', reason: 'Leak detected', status: 'SUCCESS'
+    });
+  });
+
+  test('should return 400 for invalid options', async () => {
+    expect((await exportRequest(app, { type: 'users' })).status).toBe(400);
+    expect((await exportRequest(app, { format: 'xml' })).status).toBe(400);
+    expect((await exportRequest(app, { startDate: 'yesterday' })).status).toBe(400);
+    expect((await exportRequest(app, { startDate: '2024-02-01', endDate: '2024-01-01' })).status).toBe(400);
+  });
+});
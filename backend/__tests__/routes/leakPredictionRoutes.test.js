@@ -0,0 +1,92 @@
+/**
+ * Leak Prediction Routes Tests
+ * Engine and heuristic scoring, the uninitialized-engine 503 and the replay cache
+ */
+
+process.env.DB_PATH = ':memory:';
+
+const request = require('supertest');
+const express = require('express');
+const { databaseReady } = require('../../../db/database');
+const { repositories } = require('../../../db/repositories');
+const { errorHandler } = require('../../../middleware/errorHandler');
+const { integratedEngine } = require('../../../utils/integratedEngine');
+const leakDetectionRoutes = require('../../../routes/leakDetectionRoutes');
+
+describe('GET /api/leak-detection/predictions', () => {
+  let app;
+  const start = Date.now() - 60 * 60 * 1000;
+
+  const insertReading = (id, offset, flow) => repositories.sensorData.insert({
+    id,
+    sensor_id: 'pred-1',
+    timestamp: start + offset,
+    pressure: 50,
+    flow,
+    leak_status: flow > 40,
+    valve_state: 'OPEN',
+    location: 'Zone P'
+  });
+
+  beforeAll(async () => {
+    await databaseReady;
+    for (let i = 0; i < 20; i++) {
+      await insertReading(`pred-${String(i).padStart(2, '0')}`, i * 1000, 10 + (i % 2) * 0.2);
+    }
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/leak-detection', leakDetectionRoutes);
+    app.use(errorHandler);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should return 503 in engine mode until the engine is initialized', async () => {
+    const res = await request(app).get('/api/leak-detection/predictions');
+
+    expect(res.status).toBe(503);
+    expect(res.body.error.message).toContain('mode=heuristic');
+  });
+
+  test('should score with the legacy formula in heuristic mode', async () => {
+    const res = await request(app).get('/api/leak-detection/predictions?mode=heuristic&limit=5');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.mode).toBe('heuristic');
+    expect(res.body.data.detections.map(d => d.id)).toEqual(['pred-15', 'pred-16', 'pred-17', 'pred-18', 'pred-19']);
+    res.body.data.detections.forEach(detection => {
+      expect(detection.leakProbability).toBeGreaterThanOrEqual(0);
+      expect(['LOW', 'MEDIUM', 'HIGH', 'CRITICAL']).toContain(detection.riskLevel);
+    });
+
+    expect((await request(app).get('/api/leak-detection/predictions?mode=magic')).status).toBe(400);
+  });
+
+  test('should score with the engine by default and reuse the scores while nothing changed', async () => {
+    integratedEngine.initializeRuleBasedDetection(50, 10);
+    const replay = jest.spyOn(integratedEngine, 'evaluateReadings');
+
+    const res = await request(app).get('/api/leak-detection/predictions?limit=10');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.mode).toBe('engine');
+    expect(res.body.data.detections).toHaveLength(10);
+    expect(res.body.data.detections[0]).toMatchObject({ id: 'pred-10', sensorId: 'pred-1', riskLevel: 'NORMAL', leakDetected: false });
+    expect(res.body.data.detections[9].id).toBe('pred-19');
+    expect(replay).toHaveBeenCalledTimes(1);
+
+    const again = await request(app).get('/api/leak-detection/predictions?limit=10');
+    expect(again.body.data.detections).toEqual(res.body.data.detections);
+    expect(replay).toHaveBeenCalledTimes(1);
+
+    // A new reading changes the window, so it is scored again
+    await insertReading('pred-20', 20 * 1000, 60);
+    const updated = await request(app).get('/api/leak-detection/predictions?limit=10');
+    expect(replay).toHaveBeenCalledTimes(2);
+    expect(updated.body.data.detections[9]).toMatchObject({ id: 'pred-20', actualLeakStatus: true });
+    expect(updated.body.data.detections[9].leakProbability).toBeGreaterThan(res.body.data.detections[9].leakProbability);
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Sensor Data Bulk Routes Tests
+ * Per-item results, partial failure, device-time ordering and the valve check
+ */
+
+process.env.DB_PATH = ':memory:';
+
+const request = require('supertest');
+const express = require('express');
+const { databaseReady } = require('../../../db/database');
+const { repositories } = require('../../../db/repositories');
+const { errorHandler } = require('../../../middleware/errorHandler');
+const { valveState } = require('../../../controllers/leakDetectionController');
+const sensorRoutes = require('../../../routes/sensorRoutes');
+
+describe('POST /api/sensor-data/bulk', () => {
+  let app;
+  const start = Date.now() - 60 * 60 * 1000;
+
+  const reading = (overrides = {}) => ({
+    sensor_id: 'bulk-a',
+    timestamp: start,
+    pressure: 50,
+    flow: 10,
+    valve_state: 'OPEN',
+    ...overrides
+  });
+
+  beforeAll(async () => {
+    await databaseReady;
+    await repositories.sensors.create({ id: 'bulk-a', name: 'Bulk A', type: 'FLOW_METER', status: 'ACTIVE' });
+    await repositories.sensors.create({ id: 'bulk-off', name: 'Bulk Off', type: 'FLOW_METER', status: 'INACTIVE' });
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/sensor-data', sensorRoutes);
+    app.use(errorHandler);
+  });
+
+  beforeEach(() => {
+    valveState.state = 'OPEN';
+  });
+
+  test('should return a result per item and store only the valid readings', async () => {
+    const res = await request(app)
+      .post('/api/sensor-data/bulk')
+      .send({
+        readings: [
+          reading({ timestamp: start + 1000 }),
+          reading({ pressure: -1 }),
+          reading({ sensor_id: 'ghost' }),
+          reading({ sensor_id: 'bulk-off' }),
+          reading({ timestamp: undefined }),
+          reading({ timestamp: Date.now() + 60 * 60 * 1000 }),
+          reading({ timestamp: new Date(start + 2000).toISOString() })
+        ]
+      });
+
+    expect(res.status).toBe(201);
+    expect(res.body.summary).toMatchObject({ total: 7, accepted: 2, rejected: 5 });
+    expect(res.body.results.map(r => r.status)).toEqual(['accepted', 'rejected', 'rejected', 'rejected', 'rejected', 'rejected', 'accepted']);
+    expect(res.body.results[0]).toMatchObject({ index: 0, id: expect.any(String), timestamp: start + 1000, sensor_id: 'bulk-a' });
+    expect(res.body.results[2].errors).toEqual(['Unknown sensor: ghost']);
+    expect(res.body.results[3].errors).toEqual(['Sensor bulk-off is INACTIVE']);
+    expect(res.body.results[4].errors[0]).toContain('Timestamp is required');
+    expect(res.body.results[5].errors[0]).toContain('in the future');
+    expect(res.body.results[6].timestamp).toBe(start + 2000);
+
+    const stored = await repositories.sensorData.find({ sensorIds: ['bulk-a'], startTime: start, endTime: start + 2000 });
+    expect(stored.map(row => row.timestamp)).toEqual([start + 2000, start + 1000]);
+  });
+
+  test('should process readings in device-time order, not request order', async () => {
+    const base = start + 10000;
+    const res = await request(app)
+      .post('/api/sensor-data/bulk')
+      .send({
+        readings: [
+          reading({ timestamp: base + 2000, flow: 60 }),
+          reading({ timestamp: base, flow: 10 }),
+          reading({ timestamp: base + 1000, flow: 15 })
+        ]
+      });
+
+    // In device time the flow jumps from 15 to 60 L/min, a sudden increase
+    expect(res.body.results.map(r => r.leak_status)).toEqual([true, false, false]);
+  });
+
+  test('should reject a whole batch while the valve is closed', async () => {
+    valveState.state = 'CLOSED';
+    const base = start + 20000;
+
+    const res = await request(app)
+      .post('/api/sensor-data/bulk')
+      .send({ readings: [reading({ timestamp: base }), reading({ timestamp: base + 1000, flow: -5 })] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.success).toBe(false);
+    expect(res.body.summary).toMatchObject({ accepted: 0, rejected: 2 });
+    expect(res.body.results[0].errors).toEqual(['Valve is closed; reading ignored']);
+    expect(res.body.results[1].errors[0]).toContain('Flow');
+    expect(await repositories.sensorData.count({ sensorIds: ['bulk-a'], startTime: base })).toBe(0);
+  });
+
+  test('should reject malformed batches', async () => {
+    expect((await request(app).post('/api/sensor-data/bulk').send({ readings: 'x' })).status).toBe(400);
+    expect((await request(app).post('/api/sensor-data/bulk').send({ readings: [] })).status).toBe(400);
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Sensor Registry Routes Tests
+ * Sensor CRUD and the registered-sensor check on ingest
+ */
+
+process.env.DB_PATH = ':memory:';
+
+const request = require('supertest');
+const express = require('express');
+const { databaseReady } = require('../../../db/database');
+const { errorHandler } = require('../../../middleware/errorHandler');
+const { valveState } = require('../../../controllers/leakDetectionController');
+const sensorRegistryRoutes = require('../../../routes/sensorRegistryRoutes');
+const sensorRoutes = require('../../../routes/sensorRoutes');
+
+describe('Sensor Registry Routes', () => {
+  let app;
+
+  beforeAll(async () => {
+    await databaseReady;
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/sensors', sensorRegistryRoutes);
+    app.use('/api/sensor-data', sensorRoutes);
+    app.use(errorHandler);
+
+    valveState.state = 'OPEN';
+  });
+
+  const reading = (sensorId) => ({ sensor_id: sensorId, pressure: 50, flow: 10, temperature: 20, valve_state: 'OPEN' });
+
+  describe('POST /api/sensors', () => {
+    test('should register a sensor and reject a duplicate ID', async () => {
+      const res = await request(app)
+        .post('/api/sensors')
+        .send({ id: 'meter-dup', name: 'Meter', location: 'Zone A' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data).toMatchObject({ id: 'meter-dup', type: 'FLOW_METER', status: 'ACTIVE', location: 'Zone A' });
+
+      const duplicate = await request(app)
+        .post('/api/sensors')
+        .send({ id: 'meter-dup', name: 'Other' });
+
+      expect(duplicate.status).toBe(409);
+      expect(duplicate.body.error.message).toContain('already registered');
+    });
+
+    test('should return 400 for an invalid payload', async () => {
+      const res = await request(app)
+        .post('/api/sensors')
+        .send({ id: 'bad id!', type: 'RADAR' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error.message).toContain('Sensor ID');
+      expect(res.body.error.message).toContain('Sensor type');
+    });
+  });
+
+  describe('GET/PUT /api/sensors/:id', () => {
+    test('should return 404 for an unknown sensor', async () => {
+      expect((await request(app).get('/api/sensors/nope')).status).toBe(404);
+      expect((await request(app).put('/api/sensors/nope').send({ name: 'x' })).status).toBe(404);
+    });
+
+    test('should update calibration offsets', async () => {
+      await request(app).post('/api/sensors').send({ id: 'meter-put', name: 'Meter' });
+
+      const res = await request(app)
+        .put('/api/sensors/meter-put')
+        .send({ calibration: { flow_offset: 0.5 } });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.calibration).toEqual({ pressure_offset: 0, flow_offset: 0.5, temperature_offset: 0 });
+    });
+  });
+
+  describe('POST /api/sensor-data', () => {
+    test('should reject readings from an unknown sensor', async () => {
+      const res = await request(app)
+        .post('/api/sensor-data')
+        .send(reading('ghost'));
+
+      expect(res.status).toBe(400);
+      expect(res.body.error.message).toContain('Unknown sensor: ghost');
+    });
+
+    test('should apply the calibration offsets on ingest', async () => {
+      await request(app)
+        .post('/api/sensors')
+        .send({ id: 'meter-cal', name: 'Calibrated', location: 'Zone B', calibration: { pressure_offset: 2, flow_offset: -1, temperature_offset: 0.5 } });
+
+      const res = await request(app)
+        .post('/api/sensor-data')
+        .send(reading('meter-cal'));
+
+      expect(res.status).toBe(201);
+      expect(res.body.data).toMatchObject({ sensor_id: 'meter-cal', pressure: 52, flow: 9, temperature: 20.5, location: 'Zone B' });
+
+      const stored = await request(app).get(`/api/sensor-data/${res.body.data.id}`);
+      expect(stored.body.data).toMatchObject({ pressure: 52, flow: 9 });
+    });
+
+    test('should reject readings from an inactive sensor', async () => {
+      await request(app).post('/api/sensors').send({ id: 'meter-off', name: 'Off', status: 'MAINTENANCE' });
+
+      const res = await request(app)
+        .post('/api/sensor-data')
+        .send(reading('meter-off'));
+
+      expect(res.status).toBe(409);
+    });
+  });
+
+  describe('DELETE /api/sensors/:id', () => {
+    test('should remove a sensor and refuse its readings afterwards', async () => {
+      await request(app).post('/api/sensors').send({ id: 'meter-del', name: 'Gone' });
+      expect((await request(app).post('/api/sensor-data').send(reading('meter-del'))).status).toBe(201);
+
+      const res = await request(app).delete('/api/sensors/meter-del');
+      expect(res.status).toBe(200);
+
+      expect((await request(app).get('/api/sensors/meter-del')).status).toBe(404);
+      expect((await request(app).delete('/api/sensors/meter-del')).status).toBe(404);
+      expect((await request(app).post('/api/sensor-data').send(reading('meter-del'))).status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,46 @@
+/**
+ * Data Preparation Tests
+ * Mapping uploaded datasets to training samples
+ */
+
+const DataPreparationService = require('../../scripts/prepareTrainingData');
+
+const { TRAINING_FEATURES } = DataPreparationService;
+
+describe('DataPreparationService uploads', () => {
+  const prep = new DataPreparationService();
+
+  test('should compute engine features for raw sensor CSV uploads', async () => {
+    const csvText = [
+      'timestamp,sensor_id,pressure,flow,is_leak',
+      ...Array.from({ length: 20 }, (_, i) => `${1700000000000 + i * 1000},s1,${50 + (i % 3)},${10 + (i % 2)},${i === 19 ? 1 : 0}`),
+      '1700000020000,s1,not-a-number,10,0'
+    ].join('\n');
+
+    const rows = await prep.parseUpload(Buffer.from(csvText), 'readings.csv');
+    const { datasetType, samples, skipped } = prep.prepareUpload(rows);
+
+    expect(datasetType).toBe('sensor');
+    expect(samples).toHaveLength(20);
+    expect(skipped).toBe(1);
+    expect(Object.keys(samples[0])).toEqual([...TRAINING_FEATURES, 'label', 'source']);
+    expect(samples[1].pressure_rate_of_change).toBeCloseTo(1);
+    expect(samples[19].label).toBe('anomaly');
+    expect(samples[0].label).toBe('normal');
+  });
+
+  test('should accept JSON, { data } and NDJSON uploads and known dataset exports', async () => {
+    const records = [{ value: '12.5', anomaly_score: '0', timestamp: '2024-01-01 00:00:00' }];
+
+    const fromArray = await prep.parseUpload(Buffer.from(JSON.stringify(records)), 'nab.json');
+    const fromData = await prep.parseUpload(Buffer.from(JSON.stringify({ data: records })), 'nab.json');
+    const fromLines = await prep.parseUpload(Buffer.from(records.map(r => JSON.stringify(r)).join('\n')), 'nab.ndjson');
+
+    expect(fromArray).toEqual(records);
+    expect(fromData).toEqual(records);
+    expect(fromLines).toEqual(records);
+    expect(prep.prepareUpload(fromArray)).toMatchObject({ datasetType: 'nab', samples: [{ pressure: 12.5, label: 'normal', source: 'nab' }] });
+    expect(() => prep.prepareUpload([{ foo: 1 }])).toThrow('Unrecognised dataset');
+    expect(() => prep.prepareUpload([])).toThrow('empty');
+  });
+});
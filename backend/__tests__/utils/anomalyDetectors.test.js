@@ -0,0 +1,139 @@
+/**
+ * Anomaly Detector Tests
+ * Robust z-score, seasonal baseline and k-NN/LOF behind the common detector interface
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RobustZScoreDetector, SeasonalBaselineDetector, KnnDetector } = require('../../../utils/anomalyDetectors');
+const {
+  MLAnomalyDetector,
+  DETECTOR_TYPES,
+  createDetectorModel,
+  resolveDetectorParams
+} = require('../../../utils/mlAnomalyDetector');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const sample = (i, overrides = {}) => ({
+  pressure: 50 + Math.sin(i) * 2,
+  flow: 10 + Math.cos(i),
+  label: 'normal',
+  ...overrides
+});
+
+const training = (count = 200) => Array.from({ length: count }, (_, i) => sample(i));
+
+describe('anomaly detectors', () => {
+  test('should score by the most extreme robust z-score, 0.5 at the cutoff', () => {
+    const model = new RobustZScoreDetector({ cutoff: 3 });
+    model.train(training());
+
+    const normal = model.predict(sample(3));
+    const leak = model.predict({ pressure: 30, flow: 10 });
+
+    expect(normal.anomalyScore).toBeLessThan(0.5);
+    expect(leak).toMatchObject({ feature: 'pressure' });
+    expect(leak.anomalyScore).toBeGreaterThan(0.5);
+    expect(leak.anomalyScore).toBeLessThan(1);
+    expect(leak.attributions[0]).toMatchObject({ feature: 'pressure' });
+    expect(leak.attributions[0].contribution).toBeGreaterThan(50);
+    // Constant features carry no signal
+    const constant = new RobustZScoreDetector();
+    constant.train([{ pressure: 1 }, { pressure: 1 }]);
+    expect(constant.predict({ pressure: 5 }).anomalyScore).toBe(0);
+    expect(() => new RobustZScoreDetector({ cutoff: 0 })).toThrow('cutoff must be a positive number');
+  });
+
+  test('should compare readings with the baseline for their hour of week', () => {
+    // Flow is 40 at 03:00 on Mondays and 10 otherwise
+    const start = new Date(2024, 0, 1).getTime(); // a Monday
+    const readings = Array.from({ length: 24 * 7 * 4 }, (_, i) => {
+      const timestamp = start + i * HOUR_MS;
+      const date = new Date(timestamp);
+      const busy = date.getDay() === 1 && date.getHours() === 3;
+      return { timestamp, pressure: 50 + Math.sin(i), flow: (busy ? 40 : 10) + Math.cos(i) };
+    });
+    const model = new SeasonalBaselineDetector({ minBucketSamples: 3 });
+    model.train(readings);
+
+    const mondayNight = new Date(2024, 1, 5, 3).getTime();
+    const tuesdayNight = new Date(2024, 1, 6, 3).getTime();
+    expect(model.getModelState()).toMatchObject({ mode: 'hour-of-week', bucketCount: 168 });
+    expect(model.predict({ timestamp: mondayNight, pressure: 50, flow: 40 }).anomalyScore).toBeLessThan(0.5);
+    expect(model.predict({ timestamp: tuesdayNight, pressure: 50, flow: 40 })).toMatchObject({ feature: 'flow', bucket: 2 * 24 + 3 });
+    expect(model.predict({ timestamp: tuesdayNight, pressure: 50, flow: 40 }).anomalyScore).toBeGreaterThan(0.5);
+
+    // Model input without a day of week falls back to weekday/weekend buckets
+    const hourly = new SeasonalBaselineDetector();
+    hourly.train(training().map((s, i) => ({ ...s, hour_of_day: i % 24, is_weekend: 0 })));
+    expect(hourly.mode).toBe('weekday-weekend');
+    expect(() => new SeasonalBaselineDetector().train([{ hour_of_day: 1 }])).toThrow('none of the seasonal features');
+  });
+
+  test('should learn normal behaviour only and flag points far from their neighbours', () => {
+    const data = training().concat([sample(0, { pressure: 90, label: 'anomaly' })]);
+    const lof = new KnnDetector({ k: 5 });
+    const knn = new KnnDetector({ k: 5, method: 'knn', maxReference: 50 });
+    lof.train(data);
+    knn.train(data);
+
+    expect(lof.reference).toHaveLength(200);
+    expect(knn.reference).toHaveLength(50);
+    expect(lof.predict(sample(7)).anomalyScore).toBeLessThan(0.5);
+    expect(lof.predict({ pressure: 90, flow: 10 }).anomalyScore).toBeGreaterThan(0.5);
+    expect(knn.predict({ pressure: 90, flow: 10 }).anomalyScore).toBeGreaterThan(0.5);
+    expect(lof.predict({ pressure: 90, flow: 10 }).attributions[0]).toMatchObject({ feature: 'pressure' });
+    expect(() => new KnnDetector({ k: 5 }).train(training(5))).toThrow('more than 5 normal training samples');
+    expect(() => new KnnDetector({ method: 'lof', cutoff: 1 })).toThrow('greater than 1');
+    expect(() => new KnnDetector({ method: 'svm' })).toThrow('method must be one of');
+  });
+
+  test('should resolve parameters per algorithm and reject unknown ones', () => {
+    expect(DETECTOR_TYPES).toEqual(['isolation-forest', 'robust-zscore', 'seasonal-baseline', 'knn-lof']);
+    expect(resolveDetectorParams('knn-lof', { k: 3 })).toEqual({ k: 3, method: 'lof', cutoff: 1.5, maxReference: 1000 });
+    expect(resolveDetectorParams('isolation-forest', { numTrees: 10, sampleSize: 16 })).toEqual({ numTrees: 10, sampleSize: 16, maxDepth: null });
+    expect(createDetectorModel('robust-zscore').type).toBe('robust-zscore');
+    expect(() => createDetectorModel('autoencoder')).toThrow('algorithm must be one of');
+    expect(() => resolveDetectorParams('isolation-forest', { numTrees: 0 })).toThrow('numTrees');
+  });
+
+  describe.each(DETECTOR_TYPES.filter(type => type !== 'isolation-forest'))('%s model files', (type) => {
+    let modelDir;
+
+    beforeEach(() => {
+      modelDir = fs.mkdtempSync(path.join(os.tmpdir(), 'detectors-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(modelDir, { recursive: true, force: true });
+    });
+
+    test('should save, reload and score identically through MLAnomalyDetector', () => {
+      const original = new MLAnomalyDetector();
+      original.modelPath = modelDir;
+      original.model = createDetectorModel(type);
+      original.train(training().map((s, i) => ({ ...s, hour_of_day: i % 24, day_of_week: Math.floor(i / 24) % 7 })));
+      expect(original.saveModel('model.json')).toBe(true);
+
+      const saved = JSON.parse(fs.readFileSync(path.join(modelDir, 'model.json'), 'utf8'));
+      const reloaded = new MLAnomalyDetector();
+      reloaded.modelPath = modelDir;
+      expect(saved.modelType).toBe(type);
+      expect(reloaded.loadModel('model.json', { expectedFeatures: original.model.features })).toBe(true);
+
+      const probes = [sample(1, { hour_of_day: 5, day_of_week: 2 }), sample(2, { pressure: 80, hour_of_day: 5, day_of_week: 2 })];
+      probes.forEach(probe => {
+        expect(reloaded.model.predict(probe).anomalyScore).toBe(original.model.predict(probe).anomalyScore);
+      });
+      expect(reloaded.getModelInfo()).toMatchObject({ modelType: type, params: original.model.getParams() });
+      expect(reloaded.predict(probes[0]).pathLength).toBeUndefined();
+
+      saved.features = [];
+      fs.writeFileSync(path.join(modelDir, 'broken.json'), JSON.stringify(saved));
+      expect(reloaded.loadModel('broken.json')).toBe(false);
+      expect(reloaded.model.type).toBe(type);
+    });
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Detection Rule Tests
+ * Rule DSL validation and evaluation, and the rule-based detector running on it
+ */
+
+const { parseDuration, validateRule, evaluateCondition } = require('../../../utils/detectionRules');
+const { RuleBasedLeakDetector } = require('../../../utils/leakDetector');
+
+const start = Date.UTC(2024, 0, 1, 0, 0, 0);
+
+const nightFlow = {
+  id: 'NIGHT_FLOW',
+  description: 'Night-time flow above 5 L/min for 2h',
+  severity: 'HIGH',
+  probability: 60,
+  when: { all: [{ feature: 'hour_of_day', op: 'between', value: [0, 4] }, { feature: 'flow', op: '>', value: 5 }] },
+  for: '2h'
+};
+
+describe('rule DSL', () => {
+  test('should parse durations', () => {
+    expect(parseDuration('90s')).toBe(90);
+    expect(parseDuration('5m')).toBe(300);
+    expect(parseDuration('2h')).toBe(7200);
+    expect(parseDuration(30)).toBe(30);
+    expect(parseDuration('2 weeks')).toBeNull();
+    expect(parseDuration(0)).toBeNull();
+  });
+
+  test('should accept a valid rule and list every problem of an invalid one', () => {
+    expect(validateRule(nightFlow)).toEqual({ isValid: true, errors: [] });
+    expect(validateRule({ probability: 70 }, { partial: true }).isValid).toBe(true);
+
+    const { errors } = validateRule({
+      id: '1bad',
+      severity: 'LOW',
+      probability: 150,
+      when: { all: [
+        { feature: 'flow', agg: 'avg', op: '>', value: 5 },
+        { feature: 'pressure', agg: 'median', window: '1m', op: '<', value: 1 },
+        { feature: 'pressure', op: 'between', value: [5, 1] },
+        { any: [], not: { feature: 'flow', op: '>', value: 1 } }
+      ] },
+      for: '30d'
+    });
+    expect(errors).toEqual([
+      expect.stringContaining('id must start with a letter'),
+      expect.stringContaining('severity must be one of'),
+      expect.stringContaining('probability'),
+      'when.all[0].window is required for avg',
+      expect.stringContaining('when.all[1].agg must be one of'),
+      'when.all[2].value must be [low, high] for between',
+      'when.all[3] must have exactly one of all, any, not',
+      'for must be a duration up to 7d'
+    ]);
+  });
+
+  test('should aggregate over windows and compare against the baseline', () => {
+    const history = [0, 1, 2, 3].map(i => ({ timestamp: start + i * 10000, pressure: 50 - i * 4, flow: 10 + i }));
+    const context = { features: { ...history[3], pressure_flow_ratio: 38 / 13 }, history, baseline: { ratio: 5 } };
+
+    const { passed, comparisons } = evaluateCondition({
+      all: [
+        { feature: 'flow', agg: 'avg', window: '20s', op: '==', value: 12 },
+        { feature: 'pressure', agg: 'pct_change', window: '30s', minReadings: 3, op: '<', value: -20 },
+        { feature: 'pressure', agg: 'change', op: '==', value: -4 },
+        { feature: 'pressure_flow_ratio', relativeTo: 'baseline.ratio', abs: true, op: '>', value: 30 },
+        { not: { feature: 'flow', agg: 'max', window: '1m', op: '>', value: 13 } }
+      ]
+    }, context);
+
+    expect(comparisons.map(c => c.value)).toEqual([12, -24, -4, 41.5385, 13]);
+    expect(passed).toBe(true);
+
+    // Not enough earlier readings, or no baseline: the comparison is false
+    const short = evaluateCondition({ feature: 'pressure', agg: 'pct_change', window: '15s', minReadings: 2, op: '<', value: 0 }, context);
+    expect(short).toMatchObject({ passed: false, comparisons: [{ value: null }] });
+    expect(evaluateCondition({ feature: 'pressure_flow_ratio', relativeTo: 'baseline.ratio', op: '>', value: 0 }, { ...context, baseline: null }).passed).toBe(false);
+  });
+});
+
+describe('RuleBasedLeakDetector', () => {
+  const reading = (step, pressure, flow = 10, extra = {}) => ({ timestamp: start + step * 1000, pressure, flow, pressure_flow_ratio: pressure / flow, ...extra });
+
+  test('should evaluate the built-in rules as before', () => {
+    const detector = new RuleBasedLeakDetector();
+    detector.setBaseline(50, 10);
+    for (let i = 0; i < 5; i++) {
+      expect(detector.evaluate(reading(i, 50)).triggered_count).toBe(0);
+    }
+
+    const result = detector.evaluate(reading(5, 30, 20));
+
+    expect(result.triggered_rules.map(r => r.rule)).toEqual(['CRITICAL_LEAK', 'FLOW_PRESSURE_MISMATCH', 'RATIO_ANOMALY']);
+    expect(result).toMatchObject({ severity: 'CRITICAL', leak_probability: 100, is_leak_detected: true });
+    expect(result.rule_details.CRITICAL_LEAK.conditions[0]).toMatchObject({ agg: 'pct_change', value: -40, passed: true });
+    expect(result.rule_details.MINOR_LEAK.conditionMet).toBe(false);
+  });
+
+  test('should only trigger a held rule once its condition has held long enough', () => {
+    const detector = new RuleBasedLeakDetector({ rules: [nightFlow] });
+    const night = (minute, flow) => ({
+      timestamp: start + minute * 60000,
+      flow,
+      hour_of_day: new Date(start + minute * 60000).getUTCHours()
+    });
+
+    expect(detector.evaluate(night(0, 8)).triggered_count).toBe(0);
+    expect(detector.evaluate(night(119, 8)).triggered_count).toBe(0);
+    const held = detector.evaluate(night(120, 8));
+    expect(held).toMatchObject({ triggered_count: 1, severity: 'HIGH', leak_probability: 60 });
+    expect(held.rule_details.NIGHT_FLOW.heldSeconds).toBe(7200);
+
+    // A normal reading restarts the clock
+    detector.evaluate(night(121, 2));
+    expect(detector.evaluate(night(200, 8)).triggered_count).toBe(0);
+  });
+
+  test('should skip disabled rules and rules scoped to other sensors', () => {
+    const rule = { id: 'LOW_PRESSURE', severity: 'MEDIUM', probability: 40, when: { feature: 'pressure', op: '<', value: 20 } };
+    const rules = [{ ...rule, sensorIds: ['meter-a'] }, { ...rule, id: 'OFF', enabled: false }];
+
+    expect(new RuleBasedLeakDetector({ rules, sensorId: 'meter-a' }).evaluate(reading(0, 10)).triggered_rules.map(r => r.rule)).toEqual(['LOW_PRESSURE']);
+    expect(new RuleBasedLeakDetector({ rules, sensorId: 'meter-b' }).evaluate(reading(0, 10)).triggered_count).toBe(0);
+  });
+
+  test('should keep the readings the longest rule window needs', () => {
+    const detector = new RuleBasedLeakDetector({
+      rules: [{ id: 'AVG_FLOW', severity: 'MINOR', probability: 30, when: { feature: 'flow', agg: 'avg', window: '10m', op: '>', value: 100 } }]
+    });
+    for (let i = 0; i < 900; i++) {
+      detector.evaluate(reading(i, 50));
+    }
+
+    expect(detector.sensorHistory).toHaveLength(601);
+    expect(detector.sensorHistory[0].timestamp).toBe(start + 299000);
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Drift Monitor Tests
+ * Training profiles, PSI/KS per feature and the model_drift system alert
+ */
+
+const { buildFeatureProfile, compareFeature } = require('../../../utils/featureDrift');
+const { DriftMonitor } = require('../../../utils/driftMonitor');
+const { IntegratedLeakDetectionEngine, SYSTEM_ALERT_SENSOR_ID } = require('../../../utils/integratedEngine');
+
+const sample = (i, flow = 10) => ({
+  pressure: 50 + Math.sin(i) * 2,
+  flow: flow + Math.cos(i * 7),
+  hour_of_day: i % 24
+});
+
+const training = Array.from({ length: 500 }, (_, i) => sample(i));
+
+describe('feature drift statistics', () => {
+  test('should profile training deciles and find no drift in the same distribution', () => {
+    const profile = buildFeatureProfile(training, ['pressure', 'flow', 'missing']);
+
+    expect(profile.sampleCount).toBe(500);
+    expect(Object.keys(profile.features)).toEqual(['pressure', 'flow']);
+    expect(profile.features.flow.edges).toHaveLength(9);
+    expect(profile.features.flow.shares.reduce((a, b) => a + b, 0)).toBeCloseTo(1, 5);
+
+    const same = compareFeature(profile.features.flow, training.slice(0, 200), 'flow');
+    expect(same.psi).toBeLessThan(0.1);
+    expect(same.ks).toBeLessThan(0.1);
+  });
+
+  test('should score a shifted distribution with a high PSI and KS', () => {
+    const profile = buildFeatureProfile(training, ['flow']);
+    const shifted = compareFeature(profile.features.flow, training.map((s, i) => sample(i, 12)), 'flow');
+
+    expect(shifted.psi).toBeGreaterThan(1);
+    expect(shifted.ks).toBeGreaterThan(0.5);
+    expect(shifted.live.mean).toBeCloseTo(12, 0);
+    expect(shifted.training.mean).toBeCloseTo(10, 0);
+    expect(compareFeature(profile.features.flow, [{ flow: null }], 'flow')).toBeNull();
+  });
+
+  test('should collapse tied deciles of constant features', () => {
+    const profile = buildFeatureProfile(training.map(s => ({ ...s, is_weekend: 0 })), ['is_weekend']);
+
+    expect(profile.features.is_weekend).toMatchObject({ edges: [0], shares: [1, 0], mean: 0, std: 0 });
+  });
+});
+
+describe('DriftMonitor', () => {
+  const start = Date.now() - 120000;
+  let engine;
+  let production;
+  let monitor;
+
+  const feed = (count, flow) => {
+    for (let i = 0; i < count; i++) {
+      engine.processReading({ sensor_id: 'meter-a', pressure: 50 + Math.sin(i) * 2, flow: flow + Math.cos(i * 7), valve_state: 'OPEN', timestamp: start + i * 1000 });
+    }
+  };
+
+  beforeEach(() => {
+    engine = new IntegratedLeakDetectionEngine();
+    engine.initializeRuleBasedDetection(50, 10);
+    production = {
+      id: 'm1',
+      version: 1,
+      modelType: 'isolation-forest',
+      trainingProfile: buildFeatureProfile(training, ['pressure', 'flow', 'hour_of_day'])
+    };
+    monitor = new DriftMonitor({
+      engine,
+      registry: { getProduction: async () => production },
+      config: { intervalMs: 0, psiThreshold: 0.25, ksThreshold: 0.3, minSamples: 50 }
+    });
+  });
+
+  test('should need a training profile and enough live readings', async () => {
+    feed(10, 10);
+    expect(await monitor.check()).toMatchObject({ status: 'insufficient-data', sampleCount: 10 });
+
+    production = { ...production, trainingProfile: null };
+    expect((await monitor.check()).status).toBe('no-reference');
+    expect(monitor.history(1)[0].status).toBe('no-reference');
+  });
+
+  test('should report stable features without alerting', async () => {
+    feed(100, 10);
+    const report = await monitor.check();
+
+    expect(report.status).toBe('ok');
+    expect(report.sampleCount).toBe(100);
+    // Calendar features are not compared
+    expect(report.features.map(f => f.feature).sort()).toEqual(['flow', 'pressure']);
+    expect(engine.getRecentAlerts(10, SYSTEM_ALERT_SENSOR_ID)).toHaveLength(0);
+  });
+
+  test('should raise one system alert while drift persists', async () => {
+    feed(100, 14);
+    const report = await monitor.check();
+
+    expect(report.status).toBe('drift');
+    expect(report.driftedFeatures).toEqual(['flow']);
+    const [alert] = engine.getRecentAlerts(10, SYSTEM_ALERT_SENSOR_ID);
+    expect(alert).toMatchObject({ id: report.alertId, type: 'model_drift', severity: 'MEDIUM', acknowledged: false });
+    expect(alert.details.features.map(f => f.feature)).toEqual(['flow']);
+    expect(alert.message).toContain('flow (PSI');
+
+    expect((await monitor.check()).alertId).toBeNull();
+    expect(await monitor.check({ sensorId: 'meter-a' })).toMatchObject({ status: 'drift', alertId: expect.any(String) });
+    expect(engine.getRecentAlerts(10, SYSTEM_ALERT_SENSOR_ID)).toHaveLength(2);
+    expect(monitor.status().activeDrift.map(d => d.scope).sort()).toEqual(['all', 'meter-a']);
+
+    // A different model going live starts over
+    production = { ...production, id: 'm2', version: 2 };
+    expect((await monitor.check()).alertId).toEqual(expect.any(String));
+  });
+});
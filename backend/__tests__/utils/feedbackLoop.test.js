@@ -0,0 +1,114 @@
+/**
+ * Feedback Loop Tests
+ * Curated set from resolved alerts, retraining and the false-positive report
+ */
+
+const { FeedbackLoop, labelForFeedback } = require('../../../utils/feedbackLoop');
+const { createMemoryRepositories } = require('../../../db/repositories/memoryRepositories');
+
+describe('FeedbackLoop', () => {
+  let store;
+  let jobs;
+  let models;
+  let loop;
+
+  const alert = (id, feedback, overrides = {}) => ({
+    id,
+    sensorId: 'meter-a',
+    timestamp: 1000,
+    modelVersion: 1,
+    features: { pressure: 3 + Number(id.slice(1)) / 10, flow: 10 },
+    resolved: true,
+    feedback,
+    ...overrides
+  });
+
+  beforeEach(() => {
+    store = createMemoryRepositories();
+    models = [];
+    jobs = {
+      isBusy: jest.fn(() => false),
+      start: jest.fn((options) => ({ id: 'job-1', sampleCount: options.trainingData.length }))
+    };
+    const registry = { list: async () => ({ items: models, total: models.length }) };
+    loop = new FeedbackLoop({ jobs, registry, config: { intervalMs: 0, minSamples: 3, baseSource: 'db', promote: false } });
+    loop.attachStore(store);
+  });
+
+  test('should label feedback and skip alerts without a verdict or model input', async () => {
+    expect(labelForFeedback({ isFalsePositive: true })).toBe('normal');
+    expect(labelForFeedback({ isFalsePositive: false })).toBe('anomaly');
+    expect(labelForFeedback({ isCorrectPositive: true })).toBe('anomaly');
+    expect(labelForFeedback({ comment: 'checked' })).toBeNull();
+
+    expect(await loop.recordAlertFeedback(alert('a1', { isFalsePositive: true }))).toMatchObject({ alertId: 'a1', label: 'normal', modelVersion: 1 });
+    expect(await loop.recordAlertFeedback(alert('a2', { isFalsePositive: true }, { features: null }))).toBeNull();
+    expect(await loop.recordAlertFeedback(alert('a3', null))).toBeNull();
+
+    // Changed feedback relabels the alert's sample
+    await loop.recordAlertFeedback(alert('a1', { isFalsePositive: false }));
+    const samples = await loop.samples();
+    expect(samples.map(s => [s.alertId, s.label])).toEqual([['a1', 'anomaly']]);
+  });
+
+  test('should backfill from resolved alerts and retrain on base data plus feedback normals', async () => {
+    await store.alerts.insert(alert('a1', { isFalsePositive: true }));
+    await store.alerts.insert(alert('a2', { isFalsePositive: true }));
+    await store.alerts.insert(alert('a3', { isFalsePositive: false }));
+    await store.alerts.insert(alert('a4', null, { resolved: false }));
+    await store.sensorData.insert({ id: 'r1', sensor_id: 'meter-a', timestamp: 500, pressure: 3, flow: 10 });
+
+    expect(await loop.collect()).toEqual({ scanned: 3, collected: 3 });
+    expect((await loop.status()).samples).toEqual({ total: 3, normal: 2, anomaly: 1 });
+
+    const job = await loop.retrain();
+    const options = jobs.start.mock.calls[0][0];
+
+    expect(job.id).toBe('job-1');
+    expect(options).toMatchObject({ source: 'feedback', promote: false, dataset: { type: 'feedback', baseSource: 'db', feedbackSamples: 3 } });
+    // One DB reading plus the training half of the false positives; the confirmed leak is held out
+    expect(options.trainingData).toHaveLength(2);
+    expect(options.trainingData.every(s => s.label === 'normal')).toBe(true);
+    expect(options.evaluationSets.test.map(s => s.label).sort()).toEqual(['anomaly', 'normal']);
+
+    jobs.isBusy.mockReturnValue(true);
+    await expect(loop.retrain()).rejects.toThrow('already running');
+    await expect(loop.retrain({ source: 'bogus' })).rejects.toThrow('source must be one of');
+  });
+
+  test('should retrain on schedule only once enough new feedback arrived', async () => {
+    await loop.recordAlertFeedback(alert('a1', { isFalsePositive: true }));
+    await loop.recordAlertFeedback(alert('a2', { isFalsePositive: true }));
+    expect(await loop.runOnce()).toBeNull();
+
+    await loop.recordAlertFeedback(alert('a3', { isFalsePositive: false }));
+    expect(await loop.runOnce()).toMatchObject({ id: 'job-1' });
+
+    // Samples before the latest feedback model no longer count
+    models = [{ id: 'm2', version: 2, status: 'candidate', source: 'feedback', createdAt: Date.now() + 1000 }];
+    expect((await loop.status()).newSinceLastModel).toBe(0);
+    expect(await loop.runOnce()).toBeNull();
+    expect(jobs.start).toHaveBeenCalledTimes(1);
+  });
+
+  test('should report live and offline false-positive rates per model version', async () => {
+    models = [
+      { id: 'm2', version: 2, status: 'production', source: 'feedback', metrics: { confusionMatrix: { falsePositives: 1, trueNegatives: 19 } } },
+      { id: 'm1', version: 1, status: 'archived', source: 'db', metrics: { confusionMatrix: { falsePositives: 4, trueNegatives: 16 } } }
+    ];
+    await store.alerts.insert(alert('a1', { isFalsePositive: true }));
+    await store.alerts.insert(alert('a2', { isFalsePositive: true }));
+    await store.alerts.insert(alert('a3', { isFalsePositive: false }));
+    await store.alerts.insert(alert('a4', { isFalsePositive: true }, { modelVersion: 2 }));
+    await store.alerts.insert(alert('a5', { isFalsePositive: false }, { modelVersion: 2 }));
+    await store.alerts.insert(alert('a6', null, { modelVersion: 2 }));
+
+    const report = await loop.report();
+
+    expect(report.productionVersion).toBe(2);
+    expect(report.versions).toEqual([
+      expect.objectContaining({ modelVersion: 1, alerts: 3, reviewed: 3, falsePositives: 2, falsePositiveRate: 66.67, falsePositiveRateChange: null, offlineFalsePositiveRate: 20 }),
+      expect.objectContaining({ modelVersion: 2, modelId: 'm2', alerts: 3, reviewed: 2, falsePositives: 1, falsePositiveRate: 50, falsePositiveRateChange: -16.67, offlineFalsePositiveRate: 5 })
+    ]);
+  });
+});
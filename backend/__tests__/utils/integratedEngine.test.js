@@ -0,0 +1,305 @@
+/**
+ * Integrated Engine Tests
+ * Per-sensor pipeline isolation in the integrated detection engine
+ */
+
+const { IntegratedLeakDetectionEngine } = require('../../../utils/integratedEngine');
+
+describe('IntegratedLeakDetectionEngine', () => {
+  let engine;
+  const start = Date.now() - 60000;
+
+  const reading = (sensorId, step, pressure, flow = 10) => ({
+    sensor_id: sensorId,
+    pressure,
+    flow,
+    valve_state: 'OPEN',
+    timestamp: start + step * 1000
+  });
+
+  beforeEach(() => {
+    engine = new IntegratedLeakDetectionEngine();
+    engine.initializeRuleBasedDetection(50, 10);
+  });
+
+  describe('per-sensor pipelines', () => {
+    test('should create one pipeline per sensor', () => {
+      engine.processReading(reading('meter-a', 0, 50));
+      engine.processReading(reading('meter-b', 0, 50));
+      engine.processReading(reading('meter-a', 1, 50));
+
+      const summaries = engine.getPipelineSummaries();
+      expect(summaries.map(p => p.sensorId).sort()).toEqual(['meter-a', 'meter-b']);
+      expect(summaries.find(p => p.sensorId === 'meter-a').readingCount).toBe(2);
+    });
+
+    test('should not mix rolling windows between sensors', () => {
+      // meter-a runs at 50 PSI, meter-b at a steady 30 PSI with the same pressure/flow ratio
+      for (let i = 0; i < 10; i++) {
+        engine.processReading(reading('meter-a', i, 50));
+        engine.processReading(reading('meter-b', i, 30, 6));
+      }
+
+      // A shared window would see a 40% pressure drop for meter-b
+      expect(engine.getRecentAlerts(50, 'meter-b')).toHaveLength(0);
+      expect(engine.getRecentAlerts(50, 'meter-a')).toHaveLength(0);
+    });
+
+    test('should attribute alerts to the sensor that triggered them', () => {
+      for (let i = 0; i < 5; i++) {
+        engine.processReading(reading('meter-a', i, 50));
+        engine.processReading(reading('meter-b', i, 50));
+      }
+      engine.processReading(reading('meter-a', 5, 30, 20));
+
+      const alerts = engine.getRecentAlerts(50);
+      expect(alerts.length).toBeGreaterThan(0);
+      expect(alerts.every(a => a.sensorId === 'meter-a')).toBe(true);
+      expect(engine.getSystemStatus('meter-b').statistics.totalAlerts).toBe(0);
+    });
+
+    test('should fall back to the default pipeline without a sensor_id', () => {
+      const result = engine.processReading({ pressure: 50, flow: 10, valve_state: 'OPEN' });
+
+      expect(result.sensorId).toBe('default');
+    });
+  });
+
+  describe('clearActiveAnomalies', () => {
+    test('should only clear the requested pipeline', () => {
+      engine.processReading(reading('meter-a', 0, 50));
+      engine.processReading(reading('meter-b', 0, 50));
+      engine.pipelines.get('meter-a').activeAnomalies.ruleBasedActive = true;
+      engine.pipelines.get('meter-b').activeAnomalies.ruleBasedActive = true;
+
+      engine.clearActiveAnomalies('meter-a');
+
+      expect(engine.pipelines.get('meter-a').activeAnomalies.ruleBasedActive).toBe(false);
+      expect(engine.pipelines.get('meter-b').activeAnomalies.ruleBasedActive).toBe(true);
+    });
+  });
+
+  describe('per-sensor models', () => {
+    test('should score a sensor with its own detector until it is cleared', () => {
+      const predict = jest.fn(() => ({ anomalyScore: 80, isAnomaly: true, confidence: 60 }));
+      engine.assignSensorModel('meter-a', { predict }, { id: 'm2', version: 2, modelType: 'knn-lof' });
+
+      const scored = engine.processReading(reading('meter-a', 0, 50));
+      const other = engine.processReading(reading('meter-b', 0, 50));
+
+      expect(predict).toHaveBeenCalledTimes(1);
+      expect(scored.modelVersion).toBe(2);
+      expect(other.modelVersion).toBeNull();
+      expect(engine.getSystemStatus('meter-a').pipeline.mlModel).toEqual({ id: 'm2', version: 2, modelType: 'knn-lof' });
+
+      expect(engine.clearSensorModel('meter-a')).toBe(true);
+      engine.processReading(reading('meter-a', 1, 50));
+      expect(predict).toHaveBeenCalledTimes(1);
+      expect(engine.getSystemStatus().sensorModels).toEqual([]);
+    });
+
+    test('should carry the top feature attributions into detections and alerts', () => {
+      const attributions = ['flow', 'pressure', 'flow_rate_of_change', 'hour_of_day', 'is_weekend', 'day_of_week']
+        .map((feature, i) => ({ feature, contribution: 30 - i * 5 }));
+      engine.assignSensorModel('meter-a', { predict: () => ({ anomalyScore: 90, isAnomaly: true, confidence: 80, attributions }) }, { id: 'm2', version: 2, modelType: 'knn-lof' });
+
+      for (let i = 0; i < 5; i++) {
+        engine.processReading(reading('meter-a', i, 50));
+      }
+      const detection = engine.processReading(reading('meter-a', 5, 30, 20));
+
+      const ml = detection.detection.detectionMethods.find(m => m.method === 'ml_anomaly');
+      expect(ml.attributions).toEqual(attributions.slice(0, 5));
+      expect(engine.getRecentAlerts(10, 'meter-a')[0].attributions).toEqual(attributions.slice(0, 5));
+    });
+  });
+
+  describe('evaluateReadings', () => {
+    test('should score stored readings like the live stream without touching live state', async () => {
+      engine.assignSensorModel('meter-a', { predict: () => ({ anomalyScore: 90, isAnomaly: true, confidence: 80 }) }, { id: 'm2', version: 2, modelType: 'knn-lof' });
+      const stored = [];
+      for (let i = 0; i < 5; i++) {
+        stored.push(reading('meter-a', i, 50));
+      }
+      stored.push(reading('meter-a', 5, 30, 20));
+
+      // Newest first, as the store returns them
+      const results = engine.evaluateReadings([...stored].reverse());
+      await engine.flushWrites();
+
+      expect(engine.pipelines.size).toBe(0);
+      expect(engine.getRecentAlerts(50)).toHaveLength(0);
+      expect((await engine.loadDetections()).total).toBe(0);
+      expect(results[0].detection.overallLeakDetected).toBe(true);
+      expect(results.every(r => r.modelVersion === 2)).toBe(true);
+      expect(engine.getScoringModel('meter-a')).toEqual({ id: 'm2', version: 2, modelType: 'knn-lof' });
+
+      const live = stored.map(r => engine.processReading({ ...r })).reverse();
+      expect(results.map(r => r.detection.overallProbability)).toEqual(live.map(r => r.detection.overallProbability));
+    });
+  });
+
+  describe('device timestamps', () => {
+    test('should use the device timestamp for detections', () => {
+      const result = engine.processReading(reading('meter-a', 0, 50));
+
+      expect(result.timestamp).toBe(start);
+      expect(result.timing.source).toBe('device');
+      expect(result.timing.receivedAt).toBeGreaterThan(start);
+    });
+
+    test('should drop readings too far in the future', () => {
+      const result = engine.processReading({
+        ...reading('meter-a', 0, 50),
+        timestamp: Date.now() + 60000
+      });
+
+      expect(result).toBeNull();
+      expect(engine.getPipelineSummaries()[0].timing.dropped).toBe(1);
+    });
+
+    test('should slot slightly out-of-order readings into the window', () => {
+      engine.processReading(reading('meter-a', 0, 50));
+      engine.processReading(reading('meter-a', 2, 50));
+      const result = engine.processReading(reading('meter-a', 1, 50));
+
+      expect(result.timing.reordered).toBe(true);
+      expect(result.timing.late).toBe(false);
+      const history = engine.pipelines.get('meter-a').preprocessor.sensorHistory;
+      expect(history.map(r => r.timestamp)).toEqual([start, start + 1000, start + 2000]);
+    });
+
+    test('should apply the late-data policy beyond the reorder tolerance', () => {
+      engine.configureTimeHandling({ reorderToleranceMs: 5000, lateDataPolicy: 'flag' });
+      for (let i = 0; i < 5; i++) {
+        engine.processReading(reading('meter-a', i, 50));
+      }
+      engine.processReading(reading('meter-a', 30, 50));
+
+      // A late reading that would otherwise trigger is recorded but does not alert
+      const flagged = engine.processReading(reading('meter-a', 5, 30, 20));
+      expect(flagged.timing.late).toBe(true);
+      expect(flagged.timing.flagged).toBe(true);
+      expect(engine.getRecentAlerts(50, 'meter-a')).toHaveLength(0);
+
+      engine.configureTimeHandling({ lateDataPolicy: 'drop' });
+      expect(engine.processReading(reading('meter-a', 6, 50))).toBeNull();
+    });
+
+    test('should keep zero tolerances from the environment', () => {
+      process.env.CLOCK_SKEW_TOLERANCE_MS = '0';
+      process.env.REORDER_TOLERANCE_MS = '0';
+      try {
+        const strict = new IntegratedLeakDetectionEngine();
+        expect(strict.timeConfig).toMatchObject({ clockSkewToleranceMs: 0, reorderToleranceMs: 0 });
+      } finally {
+        delete process.env.CLOCK_SKEW_TOLERANCE_MS;
+        delete process.env.REORDER_TOLERANCE_MS;
+      }
+
+      process.env.REORDER_TOLERANCE_MS = '-1';
+      try {
+        expect(new IntegratedLeakDetectionEngine().timeConfig.reorderToleranceMs).toBe(10000);
+      } finally {
+        delete process.env.REORDER_TOLERANCE_MS;
+      }
+    });
+  });
+
+  describe('persistence', () => {
+    const triggerAlert = () => {
+      for (let i = 0; i < 5; i++) {
+        engine.processReading(reading('meter-a', i, 50));
+      }
+      engine.processReading(reading('meter-a', 5, 30, 20));
+    };
+
+    test('should write detections and alerts to the store', async () => {
+      triggerAlert();
+      await engine.flushWrites();
+
+      const detections = await engine.loadDetections({ sensorId: 'meter-a', limit: 2 });
+      const alerts = await engine.loadAlerts({ sensorId: 'meter-a' });
+
+      expect(detections.total).toBe(6);
+      expect(detections.items[0].timestamp).toBe(start + 5000);
+      expect(alerts.total).toBeGreaterThan(0);
+      // Model input travels with the alert so feedback can become training data
+      expect(alerts.items[0].features).toMatchObject({ pressure: expect.any(Number), flow: expect.any(Number), is_weekend: expect.any(Number) });
+    });
+
+    test('should keep acknowledgement and resolution after the caches are cleared', async () => {
+      triggerAlert();
+      await engine.flushWrites();
+      const [alert] = (await engine.loadAlerts({ sensorId: 'meter-a' })).items;
+
+      await engine.acknowledgeAlert(alert.id, { userId: 'ops', notes: 'checking' });
+      await engine.resolveAlert(alert.id, { userId: 'ops', feedback: { isFalsePositive: true } });
+      engine.reset();
+
+      const stored = (await engine.loadAlerts({ sensorId: 'meter-a' })).items.find(a => a.id === alert.id);
+      expect(stored).toMatchObject({ acknowledged: true, acknowledgedBy: 'ops', resolved: true });
+      expect((await engine.loadAlertStatistics()).falsePositives).toBe(1);
+      expect(await engine.acknowledgeAlert('missing', { userId: 'ops' })).toBeNull();
+    });
+  });
+
+  describe('rehydrate', () => {
+    const storeReading = (step, pressure, flow = 10) => engine.store.sensorData.insert({
+      id: `r${step}`,
+      sensor_id: 'meter-a',
+      timestamp: start + step * 1000,
+      pressure,
+      flow,
+      valve_state: 'OPEN'
+    });
+
+    beforeEach(async () => {
+      for (let i = 0; i < 5; i++) {
+        await storeReading(i, 50);
+      }
+      await storeReading(5, 30, 20);
+    });
+
+    test('should rebuild pipeline state without storing or alerting', async () => {
+      const summary = await engine.rehydrate({ minutes: 5 });
+      await engine.flushWrites();
+
+      const pipeline = engine.pipelines.get('meter-a');
+      expect(summary).toMatchObject({ replayed: 6, skipped: 0, sensors: ['meter-a'] });
+      expect(pipeline.readingCount).toBe(6);
+      expect(pipeline.lastTimestamp).toBe(start + 5000);
+      expect(pipeline.preprocessor.sensorHistory).toHaveLength(6);
+      expect(pipeline.activeAnomalies.ruleBasedActive).toBe(true);
+      expect((await engine.loadDetections()).total).toBe(0);
+      expect((await engine.loadAlerts()).total).toBe(0);
+    });
+
+    test('should not alert again on an anomaly that was active before the restart', async () => {
+      await engine.rehydrate({ minutes: 5 });
+
+      engine.processReading(reading('meter-a', 6, 30, 20));
+      await engine.flushWrites();
+
+      expect((await engine.loadDetections()).total).toBe(1);
+      expect((await engine.loadAlerts()).total).toBe(0);
+    });
+
+    test('should only replay readings inside the window, newest first when capped', async () => {
+      expect((await engine.rehydrate({ minutes: 0 })).replayed).toBe(0);
+
+      const summary = await engine.rehydrate({ minutes: 5, maxReadings: 2 });
+
+      expect(summary.replayed).toBe(2);
+      expect(engine.pipelines.get('meter-a').lastTimestamp).toBe(start + 5000);
+    });
+
+    test('should keep replayed windows when the engine is re-initialized', async () => {
+      await engine.rehydrate({ minutes: 5 });
+
+      engine.initializeRuleBasedDetection(50, 10);
+
+      expect(engine.pipelines.get('meter-a').detector.sensorHistory).toHaveLength(6);
+    });
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * ML Anomaly Detector Tests
+ * Saved models must contain the whole forest and score exactly like the original
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { IsolationForest, MLAnomalyDetector, MODEL_FORMAT_VERSION } = require('../../../utils/mlAnomalyDetector');
+
+describe('MLAnomalyDetector model serialization', () => {
+  let modelDir;
+
+  const sample = (i, scale = 1) => ({
+    pressure: 50 + Math.sin(i) * 2 * scale,
+    flow: 10 + Math.cos(i) * scale,
+    pressure_flow_ratio: 5 + Math.sin(i * 3) * 0.2 * scale
+  });
+
+  const createDetector = () => {
+    const detector = new MLAnomalyDetector();
+    detector.modelPath = modelDir;
+    detector.model = new IsolationForest(20, 32);
+    return detector;
+  };
+
+  const writeModel = (filename, data) => {
+    fs.writeFileSync(path.join(modelDir, filename), JSON.stringify(data));
+  };
+
+  beforeEach(() => {
+    modelDir = fs.mkdtempSync(path.join(os.tmpdir(), 'models-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(modelDir, { recursive: true, force: true });
+  });
+
+  test('should round-trip the forest so a reloaded model scores identically', () => {
+    const original = createDetector();
+    original.train(Array.from({ length: 200 }, (_, i) => sample(i)));
+    expect(original.saveModel('model.json')).toBe(true);
+
+    const reloaded = new MLAnomalyDetector();
+    reloaded.modelPath = modelDir;
+    expect(reloaded.loadModel('model.json')).toBe(true);
+
+    const saved = JSON.parse(fs.readFileSync(path.join(modelDir, 'model.json'), 'utf8'));
+    expect(saved.formatVersion).toBe(MODEL_FORMAT_VERSION);
+    expect(saved.trees).toHaveLength(20);
+    expect(reloaded.model.trees).toHaveLength(20);
+
+    const probes = [sample(1), sample(7, 3), { pressure: 30, flow: 25, pressure_flow_ratio: 1.2 }];
+    probes.forEach(probe => {
+      expect(reloaded.model.predict(probe)).toEqual(original.model.predict(probe));
+    });
+  });
+
+  test('should attribute the score to the features that isolated the sample', () => {
+    const detector = createDetector();
+    detector.train(Array.from({ length: 200 }, (_, i) => sample(i)));
+
+    const { attributions } = detector.predict({ pressure: 90, flow: 10, pressure_flow_ratio: 5 });
+    const total = attributions.reduce((sum, a) => sum + a.contribution, 0);
+
+    expect(attributions.length).toBeGreaterThan(0);
+    expect(total).toBeCloseTo(100, 0);
+    expect(attributions.map(a => a.contribution)).toEqual([...attributions.map(a => a.contribution)].sort((a, b) => b - a));
+    attributions.forEach(a => expect(detector.model.features).toContain(a.feature));
+  });
+
+  test('should replace the forest when retrained', () => {
+    const detector = createDetector();
+    detector.train(Array.from({ length: 50 }, (_, i) => sample(i)));
+    detector.train(Array.from({ length: 50 }, (_, i) => sample(i)));
+
+    expect(detector.model.trees).toHaveLength(20);
+  });
+
+  test('should reject metadata-only (v1) files and keep the current model', () => {
+    const detector = createDetector();
+    detector.train(Array.from({ length: 50 }, (_, i) => sample(i)));
+    const current = detector.model;
+    writeModel('legacy.json', {
+      isTrained: true,
+      numTrees: 500,
+      sampleSize: 1024,
+      features: ['pressure'],
+      featureMeans: { pressure: 50 },
+      featureStdDevs: { pressure: 1 }
+    });
+
+    expect(detector.loadModel('legacy.json')).toBe(false);
+    expect(detector.model).toBe(current);
+  });
+
+  test('should validate the feature schema and tree encoding', () => {
+    const detector = createDetector();
+    detector.train(Array.from({ length: 50 }, (_, i) => sample(i)));
+    detector.saveModel('model.json');
+    const saved = JSON.parse(fs.readFileSync(path.join(modelDir, 'model.json'), 'utf8'));
+
+    writeModel('no-mean.json', { ...saved, featureMeans: { pressure: 50 } });
+    writeModel('bad-tree.json', { ...saved, trees: [Buffer.from('oops').toString('base64'), ...saved.trees.slice(1)] });
+    writeModel('few-trees.json', { ...saved, trees: saved.trees.slice(1) });
+
+    const reloaded = createDetector();
+    expect(reloaded.loadModel('no-mean.json')).toBe(false);
+    expect(reloaded.loadModel('bad-tree.json')).toBe(false);
+    expect(reloaded.loadModel('few-trees.json')).toBe(false);
+    expect(reloaded.loadModel('model.json', { expectedFeatures: ['pressure', 'flow'] })).toBe(false);
+    expect(reloaded.loadModel('model.json', { expectedFeatures: ['flow', 'pressure_flow_ratio', 'pressure'] })).toBe(true);
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Model Evaluation Tests
+ * Stratified train/validation/test splits, k-fold cross-validation, ROC/PR curves
+ */
+
+const {
+  normalizeSplit,
+  splitDataset,
+  stratifiedFolds,
+  computeCurves,
+  evaluateDetector,
+  crossValidate,
+  summarizeEvaluation
+} = require('../../../utils/modelEvaluation');
+
+describe('modelEvaluation', () => {
+  const samples = Array.from({ length: 200 }, (_, i) => ({
+    id: i,
+    label: i % 5 === 0 ? 'anomaly' : 'normal'
+  }));
+
+  const anomalies = (set) => set.filter(s => s.label === 'anomaly').length;
+
+  test('should split every sample once, keeping the class balance in each set', () => {
+    const { train, validation, test } = splitDataset(samples, { train: 70, validate: 20, test: 10 });
+
+    expect([train.length, validation.length, test.length]).toEqual([140, 40, 20]);
+    expect(new Set([...train, ...validation, ...test].map(s => s.id)).size).toBe(200);
+    expect([anomalies(train), anomalies(validation), anomalies(test)]).toEqual([28, 8, 4]);
+  });
+
+  test('should validate split percentages', () => {
+    expect(normalizeSplit()).toEqual({ train: 70, validation: 20, test: 10 });
+    expect(normalizeSplit({ train: 80, validation: 0, test: 20 })).toEqual({ train: 80, validation: 0, test: 20 });
+    expect(() => normalizeSplit({ train: 70, validate: 20, test: 20 })).toThrow('add up to 100');
+    expect(() => normalizeSplit({ train: 0, validate: 50, test: 50 })).toThrow('greater than 0%');
+    expect(() => normalizeSplit({ train: 'x' })).toThrow('non-negative');
+  });
+
+  test('should deal stratified folds', () => {
+    const folds = stratifiedFolds(samples, 5);
+
+    expect(folds.map(f => f.length)).toEqual([40, 40, 40, 40, 40]);
+    expect(folds.map(anomalies)).toEqual([8, 8, 8, 8, 8]);
+  });
+
+  test('should compute ROC and PR curves with AUC', () => {
+    const perfect = computeCurves([
+      { score: 0.9, positive: true },
+      { score: 0.8, positive: true },
+      { score: 0.2, positive: false },
+      { score: 0.1, positive: false }
+    ]);
+    expect(perfect.roc.auc).toBe(1);
+    expect(perfect.pr.auc).toBe(1);
+    expect(perfect.roc.points[0]).toEqual({ threshold: 1, fpr: 0, tpr: 0 });
+    expect(perfect.roc.points[perfect.roc.points.length - 1]).toMatchObject({ fpr: 1, tpr: 1 });
+
+    const inverted = computeCurves([
+      { score: 0.9, positive: false },
+      { score: 0.1, positive: true }
+    ]);
+    expect(inverted.roc.auc).toBe(0);
+    expect(inverted.pr.auc).toBe(0.5);
+
+    expect(computeCurves([{ score: 0.5, positive: true }]).roc.auc).toBeNull();
+  });
+
+  // Scores the `value` field directly; anomalies have high values
+  const detector = {
+    predict: (sample) => ({ anomalyScore: sample.value, isAnomaly: sample.value >= 50 }),
+    train: () => ({ success: true })
+  };
+  const scoredSamples = samples.map(s => ({
+    ...s,
+    value: s.label === 'anomaly' ? 60 + (s.id % 40) : s.id % 55,
+    source: s.id % 2 === 0 ? 'nab' : 'pump'
+  }));
+
+  test('should evaluate a detector with a per-source breakdown', () => {
+    expect(evaluateDetector(detector, [{ value: 10 }])).toBeNull();
+
+    const result = evaluateDetector(detector, scoredSamples, { evaluatedOn: 'test' });
+    expect(result).toMatchObject({ evaluatedOn: 'test', labeledSamples: 200, anomalies: 40, recall: 100, rocAuc: 1 });
+    expect(result.precision).toBeLessThan(100);
+    expect(Object.keys(result.bySource).sort()).toEqual(['nab', 'pump']);
+    expect(result.bySource.nab.labeledSamples + result.bySource.pump.labeledSamples).toBe(200);
+    expect(result.bySource.nab.roc).toBeUndefined();
+
+    const summary = summarizeEvaluation({ ...result, validation: result });
+    expect(summary.roc).toBeUndefined();
+    expect(summary.bySource).toBeUndefined();
+    expect(summary.validation).toMatchObject({ rocAuc: 1 });
+  });
+
+  test('should cross-validate with a fresh detector per fold', () => {
+    const createDetector = jest.fn(() => detector);
+    const progress = jest.fn();
+    const result = crossValidate(scoredSamples, { folds: 4, createDetector, onProgress: progress });
+
+    expect(createDetector).toHaveBeenCalledTimes(4);
+    expect(progress).toHaveBeenLastCalledWith(4, 4);
+    expect(result.perFold.map(f => f.samples)).toEqual([50, 50, 50, 50]);
+    expect(result.mean).toMatchObject({ recall: 100, rocAuc: 1 });
+    expect(result.std.rocAuc).toBe(0);
+    expect(() => crossValidate(scoredSamples, { folds: 1, createDetector })).toThrow('at least 2 folds');
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Model Registry Tests
+ * Candidate registration, promotion with hot-swap and rollback
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { IsolationForest, MLAnomalyDetector, createDetectorModel } = require('../../../utils/mlAnomalyDetector');
+const { IntegratedLeakDetectionEngine } = require('../../../utils/integratedEngine');
+const { ModelRegistry } = require('../../../utils/modelRegistry');
+const { createMemoryRepositories } = require('../../../db/repositories/memoryRepositories');
+
+describe('ModelRegistry', () => {
+  let modelDir;
+  let liveDetector;
+  let engine;
+  let registry;
+  let store;
+
+  const samples = (shift = 0) => Array.from({ length: 60 }, (_, i) => ({
+    pressure: 50 + Math.sin(i) * 2 + shift,
+    flow: 10 + Math.cos(i),
+    label: i % 10 === 0 ? 'anomaly' : 'normal'
+  }));
+
+  const detectorIn = (dir) => {
+    const detector = new MLAnomalyDetector();
+    detector.modelPath = dir;
+    detector.model = new IsolationForest(10, 16);
+    return detector;
+  };
+
+  const trainCandidate = (shift = 0) => {
+    const candidate = detectorIn(modelDir);
+    const trainingData = samples(shift);
+    candidate.train(trainingData);
+    return registry.register(candidate, { trainingData, source: 'test' });
+  };
+
+  beforeEach(() => {
+    modelDir = fs.mkdtempSync(path.join(os.tmpdir(), 'registry-'));
+    liveDetector = detectorIn(modelDir);
+    engine = new IntegratedLeakDetectionEngine();
+    registry = new ModelRegistry({ detector: liveDetector, engine });
+    store = createMemoryRepositories();
+    registry.attachStore(store);
+  });
+
+  afterEach(() => {
+    fs.rmSync(modelDir, { recursive: true, force: true });
+  });
+
+  test('should register trained models as numbered candidates with metadata', async () => {
+    const first = await trainCandidate();
+    const second = await trainCandidate(1);
+
+    expect(first).toMatchObject({ version: 1, status: 'candidate', sampleCount: 60, source: 'test', features: ['pressure', 'flow'] });
+    expect(first.hyperparameters).toEqual({ numTrees: 10, sampleSize: 16, maxDepth: null });
+    expect(first.metrics.labeledSamples).toBe(60);
+    expect(first.metrics.roc).toBeUndefined();
+    expect(first.evaluation.roc.length).toBeGreaterThan(0);
+    expect(first.dataFingerprint).toMatch(/^[0-9a-f]{64}$/);
+    // Drift reference: normal samples only (6 of the 60 are labeled anomaly)
+    expect(first.trainingProfile.sampleCount).toBe(54);
+    expect(Object.keys(first.trainingProfile.features)).toEqual(['pressure', 'flow']);
+    expect(second.version).toBe(2);
+    expect(fs.existsSync(path.join(modelDir, first.artifact))).toBe(true);
+
+    const comparison = await registry.compare([first.id, second.id]);
+    expect(comparison.baseline).toBe(first.id);
+    expect(comparison.models[1].sameTrainingData).toBe(false);
+    expect(comparison.models[1].evaluation).toBeUndefined();
+    expect(Object.keys(comparison.models[1].deltas)).toEqual(['accuracy', 'precision', 'recall', 'specificity', 'f1Score', 'rocAuc', 'prAuc']);
+    expect(await registry.compare([first.id, 'missing'])).toBeNull();
+  });
+
+  test('should hot-swap the live detector on promotion and archive the previous model', async () => {
+    const first = await trainCandidate();
+    const second = await trainCandidate(1);
+
+    await registry.promote(first.id);
+    const { model, previous } = await registry.promote(second.id);
+
+    expect(model).toMatchObject({ id: second.id, status: 'production' });
+    expect(previous).toMatchObject({ id: first.id, status: 'archived' });
+    expect(engine.activeModel).toMatchObject({ id: second.id, version: 2 });
+    expect(liveDetector.model.trees).toHaveLength(10);
+    await expect(registry.promote(second.id)).rejects.toThrow('already in production');
+    expect(await registry.promote('missing')).toBeNull();
+  });
+
+  test('should roll back to the previously promoted model', async () => {
+    const first = await trainCandidate();
+    const second = await trainCandidate(1);
+    await expect(registry.rollback()).rejects.toThrow('No previously promoted model');
+
+    await registry.promote(first.id);
+    await registry.promote(second.id);
+    const { model } = await registry.rollback();
+
+    expect(model.id).toBe(first.id);
+    expect((await registry.getProduction()).id).toBe(first.id);
+    expect((await registry.get(second.id)).status).toBe('archived');
+    expect(engine.activeModel.id).toBe(first.id);
+  });
+
+  test('should keep the live model when the artifact cannot be loaded', async () => {
+    const first = await trainCandidate();
+    await registry.promote(first.id);
+    const second = await trainCandidate(1);
+    fs.unlinkSync(path.join(modelDir, second.artifact));
+
+    await expect(registry.promote(second.id)).rejects.toThrow('Could not load artifact');
+    expect((await registry.getProduction()).id).toBe(first.id);
+    expect(engine.activeModel.id).toBe(first.id);
+  });
+
+  test('should score sensors with the newest model of their chosen algorithm', async () => {
+    const forest = await trainCandidate();
+    await registry.promote(forest.id);
+    await store.sensors.create({ id: 'meter-a', name: 'A', detector: 'robust-zscore' });
+    await store.sensors.create({ id: 'meter-b', name: 'B', detector: 'isolation-forest' });
+
+    await expect(registry.loadSensorDetector('meter-a', 'robust-zscore')).rejects.toThrow('No robust-zscore model');
+
+    // Registering a model of a sensor's algorithm switches that sensor over
+    const zscore = detectorIn(modelDir);
+    zscore.model = createDetectorModel('robust-zscore');
+    zscore.train(samples());
+    const registered = await registry.register(zscore, { trainingData: samples(), source: 'test' });
+
+    expect(registered).toMatchObject({ modelType: 'robust-zscore', hyperparameters: { cutoff: 3.5 } });
+    expect(engine.getSensorModels()).toEqual([{ sensorId: 'meter-a', id: registered.id, version: 2, modelType: 'robust-zscore' }]);
+    expect(engine.sensorModels.get('meter-a').detector.model.type).toBe('robust-zscore');
+    expect((await registry.list({ modelType: 'robust-zscore' })).total).toBe(1);
+
+    // The production algorithm needs no separate model
+    expect(await registry.loadSensorDetector('meter-b', 'isolation-forest')).toMatchObject({ id: forest.id });
+    expect(await registry.loadSensorDetector('meter-a', null)).toBeNull();
+    expect(engine.getSensorModels()).toEqual([]);
+
+    await registry.syncSensorDetectors(await store.sensors.list());
+    expect(engine.getSensorModels().map(m => m.sensorId)).toEqual(['meter-a']);
+  });
+});
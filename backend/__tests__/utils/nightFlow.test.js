@@ -0,0 +1,131 @@
+/**
+ * Night Flow Tests
+ * Nightly minimums, the rolling baseline and background leak alerts
+ */
+
+const { NightFlowMonitor, computeNightlyMinimums, analyzeNights } = require('../../../utils/nightFlow');
+const { createMemoryRepositories } = require('../../../db/repositories/memoryRepositories');
+
+const QUARTER_MS = 15 * 60 * 1000;
+const config = { baselineNights: 14, minBaselineNights: 3, increasePercent: 20, minIncrease: 0.5, sustainedNights: 3 };
+
+// 15-minute flow averages from 01:00 to 05:00 of a day (server time): `night` inside 02:00-04:00, more around it
+const nightPoints = (day, night) => {
+  const points = [];
+  for (let t = new Date(2024, 0, day, 1).getTime(); t < new Date(2024, 0, day, 5).getTime(); t += QUARTER_MS) {
+    const hour = new Date(t).getHours();
+    points.push({ timestamp: t, flow: hour >= 2 && hour < 4 ? night + (t % (2 * QUARTER_MS) === 0 ? 1 : 0) : night + 10 });
+  }
+  return points;
+};
+
+describe('nightFlow', () => {
+  test('should take the lowest bucket inside the night window of each complete night', () => {
+    const points = [
+      ...nightPoints(1, 3),
+      { timestamp: new Date(2024, 0, 1, 12).getTime(), flow: 0.1 }, // daytime, ignored
+      ...nightPoints(2, 4).filter((point, i) => i % 3 === 0), // too few night buckets
+      ...nightPoints(3, 5)
+    ];
+
+    const nights = computeNightlyMinimums(points, { startHour: 2, endHour: 4, endTime: new Date(2024, 0, 3, 3).getTime() });
+    expect(nights).toEqual([
+      { date: '2024-01-01', windowStart: new Date(2024, 0, 1, 2).getTime(), mnf: 3, mnfAt: expect.any(Number), buckets: 8 }
+    ]);
+    expect(computeNightlyMinimums(points, { startHour: 2, endHour: 4 }).map(night => night.mnf)).toEqual([3, 5]);
+  });
+
+  test('should flag a sustained rise over the baseline without absorbing it', () => {
+    const mnf = [2, 2.2, 1.8, 2.1, 2.9, 3, 3.1, 1.9];
+    const nights = mnf.map((value, i) => ({ date: `n${i}`, windowStart: i * 86400000, mnf: value }));
+
+    const episode = analyzeNights(nights.slice(0, 7), config);
+    expect(episode.nights.map(night => night.elevated)).toEqual([false, false, false, false, true, true, true]);
+    expect(episode.nights[6]).toMatchObject({ baseline: 2.05, increase: 1.05, increasePercent: 51.2 });
+    expect(episode).toMatchObject({ status: 'probable-leak', elevatedNights: 3, elevatedSince: 4 * 86400000 });
+    expect(episode.trendPerDay).toBeGreaterThan(0);
+
+    expect(analyzeNights(nights.slice(0, 5), config)).toMatchObject({ status: 'elevated', elevatedNights: 1 });
+    expect(analyzeNights(nights, config)).toMatchObject({ status: 'normal', elevatedNights: 0, baseline: 2.05 });
+    expect(analyzeNights(nights.slice(0, 3), config).status).toBe('insufficient-data');
+  });
+
+  describe('NightFlowMonitor', () => {
+    let engine;
+    let monitor;
+    let data;
+    let broadcaster;
+
+    // Fake aggregation over `data` (sensorId -> points), in the shape of aggregateSensorData
+    const aggregate = jest.fn(async ({ startTime, endTime, sensorIds }) => ({
+      series: Object.keys(data)
+        .filter(sensorId => sensorIds.length === 0 || sensorIds.includes(sensorId))
+        .map(sensorId => ({
+          sensorId,
+          points: data[sensorId]
+            .filter(point => point.timestamp >= startTime && point.timestamp <= endTime)
+            .map(point => ({ timestamp: point.timestamp, flow: { avg: point.flow } }))
+        }))
+    }));
+    const days = (nightFlows) => nightFlows.flatMap((flow, i) => nightPoints(i + 1, flow));
+    const endTime = new Date(2024, 0, 9, 12).getTime();
+
+    beforeEach(async () => {
+      engine = { raiseSystemAlert: jest.fn(alert => ({ id: `alert-${engine.raiseSystemAlert.mock.calls.length}`, ...alert })) };
+      monitor = new NightFlowMonitor({ engine, aggregate, config: { ...config, startHour: 2, endHour: 4, historyDays: 30 } });
+      const store = createMemoryRepositories();
+      await store.sensors.create({ id: 'meter-a', name: 'A', location: 'Zone 1' });
+      await store.sensors.create({ id: 'meter-b', name: 'B', location: 'Zone 1' });
+      monitor.attachStore(store);
+      broadcaster = { broadcastAlert: jest.fn() };
+      monitor.attachBroadcaster(broadcaster);
+      data = {
+        'meter-a': days([2, 2, 2, 2, 2, 4, 4, 4]),
+        'meter-b': days([1, 1, 1, 1, 1, 1, 1, 1])
+      };
+    });
+
+    test('should report each sensor and sum the sensors of a zone', async () => {
+      const bySensor = await monitor.analyze({ endTime });
+      expect(bySensor.series.map(s => [s.id, s.status, s.latest.mnf])).toEqual([
+        ['meter-a', 'probable-leak', 4],
+        ['meter-b', 'normal', 1]
+      ]);
+      expect(bySensor.window).toEqual({ startHour: 2, endHour: 4, bucketMinutes: 15 });
+
+      const zone = await monitor.analyze({ zone: 'Zone 1', endTime });
+      expect(zone.series).toHaveLength(1);
+      expect(zone.series[0]).toMatchObject({ scope: 'zone', id: 'Zone 1', sensorIds: ['meter-a', 'meter-b'], status: 'probable-leak', baseline: 3 });
+      expect(zone.series[0].nights.map(night => night.mnf)).toEqual([3, 3, 3, 3, 3, 5, 5, 5]);
+
+      await expect(monitor.analyze({ zone: 'Zone 9' })).rejects.toThrow('No sensors in zone Zone 9');
+    });
+
+    test('should raise one background leak alert per episode and scope', async () => {
+      const first = await monitor.check({ endTime });
+      expect(first.series.map(s => `${s.scope}:${s.id}:${s.status}`)).toEqual([
+        'sensor:meter-a:probable-leak',
+        'sensor:meter-b:normal',
+        'zone:Zone 1:probable-leak'
+      ]);
+      expect(engine.raiseSystemAlert).toHaveBeenCalledTimes(2);
+      expect(engine.raiseSystemAlert.mock.calls[0][0]).toMatchObject({
+        type: 'background_leak',
+        severity: 'HIGH',
+        details: { scope: 'sensor', id: 'meter-a', baseline: 2 }
+      });
+      expect(engine.raiseSystemAlert.mock.calls[0][0].details.nights).toHaveLength(3);
+      expect(broadcaster.broadcastAlert.mock.calls.map(([alert]) => alert.id)).toEqual(['alert-1', 'alert-2']);
+
+      await monitor.check({ endTime });
+      expect(engine.raiseSystemAlert).toHaveBeenCalledTimes(2);
+      expect(monitor.status().activeLeaks.map(leak => leak.scope)).toEqual(['sensor:meter-a', 'zone:Zone 1']);
+
+      // The leak is repaired: MNF is back to normal and a later rise is a new episode
+      data['meter-a'].push(...nightPoints(9, 2));
+      data['meter-b'].push(...nightPoints(9, 1));
+      await monitor.check({ endTime: new Date(2024, 0, 10, 12).getTime() });
+      expect(monitor.status().activeLeaks).toEqual([]);
+    });
+  });
+});
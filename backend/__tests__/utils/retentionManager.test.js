@@ -0,0 +1,115 @@
+/**
+ * Retention Manager Tests
+ * Keeping raw data, rollups across a prune and late data behind the watermark
+ */
+
+process.env.DB_PATH = ':memory:';
+
+const { databaseReady, dbRun, dbGet, dbAll } = require('../../../db/database');
+const { RetentionManager, retentionManager } = require('../../../utils/retentionManager');
+const { aggregateSensorData, validateAggregationOptions } = require('../../../utils/sensorAggregation');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+const floorHour = (timestamp) => Math.floor(timestamp / HOUR_MS) * HOUR_MS;
+
+describe('RetentionManager', () => {
+  // An old hour (past a 1-day raw retention) and a recent one
+  const old = floorHour(Date.now() - 3 * DAY_MS);
+  const recent = floorHour(Date.now() - 3 * HOUR_MS);
+  // Aggregates over the old hours while every raw row is still present
+  let rawSeries;
+
+  const insert = (id, timestamp, pressure, flow) => dbRun(
+    'INSERT INTO sensor_data (id, timestamp, pressure, flow, leak_status, valve_state, sensor_id) VALUES (?, ?, ?, ?, 0, ?, ?)',
+    [id, timestamp, pressure, flow, 'OPEN', 'ret-1']
+  );
+
+  const hourly = (bucketStart) => dbGet(
+    `SELECT reading_count, pressure_min, pressure_max, pressure_sum, pressure_count
+     FROM sensor_data_rollup_1h WHERE sensor_id = ? AND bucket_start = ?`,
+    ['ret-1', bucketStart]
+  );
+
+  const aggregateOld = () => aggregateSensorData(validateAggregationOptions({
+    bucket: '1h',
+    sensorId: 'ret-1',
+    startTime: String(old),
+    endTime: String(old + 2 * HOUR_MS - 1)
+  }).options);
+
+  beforeAll(async () => {
+    await databaseReady;
+    await insert('old-0', old, 40, 10);
+    await insert('old-1', old + MINUTE_MS, 60, 20);
+    await insert('old-30', old + 30 * MINUTE_MS, 50, 30);
+    await insert('old-61', old + 61 * MINUTE_MS, 45, 5);
+    await insert('recent-0', recent, 50, 10);
+  });
+
+  afterAll(() => {
+    retentionManager.stop();
+  });
+
+  test('should keep 30 days of raw data by default and everything with 0', async () => {
+    expect(new RetentionManager().config.rawRetentionDays).toBe(30);
+
+    const raw = await aggregateOld();
+    expect(raw.source).toBe('raw');
+    expect(raw.series[0].points.map(point => point.count)).toEqual([3, 1]);
+    rawSeries = raw.series;
+
+    const manager = new RetentionManager({ enabled: false, rawRetentionDays: 0 });
+    const summary = await manager.runOnce();
+
+    expect(summary.rawPruned).toBe(0);
+    expect(manager.state.prunedBefore).toBeNull();
+    expect((await dbGet('SELECT COUNT(*) AS count FROM sensor_data')).count).toBe(5);
+  });
+
+  test('should keep aggregates identical after raw rows are pruned', async () => {
+    retentionManager.configure({ enabled: false, rawRetentionDays: 1 });
+    await retentionManager.loadState();
+    const summary = await retentionManager.runOnce();
+
+    expect(summary.rawPruned).toBe(4);
+    expect(await dbAll('SELECT id FROM sensor_data')).toEqual([{ id: 'recent-0' }]);
+    expect(await hourly(old)).toEqual({ reading_count: 3, pressure_min: 40, pressure_max: 60, pressure_sum: 150, pressure_count: 3 });
+
+    const after = await aggregateOld();
+    expect(after.source).toBe('rollup');
+    expect(after.series).toEqual(rawSeries);
+  });
+
+  test('should re-roll buckets for late readings behind the watermark', async () => {
+    await insert('recent-5', recent + 5 * MINUTE_MS, 30, 10);
+    retentionManager.noteInsert(recent + 5 * MINUTE_MS);
+    expect(retentionManager.state.dirtyFrom).toBe(recent + 5 * MINUTE_MS);
+
+    const summary = await retentionManager.runOnce();
+
+    expect(summary.lateRowsMerged).toBe(0);
+    expect(retentionManager.state.dirtyFrom).toBeNull();
+    expect(await hourly(recent)).toMatchObject({ reading_count: 2, pressure_min: 30, pressure_max: 50 });
+  });
+
+  test('should merge late readings into buckets whose raw rows were pruned', async () => {
+    await insert('old-2', old + 2 * MINUTE_MS, 70, 40);
+    retentionManager.noteInsert(old + 2 * MINUTE_MS);
+
+    const summary = await retentionManager.runOnce();
+
+    expect(summary.lateRowsMerged).toBe(1);
+    expect(await dbGet('SELECT id FROM sensor_data WHERE id = ?', ['old-2'])).toBeUndefined();
+    expect(await hourly(old)).toEqual({ reading_count: 4, pressure_min: 40, pressure_max: 70, pressure_sum: 220, pressure_count: 4 });
+    expect(await dbGet(
+      'SELECT reading_count, pressure_max FROM sensor_data_rollup_1m WHERE sensor_id = ? AND bucket_start = ?',
+      ['ret-1', old + 2 * MINUTE_MS]
+    )).toEqual({ reading_count: 1, pressure_max: 70 });
+
+    const point = (await aggregateOld()).series[0].points[0];
+    expect(point).toMatchObject({ count: 4, pressure: { min: 40, avg: 55, max: 70 } });
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Rule Registry Tests
+ * Built-in seeding, rule changes reaching the engine, and rule dry-runs
+ */
+
+const { RuleRegistry, normalizeRule } = require('../../../utils/ruleRegistry');
+const { DEFAULT_RULES } = require('../../../utils/detectionRules');
+const { createMemoryRepositories } = require('../../../db/repositories/memoryRepositories');
+
+describe('RuleRegistry', () => {
+  let engine;
+  let registry;
+
+  const lowPressure = {
+    id: 'LOW_PRESSURE',
+    severity: 'MEDIUM',
+    probability: 40,
+    when: { feature: 'pressure', op: '<', value: 30 },
+    for: '1m'
+  };
+  const enabledIds = () => engine.setDetectionRules.mock.calls.slice(-1)[0][0].map(rule => rule.id);
+
+  beforeEach(() => {
+    engine = { pipelines: new Map(), defaultBaseline: null, setDetectionRules: jest.fn() };
+    registry = new RuleRegistry({ engine });
+    registry.attachStore(createMemoryRepositories());
+  });
+
+  test('should seed the built-in rules once and hand them to the engine', async () => {
+    const rules = await registry.load();
+    const builtInIds = DEFAULT_RULES.map(rule => rule.id).sort();
+
+    expect(rules.map(rule => rule.id)).toEqual(builtInIds);
+    expect(rules.every(rule => rule.builtIn)).toBe(true);
+    expect(enabledIds()).toEqual(builtInIds);
+
+    await registry.load();
+    expect(await registry.list()).toHaveLength(DEFAULT_RULES.length);
+  });
+
+  test('should push created, updated, disabled and removed rules to the engine', async () => {
+    const created = await registry.create({ ...lowPressure, unknown: true });
+    expect(created).toMatchObject({ id: 'LOW_PRESSURE', for: 60, builtIn: false, enabled: true });
+    expect(created.unknown).toBeUndefined();
+    expect(enabledIds()).toContain('LOW_PRESSURE');
+
+    const updated = await registry.update('LOW_PRESSURE', { probability: 55, for: null });
+    expect(updated).toMatchObject({ probability: 55, for: null, severity: 'MEDIUM' });
+    expect(await registry.update('MISSING', { probability: 10 })).toBeNull();
+
+    await registry.setEnabled('CRITICAL_LEAK', false);
+    expect(enabledIds()).not.toContain('CRITICAL_LEAK');
+    expect(await registry.get('CRITICAL_LEAK')).toMatchObject({ enabled: false, builtIn: true });
+
+    expect(await registry.remove('LOW_PRESSURE')).toMatchObject({ id: 'LOW_PRESSURE' });
+    expect(await registry.remove('LOW_PRESSURE')).toBeNull();
+    expect(enabledIds()).not.toContain('LOW_PRESSURE');
+  });
+
+  test('should dry-run a rule per sensor, honouring its hold time', () => {
+    const start = Date.UTC(2024, 0, 1);
+    const readings = [];
+    for (let i = 0; i < 10; i++) {
+      // meter-a drops below 30 PSI from the fifth reading; meter-b stays normal
+      readings.push({ sensor_id: 'meter-a', timestamp: start + i * 20000, pressure: i >= 4 ? 25 : 50, flow: 10 });
+      readings.push({ sensor_id: 'meter-b', timestamp: start + i * 20000, pressure: 50, flow: 10 });
+    }
+    readings.push({ sensor_id: 'meter-b', timestamp: start, pressure: 'n/a', flow: 10 });
+
+    const result = registry.test(lowPressure, readings.reverse());
+
+    expect(result).toMatchObject({ rule: 'LOW_PRESSURE', evaluated: 20, skipped: 1, conditionMet: 6, triggered: 3 });
+    expect(result.firstTriggeredAt).toBe(start + 7 * 20000);
+    expect(result.matches.every(match => match.sensorId === 'meter-a')).toBe(true);
+    expect(result.matches[0]).toMatchObject({ heldSeconds: 60, conditionMet: true });
+    expect(engine.setDetectionRules).not.toHaveBeenCalled();
+  });
+
+  test('should normalize rule durations to seconds', () => {
+    expect(normalizeRule({ ...lowPressure, for: '90s' }).for).toBe(90);
+    expect(normalizeRule({ probability: 10 })).toEqual({ probability: 10 });
+  });
+});
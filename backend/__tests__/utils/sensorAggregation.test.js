@@ -0,0 +1,164 @@
+/**
+ * Sensor Aggregation Tests
+ * Validation of bucketed aggregation queries and min/avg/max over raw and rolled-up data
+ */
+
+process.env.DB_PATH = ':memory:';
+
+const { databaseReady, dbRun } = require('../../../db/database');
+const { retentionManager } = require('../../../utils/retentionManager');
+const {
+  validateAggregationOptions,
+  aggregateSensorData,
+  summarizeSensorData,
+  BUCKET_SIZES
+} = require('../../../utils/sensorAggregation');
+
+beforeAll(async () => {
+  await databaseReady;
+});
+
+describe('validateAggregationOptions', () => {
+  const now = 1735689600000;
+
+  test('should default to hourly min/avg/max of pressure and flow', () => {
+    const { isValid, options } = validateAggregationOptions({}, now);
+
+    expect(isValid).toBe(true);
+    expect(options.bucketMs).toBe(BUCKET_SIZES['1h']);
+    expect(options.fields).toEqual(['pressure', 'flow']);
+    expect(options.aggregations).toEqual(['min', 'avg', 'max']);
+    expect(options.endTime).toBe(now);
+    expect(options.startTime).toBe(now - 168 * BUCKET_SIZES['1h']);
+  });
+
+  test('should parse fields, sensor filter and grouping', () => {
+    const { isValid, options } = validateAggregationOptions({
+      bucket: '5m',
+      fields: 'flow,temperature',
+      aggregations: 'max',
+      sensorId: 'meter-a, meter-b',
+      groupBy: 'sensor',
+      startTime: String(now - 3600000),
+      endTime: String(now)
+    }, now);
+
+    expect(isValid).toBe(true);
+    expect(options.fields).toEqual(['flow', 'temperature']);
+    expect(options.sensorIds).toEqual(['meter-a', 'meter-b']);
+    expect(options.groupBySensor).toBe(true);
+  });
+
+  test('should reject unknown buckets and fields', () => {
+    const { isValid, errors } = validateAggregationOptions({ bucket: '2h', fields: 'pressure,id' }, now);
+
+    expect(isValid).toBe(false);
+    expect(errors).toHaveLength(2);
+  });
+
+  test('should reject ranges with too many buckets', () => {
+    const { isValid, errors } = validateAggregationOptions({
+      bucket: '1m',
+      startTime: String(now - 90 * BUCKET_SIZES['1d']),
+      endTime: String(now)
+    }, now);
+
+    expect(isValid).toBe(false);
+    expect(errors[0]).toMatch(/Range too large/);
+  });
+});
+
+describe('aggregateSensorData', () => {
+  const HOUR_MS = BUCKET_SIZES['1h'];
+  const MINUTE_MS = BUCKET_SIZES['1m'];
+  const base = Math.floor((Date.now() - 3 * HOUR_MS) / HOUR_MS) * HOUR_MS;
+
+  // [sensor, minutes after base, pressure, flow, leak]
+  const readings = [
+    ['agg-1', 0, 40, 10, 0],
+    ['agg-1', 10, 60, 20, 0],
+    ['agg-2', 5, 30, 8, 0],
+    ['agg-1', 60, 50, 30, 1],
+    ['agg-1', 90, 70, 50, 1],
+    ['agg-2', 65, 20, 4, 0],
+    ['agg-2', 70, 40, 6, 0],
+    ['agg-1', 120, 45, 5, 0]
+  ];
+
+  const query = (extra = {}) => validateAggregationOptions({
+    bucket: '1h',
+    sensorId: 'agg-1,agg-2',
+    startTime: String(base),
+    endTime: String(base + 3 * HOUR_MS - 1),
+    ...extra
+  }).options;
+
+  const stats = (min, avg, max) => ({ min, avg, max });
+
+  const bySensor = [
+    {
+      sensorId: 'agg-1',
+      points: [
+        { timestamp: base, count: 2, leakCount: 0, pressure: stats(40, 50, 60), flow: stats(10, 15, 20) },
+        { timestamp: base + HOUR_MS, count: 2, leakCount: 2, pressure: stats(50, 60, 70), flow: stats(30, 40, 50) },
+        { timestamp: base + 2 * HOUR_MS, count: 1, leakCount: 0, pressure: stats(45, 45, 45), flow: stats(5, 5, 5) }
+      ]
+    },
+    {
+      sensorId: 'agg-2',
+      points: [
+        { timestamp: base, count: 1, leakCount: 0, pressure: stats(30, 30, 30), flow: stats(8, 8, 8) },
+        { timestamp: base + HOUR_MS, count: 2, leakCount: 0, pressure: stats(20, 30, 40), flow: stats(4, 5, 6) }
+      ]
+    }
+  ];
+
+  const combined = [
+    { timestamp: base, count: 3, leakCount: 0, pressure: stats(30, 43.33, 60), flow: stats(8, 12.67, 20) },
+    { timestamp: base + HOUR_MS, count: 4, leakCount: 2, pressure: stats(20, 45, 70), flow: stats(4, 22.5, 50) },
+    { timestamp: base + 2 * HOUR_MS, count: 1, leakCount: 0, pressure: stats(45, 45, 45), flow: stats(5, 5, 5) }
+  ];
+
+  beforeAll(async () => {
+    for (const [sensorId, minutes, pressure, flow, leak] of readings) {
+      await dbRun(
+        'INSERT INTO sensor_data (id, timestamp, pressure, flow, leak_status, valve_state, sensor_id) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [`${sensorId}-${minutes}`, base + minutes * MINUTE_MS, pressure, flow, leak, 'OPEN', sensorId]
+      );
+    }
+  });
+
+  afterAll(() => {
+    retentionManager.stop();
+  });
+
+  test('should compute min/avg/max per bucket and per sensor from raw data', async () => {
+    const grouped = await aggregateSensorData(query({ groupBy: 'sensor' }));
+    expect(grouped.source).toBe('raw');
+    expect(grouped.series).toEqual(bySensor);
+
+    const overall = await aggregateSensorData(query());
+    expect(overall.series).toEqual([{ sensorId: null, points: combined }]);
+  });
+
+  test('should give the same result over the rollup + raw union once data is rolled up and pruned', async () => {
+    // Roll up the first hour only: the watermark lands at base + 1h
+    retentionManager.configure({ enabled: false, rawRetentionDays: 0, graceMs: Date.now() - (base + HOUR_MS) });
+    await retentionManager.runOnce();
+    expect(await retentionManager.getWatermark()).toBe(base + HOUR_MS);
+
+    // Raw rows behind the watermark are no longer needed
+    await dbRun('DELETE FROM sensor_data WHERE timestamp < ?', [base + HOUR_MS]);
+
+    const grouped = await aggregateSensorData(query({ groupBy: 'sensor' }));
+    expect(grouped.source).toBe('rollup+raw');
+    expect(grouped.series).toEqual(bySensor);
+
+    const overall = await aggregateSensorData(query());
+    expect(overall.series).toEqual([{ sensorId: null, points: combined }]);
+
+    const [summary] = await summarizeSensorData({ startTime: base, endTime: base + 3 * HOUR_MS - 1, sensorIds: ['agg-1', 'agg-2'] });
+    expect(summary).toMatchObject({ total_readings: 8, min_pressure: 20, max_pressure: 70, min_flow: 4, max_flow: 50, leak_count: 2 });
+    expect(summary.avg_pressure).toBeCloseTo(355 / 8);
+  });
+});
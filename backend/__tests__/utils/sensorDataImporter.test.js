@@ -0,0 +1,127 @@
+/**
+ * Sensor Data Importer Tests
+ * Column mapping, sensor status checks, de-duplication and the per-row error report
+ */
+
+process.env.DB_PATH = ':memory:';
+
+const { Readable } = require('stream');
+const { databaseReady, dbAll } = require('../../../db/database');
+const { repositories } = require('../../../db/repositories');
+const { SensorDataImporter } = require('../../../utils/sensorDataImporter');
+
+// SCADA-style export: own column names, epoch seconds, one duplicate and three bad rows
+const SCADA_CSV = [
+  'Time;Meter;PSI;GPM;Temp',
+  '1704067200;scada-1;50;10;20',
+  '1704067260;scada-1;49.5;10.5;',
+  '1704067260;scada-1;49.5;10.5;',
+  '1704067320;scada-1;-3;10;20',
+  ';scada-1;50;10;20',
+  '1704067380;unknown-meter;50;10;20',
+  '1704067440;scada-1;48;11;21'
+].join('\n');
+
+const stream = (text) => Readable.from([text]);
+
+describe('SensorDataImporter', () => {
+  beforeAll(async () => {
+    await databaseReady;
+    await repositories.sensors.create({ id: 'scada-1', name: 'SCADA 1', location: 'Zone S', pressure_offset: 1, flow_offset: -0.5 });
+    await repositories.sensors.create({ id: 'scada-off', name: 'SCADA off', status: 'INACTIVE' });
+    await repositories.sensors.create({ id: 'scada-svc', name: 'SCADA service', status: 'MAINTENANCE' });
+  });
+
+  const storedRows = (sensorId) => dbAll(
+    'SELECT timestamp, pressure, flow, temperature, location FROM sensor_data WHERE sensor_id = ? ORDER BY timestamp',
+    [sensorId]
+  );
+
+  test('should map columns, apply calibration and report every rejected row', async () => {
+    const importer = new SensorDataImporter({
+      format: 'csv',
+      delimiter: ';',
+      timestampUnit: 's',
+      mapping: { timestamp: 'Time', sensor_id: 'Meter', pressure: 'PSI', flow: 'GPM', temperature: 'Temp' }
+    });
+
+    const report = await importer.importStream(stream(SCADA_CSV));
+
+    expect(report).toMatchObject({
+      totalRows: 7,
+      imported: 3,
+      duplicates: 1,
+      rejected: 3,
+      sensors: { 'scada-1': 3 },
+      timeRange: { start: 1704067200000, end: 1704067440000 }
+    });
+    expect(report.errors).toEqual([
+      { row: 4, errors: ['Pressure must be a positive number'] },
+      { row: 5, errors: ['Timestamp is required (epoch or ISO-8601)'] },
+      { row: 6, errors: ['Unknown sensor: unknown-meter'] }
+    ]);
+
+    const rows = await storedRows('scada-1');
+    expect(rows).toEqual([
+      { timestamp: 1704067200000, pressure: 51, flow: 9.5, temperature: 20, location: 'Zone S' },
+      { timestamp: 1704067260000, pressure: 50.5, flow: 10, temperature: null, location: 'Zone S' },
+      { timestamp: 1704067440000, pressure: 49, flow: 10.5, temperature: 21, location: 'Zone S' }
+    ]);
+  });
+
+  test('should skip readings already stored by an earlier import', async () => {
+    const importer = new SensorDataImporter({
+      format: 'csv',
+      delimiter: ';',
+      timestampUnit: 's',
+      mapping: { timestamp: 'Time', sensor_id: 'Meter', pressure: 'PSI', flow: 'GPM', temperature: 'Temp' }
+    });
+
+    const report = await importer.importStream(stream(SCADA_CSV));
+
+    expect(report).toMatchObject({ imported: 0, duplicates: 4, rejected: 3 });
+    expect(await storedRows('scada-1')).toHaveLength(3);
+  });
+
+  test('should reject rows for inactive and maintenance sensors', async () => {
+    const lines = [
+      JSON.stringify({ sensor_id: 'scada-off', timestamp: 1704067200000, pressure: 50, flow: 10 }),
+      JSON.stringify({ sensor_id: 'scada-svc', timestamp: 1704067200000, pressure: 50, flow: 10 })
+    ].join('\n');
+
+    const report = await new SensorDataImporter({ format: 'ndjson', autoRegister: true }).importStream(stream(lines));
+
+    expect(report).toMatchObject({ imported: 0, rejected: 2, registeredSensors: [] });
+    expect(report.errors).toEqual([
+      { row: 1, errors: ['Sensor scada-off is INACTIVE'] },
+      { row: 2, errors: ['Sensor scada-svc is MAINTENANCE'] }
+    ]);
+    expect(await storedRows('scada-off')).toEqual([]);
+  });
+
+  test('should import NDJSON, register new sensors and report bad lines', async () => {
+    const lines = [
+      JSON.stringify({ sensor_id: 'nd-1', timestamp: '2024-01-02T00:00:00Z', pressure: 40, flow: 5 }),
+      '{ not json',
+      '',
+      JSON.stringify({ sensor_id: 'nd-1', timestamp: '2024-01-02T00:01:00Z', pressure: 41, flow: 5, valve_state: 'stuck' })
+    ].join('\n');
+
+    const dryRun = await new SensorDataImporter({ format: 'ndjson', autoRegister: true, dryRun: true }).importStream(stream(lines));
+    expect(dryRun).toMatchObject({ dryRun: true, totalRows: 3, imported: 1, rejected: 2, registeredSensors: ['nd-1'] });
+    expect(await repositories.sensors.findById('nd-1')).toBeUndefined();
+
+    const report = await new SensorDataImporter({ format: 'ndjson', autoRegister: true }).importStream(stream(lines));
+    expect(report.errors).toEqual([
+      { row: 2, errors: ['Invalid JSON line'] },
+      { row: 3, errors: ['Valve state must be OPEN or CLOSED'] }
+    ]);
+    expect(await storedRows('nd-1')).toHaveLength(1);
+    expect(await repositories.sensors.findById('nd-1')).toMatchObject({ id: 'nd-1', name: 'nd-1', status: 'ACTIVE' });
+  });
+
+  test('should refuse unknown formats and mapping fields', () => {
+    expect(() => new SensorDataImporter({ format: 'xml' })).toThrow('Unsupported import format');
+    expect(() => new SensorDataImporter({ mapping: { psi: 'PSI' } })).toThrow('Unknown mapping fields: psi');
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Threshold Calibration Tests
+ * Threshold sweep, objective selection, live apply and history
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MLAnomalyDetector } = require('../../../utils/mlAnomalyDetector');
+const {
+  ThresholdCalibrator,
+  resolveObjective,
+  sweepThresholds,
+  selectThreshold
+} = require('../../../utils/thresholdCalibration');
+const { createMemoryRepositories } = require('../../../db/repositories/memoryRepositories');
+
+describe('thresholdCalibration', () => {
+  // Anomalies score 0.6-0.95, normals 0.1-0.7: the classes overlap between 0.6 and 0.7
+  const samples = [
+    ...Array.from({ length: 8 }, (_, i) => ({ score: 0.6 + i * 0.05, label: 'anomaly' })),
+    ...Array.from({ length: 13 }, (_, i) => ({ score: 0.1 + i * 0.05, label: 'normal' }))
+  ];
+  const scored = samples.map(s => ({ score: s.score, positive: s.label === 'anomaly' }));
+
+  test('should sweep thresholds with the detector comparison (score above threshold)', () => {
+    const sweep = sweepThresholds(scored, { step: 0.1 });
+
+    expect(sweep.map(row => row.threshold)).toEqual([0, 0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 1]);
+    expect(sweep[0]).toMatchObject({ tp: 8, fp: 13, recall: 1, fpr: 1 });
+    expect(sweep[10]).toMatchObject({ tp: 0, fp: 0, recall: 0, fpr: 0 });
+    expect(() => sweepThresholds(scored, { step: 0 })).toThrow('step');
+  });
+
+  test('should pick thresholds for each objective', () => {
+    const sweep = sweepThresholds(scored);
+
+    const bestF1 = selectThreshold(sweep, resolveObjective('max-f1'));
+    expect(bestF1.f1).toBe(Math.max(...sweep.map(row => row.f1)));
+
+    const floor = selectThreshold(sweep, resolveObjective({ type: 'recall-floor', minRecall: 1 }));
+    expect(floor).toMatchObject({ recall: 1, fn: 0 });
+    expect(floor.threshold).toBeLessThan(0.6);
+
+    const cap = selectThreshold(sweep, resolveObjective({ type: 'fpr-cap', maxFpr: 0 }));
+    expect(cap).toMatchObject({ fp: 0 });
+    expect(cap.threshold).toBeGreaterThanOrEqual(0.7);
+
+    expect(resolveObjective('recall-floor')).toEqual({ type: 'recall-floor', minRecall: 0.95 });
+    expect(() => resolveObjective('best')).toThrow('objective must be one of');
+    expect(() => resolveObjective({ type: 'fpr-cap', maxFpr: 2 })).toThrow('maxFpr');
+  });
+
+  describe('ThresholdCalibrator', () => {
+    let modelDir;
+    let detector;
+    let calibrator;
+
+    beforeEach(() => {
+      modelDir = fs.mkdtempSync(path.join(os.tmpdir(), 'calibration-'));
+      detector = new MLAnomalyDetector();
+      detector.modelPath = modelDir;
+      detector.recommendedThreshold = 0;
+      // Score samples by their `score` field
+      detector.model = { isTrained: true, predict: (sample) => ({ anomalyScore: sample.score }) };
+
+      calibrator = new ThresholdCalibrator({ detector, engine: { activeModel: { id: 'm3', version: 3 } } });
+      calibrator.attachStore(createMemoryRepositories());
+    });
+
+    afterEach(() => {
+      fs.rmSync(modelDir, { recursive: true, force: true });
+    });
+
+    test('should apply the calibrated threshold live and persist it', async () => {
+      const calibration = await calibrator.calibrate(samples, { objective: { type: 'fpr-cap', maxFpr: 0 }, source: 'test' });
+
+      expect(calibration).toMatchObject({ previousThreshold: 0, applied: true, modelVersion: 3, sampleCount: 21 });
+      expect(calibration.previousMetrics).toMatchObject({ recall: 100, fpr: 1 });
+      expect(calibration.metrics.fpr).toBe(0);
+      expect(detector.recommendedThreshold).toBe(calibration.threshold);
+
+      const config = JSON.parse(fs.readFileSync(path.join(modelDir, 'model_config.json'), 'utf8'));
+      expect(config).toMatchObject({ recommendedThreshold: calibration.threshold, calibrationId: calibration.id });
+
+      const [entry] = await calibrator.history();
+      expect(entry).toMatchObject({ id: calibration.id, applied: true, objective: { type: 'fpr-cap', maxFpr: 0 }, source: 'test' });
+      expect(entry.metrics.precision).toBe(100);
+    });
+
+    test('should preview without applying and reject unusable data', async () => {
+      const preview = await calibrator.calibrate(samples, { apply: false });
+
+      expect(preview.applied).toBe(false);
+      expect(detector.recommendedThreshold).toBe(0);
+      expect(fs.existsSync(path.join(modelDir, 'model_config.json'))).toBe(false);
+      expect((await calibrator.history())[0].applied).toBe(false);
+
+      await expect(calibrator.calibrate(samples.filter(s => s.label === 'normal'))).rejects.toThrow('both classes');
+      await expect(calibrator.calibrate(samples, { objective: { type: 'recall-floor', minRecall: 1.5 } })).rejects.toThrow('minRecall');
+    });
+  });
+});
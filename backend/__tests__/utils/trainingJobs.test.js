@@ -0,0 +1,168 @@
+/**
+ * Training Job Tests
+ * Background training in a worker thread, progress events, cancel and registration
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { IsolationForest, MLAnomalyDetector } = require('../../../utils/mlAnomalyDetector');
+const { IntegratedLeakDetectionEngine } = require('../../../utils/integratedEngine');
+const { ModelRegistry } = require('../../../utils/modelRegistry');
+const { TrainingJobManager } = require('../../../utils/trainingJobs');
+const { createMemoryRepositories } = require('../../../db/repositories/memoryRepositories');
+
+describe('TrainingJobManager', () => {
+  let modelDir;
+  let store;
+  let engine;
+  let registry;
+  let jobs;
+  let events;
+
+  const samples = (count = 60) => Array.from({ length: count }, (_, i) => ({
+    pressure: 50 + Math.sin(i) * 2,
+    flow: 10 + Math.cos(i),
+    label: i % 10 === 0 ? 'anomaly' : 'normal'
+  }));
+
+  beforeEach(() => {
+    modelDir = fs.mkdtempSync(path.join(os.tmpdir(), 'training-jobs-'));
+    const liveDetector = new MLAnomalyDetector();
+    liveDetector.modelPath = modelDir;
+    liveDetector.model = new IsolationForest(10, 16);
+
+    store = createMemoryRepositories();
+    engine = new IntegratedLeakDetectionEngine();
+    registry = new ModelRegistry({ detector: liveDetector, engine });
+    registry.attachStore(store);
+
+    events = [];
+    jobs = new TrainingJobManager({ registry });
+    jobs.attachStore(store);
+    jobs.attachBroadcaster({
+      broadcastToChannel: (channel, event, data) => events.push({ channel, event, data })
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(modelDir, { recursive: true, force: true });
+  });
+
+  test('should train in a worker, stream progress and register a candidate', async () => {
+    const started = jobs.start({
+      trainingData: samples(),
+      source: 'test',
+      hyperparameters: { numTrees: 10, sampleSize: 16 }
+    });
+
+    expect(started).toMatchObject({ status: 'running', sampleCount: 60 });
+    expect(started.trainingData).toBeUndefined();
+    expect(jobs.isBusy()).toBe(true);
+    expect(() => jobs.start({ trainingData: samples() })).toThrow('already running');
+
+    const job = await jobs.wait(started.id);
+
+    expect(job.status).toBe('completed');
+    expect(job.model).toMatchObject({ version: 1, status: 'candidate', source: 'test' });
+    expect(job.model.hyperparameters).toEqual({ numTrees: 10, sampleSize: 16, maxDepth: null });
+    expect(job.model.metrics.labeledSamples).toBe(60);
+    expect(fs.existsSync(path.join(modelDir, job.model.artifact))).toBe(true);
+    expect(jobs.isBusy()).toBe(false);
+
+    const progress = events.filter(e => e.event === 'training:progress').map(e => e.data);
+    expect(events.every(e => e.channel === 'training')).toBe(true);
+    expect(progress.some(p => p.phase === 'training' && p.total === 10)).toBe(true);
+    expect(progress.some(p => p.phase === 'evaluating')).toBe(true);
+    expect(progress.map(p => p.percent)).toEqual([...progress.map(p => p.percent)].sort((a, b) => a - b));
+    expect(events[events.length - 1]).toMatchObject({ event: 'training:completed', data: { job: { id: job.id } } });
+
+    const [log] = await store.trainingLogs.list();
+    expect(log).toMatchObject({ id: job.id, model_version: 'v1', status: 'COMPLETED' });
+  });
+
+  test('should promote the trained model when requested', async () => {
+    const { id } = jobs.start({ trainingData: samples(), promote: true, hyperparameters: { numTrees: 5, sampleSize: 16 } });
+    const job = await jobs.wait(id);
+
+    expect(job.model.status).toBe('production');
+    expect(engine.activeModel).toMatchObject({ id: job.model.id });
+  });
+
+  test('should cancel a running job without registering a model', async () => {
+    const { id } = jobs.start({ trainingData: samples(2000), hyperparameters: { numTrees: 2000, sampleSize: 256 } });
+
+    expect(jobs.cancel(id)).toMatchObject({ id, status: 'cancelled' });
+    const job = await jobs.wait(id);
+
+    expect(job.status).toBe('cancelled');
+    expect(job.model).toBeNull();
+    expect(jobs.isBusy()).toBe(false);
+    expect(await registry.list()).toMatchObject({ total: 0 });
+    expect(() => jobs.cancel(id)).toThrow('already cancelled');
+    expect(jobs.cancel('missing')).toBeNull();
+    expect(events[events.length - 1].event).toBe('training:cancelled');
+
+    const [log] = await store.trainingLogs.list();
+    expect(log).toMatchObject({ id, status: 'CANCELLED', model_version: null });
+  });
+
+  test('should not register a result that arrives after the job was cancelled', async () => {
+    const { id } = jobs.start({ trainingData: samples(), hyperparameters: { numTrees: 5, sampleSize: 16 } });
+
+    // Keep the worker alive so its result is still delivered after cancel()
+    const worker = jobs.workers.get(id);
+    const terminate = jest.spyOn(worker, 'terminate').mockImplementation(() => Promise.resolve(0));
+    jobs.cancel(id);
+    const job = await jobs.wait(id);
+
+    expect(terminate).toHaveBeenCalled();
+    expect(job).toMatchObject({ status: 'cancelled', model: null });
+    expect(await registry.list()).toMatchObject({ total: 0 });
+    expect(events.some(e => e.event === 'training:completed')).toBe(false);
+  });
+
+  test('should report held-out metrics when evaluation sets are given', async () => {
+    const { id } = jobs.start({
+      trainingData: samples(),
+      evaluationSets: { validation: samples(20), test: samples(30) },
+      dataset: { filename: 'upload.csv' },
+      hyperparameters: { numTrees: 5, sampleSize: 16 }
+    });
+    const job = await jobs.wait(id);
+
+    expect(job.dataset).toEqual({ filename: 'upload.csv' });
+    expect(job.model.sampleCount).toBe(60);
+    expect(job.model.metrics).toMatchObject({ evaluatedOn: 'test', labeledSamples: 30 });
+    expect(job.model.metrics.validation).toMatchObject({ evaluatedOn: 'validation', labeledSamples: 20 });
+  });
+
+  test('should train another algorithm and compare it with the rest on the same held-out set', async () => {
+    const { id } = jobs.start({
+      trainingData: samples(),
+      evaluationSets: { validation: [], test: samples(30) },
+      algorithm: 'robust-zscore',
+      hyperparameters: { cutoff: 3 },
+      compareAlgorithms: ['isolation-forest', 'knn-lof', 'robust-zscore']
+    });
+    const job = await jobs.wait(id);
+
+    expect(job).toMatchObject({ status: 'completed', algorithm: 'robust-zscore', compareAlgorithms: ['isolation-forest', 'knn-lof'] });
+    expect(job.model).toMatchObject({ modelType: 'robust-zscore', hyperparameters: { cutoff: 3 } });
+    expect(job.model.evaluation.algorithmComparison.map(row => row.algorithm)).toEqual(['robust-zscore', 'isolation-forest', 'knn-lof']);
+    expect(job.model.evaluation.algorithmComparison.every(row => row.evaluatedOn === 'test' && typeof row.f1Score === 'number')).toBe(true);
+    expect(job.model.metrics.algorithmComparison).toBeUndefined();
+
+    const progress = events.filter(e => e.event === 'training:progress').map(e => e.data);
+    expect(progress.some(p => p.phase === 'comparing')).toBe(true);
+    expect(progress.map(p => p.percent)).toEqual([...progress.map(p => p.percent)].sort((a, b) => a - b));
+  });
+
+  test('should reject invalid hyperparameters and empty training data', () => {
+    expect(() => jobs.start({ trainingData: [] })).toThrow('No training data');
+    expect(() => jobs.start({ trainingData: samples(), hyperparameters: { numTrees: 0 } })).toThrow('numTrees');
+    expect(() => jobs.start({ trainingData: samples(), algorithm: 'autoencoder' })).toThrow('algorithm must be one of');
+    expect(() => jobs.start({ trainingData: samples(), compareAlgorithms: ['bogus'] })).toThrow('compareAlgorithms must be');
+    expect(jobs.isBusy()).toBe(false);
+  });
+});
@@ -1,6 +1,54 @@
 const fs = require('fs');
 const path = require('path');
+const { Readable } = require('stream');
 const csv = require('csv-parser');
+const { DataPreprocessor } = require('../../utils/dataPreprocessor');
+
+// Features the integrated engine passes to the ML detector; uploaded datasets are trained on exactly these
+const TRAINING_FEATURES = [
+  'pressure',
+  'flow',
+  'pressure_rate_of_change',
+  'flow_rate_of_change',
+  'pressure_ma_30s',
+  'flow_ma_30s',
+  'pressure_stddev_60s',
+  'flow_stddev_60s',
+  'pressure_flow_ratio',
+  'hour_of_day',
+  'is_weekend',
+  'pressure_flow_ratio_variance',
+  'combined_rate_of_change',
+  'combined_volatility',
+  'flow_pressure_interaction'
+];
+
+// Label columns accepted in uploaded sensor data (first one present wins)
+const LABEL_COLUMNS = ['label', 'is_leak', 'leak_status', 'anomaly'];
+
+/**
+ * 'anomaly' / 'normal' from a label cell (1/0, true/false, leak/normal, ...), or null when unlabeled
+ */
+const parseLabel = (value) => {
+  if (value === null || typeof value === 'undefined' || value === '') return null;
+  const text = String(value).trim().toLowerCase();
+  if (['1', 'true', 'yes', 'anomaly', 'leak'].includes(text)) return 'anomaly';
+  if (['0', 'false', 'no', 'normal'].includes(text)) return 'normal';
+  return null;
+};
+
+/**
+ * Epoch ms from a number (s or ms) or a date string, or null
+ */
+const parseTimestamp = (value) => {
+  if (value === null || typeof value === 'undefined' || value === '') return null;
+  const numeric = Number(value);
+  if (Number.isFinite(numeric)) {
+    return numeric < 1e12 ? numeric * 1000 : numeric;
+  }
+  const parsed = new Date(value).getTime();
+  return Number.isNaN(parsed) ? null : parsed;
+};
 
 /**
  * CSV Data Loader and Preprocessor
@@ -18,79 +66,86 @@ class DataPreparationService {
   }
 
   /**
-   * Load NAB (Numenta Anomaly Benchmark) data
-   * Expected columns: timestamp, value, anomaly_score
+   * Read a CSV file and map every row
    */
-  async loadNABData(filePath) {
-    console.log('[DATA_PREP] Loading NAB dataset...');
+  _loadCsv(filePath, mapRow) {
     const data = [];
 
     return new Promise((resolve, reject) => {
       fs.createReadStream(filePath)
         .pipe(csv())
-        .on('data', (row) => {
-          // Map NAB data to our format
-          data.push({
-            timestamp: new Date(row.timestamp).getTime(),
-            pressure: parseFloat(row.value) || 50,  // Treat value as pressure
-            flow: parseFloat(row.value) * 0.2 || 10, // Derive flow
-            pressure_rate_of_change: 0,
-            flow_rate_of_change: 0,
-            pressure_ma_30s: parseFloat(row.value) || 50,
-            flow_ma_30s: parseFloat(row.value) * 0.2 || 10,
-            pressure_stddev_60s: 0.5,
-            flow_stddev_60s: 0.3,
-            pressure_flow_ratio: 5,
-            hour_of_day: new Date(row.timestamp).getHours(),
-            is_weekend: [0, 6].includes(new Date(row.timestamp).getDay()) ? 1 : 0,
-            label: parseFloat(row.anomaly_score) > 0 ? 'anomaly' : 'normal'
-          });
-        })
-        .on('end', () => {
-          console.log(`[DATA_PREP] ✓ Loaded ${data.length} NAB samples`);
-          resolve(data);
-        })
+        .on('data', (row) => data.push(mapRow(row)))
+        .on('end', () => resolve(data))
         .on('error', reject);
     });
   }
 
+  /**
+   * Load NAB (Numenta Anomaly Benchmark) data
+   * Expected columns: timestamp, value, anomaly_score
+   */
+  async loadNABData(filePath) {
+    console.log('[DATA_PREP] Loading NAB dataset...');
+    const data = await this._loadCsv(filePath, row => this.mapNABRow(row));
+    console.log(`[DATA_PREP] ✓ Loaded ${data.length} NAB samples`);
+    return data;
+  }
+
+  /**
+   * Map a NAB row to our format
+   */
+  mapNABRow(row) {
+    return {
+      timestamp: new Date(row.timestamp).getTime(),
+      pressure: parseFloat(row.value) || 50,  // Treat value as pressure
+      flow: parseFloat(row.value) * 0.2 || 10, // Derive flow
+      pressure_rate_of_change: 0,
+      flow_rate_of_change: 0,
+      pressure_ma_30s: parseFloat(row.value) || 50,
+      flow_ma_30s: parseFloat(row.value) * 0.2 || 10,
+      pressure_stddev_60s: 0.5,
+      flow_stddev_60s: 0.3,
+      pressure_flow_ratio: 5,
+      hour_of_day: new Date(row.timestamp).getHours(),
+      is_weekend: [0, 6].includes(new Date(row.timestamp).getDay()) ? 1 : 0,
+      label: parseFloat(row.anomaly_score) > 0 ? 'anomaly' : 'normal',
+      source: 'nab'
+    };
+  }
+
   /**
    * Load Predictive Maintenance data
    * Expected columns: Air temperature, Process temperature, Rotational speed, Torque, Tool wear, Failure Type
    */
   async loadMaintenanceData(filePath) {
     console.log('[DATA_PREP] Loading maintenance dataset...');
-    const data = [];
+    const data = await this._loadCsv(filePath, row => this.mapMaintenanceRow(row));
+    console.log(`[DATA_PREP] ✓ Loaded ${data.length} maintenance samples`);
+    return data;
+  }
 
-    return new Promise((resolve, reject) => {
-      fs.createReadStream(filePath)
-        .pipe(csv())
-        .on('data', (row) => {
-          // Map maintenance data to our format
-          const hasFailure = row['Failure Type'] && row['Failure Type'] !== 'No Failure';
-          
-          data.push({
-            timestamp: Date.now() - Math.random() * 365 * 24 * 60 * 60 * 1000,
-            pressure: parseFloat(row['Process temperature [K]']) * 0.15 || 50,
-            flow: parseFloat(row['Rotational speed [rpm]']) * 0.01 || 10,
-            pressure_rate_of_change: parseFloat(row['Torque [Nm]']) * 0.01 || 0,
-            flow_rate_of_change: 0,
-            pressure_ma_30s: parseFloat(row['Process temperature [K]']) * 0.15 || 50,
-            flow_ma_30s: parseFloat(row['Rotational speed [rpm]']) * 0.01 || 10,
-            pressure_stddev_60s: parseFloat(row['Tool wear [min]']) * 0.01 || 0.5,
-            flow_stddev_60s: 0.3,
-            pressure_flow_ratio: 5,
-            hour_of_day: Math.floor(Math.random() * 24),
-            is_weekend: Math.random() < 0.3 ? 1 : 0,
-            label: hasFailure ? 'anomaly' : 'normal'
-          });
-        })
-        .on('end', () => {
-          console.log(`[DATA_PREP] ✓ Loaded ${data.length} maintenance samples`);
-          resolve(data);
-        })
-        .on('error', reject);
-    });
+  /**
+   * Map a predictive maintenance row to our format
+   */
+  mapMaintenanceRow(row) {
+    const hasFailure = row['Failure Type'] && row['Failure Type'] !== 'No Failure';
+
+    return {
+      timestamp: Date.now() - Math.random() * 365 * 24 * 60 * 60 * 1000,
+      pressure: parseFloat(row['Process temperature [K]']) * 0.15 || 50,
+      flow: parseFloat(row['Rotational speed [rpm]']) * 0.01 || 10,
+      pressure_rate_of_change: parseFloat(row['Torque [Nm]']) * 0.01 || 0,
+      flow_rate_of_change: 0,
+      pressure_ma_30s: parseFloat(row['Process temperature [K]']) * 0.15 || 50,
+      flow_ma_30s: parseFloat(row['Rotational speed [rpm]']) * 0.01 || 10,
+      pressure_stddev_60s: parseFloat(row['Tool wear [min]']) * 0.01 || 0.5,
+      flow_stddev_60s: 0.3,
+      pressure_flow_ratio: 5,
+      hour_of_day: Math.floor(Math.random() * 24),
+      is_weekend: Math.random() < 0.3 ? 1 : 0,
+      label: hasFailure ? 'anomaly' : 'normal',
+      source: 'maintenance'
+    };
   }
 
   /**
@@ -99,40 +154,36 @@ class DataPreparationService {
    */
   async loadPumpSensorData(filePath) {
     console.log('[DATA_PREP] Loading pump sensor dataset...');
-    const data = [];
+    const data = await this._loadCsv(filePath, row => this.mapPumpSensorRow(row));
+    console.log(`[DATA_PREP] ✓ Loaded ${data.length} pump sensor samples`);
+    return data;
+  }
 
-    return new Promise((resolve, reject) => {
-      fs.createReadStream(filePath)
-        .pipe(csv())
-        .on('data', (row) => {
-          // Use multiple sensors to derive pressure and flow
-          const sensor0 = parseFloat(row.sensor_00) || 0;
-          const sensor1 = parseFloat(row.sensor_01) || 0;
-          const sensor15 = parseFloat(row.sensor_15) || 0;
-          const machineStatus = row.machine_status;
-          
-          data.push({
-            timestamp: new Date(row.timestamp).getTime(),
-            pressure: sensor0 * 10 || 50,
-            flow: sensor1 * 2 || 10,
-            pressure_rate_of_change: (sensor15 - sensor0) * 0.1,
-            flow_rate_of_change: 0,
-            pressure_ma_30s: sensor0 * 10 || 50,
-            flow_ma_30s: sensor1 * 2 || 10,
-            pressure_stddev_60s: Math.abs(sensor15 * 0.1) || 0.5,
-            flow_stddev_60s: 0.3,
-            pressure_flow_ratio: sensor0 / Math.max(0.1, sensor1),
-            hour_of_day: new Date(row.timestamp).getHours(),
-            is_weekend: [0, 6].includes(new Date(row.timestamp).getDay()) ? 1 : 0,
-            label: machineStatus === 'BROKEN' || machineStatus === 'RECOVERING' ? 'anomaly' : 'normal'
-          });
-        })
-        .on('end', () => {
-          console.log(`[DATA_PREP] ✓ Loaded ${data.length} pump sensor samples`);
-          resolve(data);
-        })
-        .on('error', reject);
-    });
+  /**
+   * Map a pump sensor row to our format (multiple sensors derive pressure and flow)
+   */
+  mapPumpSensorRow(row) {
+    const sensor0 = parseFloat(row.sensor_00) || 0;
+    const sensor1 = parseFloat(row.sensor_01) || 0;
+    const sensor15 = parseFloat(row.sensor_15) || 0;
+    const machineStatus = row.machine_status;
+
+    return {
+      timestamp: new Date(row.timestamp).getTime(),
+      pressure: sensor0 * 10 || 50,
+      flow: sensor1 * 2 || 10,
+      pressure_rate_of_change: (sensor15 - sensor0) * 0.1,
+      flow_rate_of_change: 0,
+      pressure_ma_30s: sensor0 * 10 || 50,
+      flow_ma_30s: sensor1 * 2 || 10,
+      pressure_stddev_60s: Math.abs(sensor15 * 0.1) || 0.5,
+      flow_stddev_60s: 0.3,
+      pressure_flow_ratio: sensor0 / Math.max(0.1, sensor1),
+      hour_of_day: new Date(row.timestamp).getHours(),
+      is_weekend: [0, 6].includes(new Date(row.timestamp).getDay()) ? 1 : 0,
+      label: machineStatus === 'BROKEN' || machineStatus === 'RECOVERING' ? 'anomaly' : 'normal',
+      source: 'pump'
+    };
   }
 
   /**
@@ -141,42 +192,196 @@ class DataPreparationService {
    */
   async loadWaterQualityData(filePath) {
     console.log('[DATA_PREP] Loading water quality dataset...');
-    const data = [];
+    const data = await this._loadCsv(filePath, row => this.mapWaterQualityRow(row));
+    console.log(`[DATA_PREP] ✓ Loaded ${data.length} water quality samples`);
+    return data;
+  }
+
+  /**
+   * Map a water quality row to pressure/flow metrics
+   */
+  mapWaterQualityRow(row) {
+    const conductivity = parseFloat(row.Conductivity) || 300;
+    const hardness = parseFloat(row.Hardness) || 200;
+    const turbidity = parseFloat(row.Turbidity) || 3;
+    const potable = parseInt(row.Potability) || 0;
 
+    return {
+      timestamp: Date.now() - Math.random() * 365 * 24 * 60 * 60 * 1000,
+      pressure: (conductivity / 10) || 50,
+      flow: (hardness / 20) || 10,
+      pressure_rate_of_change: 0,
+      flow_rate_of_change: 0,
+      pressure_ma_30s: (conductivity / 10) || 50,
+      flow_ma_30s: (hardness / 20) || 10,
+      pressure_stddev_60s: turbidity * 0.2 || 0.5,
+      flow_stddev_60s: 0.3,
+      pressure_flow_ratio: conductivity / Math.max(1, hardness),
+      hour_of_day: Math.floor(Math.random() * 24),
+      is_weekend: Math.random() < 0.3 ? 1 : 0,
+      label: potable === 0 ? 'anomaly' : 'normal',  // Non-potable = anomaly
+      source: 'water_quality'
+    };
+  }
+
+  /**
+   * Add the engineered features (existing features are kept so the model can reuse them)
+   */
+  addEngineeredFeatures(sample) {
+    const pressure = sample.pressure || 50;
+    const flow = sample.flow || 10;
+    const pressureRate = sample.pressure_rate_of_change || 0;
+    const flowRate = sample.flow_rate_of_change || 0;
+    const pressureStd = sample.pressure_stddev_60s || 0.5;
+    const flowStd = sample.flow_stddev_60s || 0.3;
+
+    return {
+      ...sample,
+      pressure_flow_ratio_variance: Math.abs((pressure / Math.max(1, flow)) - 5), // Deviation from normal ratio
+      combined_rate_of_change: Math.abs(pressureRate) + Math.abs(flowRate), // Total rate of change
+      combined_volatility: pressureStd + flowStd, // Combined std dev
+      flow_pressure_interaction: flow * (pressure / 100) // Interaction term
+    };
+  }
+
+  /**
+   * Parse an uploaded CSV, JSON (array or { data: [...] }) or NDJSON file into rows
+   */
+  async parseUpload(buffer, filename = '') {
+    const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+    const extension = path.extname(filename).toLowerCase();
+
+    const parseLines = () => text.split(/\r?\n/).filter(line => line.trim()).map(line => JSON.parse(line));
+
+    if (extension === '.ndjson' || extension === '.jsonl') {
+      return parseLines();
+    }
+    if (extension === '.json' || /^\s*[[{]/.test(text)) {
+      let parsed;
+      try {
+        parsed = JSON.parse(text);
+      } catch (error) {
+        // One JSON object per line
+        return parseLines();
+      }
+      const rows = Array.isArray(parsed) ? parsed : parsed.data;
+      if (!Array.isArray(rows)) {
+        throw new Error('JSON upload must be an array of records or { "data": [...] }');
+      }
+      return rows;
+    }
+
+    const rows = [];
     return new Promise((resolve, reject) => {
-      fs.createReadStream(filePath)
-        .pipe(csv())
-        .on('data', (row) => {
-          // Map water quality to pressure/flow metrics
-          const conductivity = parseFloat(row.Conductivity) || 300;
-          const hardness = parseFloat(row.Hardness) || 200;
-          const turbidity = parseFloat(row.Turbidity) || 3;
-          const potable = parseInt(row.Potability) || 0;
-          
-          data.push({
-            timestamp: Date.now() - Math.random() * 365 * 24 * 60 * 60 * 1000,
-            pressure: (conductivity / 10) || 50,
-            flow: (hardness / 20) || 10,
-            pressure_rate_of_change: 0,
-            flow_rate_of_change: 0,
-            pressure_ma_30s: (conductivity / 10) || 50,
-            flow_ma_30s: (hardness / 20) || 10,
-            pressure_stddev_60s: turbidity * 0.2 || 0.5,
-            flow_stddev_60s: 0.3,
-            pressure_flow_ratio: conductivity / Math.max(1, hardness),
-            hour_of_day: Math.floor(Math.random() * 24),
-            is_weekend: Math.random() < 0.3 ? 1 : 0,
-            label: potable === 0 ? 'anomaly' : 'normal'  // Non-potable = anomaly
-          });
-        })
-        .on('end', () => {
-          console.log(`[DATA_PREP] ✓ Loaded ${data.length} water quality samples`);
-          resolve(data);
-        })
+      Readable.from([text])
+        .pipe(csv({ mapHeaders: ({ header }) => header.trim() }))
+        .on('data', (row) => rows.push(row))
+        .on('end', () => resolve(rows))
         .on('error', reject);
     });
   }
 
+  /**
+   * Which known dataset an uploaded row belongs to ('sensor' for raw pressure/flow readings)
+   */
+  detectDatasetType(row = {}) {
+    if ('anomaly_score' in row && 'value' in row) return 'nab';
+    if ('Failure Type' in row) return 'maintenance';
+    if ('sensor_00' in row && 'machine_status' in row) return 'pump';
+    if ('Potability' in row) return 'water_quality';
+    if ('pressure' in row && 'flow' in row) return 'sensor';
+    return null;
+  }
+
+  /**
+   * Raw sensor readings -> engine features, computed by the same DataPreprocessor the
+   * live pipelines use (one per sensor_id, in timestamp order). Rows without a
+   * timestamp are spaced one second apart; invalid readings are skipped.
+   */
+  mapSensorRows(rows) {
+    const start = Date.now() - rows.length * 1000;
+    const readings = rows.map((row, index) => {
+      const labelColumn = LABEL_COLUMNS.find(column => row[column] !== undefined && row[column] !== '');
+      return {
+        index,
+        sensorId: row.sensor_id || row.sensorId || 'default',
+        timestamp: parseTimestamp(row.timestamp) || start + index * 1000,
+        pressure: parseFloat(row.pressure),
+        flow: parseFloat(row.flow),
+        label: labelColumn ? parseLabel(row[labelColumn]) : null
+      };
+    });
+    readings.sort((a, b) => a.timestamp - b.timestamp || a.index - b.index);
+
+    const preprocessors = new Map();
+    const samples = [];
+    readings.forEach(reading => {
+      if (!Number.isFinite(reading.pressure) || !Number.isFinite(reading.flow)) return;
+
+      if (!preprocessors.has(reading.sensorId)) {
+        preprocessors.set(reading.sensorId, new DataPreprocessor());
+      }
+      const features = preprocessors.get(reading.sensorId).processReading({
+        timestamp: reading.timestamp,
+        pressure: reading.pressure,
+        flow: reading.flow
+      });
+      if (!features) return;
+
+      samples.push({
+        ...features,
+        pressure_stddev_60s: features.pressure_stddev_60s || 0.5,
+        flow_stddev_60s: features.flow_stddev_60s || 0.3,
+        is_weekend: features.is_weekend ? 1 : 0,
+        label: reading.label
+      });
+    });
+    return samples;
+  }
+
+  /**
+   * Turn uploaded rows into training samples (TRAINING_FEATURES plus label and source)
+   * @returns {Object} { datasetType, samples, skipped }
+   */
+  prepareUpload(rows) {
+    if (!Array.isArray(rows) || rows.length === 0) {
+      throw new Error('Uploaded dataset is empty');
+    }
+
+    const datasetType = this.detectDatasetType(rows[0]);
+    const mappers = {
+      nab: row => this.mapNABRow(row),
+      maintenance: row => this.mapMaintenanceRow(row),
+      pump: row => this.mapPumpSensorRow(row),
+      water_quality: row => this.mapWaterQualityRow(row)
+    };
+
+    let mapped;
+    if (datasetType === 'sensor') {
+      mapped = this.mapSensorRows(rows);
+    } else if (mappers[datasetType]) {
+      mapped = rows.map(mappers[datasetType]);
+    } else {
+      throw new Error('Unrecognised dataset: expected pressure and flow columns (or a NAB, maintenance, pump sensor or water quality export)');
+    }
+
+    const samples = mapped
+      .map(sample => this.addEngineeredFeatures(sample))
+      .map(sample => {
+        const projected = {};
+        TRAINING_FEATURES.forEach(feature => {
+          const value = Number(sample[feature]);
+          projected[feature] = Number.isFinite(value) ? value : 0;
+        });
+        projected.label = sample.label || null;
+        projected.source = sample.source || datasetType;
+        return projected;
+      });
+
+    console.log(`[DATA_PREP] Prepared ${samples.length} ${datasetType} samples from upload (${rows.length - samples.length} skipped)`);
+    return { datasetType, samples, skipped: rows.length - samples.length };
+  }
+
   /**
    * Combine all datasets and save
    */
@@ -264,31 +469,8 @@ class DataPreparationService {
       console.log(`  Total balanced samples: ${balancedData.length}`);
       
       // ===== ADD ENGINEERED FEATURES =====
-      const enhancedData = balancedData.map(sample => {
-        // Existing features are kept; add new engineered features
-        const pressure = sample.pressure || 50;
-        const flow = sample.flow || 10;
-        const pressureRate = sample.pressure_rate_of_change || 0;
-        const flowRate = sample.flow_rate_of_change || 0;
-        const pressureStd = sample.pressure_stddev_60s || 0.5;
-        const flowStd = sample.flow_stddev_60s || 0.3;
-        
-        // New engineered features
-        const pressureFlowRatioVar = Math.abs((pressure / Math.max(1, flow)) - 5); // Deviation from normal ratio
-        const combinedRateOfChange = Math.abs(pressureRate) + Math.abs(flowRate); // Total rate of change
-        const combinedVolatility = pressureStd + flowStd; // Combined std dev
-        const flowPressureInteraction = flow * (pressure / 100); // Interaction term
-        
-        return {
-          ...sample,
-          // Add new features (don't remove existing ones so model can reuse them)
-          pressure_flow_ratio_variance: pressureFlowRatioVar,
-          combined_rate_of_change: combinedRateOfChange,
-          combined_volatility: combinedVolatility,
-          flow_pressure_interaction: flowPressureInteraction
-        };
-      });
-      
+      const enhancedData = balancedData.map(sample => this.addEngineeredFeatures(sample));
+
       console.log('[DATA_PREP] ✓ Added engineered features: pressure_flow_ratio_variance, combined_rate_of_change, combined_volatility, flow_pressure_interaction');
 
       // Save processed data
@@ -321,4 +503,6 @@ if (require.main === module) {
     });
 }
 
+DataPreparationService.TRAINING_FEATURES = TRAINING_FEATURES;
+
 module.exports = DataPreparationService;
\ No newline at end of file
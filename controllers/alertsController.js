@@ -1,44 +1,62 @@
 const { integratedEngine } = require('../utils/integratedEngine');
+const { feedbackLoop } = require('../utils/feedbackLoop');
 const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const { parsePagination } = require('../utils/helpers');
+
+/**
+ * Page of persisted alerts in chronological order plus pagination metadata
+ * (offset pages back in time from the newest alert)
+ */
+const listAlerts = async (query, filters, defaultLimit) => {
+  const { limit, offset } = parsePagination(query, defaultLimit);
+  const { items, total } = await integratedEngine.loadAlerts({
+    ...filters,
+    sensorId: query.sensorId || null,
+    limit,
+    offset
+  });
+  const alerts = items.reverse();
+
+  return {
+    success: true,
+    alerts,
+    count: alerts.length,
+    pagination: { total, limit, offset, count: alerts.length }
+  };
+};
 
 /**
  * GET /api/alerts/active
  * Return active alerts (not resolved)
+ * Query: limit (or count), offset, sensorId
  */
 const getActiveAlerts = asyncHandler(async (req, res) => {
-  const { count = 100 } = req.query;
-  let alerts = integratedEngine.getRecentAlerts(parseInt(count));
-  alerts = alerts.filter(a => !a.resolved);
+  const payload = await listAlerts(req.query, { resolved: false }, 100);
   // Debug: log first alert object so frontend mapping issues can be diagnosed
-  if (alerts.length > 0) {
+  if (payload.alerts.length > 0) {
     try {
       console.log('[ALERTS_CONTROLLER] Returning active alert (sample):');
-      console.dir(alerts[0], { depth: 4 });
+      console.dir(payload.alerts[0], { depth: 4 });
     } catch (e) {
       console.log('[ALERTS_CONTROLLER] Alert logging failed');
     }
   }
 
-  res.json({ success: true, alerts, count: alerts.length });
+  res.json(payload);
 });
 
 /**
  * GET /api/alerts/unacknowledged
  */
 const getUnacknowledgedAlerts = asyncHandler(async (req, res) => {
-  const { count = 100 } = req.query;
-  let alerts = integratedEngine.getRecentAlerts(parseInt(count));
-  alerts = alerts.filter(a => !a.acknowledged);
-  res.json({ success: true, alerts, count: alerts.length });
+  res.json(await listAlerts(req.query, { acknowledged: false }, 100));
 });
 
 /**
  * GET /api/alerts/history
  */
 const getAlertHistory = asyncHandler(async (req, res) => {
-  const { count = 200 } = req.query;
-  const alerts = integratedEngine.getRecentAlerts(parseInt(count));
-  res.json({ success: true, alerts, count: alerts.length });
+  res.json(await listAlerts(req.query, {}, 200));
 });
 
 /**
@@ -48,58 +66,55 @@ const acknowledgeAlert = asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { userId = 'unknown', notes = '' } = req.body;
 
-  const alerts = integratedEngine.alerts;
-  const idx = alerts.findIndex(a => a.id === id);
-  if (idx === -1) throw new AppError('Alert not found', 404);
-
-  alerts[idx].acknowledged = true;
-  alerts[idx].acknowledgedBy = userId;
-  alerts[idx].acknowledgedAt = Date.now();
-  alerts[idx].acknowledgeNotes = notes;
+  const alert = await integratedEngine.acknowledgeAlert(id, { userId, notes });
+  if (!alert) throw new AppError('Alert not found', 404);
 
-  res.json({ success: true, alert: alerts[idx] });
+  res.json({ success: true, alert });
 });
 
 /**
  * POST /api/alerts/:id/resolve
+ * Also clears active anomalies on the alert's pipeline so a resumed anomaly alerts again
  */
 const resolveAlert = asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { userId = 'unknown', notes = '', feedback = null } = req.body;
 
-  const alerts = integratedEngine.alerts;
-  const idx = alerts.findIndex(a => a.id === id);
-  if (idx === -1) throw new AppError('Alert not found', 404);
-
-  alerts[idx].resolved = true;
-  alerts[idx].resolvedBy = userId;
-  alerts[idx].resolvedAt = Date.now();
-  alerts[idx].resolveNotes = notes;
-  if (feedback) alerts[idx].feedback = feedback;
+  const alert = await integratedEngine.resolveAlert(id, { userId, notes, feedback });
+  if (!alert) throw new AppError('Alert not found', 404);
 
-  // Clear active anomalies to allow new alert if anomaly condition resumes
-  integratedEngine.clearActiveAnomalies();
+  // Labeled feedback (false positive or confirmed) becomes a training sample
+  if (feedback) {
+    try {
+      await feedbackLoop.recordAlertFeedback(alert);
+    } catch (error) {
+      console.error('[ALERTS] Failed to record alert feedback:', error.message || error);
+    }
+  }
 
-  res.json({ success: true, alert: alerts[idx] });
+  res.json({ success: true, alert });
 });
 
 /**
  * GET /api/alerts/statistics/overview
  */
 const getAlertStatistics = asyncHandler(async (req, res) => {
-  const alerts = integratedEngine.alerts;
-  const total = alerts.length;
-  const active = alerts.filter(a => !a.resolved).length;
-  const acknowledged = alerts.filter(a => a.acknowledged).length;
-  const resolved = alerts.filter(a => a.resolved).length;
-  const falsePositives = alerts.filter(a => a.feedback && a.feedback.isFalsePositive).length;
-  const avgResponseTime = alerts.reduce((sum, a) => {
-    if (a.acknowledgedAt && a.timestamp) return sum + (a.acknowledgedAt - a.timestamp);
-    return sum;
-  }, 0);
-  const averageResponseTime = acknowledged > 0 ? Math.round((avgResponseTime / acknowledged) / 1000) : 0;
-
-  const valveClosuresTriggered = alerts.filter(a => a.recommendedActions && a.recommendedActions.some(act => /close/i.test(act))).map(a => ({ id: a.id, timestamp: a.timestamp }));
+  const {
+    total,
+    active,
+    acknowledged,
+    resolved,
+    falsePositives,
+    responseTimeSum
+  } = await integratedEngine.loadAlertStatistics();
+  const averageResponseTime = acknowledged > 0 ? Math.round((responseTimeSum / acknowledged) / 1000) : 0;
+
+  // Valve closures are read from the most recent alerts' recommended actions
+  const { items: recentAlerts } = await integratedEngine.loadAlerts({ limit: 1000 });
+  const valveClosuresTriggered = recentAlerts
+    .reverse()
+    .filter(a => a.recommendedActions && a.recommendedActions.some(act => /close/i.test(act)))
+    .map(a => ({ id: a.id, timestamp: a.timestamp }));
 
   res.json({
     success: true,
@@ -0,0 +1,131 @@
+const fs = require('fs');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const DataPreparationService = require('../backend/scripts/prepareTrainingData');
+const { thresholdCalibrator } = require('../utils/thresholdCalibration');
+const { parsePagination } = require('../utils/helpers');
+const { PREPARED_DATA_PATH } = require('../utils/trainingData');
+
+// The prepared-data holdout: the last 20% of the processed file, which backend/scripts/trainModel.js never trains on
+const PREPARED_HOLDOUT = 0.2;
+
+/**
+ * Labeled samples for a calibration run, from (in order of precedence) an uploaded
+ * `file`, an inline `samples` array, or the prepared-data holdout
+ * @returns {Object} { samples, source }
+ */
+const loadCalibrationSamples = async (req) => {
+  const body = req.body || {};
+
+  if (req.file) {
+    try {
+      const prep = new DataPreparationService();
+      const rows = await prep.parseUpload(req.file.buffer, req.file.originalname);
+      return { samples: prep.prepareUpload(rows).samples, source: `upload:${req.file.originalname}` };
+    } catch (error) {
+      throw new AppError(`Could not read dataset: ${error.message}`, 400);
+    }
+  }
+
+  if (typeof body.samples !== 'undefined') {
+    if (!Array.isArray(body.samples)) {
+      throw new AppError('samples must be an array of labeled feature objects', 400);
+    }
+    return { samples: body.samples, source: 'request' };
+  }
+
+  if (!fs.existsSync(PREPARED_DATA_PATH)) {
+    throw new AppError('Prepared data not found; run backend/scripts/prepareTrainingData.js or send samples', 400);
+  }
+  const prepared = JSON.parse(fs.readFileSync(PREPARED_DATA_PATH, 'utf8'));
+  const start = Math.floor(prepared.length * (1 - PREPARED_HOLDOUT));
+  return { samples: prepared.slice(start), source: 'prepared' };
+};
+
+/**
+ * Objective from the request: { objective: { type, ... } } or { objective: 'recall-floor', minRecall }
+ * (multipart fields arrive as strings)
+ */
+const parseObjective = (body) => {
+  let { objective = 'max-f1' } = body;
+  if (typeof objective === 'string' && objective.trim().startsWith('{')) {
+    try {
+      objective = JSON.parse(objective);
+    } catch (error) {
+      throw new AppError('objective must be a name or a JSON object', 400);
+    }
+  }
+  if (typeof objective !== 'string') return objective;
+
+  return {
+    type: objective,
+    ...(typeof body.minRecall !== 'undefined' ? { minRecall: Number(body.minRecall) } : {}),
+    ...(typeof body.maxFpr !== 'undefined' ? { maxFpr: Number(body.maxFpr) } : {})
+  };
+};
+
+/**
+ * GET /api/calibration
+ * Threshold the live detector is using and the latest calibration
+ */
+const getCalibrationStatus = asyncHandler(async (req, res) => {
+  const [latest = null] = await thresholdCalibrator.history({ limit: 1 });
+
+  res.json({
+    success: true,
+    data: { ...thresholdCalibrator.current(), latest }
+  });
+});
+
+/**
+ * POST /api/calibration
+ * Sweep thresholds over labeled data and apply the best one for the objective to the live detector
+ * Body (JSON or multipart with a dataset `file`): { objective: 'max-f1'|'recall-floor'|'fpr-cap',
+ *   minRecall, maxFpr (0-1), samples, step (default 0.01), apply (default true; false to preview) }
+ */
+const runCalibration = asyncHandler(async (req, res) => {
+  const body = req.body || {};
+
+  if (!thresholdCalibrator.detector.model.isTrained) {
+    throw new AppError('The detector has no trained model to calibrate', 409);
+  }
+
+  const { samples, source } = await loadCalibrationSamples(req);
+  const apply = body.apply !== false && body.apply !== 'false';
+
+  let calibration;
+  try {
+    calibration = await thresholdCalibrator.calibrate(samples, {
+      objective: parseObjective(body),
+      step: typeof body.step === 'undefined' ? undefined : Number(body.step),
+      apply,
+      source
+    });
+  } catch (error) {
+    throw new AppError(error.message, 400);
+  }
+
+  res.json({
+    success: true,
+    data: calibration,
+    message: apply
+      ? `Threshold set to ${calibration.threshold} (was ${calibration.previousThreshold})`
+      : `Recommended threshold ${calibration.threshold} (not applied)`
+  });
+});
+
+/**
+ * GET /api/calibration/history
+ * Past calibration runs, newest first (query: limit)
+ */
+const getCalibrationHistory = asyncHandler(async (req, res) => {
+  const { limit } = parsePagination(req.query, 20, 200);
+  const history = await thresholdCalibrator.history({ limit });
+
+  res.json({ success: true, data: history, count: history.length });
+});
+
+module.exports = {
+  getCalibrationStatus,
+  runCalibration,
+  getCalibrationHistory
+};
@@ -0,0 +1,54 @@
+const { asyncHandler } = require('../middleware/errorHandler');
+const { driftMonitor } = require('../utils/driftMonitor');
+const { parsePagination } = require('../utils/helpers');
+
+/**
+ * GET /api/drift
+ * The newest drift report (from the background schedule or POST /api/drift/check)
+ */
+const getLatestDrift = asyncHandler(async (req, res) => {
+  const [report] = driftMonitor.history(1);
+
+  if (!report) {
+    return res.json({ success: true, data: null, message: 'No drift check has run yet' });
+  }
+  res.json({ success: true, data: report, message: report.message });
+});
+
+/**
+ * POST /api/drift/check
+ * Compare the live feature windows with the production model's training data now
+ * (body or query: sensorId to check one sensor); raises a system alert when drift starts
+ */
+const checkDrift = asyncHandler(async (req, res) => {
+  const sensorId = (req.body && req.body.sensorId) || req.query.sensorId || null;
+  const report = await driftMonitor.check({ sensorId });
+
+  res.json({ success: true, data: report, message: report.message });
+});
+
+/**
+ * GET /api/drift/status
+ * Thresholds, background schedule, scopes currently drifting and the newest report
+ */
+const getDriftStatus = asyncHandler(async (req, res) => {
+  res.json({ success: true, data: driftMonitor.status() });
+});
+
+/**
+ * GET /api/drift/history
+ * Past drift reports, newest first (query: limit)
+ */
+const getDriftHistory = asyncHandler(async (req, res) => {
+  const { limit } = parsePagination(req.query, 20, 50);
+  const reports = driftMonitor.history(limit);
+
+  res.json({ success: true, data: reports, count: reports.length });
+});
+
+module.exports = {
+  getLatestDrift,
+  checkDrift,
+  getDriftStatus,
+  getDriftHistory
+};
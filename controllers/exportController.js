@@ -0,0 +1,45 @@
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const { normalizeExportOptions, streamExport, CONTENT_TYPES } = require('../utils/dataExporter');
+
+/**
+ * POST /api/admin/export-data (JSON body) or GET /api/admin/export-data (query string)
+ * Stream sensor data, detections, alerts, valve history or a full report.
+ * Options: type, format (csv|ndjson|json), startDate/endDate or startTime/endTime,
+ *          sensorId, filters { minProbability, maxProbability, severity, leakOnly }, chunkSize
+ */
+const exportData = asyncHandler(async (req, res) => {
+  const input = req.method === 'GET' ? { ...req.query } : { ...req.query, ...req.body };
+
+  let options;
+  try {
+    options = normalizeExportOptions(input);
+  } catch (error) {
+    throw new AppError(error.message, 400);
+  }
+
+  const extension = options.format === 'json' ? 'json' : options.format;
+  const filename = `${options.type}_${new Date().toISOString().split('T')[0]}.${extension}`;
+
+  res.status(200);
+  res.setHeader('Content-Type', CONTENT_TYPES[options.format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.setHeader('Cache-Control', 'no-store');
+
+  console.log(`[EXPORT] Streaming ${options.type} as ${options.format}`);
+
+  try {
+    const { rowCounts, aborted } = await streamExport(res, options);
+    console.log(`[EXPORT] ${aborted ? 'Aborted by client' : 'Completed'}:`, rowCounts);
+  } catch (error) {
+    // Headers are already sent; the truncated download is the only signal left
+    console.error('[EXPORT] Export failed mid-stream:', error.message || error);
+    res.destroy(error);
+    return;
+  }
+
+  res.end();
+});
+
+module.exports = {
+  exportData
+};
@@ -0,0 +1,79 @@
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const { feedbackLoop } = require('../utils/feedbackLoop');
+const { parsePagination } = require('../utils/helpers');
+
+/**
+ * GET /api/feedback
+ * Curated feedback set size, samples since the last feedback model and the retrain schedule
+ */
+const getFeedbackStatus = asyncHandler(async (req, res) => {
+  res.json({ success: true, data: await feedbackLoop.status() });
+});
+
+/**
+ * GET /api/feedback/samples
+ * Curated training samples, newest first (query: limit, offset)
+ */
+const getFeedbackSamples = asyncHandler(async (req, res) => {
+  const { limit, offset } = parsePagination(req.query, 100, 1000);
+  const samples = await feedbackLoop.samples({ limit, offset });
+
+  res.json({ success: true, data: samples, count: samples.length });
+});
+
+/**
+ * POST /api/feedback/collect
+ * Backfill the curated set from alerts resolved with feedback
+ */
+const collectFeedback = asyncHandler(async (req, res) => {
+  const result = await feedbackLoop.collect();
+
+  res.json({
+    success: true,
+    data: result,
+    message: `Collected ${result.collected} samples from ${result.scanned} resolved alerts`
+  });
+});
+
+/**
+ * POST /api/feedback/retrain
+ * Retrain on the base data plus the feedback set as a background job (202 with the job ID)
+ * Body: { source: 'db'|'prepared'|'combined' (base data), promote, algorithm, hyperparameters }
+ */
+const retrainFromFeedback = asyncHandler(async (req, res) => {
+  const body = req.body || {};
+
+  let job;
+  try {
+    job = await feedbackLoop.retrain({
+      source: body.source,
+      promote: typeof body.promote === 'undefined' ? undefined : body.promote === true,
+      algorithm: body.algorithm,
+      hyperparameters: body.hyperparameters
+    });
+  } catch (error) {
+    throw new AppError(error.message, feedbackLoop.jobs.isBusy() ? 409 : 400);
+  }
+
+  res.status(202).json({
+    success: true,
+    data: { jobId: job.id, job },
+    message: `Feedback retraining job ${job.id} started on ${job.sampleCount} samples`
+  });
+});
+
+/**
+ * GET /api/feedback/report
+ * False-positive rate per model version (live from alert feedback and offline from evaluation)
+ */
+const getFeedbackReport = asyncHandler(async (req, res) => {
+  res.json({ success: true, data: await feedbackLoop.report() });
+});
+
+module.exports = {
+  getFeedbackStatus,
+  getFeedbackSamples,
+  collectFeedback,
+  retrainFromFeedback,
+  getFeedbackReport
+};
@@ -5,16 +5,32 @@
 
 const { integratedEngine } = require('../utils/integratedEngine');
 const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const { parsePagination } = require('../utils/helpers');
 
 /**
  * Initialize the integrated detection engine with default settings
  */
 const initializeEngine = asyncHandler(async (req, res) => {
-  const { baselinePressure = 50, baselineFlow = 10, useMLDetection = true, usePredictiveMaintenance = true } = req.body;
+  const { baselinePressure = 50, baselineFlow = 10, useMLDetection = true, usePredictiveMaintenance = true, sensorBaselines = [], timeHandling } = req.body;
+
+  if (timeHandling) {
+    try {
+      integratedEngine.configureTimeHandling(timeHandling);
+    } catch (error) {
+      throw new AppError('Invalid timeHandling: ' + error.message, 400);
+    }
+  }
 
   try {
-    // Initialize rule-based detection
+    // Initialize rule-based detection (default baseline plus optional per-sensor overrides)
     integratedEngine.initializeRuleBasedDetection(baselinePressure, baselineFlow);
+    if (Array.isArray(sensorBaselines)) {
+      sensorBaselines.forEach(b => {
+        if (b && b.sensorId) {
+          integratedEngine.initializeRuleBasedDetection(b.baselinePressure, b.baselineFlow, b.sensorId);
+        }
+      });
+    }
 
     // Initialize ML detection if requested
     if (useMLDetection) {
@@ -52,20 +68,30 @@ const initializeEngine = asyncHandler(async (req, res) => {
  * Process sensor reading through integrated detection pipeline
  */
 const processIntegratedReading = asyncHandler(async (req, res) => {
-  const { pressure, flow, valve_state = 'OPEN', temperature = 20 } = req.body;
+  const { sensor_id, zone_id, pressure, flow, valve_state = 'OPEN', temperature = 20, timestamp } = req.body;
 
   if (typeof pressure !== 'number' || typeof flow !== 'number') {
     throw new AppError('Pressure and flow must be numeric values', 400);
   }
 
+  const reading = {
+    sensor_id,
+    zone_id,
+    pressure,
+    flow,
+    valve_state,
+    temperature,
+    timestamp
+  };
+
+  // Surface skew/late-data rejections as a client error rather than a processing failure
+  const timing = integratedEngine.classifyReadingTime(reading);
+  if (timing.action === 'drop') {
+    throw new AppError('Reading dropped: ' + timing.reason, 422);
+  }
+
   try {
-    const result = integratedEngine.processReading({
-      pressure,
-      flow,
-      valve_state,
-      temperature,
-      timestamp: Date.now()
-    });
+    const result = integratedEngine.processReading(reading);
 
     if (!result) {
       throw new AppError('Processing failed', 500);
@@ -83,60 +109,118 @@ const processIntegratedReading = asyncHandler(async (req, res) => {
 
 /**
  * GET /api/detection/status
- * Get current system status and health
+ * Get current system status and health (optionally for one sensor via ?sensorId=)
  */
 const getDetectionStatus = asyncHandler(async (req, res) => {
-  const status = integratedEngine.getSystemStatus();
-  const patterns = integratedEngine.analyzeHistoricalPatterns();
+  const { sensorId = null } = req.query;
+  const [status, patterns] = await Promise.all([
+    integratedEngine.loadSystemStatus(sensorId),
+    integratedEngine.loadDetectionPatterns(sensorId)
+  ]);
 
   res.json({
     success: true,
     data: {
       systemStatus: status,
       detectionPatterns: patterns,
-      recentAlertCount: integratedEngine.alerts.length,
+      recentAlertCount: status.statistics.totalAlerts,
       systemHealth: integratedEngine._assessSystemHealth(patterns, status)
     }
   });
 });
 
 /**
- * GET /api/detection/recent
- * Get recent detections with optional filtering
+ * GET /api/detection/sensors
+ * List per-sensor detection pipelines
  */
-const getRecentDetections = asyncHandler(async (req, res) => {
-  const { count = 100, leaksOnly = false } = req.query;
+const getSensorPipelines = asyncHandler(async (req, res) => {
+  const pipelines = integratedEngine.getPipelineSummaries();
+
+  res.json({
+    success: true,
+    data: pipelines,
+    count: pipelines.length
+  });
+});
 
-  let detections = integratedEngine.getRecentDetections(parseInt(count));
+/**
+ * GET /api/detection/sensors/:sensorId
+ * Get status, recent detections and alerts for one sensor pipeline
+ */
+const getSensorPipeline = asyncHandler(async (req, res) => {
+  const { sensorId } = req.params;
+  const { limit } = parsePagination(req.query, 50);
 
-  if (leaksOnly === 'true') {
-    detections = detections.filter(d => d.detection.overallLeakDetected);
+  if (!integratedEngine.pipelines.has(String(sensorId))) {
+    throw new AppError(`No detection pipeline for sensor ${sensorId}`, 404);
   }
 
+  const [status, patterns, detections, alerts] = await Promise.all([
+    integratedEngine.loadSystemStatus(sensorId),
+    integratedEngine.loadDetectionPatterns(sensorId),
+    integratedEngine.loadDetections({ sensorId, limit }),
+    integratedEngine.loadAlerts({ sensorId, limit })
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      systemStatus: status,
+      detectionPatterns: patterns,
+      systemHealth: integratedEngine._assessSystemHealth(patterns, status),
+      recentDetections: detections.items.reverse(),
+      recentAlerts: alerts.items.reverse()
+    }
+  });
+});
+
+/**
+ * GET /api/detection/recent
+ * Get persisted detections, oldest first within the page
+ * Query: limit (or count), offset (pages back in time), leaksOnly, sensorId
+ */
+const getRecentDetections = asyncHandler(async (req, res) => {
+  const { leaksOnly = false, sensorId = null } = req.query;
+  const { limit, offset } = parsePagination(req.query, 100);
+
+  const { items, total } = await integratedEngine.loadDetections({
+    sensorId,
+    leakOnly: leaksOnly === 'true',
+    limit,
+    offset
+  });
+  const detections = items.reverse();
+
   res.json({
     success: true,
     data: detections,
-    count: detections.length
+    count: detections.length,
+    pagination: { total, limit, offset, count: detections.length }
   });
 });
 
 /**
  * GET /api/detection/alerts
- * Get recent alerts
+ * Get persisted alerts, oldest first within the page
+ * Query: limit (or count), offset, severity, sensorId
  */
 const getRecentAlerts = asyncHandler(async (req, res) => {
-  const { count = 50, severity = null } = req.query;
-
-  let alerts = integratedEngine.getRecentAlerts(parseInt(count));
-
-  if (severity) {
-    alerts = alerts.filter(a => a.severity === severity.toUpperCase());
-  }
+  const { severity = null, sensorId = null } = req.query;
+  const { limit, offset } = parsePagination(req.query, 50);
+
+  const { items, total } = await integratedEngine.loadAlerts({
+    sensorId,
+    severity: severity ? severity.toUpperCase() : null,
+    limit,
+    offset
+  });
+  const alerts = items.reverse();
 
   res.json({
     success: true,
     data: alerts,
-    count: alerts.length
+    count: alerts.length,
+    pagination: { total, limit, offset, count: alerts.length }
   });
 });
 
@@ -145,7 +229,7 @@ const getRecentAlerts = asyncHandler(async (req, res) => {
  * Analyze detection patterns
  */
 const getDetectionPatterns = asyncHandler(async (req, res) => {
-  const patterns = integratedEngine.analyzeHistoricalPatterns();
+  const patterns = await integratedEngine.loadDetectionPatterns(req.query.sensorId || null);
 
   if (!patterns) {
     throw new AppError('Insufficient data for pattern analysis', 400);
@@ -162,7 +246,7 @@ const getDetectionPatterns = asyncHandler(async (req, res) => {
  * Get comprehensive system report
  */
 const getComprehensiveReport = asyncHandler(async (req, res) => {
-  const report = integratedEngine.getComprehensiveReport();
+  const report = await integratedEngine.loadComprehensiveReport(req.query.sensorId || null);
 
   res.json({
     success: true,
@@ -172,7 +256,7 @@ const getComprehensiveReport = asyncHandler(async (req, res) => {
 
 /**
  * POST /api/detection/reset
- * Reset the detection engine
+ * Reset the detection engine (persisted detections and alerts are kept)
  */
 const resetDetectionEngine = asyncHandler(async (req, res) => {
   integratedEngine.reset();
@@ -188,7 +272,7 @@ const resetDetectionEngine = asyncHandler(async (req, res) => {
  * Get detailed system information
  */
 const getSystemInfo = asyncHandler(async (req, res) => {
-  const status = integratedEngine.getSystemStatus();
+  const status = await integratedEngine.loadSystemStatus();
 
   res.json({
     success: true,
@@ -301,6 +385,8 @@ module.exports = {
   initializeEngine,
   processIntegratedReading,
   getDetectionStatus,
+  getSensorPipelines,
+  getSensorPipeline,
   getRecentDetections,
   getRecentAlerts,
   getDetectionPatterns,
@@ -1,8 +1,25 @@
-const { dbRun, dbGet, dbAll } = require('../db/database');
+const fs = require('fs');
+const path = require('path');
+const { repositories } = require('../db/repositories');
 const { AppError, asyncHandler } = require('../middleware/errorHandler');
-const { generateId, getCurrentTimestamp, formatSensorData } = require('../utils/helpers');
+const { generateId, getCurrentTimestamp, formatSensorData, parsePagination } = require('../utils/helpers');
+const { integratedEngine } = require('../utils/integratedEngine');
+const { modelRegistry } = require('../utils/modelRegistry');
 const { model } = require('../utils/mlModel');
 
+// `engine` scores with the integrated engine (rules + ML); `heuristic` is the legacy
+// formula in utils/mlModel, only used when asked for explicitly
+const SCORING_MODES = ['engine', 'heuristic'];
+
+// Readings replayed before the newest one so the engine's rolling windows are warm
+const WARMUP_READINGS = 120;
+
+const LEGACY_MODEL_FILE = path.join(__dirname, '..', 'models', 'custom_trained_model.json');
+
+// Engine scores from the last predictions request, reused while the readings and the
+// models and rules scoring them are unchanged (the dashboard polls every few seconds)
+let predictionCache = null;
+
 // Global valve state
 let valveState = {
   state: 'CLOSED',
@@ -10,60 +27,198 @@ let valveState = {
   lastAction: null
 };
 
+const parseMode = (value) => {
+  const mode = value || 'engine';
+  if (!SCORING_MODES.includes(mode)) {
+    throw new AppError(`mode must be one of: ${SCORING_MODES.join(', ')}`, 400);
+  }
+  return mode;
+};
+
+const requireEngine = () => {
+  const { ruleBasedReady, mlModelReady } = integratedEngine.systemStatus;
+  if (!ruleBasedReady && !mlModelReady) {
+    throw new AppError('Detection engine is not initialized (POST /api/detection/initialize); use ?mode=heuristic for the legacy estimate', 503);
+  }
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Score from an integrated engine result: probability in percent, severity and the model version that scored it
+ */
+const engineScore = (result) => {
+  if (!result) {
+    return { leakProbability: null, riskLevel: null, leakDetected: false, modelVersion: null };
+  }
+  return {
+    leakProbability: round2(result.detection.overallProbability),
+    riskLevel: result.detection.severityLevel,
+    leakDetected: result.detection.overallLeakDetected,
+    modelVersion: result.modelVersion
+  };
+};
+
+/**
+ * Engine scores for stored readings; the replay only runs again when a reading,
+ * a sensor's scoring model or the rule set has changed since the last call
+ */
+const engineScores = (readings) => {
+  const sensorIds = [...new Set(readings.map(reading => reading.sensor_id || null))];
+  const models = sensorIds.map(sensorId => {
+    const scoring = integratedEngine.getScoringModel(sensorId);
+    return `${sensorId}:${scoring ? `${scoring.id}@${scoring.version}` : '-'}`;
+  });
+  const { ruleBasedReady, mlModelReady } = integratedEngine.systemStatus;
+  const key = [readings.map(reading => reading.id).join(','), models.join(','), ruleBasedReady, mlModelReady].join('|');
+
+  if (predictionCache && predictionCache.key === key && predictionCache.rules === integratedEngine.detectionRules) {
+    return predictionCache.scores;
+  }
+
+  const scores = integratedEngine.evaluateReadings(readings).map(engineScore);
+  predictionCache = { key, rules: integratedEngine.detectionRules, scores };
+  return scores;
+};
+
+/**
+ * Score from the legacy formula (leakDetected is the sensor's own leak flag)
+ */
+const heuristicScore = (reading) => {
+  const probability = model.predictLeak(reading.pressure, reading.flow, reading.valve_state);
+
+  let riskLevel = 'LOW';
+  if (probability > 0.7) {
+    riskLevel = 'CRITICAL';
+  } else if (probability > 0.5) {
+    riskLevel = 'HIGH';
+  } else if (probability > 0.3) {
+    riskLevel = 'MEDIUM';
+  }
+
+  return {
+    leakProbability: round2(probability * 100),
+    riskLevel,
+    leakDetected: reading.leak_status === 1,
+    modelVersion: model.modelVersion
+  };
+};
+
+/**
+ * What scored the readings: the engine's registry model for a sensor, or the heuristic
+ */
+const modelInfoFor = (mode, sensorId = null) => {
+  if (mode === 'heuristic') {
+    return { mode, ...model.getModelInfo() };
+  }
+  const scoring = integratedEngine.getScoringModel(sensorId);
+  return {
+    mode,
+    id: scoring ? scoring.id : null,
+    version: scoring ? scoring.version : null,
+    modelType: scoring ? scoring.modelType : null,
+    ruleBasedReady: integratedEngine.systemStatus.ruleBasedReady,
+    mlModelReady: integratedEngine.systemStatus.mlModelReady
+  };
+};
+
+/**
+ * Metrics of the production model, or of the model saved by backend/scripts/trainModel.js when none is registered
+ */
+const loadModelSummary = async () => {
+  const production = await modelRegistry.getProduction();
+  if (production) {
+    const metrics = production.metrics || {};
+    return {
+      algorithm: production.modelType,
+      version: production.version,
+      trainingSamples: production.sampleCount || 0,
+      accuracy: metrics.accuracy || 0,
+      precision: metrics.precision || 0,
+      recall: metrics.recall || 0,
+      f1Score: metrics.f1Score || 0,
+      confusionMatrix: metrics.confusionMatrix || {}
+    };
+  }
+
+  try {
+    if (fs.existsSync(LEGACY_MODEL_FILE)) {
+      const parsed = JSON.parse(fs.readFileSync(LEGACY_MODEL_FILE, 'utf8'));
+      const m = parsed.metrics || {};
+      const cm = m.confusionMatrix || {};
+      const total = (cm.truePositives || 0) + (cm.falsePositives || 0) + (cm.trueNegatives || 0) + (cm.falseNegatives || 0);
+      return {
+        algorithm: parsed.algorithm || 'Isolation Forest',
+        version: null,
+        trainingSamples: parsed.trainingSamples || total || parsed.sampleSize || 0,
+        accuracy: m.accuracy || 0,
+        precision: m.precision || 0,
+        recall: m.recall || 0,
+        f1Score: m.f1Score || 0,
+        confusionMatrix: cm
+      };
+    }
+  } catch (err) {
+    console.warn('Could not read model summary:', err.message || err);
+  }
+  return null;
+};
+
 /**
  * GET /api/leak-detection
- * Get current leak detection status and predictions
+ * Leak status of the newest stored reading, scored by the integrated engine
+ * (query: mode=engine|heuristic)
  */
 const getLeakDetectionStatus = asyncHandler(async (req, res) => {
+  const mode = parseMode(req.query.mode);
+  if (mode === 'engine') requireEngine();
+
   try {
     // Get the most recent sensor reading
-    const latestReading = await dbGet(
-      'SELECT * FROM sensor_data ORDER BY timestamp DESC LIMIT 1'
-    );
+    const latestReading = await repositories.sensorData.latest();
 
     if (!latestReading) {
       throw new AppError('No sensor data available', 404);
     }
 
-    // Use ML model to predict leak probability
-    const leakProbability = model.predictLeak(
-      latestReading.pressure,
-      latestReading.flow,
-      latestReading.valve_state
-    );
-
-    // Determine risk level based on probability
-    let riskLevel = 'LOW';
-    if (leakProbability > 0.7) {
-      riskLevel = 'CRITICAL';
-    } else if (leakProbability > 0.5) {
-      riskLevel = 'HIGH';
-    } else if (leakProbability > 0.3) {
-      riskLevel = 'MEDIUM';
+    let score;
+    let detection = null;
+    if (mode === 'engine') {
+      // Replay the sensor's preceding readings so rate-of-change and rule windows match live scoring
+      const window = await repositories.sensorData.find({
+        sensorIds: latestReading.sensor_id ? [latestReading.sensor_id] : [],
+        endTime: latestReading.timestamp,
+        limit: WARMUP_READINGS
+      });
+      const results = integratedEngine.evaluateReadings(window);
+      const result = results[window.findIndex(reading => reading.id === latestReading.id)] || null;
+      score = engineScore(result);
+      detection = result ? result.detection : null;
+    } else {
+      score = heuristicScore(latestReading);
     }
 
     // Auto-close valve if risk is critical
-    if (riskLevel === 'CRITICAL' && valveState.state !== 'CLOSED') {
+    if (score.riskLevel === 'CRITICAL' && valveState.state !== 'CLOSED') {
       await controlValve('CLOSE', 'Automatic closure - Critical leak detected');
     }
 
     // Get recent leak events
-    const recentLeaks = await dbAll(
-      'SELECT * FROM sensor_data WHERE leak_status = 1 ORDER BY timestamp DESC LIMIT 10'
-    );
+    const recentLeaks = await repositories.sensorData.find({ leakOnly: true, limit: 10 });
 
     res.json({
       success: true,
       data: {
+        mode,
         currentStatus: {
-          leakDetected: latestReading.leak_status === 1,
-          leakProbability: Math.round(leakProbability * 10000) / 100 + '%',
-          riskLevel,
+          ...score,
+          sensorId: latestReading.sensor_id || null,
           timestamp: latestReading.timestamp
         },
+        detection,
         sensorReadings: formatSensorData(latestReading),
         valveState: valveState.state,
-        modelInfo: model.getModelInfo(),
+        modelInfo: modelInfoFor(mode, latestReading.sensor_id),
         recentLeakEvents: recentLeaks.map(formatSensorData)
       }
     });
@@ -77,62 +232,39 @@ const getLeakDetectionStatus = asyncHandler(async (req, res) => {
 
 /**
  * GET /api/leak-detection/predictions
- * Get leak predictions for historical data
+ * Stored readings scored by the integrated engine, oldest first
+ * (query: limit, mode=engine|heuristic)
  */
 const getLeakPredictions = asyncHandler(async (req, res) => {
-  const { limit = 100 } = req.query;
+  const mode = parseMode(req.query.mode);
+  if (mode === 'engine') requireEngine();
+  const { limit } = parsePagination(req.query, 100, 1000);
 
   try {
-    const recentReadings = await dbAll(
-      'SELECT * FROM sensor_data ORDER BY timestamp DESC LIMIT ?',
-      [parseInt(limit)]
-    );
+    const recentReadings = await repositories.sensorData.find({ limit });
+    const scores = mode === 'engine'
+      ? engineScores(recentReadings)
+      : recentReadings.map(heuristicScore);
 
-    const predictions = recentReadings.map(reading => ({
+    const predictions = recentReadings.map((reading, index) => ({
       id: reading.id,
+      sensorId: reading.sensor_id || null,
       timestamp: reading.timestamp,
       pressure: reading.pressure,
       flow: reading.flow,
-      leakProbability: Math.round(
-        model.predictLeak(reading.pressure, reading.flow, reading.valve_state) * 10000
-      ) / 100 + '%',
+      ...scores[index],
       actualLeakStatus: reading.leak_status === 1,
       valve_state: reading.valve_state
     }));
 
-    // Try to load trained model metrics if available
-    const fs = require('fs');
-    const path = require('path');
-    const modelFile = path.join(__dirname, '..', 'models', 'custom_trained_model.json');
-    let modelSummary = null;
-    try {
-      if (fs.existsSync(modelFile)) {
-        const raw = fs.readFileSync(modelFile, 'utf8');
-        const parsed = JSON.parse(raw);
-        const m = parsed.metrics || {};
-        const cm = m.confusionMatrix || {};
-        const total = (cm.truePositives || 0) + (cm.falsePositives || 0) + (cm.trueNegatives || 0) + (cm.falseNegatives || 0);
-        modelSummary = {
-          algorithm: parsed.algorithm || 'Isolation Forest',
-          trainingSamples: parsed.trainingSamples || total || parsed.sampleSize || 0,
-          accuracy: m.accuracy || 0,
-          precision: m.precision || 0,
-          recall: m.recall || 0,
-          f1Score: m.f1Score || 0,
-          confusionMatrix: cm
-        };
-      }
-    } catch (err) {
-      console.warn('Could not read model summary:', err.message || err);
-    }
-
     res.json({
       success: true,
       data: {
+        mode,
         detections: predictions.reverse(), // Oldest first for chronological view
-        modelSummary
+        modelSummary: await loadModelSummary()
       },
-      modelVersion: model.modelVersion
+      modelVersion: modelInfoFor(mode).version
     });
   } catch (error) {
     throw new AppError('Failed to get leak predictions', 500);
@@ -158,11 +290,13 @@ const controlValve = async (operation, reason = null) => {
   const timestamp = getCurrentTimestamp();
 
   try {
-    await dbRun(
-      `INSERT INTO valve_control_logs (id, operation, timestamp, reason, status) 
-       VALUES (?, ?, ?, ?, ?)`,
-      [id, operation, timestamp, reason || 'Manual control', 'SUCCESS']
-    );
+    await repositories.valveLogs.insert({
+      id,
+      operation,
+      timestamp,
+      reason: reason || 'Manual control',
+      status: 'SUCCESS'
+    });
   } catch (error) {
     console.error('Failed to log valve control action:', error);
   }
@@ -205,9 +339,7 @@ const controlValveEndpoint = asyncHandler(async (req, res) => {
  */
 const getValveStatus = asyncHandler(async (req, res) => {
   try {
-    const recentActions = await dbAll(
-      'SELECT * FROM valve_control_logs ORDER BY timestamp DESC LIMIT 5'
-    );
+    const recentActions = await repositories.valveLogs.list({ limit: 5 });
 
     res.json({
       success: true,
@@ -236,10 +368,7 @@ const getValveHistory = asyncHandler(async (req, res) => {
   const { limit = 50 } = req.query;
 
   try {
-    const history = await dbAll(
-      'SELECT * FROM valve_control_logs ORDER BY timestamp DESC LIMIT ?',
-      [parseInt(limit)]
-    );
+    const history = await repositories.valveLogs.list({ limit: parseInt(limit) });
 
       // Normalize records to the shape the frontend expects (action, timestamp, status, success, details)
       const normalized = history.map(record => ({
@@ -1,116 +1,230 @@
-const fs = require('fs');
-const path = require('path');
-const { dbRun, dbGet, dbAll } = require('../db/database');
+const { repositories } = require('../db/repositories');
 const { AppError, asyncHandler } = require('../middleware/errorHandler');
-const { generateId, getCurrentTimestamp } = require('../utils/helpers');
-const { model } = require('../utils/mlModel');
 const DataPreparationService = require('../backend/scripts/prepareTrainingData');
-const { mlDetector } = require('../utils/mlAnomalyDetector');
+const { integratedEngine } = require('../utils/integratedEngine');
+const { trainingJobs } = require('../utils/trainingJobs');
+const { splitDataset } = require('../utils/modelEvaluation');
+const { loadTrainingData } = require('../utils/trainingData');
+
+/**
+ * Stratified train/validation/test split of prepared samples (400 on a bad split)
+ */
+const splitTrainingData = (samples, split) => {
+  let sets;
+  try {
+    sets = splitDataset(samples, split);
+  } catch (error) {
+    throw new AppError(error.message, 400);
+  }
+  if (sets.train.length === 0) {
+    throw new AppError('No usable samples in the training split', 400);
+  }
+  return sets;
+};
 
 /**
  * POST /api/train-model
- * Trigger AI model training using historical sensor data
+ * Start model training as a background job (202 with the job ID)
+ * Body: { source: 'db'|'prepared'|'combined', promote, algorithm (default 'isolation-forest'),
+ *   hyperparameters (for the algorithm, e.g. { numTrees, sampleSize, maxDepth }), compareAlgorithms (true or a list),
+ *   trainingSplit: { train, validate, test } (percent, default 70/20/10), crossValidation: { folds } }
+ * The model trains on the training split and is evaluated on the held-out sets (ROC/PR
+ * curves, per-source metrics); crossValidation adds stratified k-fold results and
+ * compareAlgorithms the same metrics for other algorithms trained on the same split.
+ * Progress is pushed on the `training` WebSocket channel; the finished model is
+ * registered as a candidate and only goes live when promoted (here with
+ * { promote: true }, or later via POST /api/models/:id/promote)
  */
 const trainModel = asyncHandler(async (req, res) => {
-  // Check if model is already training
-  if (model.isTraining) {
+  if (trainingJobs.isBusy()) {
     throw new AppError('Model is already being trained. Please wait for training to complete.', 409);
   }
 
+  const body = req.body || {};
+  const source = body.source || 'db';
+
+  let trainingData;
   try {
-    // Optional body parameter to select data source
-    // { source: 'db'|'prepared'|'combined' }
-    const source = req.body && req.body.source ? req.body.source : 'db';
-
-    let trainingData = [];
-
-    if (source === 'prepared' || source === 'combined') {
-      // Prepare data from backend/training_data and load processed JSON
-      const prep = new DataPreparationService();
-      await prep.prepareAllData();
-      const dataPath = path.join(__dirname, '../backend/training_data/processed/combined_training_data.json');
-      if (!fs.existsSync(dataPath)) {
-        throw new AppError('Prepared data not found after running preparation step', 500);
-      }
-      trainingData = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
-    }
+    trainingData = await loadTrainingData(source, repositories.sensorData);
+  } catch (error) {
+    console.error('[ML CONTROLLER] trainModel error:', error.message || error);
+    throw new AppError(error.message || 'Failed to load training data', 500);
+  }
 
-    if (source === 'db' || trainingData.length === 0) {
-      // Fallback to using recent sensor_data from DB
-      const dbData = await dbAll(
-        'SELECT * FROM sensor_data ORDER BY timestamp DESC LIMIT 5000'
-      );
-      if (dbData && dbData.length > 0) {
-        // Map DB rows to feature objects expected by mlDetector
-        trainingData = dbData.map(row => ({
-          pressure: row.pressure,
-          flow: row.flow,
-          pressure_rate_of_change: row.pressure_rate_of_change,
-          flow_rate_of_change: row.flow_rate_of_change,
-          pressure_ma_30s: row.pressure_ma_30s,
-          flow_ma_30s: row.flow_ma_30s,
-          pressure_stddev_60s: row.pressure_stddev_60s,
-          flow_stddev_60s: row.flow_stddev_60s,
-          pressure_flow_ratio: row.pressure_flow_ratio,
-          hour_of_day: row.hour_of_day || new Date(row.timestamp).getHours(),
-          is_weekend: row.is_weekend || 0,
-          label: row.label || 'normal'
-        }));
-      }
-    }
+  if (!trainingData || trainingData.length === 0) {
+    throw new AppError('No training data available for training', 400);
+  }
 
-    if (!trainingData || trainingData.length === 0) {
-      throw new AppError('No training data available for training', 400);
-    }
+  const sets = splitTrainingData(trainingData, body.trainingSplit);
 
-    // Use the ML Anomaly Detector for training (Isolation Forest)
-    const trainResult = mlDetector.train(trainingData);
+  let job;
+  try {
+    job = trainingJobs.start({
+      trainingData: sets.train,
+      evaluationSets: { validation: sets.validation, test: sets.test },
+      dataset: {
+        type: source,
+        rows: trainingData.length,
+        split: { train: sets.train.length, validation: sets.validation.length, test: sets.test.length }
+      },
+      source,
+      promote: body.promote === true,
+      algorithm: body.algorithm,
+      hyperparameters: body.hyperparameters,
+      compareAlgorithms: body.compareAlgorithms,
+      crossValidation: body.crossValidation
+    });
+  } catch (error) {
+    throw new AppError(error.message, trainingJobs.isBusy() ? 409 : 400);
+  }
 
-    if (!trainResult || !trainResult.success) {
-      throw new AppError('ML detector training failed', 500);
-    }
+  res.status(202).json({
+    success: true,
+    data: { jobId: job.id, job },
+    message: `Training job ${job.id} started on ${job.sampleCount} samples`
+  });
+});
 
-    // Save trained model to disk
-    mlDetector.saveModel(`custom_trained_model_${getCurrentTimestamp()}.json`);
+/**
+ * Parse a JSON form field (multipart fields arrive as strings)
+ */
+const parseFormJson = (value, name) => {
+  if (typeof value === 'undefined' || value === '') return {};
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new AppError(`${name} must be a JSON object`, 400);
+  }
+};
 
-    // Log training event
-    const id = generateId();
-    const timestamp = getCurrentTimestamp();
+/**
+ * compareAlgorithms form field: 'true', a JSON array or a comma-separated list
+ */
+const parseComparisonField = (value) => {
+  if (typeof value === 'undefined' || value === '' || value === 'false') return undefined;
+  if (value === true || value === 'true') return true;
+  if (Array.isArray(value)) return value;
+  if (String(value).trim().startsWith('[')) return parseFormJson(value, 'compareAlgorithms');
+  return String(value).split(',').map(type => type.trim()).filter(Boolean);
+};
 
-    await dbRun(
-      `INSERT INTO model_training_logs (id, training_date, accuracy, model_version, status) 
-       VALUES (?, ?, ?, ?, ?)`,
-      [id, timestamp, mlDetector.getModelInfo().metrics ? mlDetector.getModelInfo().metrics.accuracy : null, 'anomaly-detector-v1', 'COMPLETED']
-    );
+/**
+ * POST /api/admin/train-model
+ * Train on an uploaded CSV/JSON dataset (multipart field `file`) as a background job
+ * Fields: trainingSplit { train, validate, test } (percent), algorithm, hyperparameters (for the algorithm),
+ *   compareAlgorithms (true or a list), crossValidation { folds }, promote
+ * The rows are mapped through DataPreparationService and split stratified by label; the model
+ * trains on the training split and its metrics come from the held-out test set (validation alongside)
+ */
+const trainFromUpload = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    throw new AppError('No dataset uploaded (multipart field "file")', 400);
+  }
+  if (trainingJobs.isBusy()) {
+    throw new AppError('Model is already being trained. Please wait for training to complete.', 409);
+  }
 
-    res.status(200).json({
-      success: true,
-      data: {
-        modelInfo: mlDetector.getModelInfo(),
-        trainResult
+  const body = req.body || {};
+  const split = parseFormJson(body.trainingSplit, 'trainingSplit');
+  const hyperparameters = parseFormJson(body.hyperparameters, 'hyperparameters');
+  const crossValidation = body.crossValidation ? parseFormJson(body.crossValidation, 'crossValidation') : undefined;
+  const compareAlgorithms = parseComparisonField(body.compareAlgorithms);
+
+  const prep = new DataPreparationService();
+  let prepared;
+  try {
+    const rows = await prep.parseUpload(req.file.buffer, req.file.originalname);
+    prepared = prep.prepareUpload(rows);
+  } catch (error) {
+    throw new AppError(`Could not read dataset: ${error.message}`, 400);
+  }
+
+  const sets = splitTrainingData(prepared.samples, split);
+
+  let job;
+  try {
+    job = trainingJobs.start({
+      trainingData: sets.train,
+      evaluationSets: { validation: sets.validation, test: sets.test },
+      dataset: {
+        filename: req.file.originalname,
+        type: prepared.datasetType,
+        rows: prepared.samples.length + prepared.skipped,
+        skipped: prepared.skipped,
+        split: { train: sets.train.length, validation: sets.validation.length, test: sets.test.length }
       },
-      message: 'Model training completed successfully (mlDetector)'
+      source: 'upload',
+      notes: `Uploaded dataset ${req.file.originalname}`,
+      promote: body.promote === true || body.promote === 'true',
+      algorithm: body.algorithm || undefined,
+      hyperparameters,
+      compareAlgorithms,
+      crossValidation
     });
   } catch (error) {
-    console.error('[ML CONTROLLER] trainModel error:', error.message || error);
-    if (error instanceof AppError) {
-      throw error;
-    }
-    throw new AppError('Model training failed', 500);
+    throw new AppError(error.message, trainingJobs.isBusy() ? 409 : 400);
   }
+
+  res.status(202).json({
+    success: true,
+    data: { jobId: job.id, job },
+    message: `Training job ${job.id} started on ${sets.train.length} samples (${sets.validation.length} validation, ${sets.test.length} test)`
+  });
 });
 
 /**
  * GET /api/train-model/status
- * Get current model training status
+ * Current training job (if any), the latest job and the production model
  */
 const getTrainingStatus = asyncHandler(async (req, res) => {
+  const [latestJob = null] = trainingJobs.list();
+
   res.json({
     success: true,
-    data: model.getModelInfo()
+    data: {
+      isTraining: trainingJobs.isBusy(),
+      currentJob: trainingJobs.current(),
+      latestJob,
+      activeModel: integratedEngine.activeModel
+    }
   });
 });
 
+/**
+ * GET /api/train-model/jobs
+ * Recent training jobs, newest first
+ */
+const listTrainingJobs = asyncHandler(async (req, res) => {
+  const jobs = trainingJobs.list();
+  res.json({ success: true, data: jobs, count: jobs.length });
+});
+
+/**
+ * GET /api/train-model/jobs/:id
+ */
+const getTrainingJob = asyncHandler(async (req, res) => {
+  const job = trainingJobs.get(req.params.id);
+  if (!job) throw new AppError('Training job not found', 404);
+
+  res.json({ success: true, data: job });
+});
+
+/**
+ * POST /api/train-model/jobs/:id/cancel
+ */
+const cancelTrainingJob = asyncHandler(async (req, res) => {
+  let job;
+  try {
+    job = trainingJobs.cancel(req.params.id);
+  } catch (error) {
+    throw new AppError(error.message, 409);
+  }
+  if (!job) throw new AppError('Training job not found', 404);
+
+  res.json({ success: true, data: job, message: `Training job ${job.id} cancelled` });
+});
+
 /**
  * GET /api/train-model/history
  * Get model training history
@@ -119,10 +233,7 @@ const getTrainingHistory = asyncHandler(async (req, res) => {
   const { limit = 10 } = req.query;
 
   try {
-    const history = await dbAll(
-      'SELECT * FROM model_training_logs ORDER BY training_date DESC LIMIT ?',
-      [parseInt(limit)]
-    );
+    const history = await repositories.trainingLogs.list({ limit: parseInt(limit) });
 
     res.json({
       success: true,
@@ -143,5 +254,9 @@ const getTrainingHistory = asyncHandler(async (req, res) => {
 module.exports = {
   trainModel,
   getTrainingStatus,
-  getTrainingHistory
+  getTrainingHistory,
+  listTrainingJobs,
+  getTrainingJob,
+  cancelTrainingJob,
+  trainFromUpload
 };
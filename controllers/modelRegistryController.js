@@ -0,0 +1,160 @@
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const { modelRegistry } = require('../utils/modelRegistry');
+const { MODEL_STATUSES } = require('../db/repositories/modelRecords');
+const { DETECTOR_TYPES } = require('../utils/mlAnomalyDetector');
+const { parsePagination } = require('../utils/helpers');
+
+/**
+ * GET /api/models
+ * Registered models, newest version first
+ * Query: status (candidate|production|archived), modelType (algorithm), limit, offset
+ */
+const listModels = asyncHandler(async (req, res) => {
+  const { status, modelType } = req.query;
+  if (status && !MODEL_STATUSES.includes(status)) {
+    throw new AppError(`status must be one of: ${MODEL_STATUSES.join(', ')}`, 400);
+  }
+  if (modelType && !DETECTOR_TYPES.includes(modelType)) {
+    throw new AppError(`modelType must be one of: ${DETECTOR_TYPES.join(', ')}`, 400);
+  }
+
+  const { limit, offset } = parsePagination(req.query, 50);
+  const { items, total } = await modelRegistry.list({ status: status || null, modelType: modelType || null, limit, offset });
+
+  res.json({
+    success: true,
+    data: items,
+    pagination: { total, limit, offset, count: items.length }
+  });
+});
+
+/**
+ * GET /api/models/active
+ * Production model, the model the engine is currently scoring with and per-sensor models
+ */
+const getActiveModel = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      production: await modelRegistry.getProduction(),
+      engine: modelRegistry.engine.activeModel,
+      sensors: modelRegistry.engine.getSensorModels()
+    }
+  });
+});
+
+/**
+ * GET /api/models/compare?ids=a,b[,c]
+ * Metrics side by side, with deltas against the first model
+ */
+const compareModels = asyncHandler(async (req, res) => {
+  const ids = String(req.query.ids || '').split(',').map(id => id.trim()).filter(Boolean);
+  if (ids.length < 2) {
+    throw new AppError('Provide at least two model IDs: ?ids=<id>,<id>', 400);
+  }
+
+  const comparison = await modelRegistry.compare(ids);
+  if (!comparison) {
+    throw new AppError('One or more models not found', 404);
+  }
+
+  res.json({ success: true, data: comparison });
+});
+
+/**
+ * GET /api/models/:id
+ */
+const getModel = asyncHandler(async (req, res) => {
+  const model = await modelRegistry.get(req.params.id);
+  if (!model) {
+    throw new AppError('Model not found', 404);
+  }
+
+  res.json({ success: true, data: model });
+});
+
+/**
+ * GET /api/models/:id/evaluation (and /api/models/active/evaluation for the production model)
+ * Full evaluation report: held-out metrics, ROC/PR curves, per-source breakdown,
+ * validation and cross-validation results
+ */
+const getModelEvaluation = asyncHandler(async (req, res) => {
+  const model = req.params.id
+    ? await modelRegistry.get(req.params.id)
+    : await modelRegistry.getProduction();
+  if (!model) {
+    throw new AppError(req.params.id ? 'Model not found' : 'No production model', 404);
+  }
+  if (!model.evaluation) {
+    throw new AppError(`Model v${model.version} has no evaluation report (no labeled samples)`, 404);
+  }
+
+  res.json({
+    success: true,
+    data: {
+      modelId: model.id,
+      version: model.version,
+      modelType: model.modelType,
+      status: model.status,
+      evaluation: model.evaluation
+    }
+  });
+});
+
+/**
+ * POST /api/models/:id/promote
+ * Make a model live (the engine switches over immediately)
+ * Body: { notes }
+ */
+const promoteModel = asyncHandler(async (req, res) => {
+  let result;
+  try {
+    result = await modelRegistry.promote(req.params.id, { notes: req.body && req.body.notes });
+  } catch (error) {
+    throw new AppError(`Promotion failed: ${error.message}`, 409);
+  }
+  if (!result) {
+    throw new AppError('Model not found', 404);
+  }
+
+  res.json({
+    success: true,
+    data: result,
+    message: `Model v${result.model.version} promoted to production`
+  });
+});
+
+/**
+ * POST /api/models/rollback
+ * Re-promote the previous production model
+ * Body: { to } optional ID of a previously promoted model, { notes }
+ */
+const rollbackModel = asyncHandler(async (req, res) => {
+  const { to = null, notes } = req.body || {};
+
+  let result;
+  try {
+    result = await modelRegistry.rollback({ to, notes });
+  } catch (error) {
+    throw new AppError(`Rollback failed: ${error.message}`, 409);
+  }
+  if (!result) {
+    throw new AppError('Model not found', 404);
+  }
+
+  res.json({
+    success: true,
+    data: result,
+    message: `Rolled back to model v${result.model.version}`
+  });
+});
+
+module.exports = {
+  listModels,
+  getActiveModel,
+  compareModels,
+  getModel,
+  getModelEvaluation,
+  promoteModel,
+  rollbackModel
+};
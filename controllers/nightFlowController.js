@@ -0,0 +1,62 @@
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const { nightFlowMonitor, MAX_DAYS } = require('../utils/nightFlow');
+const { parseTimestamp } = require('../utils/helpers');
+
+/**
+ * GET /api/night-flow
+ * Minimum night flow per night with its rolling baseline, per sensor or for one zone
+ * (query: sensorId or zone, days, endTime)
+ */
+const getNightFlow = asyncHandler(async (req, res) => {
+  const { sensorId, zone } = req.query;
+  if (sensorId && zone) {
+    throw new AppError('Pass either sensorId or zone, not both', 400);
+  }
+
+  const days = req.query.days ? parseInt(req.query.days, 10) : undefined;
+  if (typeof days !== 'undefined' && !(days >= 1 && days <= MAX_DAYS)) {
+    throw new AppError(`days must be between 1 and ${MAX_DAYS}`, 400);
+  }
+
+  const endTime = req.query.endTime ? parseTimestamp(req.query.endTime) : undefined;
+  if (req.query.endTime && !endTime) {
+    throw new AppError('endTime must be epoch milliseconds or an ISO date', 400);
+  }
+
+  let data;
+  try {
+    data = await nightFlowMonitor.analyze({ sensorId: sensorId || null, zone: zone || null, days, endTime });
+  } catch (error) {
+    if (error.message && error.message.startsWith('No sensors in zone')) {
+      throw new AppError(error.message, 404);
+    }
+    throw error;
+  }
+
+  res.json({ success: true, data, count: data.series.length });
+});
+
+/**
+ * GET /api/night-flow/status
+ * Night window, thresholds, background schedule, open probable leaks and the newest check
+ */
+const getNightFlowStatus = asyncHandler(async (req, res) => {
+  res.json({ success: true, data: nightFlowMonitor.status() });
+});
+
+/**
+ * POST /api/night-flow/check
+ * Analyze every sensor and zone now; raises a background_leak system alert when a probable leak starts
+ */
+const checkNightFlow = asyncHandler(async (req, res) => {
+  const result = await nightFlowMonitor.check();
+  const leaks = result.series.filter(series => series.status === 'probable-leak').length;
+
+  res.json({ success: true, data: result, message: `${leaks} of ${result.series.length} series show a probable background leak` });
+});
+
+module.exports = {
+  getNightFlow,
+  getNightFlowStatus,
+  checkNightFlow
+};
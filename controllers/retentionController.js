@@ -0,0 +1,60 @@
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const { retentionManager } = require('../utils/retentionManager');
+
+/**
+ * GET /api/admin/retention
+ * Retention configuration, rollup watermark and last job run
+ */
+const getRetentionStatus = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: retentionManager.getStatus()
+  });
+});
+
+/**
+ * PUT /api/admin/retention
+ * Update retention periods (days, 0 = keep forever), job interval or enable/disable the job
+ */
+const updateRetention = asyncHandler(async (req, res) => {
+  let config;
+  try {
+    config = retentionManager.configure(req.body || {});
+  } catch (error) {
+    throw new AppError(`Validation failed: ${error.message}`, 400);
+  }
+
+  res.json({
+    success: true,
+    data: config,
+    message: 'Retention configuration updated'
+  });
+});
+
+/**
+ * POST /api/admin/retention/run
+ * Run the rollup + prune job now
+ */
+const runRetention = asyncHandler(async (req, res) => {
+  if (retentionManager.running) {
+    throw new AppError('Retention job is already running', 409);
+  }
+
+  try {
+    const summary = await retentionManager.runOnce();
+
+    res.json({
+      success: true,
+      data: summary,
+      message: 'Retention job completed'
+    });
+  } catch (error) {
+    throw new AppError('Retention job failed: ' + error.message, 500);
+  }
+});
+
+module.exports = {
+  getRetentionStatus,
+  updateRetention,
+  runRetention
+};
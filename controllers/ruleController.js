@@ -0,0 +1,169 @@
+const { repositories } = require('../db/repositories');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const { parsePagination, parseTimestamp } = require('../utils/helpers');
+const { validateRule } = require('../utils/detectionRules');
+const { ruleRegistry } = require('../utils/ruleRegistry');
+
+// Readings one rule test may replay
+const MAX_TEST_READINGS = 10000;
+
+const assertValid = (definition, options) => {
+  const validation = validateRule(definition, options);
+  if (!validation.isValid) {
+    throw new AppError(`Validation failed: ${validation.errors.join(', ')}`, 400);
+  }
+};
+
+const findRule = async (id) => {
+  const rule = await ruleRegistry.get(id);
+  if (!rule) {
+    throw new AppError(`Rule ${id} not found`, 404);
+  }
+  return rule;
+};
+
+/**
+ * GET /api/rules
+ * All detection rules, enabled or not, in evaluation order
+ */
+const listRules = asyncHandler(async (req, res) => {
+  const rules = await ruleRegistry.list();
+
+  res.json({ success: true, data: rules, count: rules.length });
+});
+
+/**
+ * GET /api/rules/:id
+ */
+const getRule = asyncHandler(async (req, res) => {
+  res.json({ success: true, data: await findRule(req.params.id) });
+});
+
+/**
+ * POST /api/rules
+ * Add a rule; it is evaluated on the next reading of every sensor it applies to
+ * Body: id, description, severity, probability, when, for, sensorIds, enabled
+ */
+const createRule = asyncHandler(async (req, res) => {
+  assertValid(req.body);
+
+  if (await ruleRegistry.get(req.body.id)) {
+    throw new AppError(`Rule ${req.body.id} already exists`, 409);
+  }
+
+  const rule = await ruleRegistry.create(req.body);
+
+  res.status(201).json({ success: true, data: rule, message: `Rule ${rule.id} created` });
+});
+
+/**
+ * PUT /api/rules/:id
+ * Change any of description, severity, probability, when, for, sensorIds, enabled
+ */
+const updateRule = asyncHandler(async (req, res) => {
+  const { id, builtIn, createdAt, updatedAt, ...changes } = req.body;
+  if (Object.keys(changes).length === 0) {
+    throw new AppError('No updatable fields provided', 400);
+  }
+  assertValid(changes, { partial: true });
+
+  const rule = await ruleRegistry.update(req.params.id, changes);
+  if (!rule) {
+    throw new AppError(`Rule ${req.params.id} not found`, 404);
+  }
+
+  res.json({ success: true, data: rule, message: `Rule ${rule.id} updated` });
+});
+
+/**
+ * DELETE /api/rules/:id
+ * Remove a custom rule (built-in rules can only be disabled)
+ */
+const deleteRule = asyncHandler(async (req, res) => {
+  const existing = await findRule(req.params.id);
+  if (existing.builtIn) {
+    throw new AppError(`Rule ${existing.id} is built in; disable it instead`, 409);
+  }
+
+  await ruleRegistry.remove(existing.id);
+
+  res.json({ success: true, message: `Rule ${existing.id} removed` });
+});
+
+const setEnabled = (enabled) => asyncHandler(async (req, res) => {
+  const rule = await ruleRegistry.setEnabled(req.params.id, enabled);
+  if (!rule) {
+    throw new AppError(`Rule ${req.params.id} not found`, 404);
+  }
+
+  res.json({ success: true, data: rule, message: `Rule ${rule.id} ${enabled ? 'enabled' : 'disabled'}` });
+});
+
+/**
+ * POST /api/rules/:id/enable, POST /api/rules/:id/disable
+ */
+const enableRule = setEnabled(true);
+const disableRule = setEnabled(false);
+
+/**
+ * POST /api/rules/test, POST /api/rules/:id/test
+ * Dry-run a rule (a stored one, or a definition in `rule`) over readings
+ * Body: readings (sensor_data rows) or sensorId, startTime, endTime, limit to replay
+ *   stored readings; baseline { pressure, flow } for baseline-relative comparisons
+ */
+const testRule = asyncHandler(async (req, res) => {
+  const { rule: draft, readings, sensorId, startTime, endTime, baseline } = req.body;
+
+  let definition;
+  if (req.params.id) {
+    definition = await findRule(req.params.id);
+  } else {
+    if (!draft) {
+      throw new AppError('rule is required (or test a stored rule with POST /api/rules/:id/test)', 400);
+    }
+    assertValid({ id: 'draft', ...draft });
+    definition = { id: 'draft', ...draft };
+  }
+
+  if (baseline && !(typeof baseline.pressure === 'number' && typeof baseline.flow === 'number')) {
+    throw new AppError('baseline must be { pressure, flow }', 400);
+  }
+
+  let rows;
+  if (typeof readings !== 'undefined') {
+    if (!Array.isArray(readings) || readings.length === 0 || readings.length > MAX_TEST_READINGS) {
+      throw new AppError(`readings must be a list of 1-${MAX_TEST_READINGS} sensor readings`, 400);
+    }
+    rows = readings;
+  } else {
+    const { limit } = parsePagination(req.body, 1000, MAX_TEST_READINGS);
+    rows = await repositories.sensorData.find({
+      sensorIds: sensorId ? [sensorId] : [],
+      startTime: parseTimestamp(startTime) || undefined,
+      endTime: parseTimestamp(endTime) || undefined,
+      limit
+    });
+    if (rows.length === 0) {
+      throw new AppError('No stored readings match; pass readings or widen the time range', 404);
+    }
+  }
+
+  const result = ruleRegistry.test(definition, rows, { baseline: baseline || null });
+
+  res.json({
+    success: true,
+    data: result,
+    message: `${definition.id} triggered on ${result.triggered} of ${result.evaluated} readings`
+  });
+});
+
+module.exports = {
+  listRules,
+  getRule,
+  createRule,
+  updateRule,
+  deleteRule,
+  enableRule,
+  disableRule,
+  testRule
+};
@@ -1,38 +1,137 @@
-const { dbRun, dbGet, dbAll } = require('../db/database');
+const { repositories } = require('../db/repositories');
 const { AppError, asyncHandler } = require('../middleware/errorHandler');
 const { 
   generateId, 
   getCurrentTimestamp, 
+  parseTimestamp,
   validateSensorData, 
   formatSensorData,
+  applyCalibration,
   detectLeak 
 } = require('../utils/helpers');
 const { integratedEngine } = require('../utils/integratedEngine');
 const { valveState } = require('./leakDetectionController');
+const { findSensor } = require('./sensorRegistryController');
+const { validateAggregationOptions, aggregateSensorData, summarizeSensorData } = require('../utils/sensorAggregation');
+const { retentionManager } = require('../utils/retentionManager');
 
 /**
- * POST /api/sensor-data
- * Add new sensor reading
+ * Parse the `sensorId` query parameter (single ID or comma-separated list)
  */
-const addSensorData = asyncHandler(async (req, res) => {
-  const { pressure, flow, valve_state, temperature, conductivity, location } = req.body;
+const parseSensorIds = (sensorId) => {
+  if (!sensorId) {
+    return [];
+  }
+  return String(sensorId)
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean);
+};
 
-  // Validate input and include optional fields
-  const sensorData = {
+/**
+ * Build the shared sensor_data filters from query parameters
+ */
+const buildSensorDataFilters = ({ startTime, endTime, sensorId }) => {
+  const filters = { sensorIds: parseSensorIds(sensorId) };
+
+  // Add time range filters
+  if (startTime) {
+    filters.startTime = parseInt(startTime);
+    if (isNaN(filters.startTime)) {
+      throw new AppError('Invalid startTime parameter', 400);
+    }
+  }
+
+  if (endTime) {
+    filters.endTime = parseInt(endTime);
+    if (isNaN(filters.endTime)) {
+      throw new AppError('Invalid endTime parameter', 400);
+    }
+  }
+
+  return filters;
+};
+
+const MAX_BULK_READINGS = parseInt(process.env.MAX_BULK_READINGS, 10) || 10000;
+
+/**
+ * Normalize a request payload into a reading (validated with validateSensorData)
+ */
+const buildSensorReading = (input) => {
+  const { sensor_id, pressure, flow, valve_state, temperature, conductivity, location } = input || {};
+
+  return {
+    sensor_id: typeof sensor_id === 'string' ? sensor_id.trim() : sensor_id,
     pressure: parseFloat(pressure),
     flow: parseFloat(flow),
     leak_status: false,
     valve_state: valve_state || 'CLOSED',
-    temperature: typeof temperature !== 'undefined' ? parseFloat(temperature) : null,
-    conductivity: typeof conductivity !== 'undefined' ? parseFloat(conductivity) : null,
+    temperature: typeof temperature !== 'undefined' && temperature !== null ? parseFloat(temperature) : null,
+    conductivity: typeof conductivity !== 'undefined' && conductivity !== null ? parseFloat(conductivity) : null,
     location: location || null
   };
+};
+
+/**
+ * Resolve a device-supplied timestamp against the server clock.
+ * Missing timestamps fall back to receive time; small forward skew is clamped
+ * to now, anything further in the future than the tolerance is an error.
+ */
+const resolveDeviceTimestamp = (value, receivedAt = getCurrentTimestamp()) => {
+  if (typeof value === 'undefined' || value === null || value === '') {
+    return { timestamp: receivedAt, source: 'server', error: null };
+  }
+
+  const timestamp = parseTimestamp(value);
+  if (timestamp === null) {
+    return { timestamp: null, source: 'device', error: 'Timestamp must be epoch milliseconds or ISO-8601' };
+  }
+
+  const { clockSkewToleranceMs } = integratedEngine.timeConfig;
+  if (timestamp - receivedAt > clockSkewToleranceMs) {
+    return {
+      timestamp: null,
+      source: 'device',
+      error: `Timestamp is ${timestamp - receivedAt}ms in the future (clock skew tolerance ${clockSkewToleranceMs}ms)`
+    };
+  }
+
+  return { timestamp: Math.min(timestamp, receivedAt), source: 'device', error: null };
+};
 
-  const validation = validateSensorData(sensorData);
+/**
+ * POST /api/sensor-data
+ * Add new sensor reading
+ */
+const addSensorData = asyncHandler(async (req, res) => {
+  // Validate input and include optional fields
+  const rawData = buildSensorReading(req.body);
+
+  const validation = validateSensorData(rawData);
   if (!validation.isValid) {
     throw new AppError(`Validation failed: ${validation.errors.join(', ')}`, 400);
   }
 
+  // Honour the device timestamp when supplied (buffered/offline readings)
+  const receivedAt = getCurrentTimestamp();
+  const deviceTime = resolveDeviceTimestamp(req.body.timestamp, receivedAt);
+  if (deviceTime.error) {
+    throw new AppError(`Validation failed: ${deviceTime.error}`, 400);
+  }
+
+  // Readings must come from a registered, active sensor
+  const sensor = await findSensor(rawData.sensor_id);
+  if (!sensor) {
+    throw new AppError(`Unknown sensor: ${rawData.sensor_id}. Register it via POST /api/sensors`, 400);
+  }
+  if (sensor.status !== 'ACTIVE') {
+    throw new AppError(`Sensor ${sensor.id} is ${sensor.status}; reading rejected`, 409);
+  }
+
+  // Apply calibration offsets and fall back to the registered location
+  const sensorData = applyCalibration(rawData, sensor);
+  sensorData.location = sensorData.location || sensor.location || null;
+
   // If valve is closed, ignore incoming readings because there's no flow
   try {
     if (valveState && String(valveState.state).toUpperCase() === 'CLOSED') {
@@ -52,29 +151,30 @@ const addSensorData = asyncHandler(async (req, res) => {
   const leakStatus = detectLeak(sensorData.pressure, sensorData.flow);
 
   const id = generateId();
-  const timestamp = getCurrentTimestamp();
+  const { timestamp } = deviceTime;
 
   try {
-    await dbRun(
-      `INSERT INTO sensor_data (id, timestamp, pressure, flow, leak_status, valve_state, temperature, conductivity, location) 
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-      [
-        id,
-        timestamp,
-        sensorData.pressure,
-        sensorData.flow,
-        leakStatus ? 1 : 0,
-        sensorData.valve_state,
-        sensorData.temperature,
-        sensorData.conductivity,
-        sensorData.location
-      ]
-    );
+    await repositories.sensorData.insert({
+      id,
+      sensor_id: sensorData.sensor_id,
+      timestamp,
+      pressure: sensorData.pressure,
+      flow: sensorData.flow,
+      leak_status: leakStatus,
+      valve_state: sensorData.valve_state,
+      temperature: sensorData.temperature,
+      conductivity: sensorData.conductivity,
+      location: sensorData.location
+    });
+    retentionManager.noteInsert(timestamp);
 
     // Include optional fields in response payload so clients receive temperature etc.
     const responsePayload = {
       id,
+      sensor_id: sensorData.sensor_id,
       timestamp,
+      received_at: receivedAt,
+      timestamp_source: deviceTime.source,
       pressure: sensorData.pressure,
       flow: sensorData.flow,
       leak_status: leakStatus,
@@ -104,10 +204,12 @@ const addSensorData = asyncHandler(async (req, res) => {
         // detections and AI insights populate automatically.
         try {
           integratedEngine.processReading({
+            sensor_id: sensorData.sensor_id,
             pressure: sensorData.pressure,
             flow: sensorData.flow,
             valve_state: sensorData.valve_state,
             temperature: sensorData.temperature,
+            location: sensorData.location,
             timestamp
           });
         } catch (engErr) {
@@ -129,62 +231,200 @@ const addSensorData = asyncHandler(async (req, res) => {
 });
 
 /**
- * GET /api/sensor-data
- * Retrieve historical sensor data with optional time range filtering
+ * POST /api/sensor-data/bulk
+ * Add a batch of buffered readings that carry their own timestamps.
+ * Valid readings are inserted in one transaction and replayed through the
+ * integrated engine in timestamp order; every item gets an accept/reject result.
+ * While the valve is closed, valid readings are rejected like single readings are.
  */
-const getSensorData = asyncHandler(async (req, res) => {
-  const { startTime, endTime, limit = 100, offset = 0 } = req.query;
+const addSensorDataBulk = asyncHandler(async (req, res) => {
+  const { readings } = req.body || {};
 
-  let query = 'SELECT * FROM sensor_data WHERE 1=1';
-  const params = [];
+  if (!Array.isArray(readings)) {
+    throw new AppError('Readings must be an array', 400);
+  }
+  if (readings.length === 0) {
+    throw new AppError('At least one reading required', 400);
+  }
+  if (readings.length > MAX_BULK_READINGS) {
+    throw new AppError(`Too many readings in one request (max ${MAX_BULK_READINGS})`, 413);
+  }
 
-  // Add time range filters
-  if (startTime) {
-    const start = parseInt(startTime);
-    if (isNaN(start)) {
-      throw new AppError('Invalid startTime parameter', 400);
+  // Resolve every referenced sensor with a single query
+  const sensorIds = [...new Set(
+    readings
+      .map(r => (r && typeof r.sensor_id === 'string' ? r.sensor_id.trim() : null))
+      .filter(Boolean)
+  )];
+  const sensorRows = await repositories.sensors.findByIds(sensorIds);
+  const sensors = new Map(sensorRows.map(row => [row.id, row]));
+
+  const receivedAt = getCurrentTimestamp();
+  const results = readings.map((input, index) => ({ index, status: 'rejected', errors: [] }));
+  const candidates = [];
+
+  readings.forEach((input, index) => {
+    const rawData = buildSensorReading(input);
+    const errors = [];
+
+    const validation = validateSensorData(rawData);
+    if (!validation.isValid) {
+      errors.push(...validation.errors);
     }
-    query += ' AND timestamp >= ?';
-    params.push(start);
-  }
 
-  if (endTime) {
-    const end = parseInt(endTime);
-    if (isNaN(end)) {
-      throw new AppError('Invalid endTime parameter', 400);
+    let timestamp = null;
+    if (!input || typeof input.timestamp === 'undefined' || input.timestamp === null) {
+      errors.push('Timestamp is required (epoch milliseconds or ISO-8601)');
+    } else {
+      const deviceTime = resolveDeviceTimestamp(input.timestamp, receivedAt);
+      if (deviceTime.error) {
+        errors.push(deviceTime.error);
+      }
+      timestamp = deviceTime.timestamp;
+    }
+
+    const sensor = rawData.sensor_id ? sensors.get(rawData.sensor_id) : null;
+    if (rawData.sensor_id && !sensor) {
+      errors.push(`Unknown sensor: ${rawData.sensor_id}`);
+    } else if (sensor && sensor.status !== 'ACTIVE') {
+      errors.push(`Sensor ${sensor.id} is ${sensor.status}`);
+    }
+
+    if (errors.length > 0) {
+      results[index].errors = errors;
+      return;
     }
-    query += ' AND timestamp <= ?';
-    params.push(end);
+
+    const sensorData = applyCalibration(rawData, sensor);
+    sensorData.location = sensorData.location || sensor.location || null;
+    candidates.push({ index, id: generateId(), timestamp, sensorData });
+  });
+
+  // Like single readings, a batch that arrives while the valve is closed is not stored
+  if (candidates.length > 0 && valveState && String(valveState.state).toUpperCase() === 'CLOSED') {
+    candidates.forEach(candidate => {
+      results[candidate.index].errors = ['Valve is closed; reading ignored'];
+    });
+    candidates.length = 0;
   }
 
-  // Add ordering and pagination
-  query += ' ORDER BY timestamp DESC LIMIT ? OFFSET ?';
-  params.push(parseInt(limit), parseInt(offset));
+  // Process in device-time order so leak heuristics and engine windows see a consistent sequence
+  candidates.sort((a, b) => a.timestamp - b.timestamp);
+
+  const previousFlow = new Map();
+  candidates.forEach(candidate => {
+    const { sensorData } = candidate;
+    const prev = previousFlow.has(sensorData.sensor_id) ? previousFlow.get(sensorData.sensor_id) : null;
+    candidate.leakStatus = detectLeak(sensorData.pressure, sensorData.flow, prev);
+    previousFlow.set(sensorData.sensor_id, sensorData.flow);
+  });
 
+  let outcomes = [];
   try {
-    const rows = await dbAll(query, params);
-    const formattedData = rows.map(formatSensorData);
+    outcomes = await repositories.sensorData.insertMany(
+      candidates.map(({ id, timestamp, sensorData, leakStatus }) => ({
+        id,
+        sensor_id: sensorData.sensor_id,
+        timestamp,
+        pressure: sensorData.pressure,
+        flow: sensorData.flow,
+        leak_status: leakStatus,
+        valve_state: sensorData.valve_state,
+        temperature: sensorData.temperature,
+        conductivity: sensorData.conductivity,
+        location: sensorData.location
+      }))
+    );
+  } catch (error) {
+    throw new AppError('Failed to save sensor data batch', 500);
+  }
+  if (candidates.length > 0) {
+    // Candidates are sorted, so the first is the oldest reading in the batch
+    retentionManager.noteInsert(candidates[0].timestamp);
+  }
 
-    // Get total count
-    let countQuery = 'SELECT COUNT(*) as count FROM sensor_data WHERE 1=1';
-    const countParams = [];
-    
-    if (startTime) {
-      countQuery += ' AND timestamp >= ?';
-      countParams.push(parseInt(startTime));
+  let leakDetections = 0;
+  candidates.forEach((candidate, i) => {
+    const outcome = outcomes[i] || { success: false, error: 'Insert not executed' };
+    const result = results[candidate.index];
+
+    if (!outcome.success) {
+      result.errors = [outcome.error];
+      return;
     }
-    if (endTime) {
-      countQuery += ' AND timestamp <= ?';
-      countParams.push(parseInt(endTime));
+
+    result.status = 'accepted';
+    result.id = candidate.id;
+    result.timestamp = candidate.timestamp;
+    result.sensor_id = candidate.sensorData.sensor_id;
+    result.leak_status = candidate.leakStatus;
+    delete result.errors;
+
+    try {
+      const detection = integratedEngine.processReading({
+        sensor_id: candidate.sensorData.sensor_id,
+        pressure: candidate.sensorData.pressure,
+        flow: candidate.sensorData.flow,
+        valve_state: candidate.sensorData.valve_state,
+        temperature: candidate.sensorData.temperature,
+        location: candidate.sensorData.location,
+        timestamp: candidate.timestamp
+      });
+      if (detection && detection.detection.overallLeakDetected) {
+        leakDetections++;
+      }
+    } catch (engErr) {
+      console.error('[SENSOR] integratedEngine.processReading failed:', engErr.message || engErr);
     }
+  });
 
-    const countResult = await dbGet(countQuery, countParams);
+  const accepted = results.filter(r => r.status === 'accepted').length;
+  const summary = {
+    total: readings.length,
+    accepted,
+    rejected: readings.length - accepted,
+    leakDetections
+  };
+
+  // Broadcast one summary event instead of one update per buffered reading
+  try {
+    if (accepted > 0 && req.app && req.app.wsService) {
+      req.app.wsService.broadcastToAll('sensor:bulk', summary);
+    }
+  } catch (bErr) {
+    console.error('Failed to broadcast bulk sensor summary over WebSocket:', bErr);
+  }
+
+  res.status(accepted > 0 ? 201 : 200).json({
+    success: accepted > 0,
+    summary,
+    results,
+    message: `${accepted}/${readings.length} readings recorded`
+  });
+});
+
+/**
+ * GET /api/sensor-data
+ * Retrieve historical sensor data with optional time range and sensor filtering
+ */
+const getSensorData = asyncHandler(async (req, res) => {
+  const { startTime, endTime, sensorId, limit = 100, offset = 0 } = req.query;
+
+  const filters = buildSensorDataFilters({ startTime, endTime, sensorId });
+
+  try {
+    // Newest first, paginated
+    const rows = await repositories.sensorData.find({ ...filters, limit: parseInt(limit), offset: parseInt(offset) });
+    const formattedData = rows.map(formatSensorData);
+
+    // Get total count
+    const total = await repositories.sensorData.count(filters);
 
     res.json({
       success: true,
       data: formattedData,
       pagination: {
-        total: countResult.count,
+        total,
         limit: parseInt(limit),
         offset: parseInt(offset),
         count: formattedData.length
@@ -203,7 +443,7 @@ const getSensorDataById = asyncHandler(async (req, res) => {
   const { id } = req.params;
 
   try {
-    const row = await dbGet('SELECT * FROM sensor_data WHERE id = ?', [id]);
+    const row = await repositories.sensorData.findById(id);
     
     if (!row) {
       throw new AppError('Sensor data not found', 404);
@@ -221,48 +461,70 @@ const getSensorDataById = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * Shape one aggregate row into the statistics payload
+ */
+const formatStatistics = (stats) => {
+  return {
+    totalReadings: stats.total_readings || 0,
+    pressure: {
+      average: stats.avg_pressure ? Math.round(stats.avg_pressure * 100) / 100 : 0,
+      max: stats.max_pressure || 0,
+      min: stats.min_pressure || 0
+    },
+    flow: {
+      average: stats.avg_flow ? Math.round(stats.avg_flow * 100) / 100 : 0,
+      max: stats.max_flow || 0,
+      min: stats.min_flow || 0
+    },
+    leakDetected: (stats.leak_count || 0) > 0
+  };
+};
+
 /**
  * GET /api/sensor-data/stats
- * Get statistics of sensor data
+ * Get statistics of sensor data, optionally filtered by sensor or grouped per sensor
  */
 const getSensorDataStats = asyncHandler(async (req, res) => {
-  const { timeRange = 3600000 } = req.query; // Default 1 hour in ms
+  const { timeRange = 3600000, sensorId, groupBy } = req.query; // Default 1 hour in ms
 
-  const startTime = getCurrentTimestamp() - parseInt(timeRange);
+  if (groupBy && groupBy !== 'sensor') {
+    throw new AppError('Invalid groupBy parameter. Supported: sensor', 400);
+  }
+
+  const endTime = getCurrentTimestamp();
+  const startTime = endTime - parseInt(timeRange);
+  if (isNaN(startTime)) {
+    throw new AppError('Invalid timeRange parameter', 400);
+  }
+  const sensorIds = parseSensorIds(sensorId);
 
+  // Reads rollups for already rolled-up (possibly pruned) ranges and raw rows after that
   try {
-    const stats = await dbGet(
-      `SELECT 
-        COUNT(*) as total_readings,
-        AVG(pressure) as avg_pressure,
-        MAX(pressure) as max_pressure,
-        MIN(pressure) as min_pressure,
-        AVG(flow) as avg_flow,
-        MAX(flow) as max_flow,
-        MIN(flow) as min_flow,
-        SUM(CASE WHEN leak_status = 1 THEN 1 ELSE 0 END) as leak_count
-       FROM sensor_data WHERE timestamp >= ?`,
-      [startTime]
-    );
+    if (groupBy === 'sensor') {
+      const rows = await summarizeSensorData({ startTime, endTime, sensorIds, groupBySensor: true });
+
+      return res.json({
+        success: true,
+        data: {
+          timeRange: parseInt(timeRange),
+          groupBy: 'sensor',
+          sensors: rows.map(row => ({
+            sensorId: row.sensor_id || null,
+            statistics: formatStatistics(row)
+          }))
+        }
+      });
+    }
+
+    const [stats] = await summarizeSensorData({ startTime, endTime, sensorIds });
 
     res.json({
       success: true,
       data: {
         timeRange: parseInt(timeRange),
-        statistics: {
-          totalReadings: stats.total_readings || 0,
-          pressure: {
-            average: stats.avg_pressure ? Math.round(stats.avg_pressure * 100) / 100 : 0,
-            max: stats.max_pressure || 0,
-            min: stats.min_pressure || 0
-          },
-          flow: {
-            average: stats.avg_flow ? Math.round(stats.avg_flow * 100) / 100 : 0,
-            max: stats.max_flow || 0,
-            min: stats.min_flow || 0
-          },
-          leakDetected: (stats.leak_count || 0) > 0
-        }
+        sensorIds: parseSensorIds(sensorId),
+        statistics: formatStatistics(stats || {})
       }
     });
   } catch (error) {
@@ -270,9 +532,35 @@ const getSensorDataStats = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * GET /api/sensor-data/aggregate
+ * Time-bucketed series for charts, computed in SQL
+ * Query: bucket=1m|5m|1h|1d, fields=pressure,flow,..., aggregations=min,avg,max,
+ *        sensorId (comma list), groupBy=sensor, startTime, endTime
+ */
+const getSensorDataAggregate = asyncHandler(async (req, res) => {
+  const validation = validateAggregationOptions(req.query, getCurrentTimestamp());
+  if (!validation.isValid) {
+    throw new AppError(`Validation failed: ${validation.errors.join(', ')}`, 400);
+  }
+
+  try {
+    const data = await aggregateSensorData(validation.options);
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    throw new AppError('Failed to aggregate sensor data', 500);
+  }
+});
+
 module.exports = {
   addSensorData,
+  addSensorDataBulk,
   getSensorData,
   getSensorDataById,
-  getSensorDataStats
+  getSensorDataStats,
+  getSensorDataAggregate
 };
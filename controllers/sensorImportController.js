@@ -0,0 +1,100 @@
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const { SensorDataImporter } = require('../utils/sensorDataImporter');
+
+/**
+ * Work out the import format from ?format= or the request Content-Type
+ */
+const resolveFormat = (req) => {
+  if (req.query.format) {
+    return String(req.query.format).toLowerCase();
+  }
+
+  const contentType = (req.headers['content-type'] || '').toLowerCase();
+  if (contentType.includes('ndjson') || contentType.includes('jsonlines')) {
+    return 'ndjson';
+  }
+  return 'csv';
+};
+
+/**
+ * Parse the ?mapping= query parameter (JSON object: field -> source column)
+ */
+const parseMapping = (value) => {
+  if (!value) {
+    return {};
+  }
+
+  let mapping;
+  try {
+    mapping = JSON.parse(value);
+  } catch (error) {
+    throw new AppError('Mapping must be a JSON object, e.g. {"timestamp":"Time","pressure":"PSI"}', 400);
+  }
+
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw new AppError('Mapping must be a JSON object', 400);
+  }
+  return mapping;
+};
+
+/**
+ * POST /api/sensor-data/import
+ * Stream a CSV or NDJSON request body into sensor_data and return an import report.
+ * Query: format, mapping (JSON), sensorId (default sensor), timestampUnit (ms|s),
+ *        delimiter, autoRegister, calibrate, dryRun, batchSize
+ */
+const importSensorData = asyncHandler(async (req, res) => {
+  // A JSON body has already been consumed by the body parser and cannot be streamed
+  if (req.is('application/json')) {
+    throw new AppError('Send the file as text/csv or application/x-ndjson', 415);
+  }
+
+  let importer;
+  try {
+    importer = new SensorDataImporter({
+      format: resolveFormat(req),
+      mapping: parseMapping(req.query.mapping),
+      defaultSensorId: req.query.sensorId,
+      timestampUnit: req.query.timestampUnit,
+      delimiter: req.query.delimiter,
+      autoRegister: req.query.autoRegister === 'true',
+      calibrate: req.query.calibrate !== 'false',
+      dryRun: req.query.dryRun === 'true',
+      batchSize: req.query.batchSize
+    });
+  } catch (error) {
+    if (error instanceof AppError) throw error;
+    throw new AppError(error.message, 400);
+  }
+
+  let report;
+  try {
+    report = await importer.importStream(req);
+  } catch (error) {
+    throw new AppError('Import failed: ' + error.message, 500);
+  }
+
+  try {
+    if (req.app && req.app.wsService && !report.dryRun && report.imported > 0) {
+      req.app.wsService.broadcastToAll('sensor:import', {
+        imported: report.imported,
+        sensors: Object.keys(report.sensors),
+        timeRange: report.timeRange
+      });
+    }
+  } catch (bErr) {
+    console.error('Failed to broadcast import summary over WebSocket:', bErr);
+  }
+
+  res.status(report.imported > 0 && !report.dryRun ? 201 : 200).json({
+    success: report.totalRows > 0 && report.rejected < report.totalRows,
+    data: report,
+    message: report.dryRun
+      ? `Dry run: ${report.imported} rows would be imported`
+      : `Imported ${report.imported} of ${report.totalRows} rows`
+  });
+});
+
+module.exports = {
+  importSensorData
+};
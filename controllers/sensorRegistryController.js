@@ -0,0 +1,261 @@
+const { repositories } = require('../db/repositories');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const { formatSensor } = require('../utils/helpers');
+const { modelRegistry } = require('../utils/modelRegistry');
+const { DETECTOR_TYPES } = require('../utils/mlAnomalyDetector');
+
+const SENSOR_TYPES = ['FLOW_METER', 'PRESSURE_SENSOR', 'COMBINED', 'QUALITY_SENSOR'];
+const SENSOR_STATUSES = ['ACTIVE', 'INACTIVE', 'MAINTENANCE'];
+
+/**
+ * Validate sensor registry payload (partial validation for updates)
+ */
+const validateSensorPayload = (payload, { partial = false } = {}) => {
+  const errors = [];
+
+  if (!partial || typeof payload.id !== 'undefined') {
+    if (typeof payload.id !== 'string' || !/^[A-Za-z0-9_.:-]{1,64}$/.test(payload.id)) {
+      errors.push('Sensor ID must be 1-64 characters (letters, digits, _ . : -)');
+    }
+  }
+
+  if (!partial || typeof payload.name !== 'undefined') {
+    if (typeof payload.name !== 'string' || payload.name.trim() === '') {
+      errors.push('Sensor name is required');
+    }
+  }
+
+  if (typeof payload.type !== 'undefined' && !SENSOR_TYPES.includes(payload.type)) {
+    errors.push(`Sensor type must be one of: ${SENSOR_TYPES.join(', ')}`);
+  }
+
+  if (typeof payload.status !== 'undefined' && !SENSOR_STATUSES.includes(payload.status)) {
+    errors.push(`Sensor status must be one of: ${SENSOR_STATUSES.join(', ')}`);
+  }
+
+  if (typeof payload.detector !== 'undefined' && payload.detector !== null && !DETECTOR_TYPES.includes(payload.detector)) {
+    errors.push(`Detector must be null or one of: ${DETECTOR_TYPES.join(', ')}`);
+  }
+
+  ['pressure_offset', 'flow_offset', 'temperature_offset'].forEach(field => {
+    if (typeof payload[field] !== 'undefined' && (typeof payload[field] !== 'number' || isNaN(payload[field]))) {
+      errors.push(`${field} must be a number`);
+    }
+  });
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+};
+
+/**
+ * Flatten `calibration: {...}` into the column names used by the sensors table
+ */
+const normalizeSensorPayload = (body) => {
+  const calibration = body.calibration || {};
+  const payload = {
+    id: body.id,
+    name: body.name,
+    type: body.type,
+    location: body.location,
+    pipe_id: body.pipe_id,
+    status: body.status,
+    detector: body.detector,
+    pressure_offset: typeof body.pressure_offset !== 'undefined' ? body.pressure_offset : calibration.pressure_offset,
+    flow_offset: typeof body.flow_offset !== 'undefined' ? body.flow_offset : calibration.flow_offset,
+    temperature_offset: typeof body.temperature_offset !== 'undefined' ? body.temperature_offset : calibration.temperature_offset
+  };
+
+  Object.keys(payload).forEach(key => {
+    if (typeof payload[key] === 'undefined') {
+      delete payload[key];
+    }
+  });
+
+  return payload;
+};
+
+/**
+ * Look up a registered sensor by ID (used by the ingestion path)
+ */
+const findSensor = async (sensorId) => {
+  return repositories.sensors.findById(sensorId);
+};
+
+/**
+ * Switch the engine to the sensor's chosen detector before it is stored
+ * (409 when no model of that algorithm is available)
+ */
+const applyDetector = async (sensorId, detector) => {
+  try {
+    await modelRegistry.loadSensorDetector(sensorId, detector);
+  } catch (error) {
+    throw new AppError(`${error.message}; train one with algorithm "${detector}" first`, 409);
+  }
+};
+
+/**
+ * POST /api/sensors
+ * Register a new sensor/device
+ * Body: id, name, type, location, pipe_id, status, calibration offsets,
+ *   detector (anomaly algorithm for this sensor, null = production model)
+ */
+const createSensor = asyncHandler(async (req, res) => {
+  const payload = normalizeSensorPayload(req.body);
+
+  const validation = validateSensorPayload(payload);
+  if (!validation.isValid) {
+    throw new AppError(`Validation failed: ${validation.errors.join(', ')}`, 400);
+  }
+
+  const existing = await findSensor(payload.id);
+  if (existing) {
+    throw new AppError(`Sensor ${payload.id} is already registered`, 409);
+  }
+
+  if (payload.detector) {
+    await applyDetector(payload.id, payload.detector);
+  }
+
+  try {
+    await repositories.sensors.create({
+      id: payload.id,
+      name: payload.name.trim(),
+      type: payload.type || 'FLOW_METER',
+      location: payload.location || null,
+      pipe_id: payload.pipe_id || null,
+      pressure_offset: payload.pressure_offset || 0,
+      flow_offset: payload.flow_offset || 0,
+      temperature_offset: payload.temperature_offset || 0,
+      status: payload.status || 'ACTIVE',
+      detector: payload.detector || null
+    });
+
+    const row = await findSensor(payload.id);
+
+    res.status(201).json({
+      success: true,
+      data: formatSensor(row),
+      message: 'Sensor registered successfully'
+    });
+  } catch (error) {
+    throw new AppError('Failed to register sensor', 500);
+  }
+});
+
+/**
+ * GET /api/sensors
+ * List registered sensors with optional filters
+ */
+const listSensors = asyncHandler(async (req, res) => {
+  const { type, status, location, pipeId } = req.query;
+
+  try {
+    const rows = await repositories.sensors.list({ type, status, location, pipe_id: pipeId });
+
+    res.json({
+      success: true,
+      data: rows.map(formatSensor),
+      count: rows.length
+    });
+  } catch (error) {
+    throw new AppError('Failed to retrieve sensors', 500);
+  }
+});
+
+/**
+ * GET /api/sensors/:id
+ * Get a registered sensor
+ */
+const getSensor = asyncHandler(async (req, res) => {
+  const row = await findSensor(req.params.id);
+
+  if (!row) {
+    throw new AppError('Sensor not found', 404);
+  }
+
+  res.json({
+    success: true,
+    data: formatSensor(row)
+  });
+});
+
+/**
+ * PUT /api/sensors/:id
+ * Update sensor metadata, calibration offsets and detector algorithm
+ */
+const updateSensor = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const payload = normalizeSensorPayload(req.body);
+  delete payload.id;
+
+  const validation = validateSensorPayload(payload, { partial: true });
+  if (!validation.isValid) {
+    throw new AppError(`Validation failed: ${validation.errors.join(', ')}`, 400);
+  }
+
+  const existing = await findSensor(id);
+  if (!existing) {
+    throw new AppError('Sensor not found', 404);
+  }
+
+  const fields = Object.keys(payload);
+  if (fields.length === 0) {
+    throw new AppError('No updatable fields provided', 400);
+  }
+
+  if (typeof payload.detector !== 'undefined') {
+    await applyDetector(id, payload.detector);
+  }
+
+  try {
+    await repositories.sensors.update(id, payload);
+
+    const row = await findSensor(id);
+
+    res.json({
+      success: true,
+      data: formatSensor(row),
+      message: 'Sensor updated successfully'
+    });
+  } catch (error) {
+    throw new AppError('Failed to update sensor', 500);
+  }
+});
+
+/**
+ * DELETE /api/sensors/:id
+ * Remove a sensor from the registry (historical readings are kept)
+ */
+const deleteSensor = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const existing = await findSensor(id);
+  if (!existing) {
+    throw new AppError('Sensor not found', 404);
+  }
+
+  try {
+    await repositories.sensors.remove(id);
+    modelRegistry.engine.clearSensorModel(id);
+
+    res.json({
+      success: true,
+      message: `Sensor ${id} removed`
+    });
+  } catch (error) {
+    throw new AppError('Failed to remove sensor', 500);
+  }
+});
+
+module.exports = {
+  createSensor,
+  listSensors,
+  getSensor,
+  updateSensor,
+  deleteSensor,
+  findSensor,
+  SENSOR_TYPES,
+  SENSOR_STATUSES
+};
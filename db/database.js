@@ -1,6 +1,7 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
+const { Migrator } = require('./migrator');
 
 // Get database path from environment or use default
 const dbPath = process.env.DB_PATH || './db/sensor_data.db';
@@ -16,91 +17,30 @@ const db = new sqlite3.Database(dbPath, (err) => {
     console.error('Error opening database:', err);
   } else {
     console.log(`Connected to SQLite database at ${dbPath}`);
-    initializeDatabase();
   }
 });
 
-function initializeDatabase() {
-  // Create sensor_data table
-  db.run(
-    `CREATE TABLE IF NOT EXISTS sensor_data (
-      id TEXT PRIMARY KEY,
-      timestamp INTEGER NOT NULL,
-      pressure REAL NOT NULL,
-      flow REAL NOT NULL,
-      leak_status BOOLEAN NOT NULL DEFAULT 0,
-      valve_state TEXT NOT NULL DEFAULT 'CLOSED',
-      temperature REAL DEFAULT NULL,
-      conductivity REAL DEFAULT NULL,
-      location TEXT DEFAULT NULL,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )`,
-    (err) => {
-      if (err) {
-        console.error('Error creating sensor_data table:', err);
-      } else {
-        console.log('sensor_data table ready');
-      }
-    }
-  );
-
-  // Attempt to add optional columns for existing databases (no-op if they already exist)
-  db.run(`ALTER TABLE sensor_data ADD COLUMN temperature REAL DEFAULT NULL`, (err) => {
-    if (err && !/duplicate column/i.test(err.message)) {
-      // ignore duplicate column error, log others
-    }
-  });
-
-  db.run(`ALTER TABLE sensor_data ADD COLUMN conductivity REAL DEFAULT NULL`, (err) => {
-    if (err && !/duplicate column/i.test(err.message)) {
-      // ignore duplicate column error
-    }
-  });
-
-  db.run(`ALTER TABLE sensor_data ADD COLUMN location TEXT DEFAULT NULL`, (err) => {
-    if (err && !/duplicate column/i.test(err.message)) {
-      // ignore duplicate column error
-    }
-  });
+/**
+ * Apply pending schema migrations (db/migrations) to the shared connection
+ */
+const initializeDatabase = async () => {
+  const migrator = new Migrator(db);
+  const applied = await migrator.migrate();
+  const current = (await migrator.getAppliedVersions()).pop() || 0;
+  console.log(`Database schema at version ${current}` + (applied.length > 0 ? ` (applied ${applied.length} migration(s))` : ''));
+  return { version: current, applied };
+};
 
-  // Create model_training_logs table for tracking AI model training
-  db.run(
-    `CREATE TABLE IF NOT EXISTS model_training_logs (
-      id TEXT PRIMARY KEY,
-      training_date INTEGER NOT NULL,
-      accuracy REAL,
-      model_version TEXT,
-      status TEXT NOT NULL DEFAULT 'COMPLETED',
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )`,
-    (err) => {
-      if (err) {
-        console.error('Error creating model_training_logs table:', err);
-      } else {
-        console.log('model_training_logs table ready');
-      }
-    }
-  );
-
-  // Create valve_control_logs table for tracking valve operations
-  db.run(
-    `CREATE TABLE IF NOT EXISTS valve_control_logs (
-      id TEXT PRIMARY KEY,
-      operation TEXT NOT NULL,
-      timestamp INTEGER NOT NULL,
-      reason TEXT,
-      status TEXT NOT NULL DEFAULT 'SUCCESS',
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )`,
-    (err) => {
-      if (err) {
-        console.error('Error creating valve_control_logs table:', err);
-      } else {
-        console.log('valve_control_logs table ready');
-      }
-    }
-  );
-}
+/**
+ * Resolves once the database is open and all pending migrations are applied.
+ * The server awaits this before listening so no request sees a missing table.
+ * (sqlite3 queues statements until the connection is open, so migrations start immediately.)
+ */
+const databaseReady = initializeDatabase();
+// Callers that never await (e.g. scripts, unit tests) must not crash on an unhandled rejection
+databaseReady.catch(err => {
+  console.error('Error migrating database:', err.message || err);
+});
 
 // Promisify database operations
 const dbRun = (sql, params = []) => {
@@ -139,9 +79,87 @@ const dbAll = (sql, params = []) => {
   });
 };
 
+/**
+ * Run one statement for many parameter sets inside a single transaction.
+ * A failing row only rolls back its own statement, so callers get a per-row
+ * outcome ({ success, error }) while every other row is still committed.
+ */
+const dbRunInTransaction = (sql, paramsList = []) => {
+  return new Promise((resolve, reject) => {
+    const outcomes = new Array(paramsList.length);
+
+    db.serialize(() => {
+      db.run('BEGIN TRANSACTION', (beginErr) => {
+        if (beginErr) {
+          reject(beginErr);
+        }
+      });
+
+      const stmt = db.prepare(sql);
+      paramsList.forEach((params, index) => {
+        stmt.run(params, (err) => {
+          outcomes[index] = err ? { success: false, error: err.message } : { success: true };
+        });
+      });
+
+      stmt.finalize();
+
+      db.run('COMMIT', (commitErr) => {
+        if (commitErr) {
+          db.run('ROLLBACK', () => reject(commitErr));
+        } else {
+          resolve(outcomes);
+        }
+      });
+    });
+  });
+};
+
+/**
+ * Run several statements ([sql, params] pairs) atomically.
+ * Rolls back and rejects on the first failing statement.
+ */
+const dbTransaction = (statements = []) => {
+  return new Promise((resolve, reject) => {
+    const results = [];
+    let failed = null;
+
+    db.serialize(() => {
+      db.run('BEGIN TRANSACTION');
+
+      statements.forEach(([sql, params = []], index) => {
+        db.run(sql, params, function(err) {
+          if (err && !failed) {
+            failed = err;
+          }
+          results[index] = err ? null : { changes: this.changes };
+        });
+      });
+
+      // Runs after every statement above has completed
+      db.get('SELECT 1', () => {
+        if (failed) {
+          db.run('ROLLBACK', () => reject(failed));
+          return;
+        }
+        db.run('COMMIT', (commitErr) => {
+          if (commitErr) {
+            db.run('ROLLBACK', () => reject(commitErr));
+          } else {
+            resolve(results);
+          }
+        });
+      });
+    });
+  });
+};
+
 module.exports = {
   db,
   dbRun,
   dbGet,
-  dbAll
+  dbAll,
+  dbRunInTransaction,
+  dbTransaction,
+  databaseReady
 };
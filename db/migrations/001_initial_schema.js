@@ -0,0 +1,85 @@
+/**
+ * Baseline schema: readings, sensor registry, training and valve logs.
+ * Uses IF NOT EXISTS so databases created before migrations existed are
+ * adopted as-is; columns added to sensor_data over time are back-filled.
+ */
+
+const SENSOR_DATA_LATE_COLUMNS = {
+  temperature: 'REAL DEFAULT NULL',
+  conductivity: 'REAL DEFAULT NULL',
+  location: 'TEXT DEFAULT NULL',
+  sensor_id: 'TEXT DEFAULT NULL'
+};
+
+module.exports = {
+  async up(db) {
+    await db.run(
+      `CREATE TABLE IF NOT EXISTS sensor_data (
+        id TEXT PRIMARY KEY,
+        timestamp INTEGER NOT NULL,
+        pressure REAL NOT NULL,
+        flow REAL NOT NULL,
+        leak_status BOOLEAN NOT NULL DEFAULT 0,
+        valve_state TEXT NOT NULL DEFAULT 'CLOSED',
+        temperature REAL DEFAULT NULL,
+        conductivity REAL DEFAULT NULL,
+        location TEXT DEFAULT NULL,
+        sensor_id TEXT DEFAULT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`
+    );
+
+    const existing = await db.columns('sensor_data');
+    for (const [column, definition] of Object.entries(SENSOR_DATA_LATE_COLUMNS)) {
+      if (!existing.includes(column)) {
+        await db.run(`ALTER TABLE sensor_data ADD COLUMN ${column} ${definition}`);
+      }
+    }
+
+    // Device registry; readings reference it through sensor_id
+    await db.run(
+      `CREATE TABLE IF NOT EXISTS sensors (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        type TEXT NOT NULL DEFAULT 'FLOW_METER',
+        location TEXT DEFAULT NULL,
+        pipe_id TEXT DEFAULT NULL,
+        pressure_offset REAL NOT NULL DEFAULT 0,
+        flow_offset REAL NOT NULL DEFAULT 0,
+        temperature_offset REAL NOT NULL DEFAULT 0,
+        status TEXT NOT NULL DEFAULT 'ACTIVE',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`
+    );
+
+    await db.run(
+      `CREATE TABLE IF NOT EXISTS model_training_logs (
+        id TEXT PRIMARY KEY,
+        training_date INTEGER NOT NULL,
+        accuracy REAL,
+        model_version TEXT,
+        status TEXT NOT NULL DEFAULT 'COMPLETED',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`
+    );
+
+    await db.run(
+      `CREATE TABLE IF NOT EXISTS valve_control_logs (
+        id TEXT PRIMARY KEY,
+        operation TEXT NOT NULL,
+        timestamp INTEGER NOT NULL,
+        reason TEXT,
+        status TEXT NOT NULL DEFAULT 'SUCCESS',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`
+    );
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS valve_control_logs');
+    await db.run('DROP TABLE IF EXISTS model_training_logs');
+    await db.run('DROP TABLE IF EXISTS sensors');
+    await db.run('DROP TABLE IF EXISTS sensor_data');
+  }
+};
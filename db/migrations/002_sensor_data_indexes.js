@@ -0,0 +1,17 @@
+/**
+ * sensor_data indexes
+ * (sensor_id, timestamp) backs history queries and import de-duplication;
+ * (timestamp) backs time-range scans across all sensors (retention, rollups, exports).
+ */
+
+module.exports = {
+  async up(db) {
+    await db.run('CREATE INDEX IF NOT EXISTS idx_sensor_data_sensor_timestamp ON sensor_data (sensor_id, timestamp)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_sensor_data_timestamp ON sensor_data (timestamp)');
+  },
+
+  async down(db) {
+    await db.run('DROP INDEX IF EXISTS idx_sensor_data_timestamp');
+    await db.run('DROP INDEX IF EXISTS idx_sensor_data_sensor_timestamp');
+  }
+};
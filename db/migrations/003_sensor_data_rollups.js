@@ -0,0 +1,42 @@
+/**
+ * Rollup tables maintained by utils/retentionManager.js
+ * Per-sensor aggregates keep sums and counts so buckets can be re-aggregated;
+ * rollup_state keeps the rollup watermark and prune boundary across restarts.
+ */
+
+const ROLLUP_TABLES = ['sensor_data_rollup_1m', 'sensor_data_rollup_1h'];
+
+module.exports = {
+  async up(db) {
+    for (const table of ROLLUP_TABLES) {
+      await db.run(
+        `CREATE TABLE IF NOT EXISTS ${table} (
+          sensor_id TEXT NOT NULL DEFAULT '',
+          bucket_start INTEGER NOT NULL,
+          reading_count INTEGER NOT NULL DEFAULT 0,
+          leak_count INTEGER NOT NULL DEFAULT 0,
+          pressure_min REAL, pressure_max REAL, pressure_sum REAL, pressure_count INTEGER NOT NULL DEFAULT 0,
+          flow_min REAL, flow_max REAL, flow_sum REAL, flow_count INTEGER NOT NULL DEFAULT 0,
+          temperature_min REAL, temperature_max REAL, temperature_sum REAL, temperature_count INTEGER NOT NULL DEFAULT 0,
+          conductivity_min REAL, conductivity_max REAL, conductivity_sum REAL, conductivity_count INTEGER NOT NULL DEFAULT 0,
+          updated_at INTEGER,
+          PRIMARY KEY (sensor_id, bucket_start)
+        )`
+      );
+    }
+
+    await db.run(
+      `CREATE TABLE IF NOT EXISTS rollup_state (
+        name TEXT PRIMARY KEY,
+        value INTEGER
+      )`
+    );
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS rollup_state');
+    for (const table of ROLLUP_TABLES) {
+      await db.run(`DROP TABLE IF EXISTS ${table}`);
+    }
+  }
+};
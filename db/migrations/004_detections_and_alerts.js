@@ -0,0 +1,59 @@
+/**
+ * Integrated-engine detections and alerts
+ * The full result/alert object is kept as JSON in `payload`; the columns
+ * beside it are what the endpoints filter, page and aggregate on, and the
+ * alert lifecycle columns are the source of truth for acknowledge/resolve.
+ */
+
+module.exports = {
+  async up(db) {
+    await db.run(
+      `CREATE TABLE IF NOT EXISTS detections (
+        id TEXT PRIMARY KEY,
+        sensor_id TEXT NOT NULL,
+        timestamp INTEGER NOT NULL,
+        leak_detected INTEGER NOT NULL DEFAULT 0,
+        probability REAL,
+        severity TEXT,
+        confidence REAL,
+        data_quality REAL,
+        payload TEXT NOT NULL,
+        created_at INTEGER NOT NULL
+      )`
+    );
+    await db.run('CREATE INDEX IF NOT EXISTS idx_detections_sensor_timestamp ON detections (sensor_id, timestamp)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_detections_timestamp ON detections (timestamp)');
+
+    await db.run(
+      `CREATE TABLE IF NOT EXISTS alerts (
+        id TEXT PRIMARY KEY,
+        sensor_id TEXT NOT NULL,
+        detection_id TEXT,
+        timestamp INTEGER NOT NULL,
+        detected_at INTEGER,
+        severity TEXT,
+        probability REAL,
+        location TEXT,
+        acknowledged INTEGER NOT NULL DEFAULT 0,
+        acknowledged_by TEXT,
+        acknowledged_at INTEGER,
+        acknowledge_notes TEXT,
+        resolved INTEGER NOT NULL DEFAULT 0,
+        resolved_by TEXT,
+        resolved_at INTEGER,
+        resolve_notes TEXT,
+        feedback TEXT,
+        false_positive INTEGER NOT NULL DEFAULT 0,
+        payload TEXT NOT NULL
+      )`
+    );
+    await db.run('CREATE INDEX IF NOT EXISTS idx_alerts_sensor_timestamp ON alerts (sensor_id, timestamp)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_alerts_timestamp ON alerts (timestamp)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_alerts_resolved ON alerts (resolved, timestamp)');
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS alerts');
+    await db.run('DROP TABLE IF EXISTS detections');
+  }
+};
@@ -0,0 +1,35 @@
+/**
+ * Model registry
+ * One row per trained model: the artifact file in models/, its metrics,
+ * hyperparameters, feature list and training-data fingerprint, plus the
+ * lifecycle status (candidate -> production -> archived).
+ */
+
+module.exports = {
+  async up(db) {
+    await db.run(
+      `CREATE TABLE IF NOT EXISTS model_registry (
+        id TEXT PRIMARY KEY,
+        version INTEGER NOT NULL UNIQUE,
+        model_type TEXT NOT NULL,
+        artifact TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'candidate',
+        metrics TEXT,
+        hyperparameters TEXT,
+        features TEXT,
+        data_fingerprint TEXT,
+        sample_count INTEGER,
+        source TEXT,
+        notes TEXT,
+        created_at INTEGER NOT NULL,
+        promoted_at INTEGER,
+        archived_at INTEGER
+      )`
+    );
+    await db.run('CREATE INDEX IF NOT EXISTS idx_model_registry_status ON model_registry (status, version)');
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS model_registry');
+  }
+};
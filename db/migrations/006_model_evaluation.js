@@ -0,0 +1,16 @@
+/**
+ * Model evaluation reports
+ * The full evaluation of a registered model (ROC/PR curves, per-source
+ * breakdown, validation and cross-validation results) as JSON; `metrics`
+ * keeps the compact summary shown in listings.
+ */
+
+module.exports = {
+  async up(db) {
+    await db.run('ALTER TABLE model_registry ADD COLUMN evaluation TEXT');
+  },
+
+  async down(db) {
+    await db.run('ALTER TABLE model_registry DROP COLUMN evaluation');
+  }
+};
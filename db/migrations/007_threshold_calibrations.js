@@ -0,0 +1,29 @@
+/**
+ * Threshold calibration history
+ * One row per calibration run (see utils/thresholdCalibration.js); objective
+ * and metrics are JSON.
+ */
+
+module.exports = {
+  async up(db) {
+    await db.run(
+      `CREATE TABLE IF NOT EXISTS threshold_calibrations (
+        id TEXT PRIMARY KEY,
+        timestamp INTEGER NOT NULL,
+        objective TEXT NOT NULL,
+        threshold REAL NOT NULL,
+        previous_threshold REAL,
+        applied INTEGER NOT NULL DEFAULT 0,
+        model_version INTEGER,
+        sample_count INTEGER,
+        source TEXT,
+        metrics TEXT
+      )`
+    );
+    await db.run('CREATE INDEX IF NOT EXISTS idx_threshold_calibrations_timestamp ON threshold_calibrations (timestamp)');
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS threshold_calibrations');
+  }
+};
@@ -0,0 +1,32 @@
+/**
+ * Alert feedback loop
+ * alerts.model_version records which registry model was scoring when the alert
+ * fired, so the false-positive rate can be compared across versions.
+ * feedback_samples is the curated training set built from resolved alerts:
+ * one labeled model-input vector per alert (features as JSON).
+ */
+
+module.exports = {
+  async up(db) {
+    await db.run('ALTER TABLE alerts ADD COLUMN model_version INTEGER');
+
+    await db.run(
+      `CREATE TABLE IF NOT EXISTS feedback_samples (
+        id TEXT PRIMARY KEY,
+        alert_id TEXT NOT NULL UNIQUE,
+        sensor_id TEXT,
+        timestamp INTEGER NOT NULL,
+        label TEXT NOT NULL,
+        features TEXT NOT NULL,
+        model_version INTEGER,
+        created_at INTEGER NOT NULL
+      )`
+    );
+    await db.run('CREATE INDEX IF NOT EXISTS idx_feedback_samples_created ON feedback_samples (created_at)');
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS feedback_samples');
+    await db.run('ALTER TABLE alerts DROP COLUMN model_version');
+  }
+};
@@ -0,0 +1,15 @@
+/**
+ * Per-sensor detector algorithm
+ * sensors.detector names the anomaly algorithm that scores the sensor
+ * (see DETECTOR_TYPES in utils/mlAnomalyDetector); NULL uses the production model.
+ */
+
+module.exports = {
+  async up(db) {
+    await db.run('ALTER TABLE sensors ADD COLUMN detector TEXT DEFAULT NULL');
+  },
+
+  async down(db) {
+    await db.run('ALTER TABLE sensors DROP COLUMN detector');
+  }
+};
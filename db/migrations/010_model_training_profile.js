@@ -0,0 +1,15 @@
+/**
+ * Model training profiles
+ * Per-feature decile edges, bin shares and mean/std of a registered model's
+ * training data as JSON, the reference for drift monitoring (see utils/featureDrift).
+ */
+
+module.exports = {
+  async up(db) {
+    await db.run('ALTER TABLE model_registry ADD COLUMN training_profile TEXT');
+  },
+
+  async down(db) {
+    await db.run('ALTER TABLE model_registry DROP COLUMN training_profile');
+  }
+};
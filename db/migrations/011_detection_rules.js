@@ -0,0 +1,31 @@
+/**
+ * Detection rules
+ * Rules evaluated by the rule-based detector (see utils/detectionRules): the
+ * condition tree as JSON in `expression`, the optional hold duration in seconds
+ * and the sensors a rule is limited to (JSON list, NULL = all sensors).
+ * Built-in rules are seeded on first start and can be edited or disabled.
+ */
+
+module.exports = {
+  async up(db) {
+    await db.run(
+      `CREATE TABLE IF NOT EXISTS detection_rules (
+        id TEXT PRIMARY KEY,
+        description TEXT,
+        severity TEXT NOT NULL,
+        probability REAL NOT NULL,
+        expression TEXT NOT NULL,
+        hold_seconds INTEGER,
+        sensor_ids TEXT,
+        enabled INTEGER NOT NULL DEFAULT 1,
+        built_in INTEGER NOT NULL DEFAULT 0,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL
+      )`
+    );
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS detection_rules');
+  }
+};
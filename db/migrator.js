@@ -0,0 +1,191 @@
+/**
+ * Versioned schema migrations for the SQLite database (and, through
+ * db/postgres.js, for STORAGE_BACKEND=postgres)
+ * Migrations live in db/migrations as NNN_description.js and export
+ * async up(db) / down(db) functions; applied versions are recorded in
+ * schema_migrations so each one runs exactly once per database.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+/**
+ * Promise wrappers bound to one sqlite3 connection (handed to each migration)
+ */
+const createHelpers = (db) => ({
+  run: (sql, params = []) => new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve({ lastID: this.lastID, changes: this.changes });
+      }
+    });
+  }),
+  get: (sql, params = []) => new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+  }),
+  all: (sql, params = []) => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  }),
+  /** Column names of a table (empty when the table does not exist) */
+  columns: (table) => new Promise((resolve, reject) => {
+    db.all(`PRAGMA table_info(${table})`, [], (err, rows) => (err ? reject(err) : resolve(rows.map(r => r.name))));
+  })
+});
+
+/**
+ * Load migration modules from a directory, ordered by version
+ */
+const loadMigrations = (dir = MIGRATIONS_DIR) => {
+  const migrations = fs.readdirSync(dir)
+    .map(file => {
+      const match = MIGRATION_FILE_PATTERN.exec(file);
+      if (!match) return null;
+
+      const migration = require(path.join(dir, file));
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${file} must export up() and down()`);
+      }
+      return {
+        version: parseInt(match[1], 10),
+        name: match[2],
+        file,
+        up: migration.up,
+        down: migration.down
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migrations[index - 1].version === migration.version) {
+      throw new Error(`Duplicate migration version ${migration.version} (${migrations[index - 1].file}, ${migration.file})`);
+    }
+  });
+
+  return migrations;
+};
+
+class Migrator {
+  /**
+   * @param {sqlite3.Database} db - open connection (any database, including :memory: test DBs)
+   * @param {Object} options - { dir, migrations, log, helpers ({ run, get, all, columns } replacing the sqlite3 ones) }
+   */
+  constructor(db, options = {}) {
+    this.db = db;
+    this.helpers = options.helpers || createHelpers(db);
+    this.migrations = options.migrations || loadMigrations(options.dir);
+    this.log = options.log || ((message) => console.log(`[MIGRATE] ${message}`));
+  }
+
+  async ensureMigrationsTable() {
+    await this.helpers.run(
+      `CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at INTEGER NOT NULL
+      )`
+    );
+  }
+
+  async getAppliedVersions() {
+    await this.ensureMigrationsTable();
+    const rows = await this.helpers.all('SELECT version FROM schema_migrations ORDER BY version ASC');
+    return rows.map(row => row.version);
+  }
+
+  /**
+   * Applied and pending migrations, in version order
+   */
+  async status() {
+    await this.ensureMigrationsTable();
+    const rows = await this.helpers.all('SELECT version, name, applied_at FROM schema_migrations ORDER BY version ASC');
+    const applied = new Map(rows.map(row => [row.version, row]));
+
+    const known = this.migrations.map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      applied: applied.has(migration.version),
+      appliedAt: applied.has(migration.version) ? applied.get(migration.version).applied_at : null
+    }));
+
+    // Versions recorded by a newer build whose files are not present here
+    const unknown = rows
+      .filter(row => !this.migrations.some(m => m.version === row.version))
+      .map(row => ({ version: row.version, name: row.name, applied: true, appliedAt: row.applied_at, missing: true }));
+
+    return [...known, ...unknown].sort((a, b) => a.version - b.version);
+  }
+
+  /**
+   * Run one migration step and its bookkeeping in a single transaction
+   */
+  async runStep(migration, direction) {
+    await this.helpers.run('BEGIN TRANSACTION');
+    try {
+      await migration[direction](this.helpers);
+      if (direction === 'up') {
+        await this.helpers.run(
+          'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)',
+          [migration.version, migration.name, Date.now()]
+        );
+      } else {
+        await this.helpers.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+      }
+      await this.helpers.run('COMMIT');
+    } catch (error) {
+      await this.helpers.run('ROLLBACK').catch(() => {});
+      error.message = `Migration ${migration.file} (${direction}) failed: ${error.message}`;
+      throw error;
+    }
+  }
+
+  /**
+   * Apply pending migrations up to `to` (default: latest)
+   * @returns {Array} migrations applied
+   */
+  async migrate({ to = Infinity } = {}) {
+    const applied = new Set(await this.getAppliedVersions());
+    const pending = this.migrations.filter(m => !applied.has(m.version) && m.version <= to);
+
+    for (const migration of pending) {
+      this.log(`Applying ${migration.file}`);
+      await this.runStep(migration, 'up');
+    }
+
+    return pending.map(({ version, name }) => ({ version, name }));
+  }
+
+  /**
+   * Revert applied migrations, newest first
+   * @param {Object} options - { steps } (default 1) or { to } to revert everything above a version
+   * @returns {Array} migrations reverted
+   */
+  async rollback({ steps = 1, to } = {}) {
+    const applied = new Set(await this.getAppliedVersions());
+    const candidates = this.migrations
+      .filter(m => applied.has(m.version))
+      .reverse();
+
+    const targets = typeof to === 'number'
+      ? candidates.filter(m => m.version > to)
+      : candidates.slice(0, steps);
+
+    for (const migration of targets) {
+      this.log(`Reverting ${migration.file}`);
+      await this.runStep(migration, 'down');
+    }
+
+    return targets.map(({ version, name }) => ({ version, name }));
+  }
+}
+
+module.exports = {
+  Migrator,
+  loadMigrations,
+  MIGRATIONS_DIR
+};
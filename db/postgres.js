@@ -0,0 +1,189 @@
+/**
+ * Postgres-compatible SQL executor for the repositories
+ * Requires the optional `pg` package (npm install pg) and DATABASE_URL.
+ * Rewrites `?` placeholders to `$n` so repository SQL stays shared with SQLite;
+ * the schema is built by running db/migrations with Postgres column types.
+ */
+
+const { Migrator } = require('./migrator');
+
+// SQLite column types used in db/migrations -> Postgres types
+// (epoch-ms timestamps overflow INTEGER and REAL is single precision in Postgres)
+const DDL_TYPES = [
+  [/\bINTEGER\b/g, 'BIGINT'],
+  [/\bREAL\b/g, 'DOUBLE PRECISION'],
+  [/\bDATETIME\b/g, 'TIMESTAMP'],
+  [/\bBOOLEAN\b/g, 'SMALLINT']
+];
+
+/**
+ * Rewrite `?` placeholders (outside string literals) to `$1, $2, ...`
+ */
+const toPositionalParams = (sql) => {
+  let index = 0;
+  let inString = false;
+  let out = '';
+
+  for (const char of sql) {
+    if (char === '\'') {
+      inString = !inString;
+    }
+    out += !inString && char === '?' ? `$${++index}` : char;
+  }
+  return out;
+};
+
+/**
+ * Map the column types of a migration's CREATE/ALTER statement to Postgres; other SQL is unchanged
+ */
+const toPostgresDdl = (sql) => {
+  if (!/^\s*(CREATE|ALTER)\b/i.test(sql)) {
+    return sql;
+  }
+  return DDL_TYPES.reduce((out, [pattern, type]) => out.replace(pattern, type), sql);
+};
+
+/**
+ * Migration helpers ({ run, get, all, columns }, see db/migrator.js) over one pg client
+ */
+const createMigrationHelpers = (client) => {
+  const query = (sql, params = []) => client.query(toPositionalParams(toPostgresDdl(sql)), params);
+
+  return {
+    run: async (sql, params) => ({ changes: (await query(sql, params)).rowCount }),
+    get: async (sql, params) => (await query(sql, params)).rows[0],
+    all: async (sql, params) => (await query(sql, params)).rows,
+    columns: async (table) => {
+      const result = await query(
+        'SELECT column_name FROM information_schema.columns WHERE table_schema = current_schema() AND table_name = ?',
+        [table]
+      );
+      return result.rows.map(row => row.column_name);
+    }
+  };
+};
+
+/**
+ * Create an executor over a pg connection pool
+ * @param {Object} options - { connectionString } (defaults to DATABASE_URL)
+ */
+const createPostgresExecutor = (options = {}) => {
+  let pg;
+  try {
+    pg = require('pg');
+  } catch (error) {
+    throw new Error('STORAGE_BACKEND=postgres requires the `pg` package (npm install pg)');
+  }
+
+  const connectionString = options.connectionString || process.env.DATABASE_URL;
+  if (!connectionString) {
+    throw new Error('STORAGE_BACKEND=postgres requires DATABASE_URL');
+  }
+
+  // Epoch-ms timestamps are BIGINT and sums over them NUMERIC; return both as numbers like SQLite does
+  pg.types.setTypeParser(20, value => parseInt(value, 10));
+  pg.types.setTypeParser(1700, value => parseFloat(value));
+
+  const pool = new pg.Pool({ connectionString });
+  const query = (sql, params = []) => pool.query(toPositionalParams(sql), params);
+
+  /**
+   * Run `work(client)` inside BEGIN/COMMIT on one pooled connection
+   */
+  const inTransaction = async (work) => {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await work(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  };
+
+  return {
+    async run(sql, params) {
+      const result = await query(sql, params);
+      return { changes: result.rowCount };
+    },
+
+    async get(sql, params) {
+      const result = await query(sql, params);
+      return result.rows[0];
+    },
+
+    async all(sql, params) {
+      const result = await query(sql, params);
+      return result.rows;
+    },
+
+    /**
+     * One statement for many parameter sets in one transaction; a failing row
+     * only rolls back to its own savepoint (same contract as dbRunInTransaction)
+     */
+    runMany(sql, paramsList = []) {
+      const text = toPositionalParams(sql);
+
+      return inTransaction(async (client) => {
+        const outcomes = [];
+        for (const params of paramsList) {
+          await client.query('SAVEPOINT row_insert');
+          try {
+            await client.query(text, params);
+            await client.query('RELEASE SAVEPOINT row_insert');
+            outcomes.push({ success: true });
+          } catch (error) {
+            await client.query('ROLLBACK TO SAVEPOINT row_insert');
+            outcomes.push({ success: false, error: error.message });
+          }
+        }
+        return outcomes;
+      });
+    },
+
+    /**
+     * Several statements in one transaction (same contract as dbTransaction)
+     */
+    transaction(statements = []) {
+      return inTransaction(async (client) => {
+        const results = [];
+        for (const [sql, params = []] of statements) {
+          const result = await client.query(toPositionalParams(sql), params);
+          results.push({ changes: result.rowCount });
+        }
+        return results;
+      });
+    },
+
+    /**
+     * Apply pending db/migrations on one connection (the migrator opens a transaction per step)
+     */
+    async ready() {
+      const client = await pool.connect();
+      try {
+        const migrator = new Migrator(null, {
+          helpers: createMigrationHelpers(client),
+          log: (message) => console.log(`[MIGRATE] (postgres) ${message}`)
+        });
+        await migrator.migrate();
+      } finally {
+        client.release();
+      }
+    },
+
+    close() {
+      return pool.end();
+    }
+  };
+};
+
+module.exports = {
+  createPostgresExecutor,
+  createMigrationHelpers,
+  toPositionalParams,
+  toPostgresDdl
+};
@@ -0,0 +1,121 @@
+/**
+ * Row mapping for detections and alerts, shared by the SQL and in-memory repositories
+ */
+
+// Alert lifecycle fields and the columns that store them
+const ALERT_LIFECYCLE_COLUMNS = {
+  acknowledged: 'acknowledged',
+  acknowledgedBy: 'acknowledged_by',
+  acknowledgedAt: 'acknowledged_at',
+  acknowledgeNotes: 'acknowledge_notes',
+  resolved: 'resolved',
+  resolvedBy: 'resolved_by',
+  resolvedAt: 'resolved_at',
+  resolveNotes: 'resolve_notes',
+  feedback: 'feedback'
+};
+
+const BOOLEAN_COLUMNS = ['acknowledged', 'resolved'];
+
+const nullable = (value) => (typeof value === 'undefined' ? null : value);
+
+const parseJson = (value) => {
+  if (value === null || typeof value === 'undefined') return null;
+  return typeof value === 'string' ? JSON.parse(value) : value;
+};
+
+/**
+ * Column value for a lifecycle field (booleans as 0/1, feedback as JSON)
+ */
+const lifecycleValue = (field, value) => {
+  const column = ALERT_LIFECYCLE_COLUMNS[field];
+  if (BOOLEAN_COLUMNS.includes(column)) return value ? 1 : 0;
+  if (column === 'feedback') return value ? JSON.stringify(value) : null;
+  return nullable(value);
+};
+
+// Indexed flag so alert statistics need not parse feedback JSON
+const isFalsePositive = (feedback) => (feedback && feedback.isFalsePositive ? 1 : 0);
+
+const detectionToRow = (detection) => {
+  const summary = detection.detection || {};
+  return {
+    id: detection.id,
+    sensor_id: detection.sensorId,
+    timestamp: detection.timestamp,
+    leak_detected: summary.overallLeakDetected ? 1 : 0,
+    probability: nullable(summary.overallProbability),
+    severity: nullable(summary.severityLevel),
+    confidence: nullable(summary.confidenceScore),
+    data_quality: detection.qualityMetrics ? nullable(detection.qualityMetrics.dataQualityScore) : null,
+    payload: JSON.stringify(detection),
+    created_at: Date.now()
+  };
+};
+
+const rowToDetection = (row) => (row ? parseJson(row.payload) : null);
+
+const alertToRow = (alert) => {
+  const row = {
+    id: alert.id,
+    sensor_id: alert.sensorId,
+    detection_id: nullable(alert.detectionId),
+    timestamp: alert.timestamp,
+    detected_at: nullable(alert.detectedAt),
+    severity: nullable(alert.severity),
+    probability: nullable(alert.probability),
+    location: nullable(alert.location),
+    model_version: nullable(alert.modelVersion),
+    payload: JSON.stringify(alert)
+  };
+  Object.keys(ALERT_LIFECYCLE_COLUMNS).forEach(field => {
+    row[ALERT_LIFECYCLE_COLUMNS[field]] = lifecycleValue(field, alert[field]);
+  });
+  row.false_positive = isFalsePositive(alert.feedback);
+  return row;
+};
+
+/**
+ * Alert object from a row; lifecycle columns win over the insert-time payload
+ */
+const rowToAlert = (row) => {
+  if (!row) return null;
+
+  const alert = parseJson(row.payload);
+  Object.entries(ALERT_LIFECYCLE_COLUMNS).forEach(([field, column]) => {
+    const value = row[column];
+    if (BOOLEAN_COLUMNS.includes(column)) {
+      alert[field] = Boolean(value);
+    } else if (column === 'feedback') {
+      alert[field] = parseJson(value);
+    } else {
+      alert[field] = nullable(value);
+    }
+  });
+  return alert;
+};
+
+/**
+ * Column changes for an alert lifecycle update (unknown fields are ignored)
+ */
+const alertChangesToColumns = (changes) => {
+  const columns = {};
+  Object.keys(changes)
+    .filter(field => ALERT_LIFECYCLE_COLUMNS[field])
+    .forEach(field => {
+      columns[ALERT_LIFECYCLE_COLUMNS[field]] = lifecycleValue(field, changes[field]);
+    });
+  if (Object.prototype.hasOwnProperty.call(changes, 'feedback')) {
+    columns.false_positive = isFalsePositive(changes.feedback);
+  }
+  return columns;
+};
+
+module.exports = {
+  ALERT_LIFECYCLE_COLUMNS,
+  detectionToRow,
+  rowToDetection,
+  alertToRow,
+  rowToAlert,
+  alertChangesToColumns
+};
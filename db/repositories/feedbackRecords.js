@@ -0,0 +1,39 @@
+/**
+ * Row mapping for feedback_samples (the curated training set built from resolved
+ * alerts), shared by the SQL and in-memory repositories
+ */
+
+const FEEDBACK_LABELS = ['normal', 'anomaly'];
+
+const nullable = (value) => (typeof value === 'undefined' ? null : value);
+
+const feedbackToRow = (sample) => ({
+  id: sample.id,
+  alert_id: sample.alertId,
+  sensor_id: nullable(sample.sensorId),
+  timestamp: sample.timestamp,
+  label: sample.label,
+  features: JSON.stringify(sample.features),
+  model_version: nullable(sample.modelVersion),
+  created_at: sample.createdAt
+});
+
+const rowToFeedback = (row) => {
+  if (!row) return null;
+  return {
+    id: row.id,
+    alertId: row.alert_id,
+    sensorId: row.sensor_id,
+    timestamp: Number(row.timestamp),
+    label: row.label,
+    features: typeof row.features === 'string' ? JSON.parse(row.features) : row.features,
+    modelVersion: row.model_version,
+    createdAt: Number(row.created_at)
+  };
+};
+
+module.exports = {
+  FEEDBACK_LABELS,
+  feedbackToRow,
+  rowToFeedback
+};
@@ -0,0 +1,57 @@
+/**
+ * Data-access layer used by the controllers and the rollup, aggregation, import and export utilities
+ * STORAGE_BACKEND selects the implementation:
+ *   sqlite   (default) - SQL repositories over db/database.js
+ *   postgres           - SQL repositories over a pg pool (DATABASE_URL)
+ *   memory             - in-process arrays, nothing persisted
+ */
+
+const { createSqlRepositories } = require('./sqlRepositories');
+const { createMemoryRepositories } = require('./memoryRepositories');
+
+const STORAGE_BACKENDS = ['sqlite', 'postgres', 'memory'];
+
+/**
+ * Executor over the shared SQLite connection (schema handled by the migration runner)
+ */
+const createSqliteExecutor = () => {
+  const { dbRun, dbGet, dbAll, dbRunInTransaction, dbTransaction, databaseReady } = require('../database');
+  return {
+    run: dbRun,
+    get: dbGet,
+    all: dbAll,
+    runMany: dbRunInTransaction,
+    transaction: dbTransaction,
+    ready: () => databaseReady
+  };
+};
+
+/**
+ * Build a repository set for a backend
+ * @param {Object} options - postgres only: { connectionString }
+ * @returns {Object} { backend, sensorData, sensors, detections, alerts, models, feedbackSamples, detectionRules, rollups, valveLogs, trainingLogs, calibrations, ready() }
+ */
+const createRepositories = (backend = process.env.STORAGE_BACKEND || 'sqlite', options = {}) => {
+  if (!STORAGE_BACKENDS.includes(backend)) {
+    throw new Error(`STORAGE_BACKEND must be one of: ${STORAGE_BACKENDS.join(', ')}`);
+  }
+
+  if (backend === 'memory') {
+    return { backend, ...createMemoryRepositories(), ready: async () => {} };
+  }
+
+  const executor = backend === 'postgres'
+    ? require('../postgres').createPostgresExecutor(options)
+    : createSqliteExecutor();
+
+  return { backend, ...createSqlRepositories(executor), ready: () => executor.ready() };
+};
+
+// Shared instance for the running server
+const repositories = createRepositories();
+
+module.exports = {
+  repositories,
+  createRepositories,
+  STORAGE_BACKENDS
+};
@@ -0,0 +1,654 @@
+/**
+ * In-memory repositories
+ * Same interface as the SQL repositories, backed by plain arrays and maps.
+ * Used for tests and for running the API without any database file.
+ */
+
+const { SENSOR_UPDATABLE_COLUMNS, ROLLUP_FIELDS } = require('./sqlRepositories');
+const {
+  detectionToRow,
+  rowToDetection,
+  alertToRow,
+  rowToAlert,
+  alertChangesToColumns
+} = require('./detectionRecords');
+const { modelToRow, rowToModel, modelChangesToColumns } = require('./modelRecords');
+const { feedbackToRow, rowToFeedback } = require('./feedbackRecords');
+const { ruleToRow, rowToRule, ruleChangesToColumns } = require('./ruleRecords');
+
+// Same text format as SQLite CURRENT_TIMESTAMP ('YYYY-MM-DD HH:MM:SS', UTC)
+const sqlNow = () => new Date().toISOString().replace('T', ' ').slice(0, 19);
+
+const byTimestampDesc = (field) => (a, b) => b[field] - a[field];
+
+const compareIds = (a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+
+/**
+ * Keyset cursor check: is the row past `after` ({ timestamp, id }) in the requested order
+ */
+const isPastCursor = (time, id, after, order) => {
+  const past = order === 'asc' ? time > after.timestamp : time < after.timestamp;
+  return past || (time === after.timestamp && id > after.id);
+};
+
+const matchesSensorData = (row, { startTime, endTime, sensorIds = [], leakOnly = false, after, order } = {}) => {
+  if (typeof startTime === 'number' && row.timestamp < startTime) return false;
+  if (typeof endTime === 'number' && row.timestamp > endTime) return false;
+  if (sensorIds.length > 0 && !sensorIds.includes(row.sensor_id)) return false;
+  if (leakOnly && row.leak_status !== 1) return false;
+  if (after && !isPastCursor(row.timestamp, row.id, after, order)) return false;
+  return true;
+};
+
+class MemorySensorDataRepository {
+  constructor() {
+    this.rows = new Map();
+  }
+
+  async insert(reading) {
+    if (this.rows.has(reading.id)) {
+      throw new Error('UNIQUE constraint failed: sensor_data.id');
+    }
+
+    this.rows.set(reading.id, {
+      id: reading.id,
+      timestamp: reading.timestamp,
+      pressure: reading.pressure,
+      flow: reading.flow,
+      leak_status: reading.leak_status ? 1 : 0,
+      valve_state: reading.valve_state || 'CLOSED',
+      temperature: typeof reading.temperature === 'undefined' ? null : reading.temperature,
+      conductivity: typeof reading.conductivity === 'undefined' ? null : reading.conductivity,
+      location: reading.location || null,
+      sensor_id: reading.sensor_id || null,
+      created_at: sqlNow()
+    });
+  }
+
+  async insertMany(readings) {
+    const outcomes = [];
+    for (const reading of readings) {
+      try {
+        await this.insert(reading);
+        outcomes.push({ success: true });
+      } catch (error) {
+        outcomes.push({ success: false, error: error.message });
+      }
+    }
+    return outcomes;
+  }
+
+  async findById(id) {
+    return this.rows.get(id);
+  }
+
+  async find(filters = {}) {
+    const { limit = 100, offset = 0, order } = filters;
+    const direction = order === 'asc' ? 1 : -1;
+    return [...this.rows.values()]
+      .filter(row => matchesSensorData(row, filters))
+      .sort((a, b) => (a.timestamp - b.timestamp) * direction || compareIds(a, b))
+      .slice(offset, offset + limit)
+      .map(row => ({ ...row }));
+  }
+
+  async count(filters = {}) {
+    return [...this.rows.values()].filter(row => matchesSensorData(row, filters)).length;
+  }
+
+  async findKeys(filters = {}) {
+    return [...this.rows.values()]
+      .filter(row => matchesSensorData(row, filters))
+      .map(({ sensor_id, timestamp }) => ({ sensor_id, timestamp }));
+  }
+
+  async removeBefore(before) {
+    let removed = 0;
+    [...this.rows.values()].forEach(row => {
+      if (row.timestamp < before) {
+        this.rows.delete(row.id);
+        removed++;
+      }
+    });
+    return removed;
+  }
+
+  async latest() {
+    const [row] = await this.find({ limit: 1 });
+    return row || null;
+  }
+}
+
+class MemorySensorRepository {
+  constructor() {
+    this.sensors = new Map();
+  }
+
+  async findById(id) {
+    const sensor = this.sensors.get(id);
+    return sensor ? { ...sensor } : undefined;
+  }
+
+  async findByIds(ids) {
+    return ids.filter(id => this.sensors.has(id)).map(id => ({ ...this.sensors.get(id) }));
+  }
+
+  async list(filters = {}) {
+    return [...this.sensors.values()]
+      .filter(sensor => ['type', 'status', 'location', 'pipe_id'].every(column => !filters[column] || sensor[column] === filters[column]))
+      .sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0))
+      .map(sensor => ({ ...sensor }));
+  }
+
+  async create(sensor) {
+    if (this.sensors.has(sensor.id)) {
+      throw new Error('UNIQUE constraint failed: sensors.id');
+    }
+
+    const now = sqlNow();
+    this.sensors.set(sensor.id, {
+      id: sensor.id,
+      name: sensor.name,
+      type: sensor.type || 'FLOW_METER',
+      location: sensor.location || null,
+      pipe_id: sensor.pipe_id || null,
+      pressure_offset: sensor.pressure_offset || 0,
+      flow_offset: sensor.flow_offset || 0,
+      temperature_offset: sensor.temperature_offset || 0,
+      status: sensor.status || 'ACTIVE',
+      detector: sensor.detector || null,
+      created_at: now,
+      updated_at: now
+    });
+  }
+
+  async update(id, changes) {
+    const sensor = this.sensors.get(id);
+    if (!sensor) return;
+
+    Object.keys(changes)
+      .filter(field => SENSOR_UPDATABLE_COLUMNS.includes(field))
+      .forEach(field => {
+        sensor[field] = changes[field];
+      });
+    sensor.updated_at = sqlNow();
+  }
+
+  async remove(id) {
+    this.sensors.delete(id);
+  }
+}
+
+class MemoryLogRepository {
+  constructor({ orderBy }) {
+    this.orderBy = orderBy;
+    this.entries = [];
+  }
+
+  async insert(entry) {
+    this.entries.push({ ...entry, created_at: sqlNow() });
+  }
+
+  async list({ limit = 50 } = {}) {
+    return [...this.entries]
+      .sort(byTimestampDesc(this.orderBy))
+      .slice(0, limit)
+      .map(entry => ({ ...entry }));
+  }
+
+  async find(filters = {}) {
+    return selectEvents(this.entries, filters, 50, this.orderBy).map(entry => ({ ...entry }));
+  }
+}
+
+/**
+ * Same filters as the SQL eventWhere, applied to stored rows
+ */
+const matchesEvent = (row, filters = {}, timeField = 'timestamp') => {
+  const { sensorIds = [], startTime, endTime, leakOnly, severity, resolved, acknowledged, after, order } = filters;
+  const time = row[timeField];
+  if (sensorIds.length > 0 && !sensorIds.includes(row.sensor_id)) return false;
+  if (typeof startTime === 'number' && time < startTime) return false;
+  if (typeof endTime === 'number' && time > endTime) return false;
+  if (leakOnly && row.leak_detected !== 1) return false;
+  if (severity && row.severity !== severity) return false;
+  if (typeof resolved === 'boolean' && row.resolved !== (resolved ? 1 : 0)) return false;
+  if (typeof acknowledged === 'boolean' && row.acknowledged !== (acknowledged ? 1 : 0)) return false;
+  if (after && !isPastCursor(time, row.id, after, order)) return false;
+  return true;
+};
+
+/**
+ * Filter, order (time field, then id) and page stored rows
+ */
+const selectEvents = (rows, filters, defaultLimit, timeField = 'timestamp') => {
+  const { limit = defaultLimit, offset = 0, order } = filters;
+  const direction = order === 'asc' ? 1 : -1;
+  return [...rows.values()]
+    .filter(row => matchesEvent(row, filters, timeField))
+    .sort((a, b) => (a[timeField] - b[timeField]) * direction || compareIds(a, b))
+    .slice(offset, offset + limit);
+};
+
+const average = (values) => (values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null);
+
+class MemoryDetectionRepository {
+  constructor() {
+    this.rows = new Map();
+  }
+
+  async insert(detection) {
+    if (this.rows.has(detection.id)) {
+      throw new Error('UNIQUE constraint failed: detections.id');
+    }
+    this.rows.set(detection.id, detectionToRow(detection));
+  }
+
+  async find(filters = {}) {
+    return selectEvents(this.rows, filters, 100).map(rowToDetection);
+  }
+
+  async count(filters = {}) {
+    return [...this.rows.values()].filter(row => matchesEvent(row, filters)).length;
+  }
+
+  async summarize(filters = {}) {
+    const rows = [...this.rows.values()].filter(row => matchesEvent(row, filters));
+    const values = (column) => rows.map(row => row[column]).filter(v => v !== null);
+    const severity = (level) => rows.filter(row => row.severity === level).length;
+
+    return {
+      total: rows.length,
+      leaks: rows.filter(row => row.leak_detected === 1).length,
+      avgProbability: average(values('probability')),
+      maxProbability: values('probability').reduce((max, v) => (max === null || v > max ? v : max), null),
+      minProbability: values('probability').reduce((min, v) => (min === null || v < min ? v : min), null),
+      avgConfidence: average(values('confidence')),
+      avgQuality: average(values('data_quality')),
+      severityCounts: {
+        CRITICAL: severity('CRITICAL'),
+        HIGH: severity('HIGH'),
+        MEDIUM: severity('MEDIUM'),
+        NORMAL: severity('NORMAL')
+      }
+    };
+  }
+}
+
+class MemoryAlertRepository {
+  constructor() {
+    this.rows = new Map();
+  }
+
+  async insert(alert) {
+    if (this.rows.has(alert.id)) {
+      throw new Error('UNIQUE constraint failed: alerts.id');
+    }
+    this.rows.set(alert.id, alertToRow(alert));
+  }
+
+  async findById(id) {
+    return rowToAlert(this.rows.get(id));
+  }
+
+  async find(filters = {}) {
+    return selectEvents(this.rows, filters, 50).map(rowToAlert);
+  }
+
+  async count(filters = {}) {
+    return [...this.rows.values()].filter(row => matchesEvent(row, filters)).length;
+  }
+
+  async update(id, changes) {
+    const row = this.rows.get(id);
+    if (!row) return null;
+    Object.assign(row, alertChangesToColumns(changes));
+    return rowToAlert(row);
+  }
+
+  async statistics(filters = {}) {
+    const rows = [...this.rows.values()].filter(row => matchesEvent(row, filters));
+    return {
+      total: rows.length,
+      active: rows.filter(row => row.resolved === 0).length,
+      acknowledged: rows.filter(row => row.acknowledged === 1).length,
+      resolved: rows.filter(row => row.resolved === 1).length,
+      falsePositives: rows.filter(row => row.false_positive === 1).length,
+      responseTimeSum: rows
+        .filter(row => row.acknowledged_at !== null)
+        .reduce((sum, row) => sum + (row.acknowledged_at - row.timestamp), 0)
+    };
+  }
+
+  async feedbackByModelVersion() {
+    const groups = new Map();
+    [...this.rows.values()].forEach(row => {
+      const version = row.model_version;
+      if (!groups.has(version)) groups.set(version, { modelVersion: version, total: 0, reviewed: 0, falsePositives: 0 });
+      const group = groups.get(version);
+      group.total++;
+      if (row.feedback !== null) group.reviewed++;
+      group.falsePositives += row.false_positive;
+    });
+    // NULL first, like ORDER BY in SQLite
+    return [...groups.values()].sort((a, b) => (a.modelVersion === null ? -1 : b.modelVersion === null ? 1 : a.modelVersion - b.modelVersion));
+  }
+}
+
+class MemoryFeedbackSampleRepository {
+  constructor() {
+    this.rows = new Map();
+  }
+
+  async upsert(sample) {
+    const row = feedbackToRow(sample);
+    const existing = [...this.rows.values()].find(r => r.alert_id === row.alert_id);
+    if (existing) {
+      Object.assign(existing, { label: row.label, features: row.features, model_version: row.model_version, created_at: row.created_at });
+      return;
+    }
+    if (this.rows.has(row.id)) {
+      throw new Error('UNIQUE constraint failed: feedback_samples.id');
+    }
+    this.rows.set(row.id, row);
+  }
+
+  _select(since) {
+    return [...this.rows.values()].filter(row => since === null || row.created_at > since);
+  }
+
+  async list({ since = null, limit = 1000, offset = 0 } = {}) {
+    return this._select(since)
+      .sort((a, b) => b.created_at - a.created_at || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0))
+      .slice(offset, offset + limit)
+      .map(rowToFeedback);
+  }
+
+  async countByLabel({ since = null } = {}) {
+    return this._select(since).reduce((counts, row) => ({ ...counts, [row.label]: (counts[row.label] || 0) + 1 }), {});
+  }
+}
+
+class MemoryModelRepository {
+  constructor() {
+    this.rows = new Map();
+  }
+
+  async insert(model) {
+    const row = modelToRow(model);
+    if (this.rows.has(row.id)) {
+      throw new Error('UNIQUE constraint failed: model_registry.id');
+    }
+    if ([...this.rows.values()].some(existing => existing.version === row.version)) {
+      throw new Error('UNIQUE constraint failed: model_registry.version');
+    }
+    this.rows.set(row.id, row);
+  }
+
+  async findById(id) {
+    return rowToModel(this.rows.get(id));
+  }
+
+  _select({ status = null, modelType = null } = {}) {
+    return [...this.rows.values()]
+      .filter(row => (!status || row.status === status) && (!modelType || row.model_type === modelType))
+      .sort((a, b) => b.version - a.version);
+  }
+
+  async list({ status = null, modelType = null, limit = 50, offset = 0 } = {}) {
+    return this._select({ status, modelType }).slice(offset, offset + limit).map(rowToModel);
+  }
+
+  async count(filters = {}) {
+    return this._select(filters).length;
+  }
+
+  async latestVersion() {
+    const [newest] = this._select();
+    return newest ? newest.version : 0;
+  }
+
+  async lastPromoted({ excludeId = null } = {}) {
+    const [row] = [...this.rows.values()]
+      .filter(r => r.promoted_at !== null && r.id !== excludeId)
+      .sort((a, b) => b.promoted_at - a.promoted_at || b.version - a.version);
+    return rowToModel(row);
+  }
+
+  async update(id, changes) {
+    const row = this.rows.get(id);
+    if (!row) return null;
+    Object.assign(row, modelChangesToColumns(changes));
+    return rowToModel(row);
+  }
+}
+
+class MemoryDetectionRuleRepository {
+  constructor() {
+    this.rows = new Map();
+  }
+
+  async insert(rule) {
+    const row = ruleToRow(rule);
+    if (this.rows.has(row.id)) {
+      throw new Error('UNIQUE constraint failed: detection_rules.id');
+    }
+    this.rows.set(row.id, row);
+  }
+
+  async findById(id) {
+    return rowToRule(this.rows.get(id));
+  }
+
+  async list() {
+    return [...this.rows.values()]
+      .sort((a, b) => a.created_at - b.created_at || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0))
+      .map(rowToRule);
+  }
+
+  async update(id, changes) {
+    const row = this.rows.get(id);
+    if (!row) return null;
+    Object.assign(row, ruleChangesToColumns(changes));
+    return rowToRule(row);
+  }
+
+  async remove(id) {
+    this.rows.delete(id);
+  }
+}
+
+/**
+ * Rollup bucket with nothing added yet
+ */
+const emptyBucket = (sensorId, bucketStart) => {
+  const bucket = { sensor_id: sensorId, bucket_start: bucketStart, reading_count: 0, leak_count: 0 };
+  ROLLUP_FIELDS.forEach(f => {
+    Object.assign(bucket, { [`${f}_min`]: null, [`${f}_max`]: null, [`${f}_sum`]: null, [`${f}_count`]: 0 });
+  });
+  return bucket;
+};
+
+/**
+ * A raw reading in the rollup column layout (a bucket of one)
+ */
+const readingAsBucket = (row) => {
+  const bucket = emptyBucket(row.sensor_id || '', row.timestamp);
+  bucket.reading_count = 1;
+  bucket.leak_count = row.leak_status === 1 ? 1 : 0;
+  ROLLUP_FIELDS.forEach(f => {
+    const value = typeof row[f] === 'undefined' ? null : row[f];
+    Object.assign(bucket, { [`${f}_min`]: value, [`${f}_max`]: value, [`${f}_sum`]: value, [`${f}_count`]: value === null ? 0 : 1 });
+  });
+  return bucket;
+};
+
+/**
+ * Add one bucket into another (NULLs are skipped like SQL MIN/MAX/SUM skip them)
+ */
+const addToBucket = (target, source) => {
+  target.reading_count += source.reading_count;
+  target.leak_count += source.leak_count;
+  ROLLUP_FIELDS.forEach(f => {
+    const [min, max, sum] = [source[`${f}_min`], source[`${f}_max`], source[`${f}_sum`]];
+    if (min !== null && (target[`${f}_min`] === null || min < target[`${f}_min`])) target[`${f}_min`] = min;
+    if (max !== null && (target[`${f}_max`] === null || max > target[`${f}_max`])) target[`${f}_max`] = max;
+    if (sum !== null) target[`${f}_sum`] = (target[`${f}_sum`] || 0) + sum;
+    target[`${f}_count`] += source[`${f}_count`];
+  });
+};
+
+const floorTo = (timestamp, granularityMs) => Math.floor(timestamp / granularityMs) * granularityMs;
+
+/**
+ * Rollup tables computed from the readings of a MemorySensorDataRepository
+ */
+class MemoryRollupRepository {
+  constructor(sensorData) {
+    this.sensorData = sensorData;
+    this.state = new Map();
+    // Rollup table -> Map of `sensor_id|bucket_start` -> bucket
+    this.tables = new Map();
+  }
+
+  _table(rollup) {
+    if (!this.tables.has(rollup.table)) {
+      this.tables.set(rollup.table, new Map());
+    }
+    return this.tables.get(rollup.table);
+  }
+
+  /**
+   * Buckets of the rollup granularity for the readings matching `keep`
+   */
+  _rollUp(rollup, keep, updatedAt) {
+    const buckets = new Map();
+    [...this.sensorData.rows.values()].filter(keep).forEach(row => {
+      const reading = readingAsBucket(row);
+      const bucketStart = floorTo(row.timestamp, rollup.granularityMs);
+      const key = `${reading.sensor_id}|${bucketStart}`;
+      if (!buckets.has(key)) {
+        buckets.set(key, { ...emptyBucket(reading.sensor_id, bucketStart), updated_at: updatedAt });
+      }
+      addToBucket(buckets.get(key), reading);
+    });
+    return buckets;
+  }
+
+  async getState(name) {
+    return this.state.has(name) ? this.state.get(name) : null;
+  }
+
+  async setState(name, value) {
+    this.state.set(name, value);
+  }
+
+  async rebuild(rollup, startTime, endTime, updatedAt) {
+    const table = this._table(rollup);
+    this._rollUp(rollup, row => row.timestamp >= startTime && row.timestamp < endTime, updatedAt)
+      .forEach((bucket, key) => table.set(key, bucket));
+  }
+
+  async mergeBefore(rollups, before, updatedAt) {
+    rollups.forEach(rollup => {
+      const table = this._table(rollup);
+      this._rollUp(rollup, row => row.timestamp < before, updatedAt).forEach((bucket, key) => {
+        if (!table.has(key)) {
+          table.set(key, bucket);
+          return;
+        }
+        addToBucket(table.get(key), bucket);
+        table.get(key).updated_at = updatedAt;
+      });
+    });
+    return this.sensorData.removeBefore(before);
+  }
+
+  async removeBefore(rollup, before) {
+    const table = this._table(rollup);
+    let removed = 0;
+    [...table.entries()].forEach(([key, bucket]) => {
+      if (bucket.bucket_start < before) {
+        table.delete(key);
+        removed++;
+      }
+    });
+    return removed;
+  }
+
+  async aggregate({ rollup = null, rollupStart, rollupEnd, rawStart = null, endTime, sensorIds = [], fields, bucketMs = null, groupBySensor = false }) {
+    const inSensors = (sensorId) => sensorIds.length === 0 || sensorIds.includes(sensorId);
+    const source = [];
+
+    if (rollup) {
+      source.push(...[...this._table(rollup).values()]
+        .filter(b => b.bucket_start >= rollupStart && b.bucket_start < rollupEnd && inSensors(b.sensor_id)));
+    }
+    if (rawStart !== null) {
+      source.push(...[...this.sensorData.rows.values()]
+        .filter(row => row.timestamp >= rawStart && row.timestamp <= endTime && inSensors(row.sensor_id))
+        .map(readingAsBucket));
+    }
+
+    const groups = new Map();
+    source.forEach(row => {
+      const sensorId = groupBySensor ? row.sensor_id : '';
+      const bucket = bucketMs ? floorTo(row.bucket_start, bucketMs) : null;
+      const key = `${sensorId}|${bucket}`;
+      if (!groups.has(key)) {
+        groups.set(key, emptyBucket(sensorId, bucket));
+      }
+      addToBucket(groups.get(key), row);
+    });
+
+    return [...groups.values()]
+      .sort((a, b) => (a.sensor_id < b.sensor_id ? -1 : a.sensor_id > b.sensor_id ? 1 : 0) || a.bucket_start - b.bucket_start)
+      .map(totals => {
+        const row = {};
+        if (groupBySensor) row.sensor_id = totals.sensor_id || null;
+        if (bucketMs) row.bucket = totals.bucket_start;
+        row.reading_count = totals.reading_count;
+        row.leak_count = totals.leak_count;
+        fields.forEach(f => {
+          row[`${f}_min`] = totals[`${f}_min`];
+          row[`${f}_avg`] = totals[`${f}_count`] > 0 ? totals[`${f}_sum`] / totals[`${f}_count`] : null;
+          row[`${f}_max`] = totals[`${f}_max`];
+        });
+        return row;
+      });
+  }
+}
+
+/**
+ * Build a fresh, empty repository set
+ */
+const createMemoryRepositories = () => {
+  const sensorData = new MemorySensorDataRepository();
+
+  return {
+    sensorData,
+    sensors: new MemorySensorRepository(),
+    detections: new MemoryDetectionRepository(),
+    alerts: new MemoryAlertRepository(),
+    models: new MemoryModelRepository(),
+    feedbackSamples: new MemoryFeedbackSampleRepository(),
+    detectionRules: new MemoryDetectionRuleRepository(),
+    rollups: new MemoryRollupRepository(sensorData),
+      valveLogs: new MemoryLogRepository({ orderBy: 'timestamp' }),
+    trainingLogs: new MemoryLogRepository({ orderBy: 'training_date' }),
+    calibrations: new MemoryLogRepository({ orderBy: 'timestamp' })
+  };
+};
+
+module.exports = {
+  MemorySensorDataRepository,
+  MemorySensorRepository,
+  MemoryLogRepository,
+  MemoryDetectionRepository,
+  MemoryAlertRepository,
+  MemoryModelRepository,
+  MemoryFeedbackSampleRepository,
+  MemoryDetectionRuleRepository,
+  MemoryRollupRepository,
+  createMemoryRepositories
+};
@@ -0,0 +1,87 @@
+/**
+ * Row mapping for the model registry, shared by the SQL and in-memory repositories
+ */
+
+const MODEL_STATUSES = ['candidate', 'production', 'archived'];
+
+// Fields an update may change and the columns that store them
+const MODEL_UPDATABLE_COLUMNS = {
+  status: 'status',
+  notes: 'notes',
+  promotedAt: 'promoted_at',
+  archivedAt: 'archived_at'
+};
+
+const JSON_COLUMNS = ['metrics', 'evaluation', 'training_profile', 'hyperparameters', 'features'];
+
+const nullable = (value) => (typeof value === 'undefined' ? null : value);
+
+const modelToRow = (model) => ({
+  id: model.id,
+  version: model.version,
+  model_type: model.modelType,
+  artifact: model.artifact,
+  status: model.status || 'candidate',
+  metrics: model.metrics ? JSON.stringify(model.metrics) : null,
+  evaluation: model.evaluation ? JSON.stringify(model.evaluation) : null,
+  training_profile: model.trainingProfile ? JSON.stringify(model.trainingProfile) : null,
+  hyperparameters: model.hyperparameters ? JSON.stringify(model.hyperparameters) : null,
+  features: model.features ? JSON.stringify(model.features) : null,
+  data_fingerprint: nullable(model.dataFingerprint),
+  sample_count: nullable(model.sampleCount),
+  source: nullable(model.source),
+  notes: nullable(model.notes),
+  created_at: model.createdAt,
+  promoted_at: nullable(model.promotedAt),
+  archived_at: nullable(model.archivedAt)
+});
+
+const rowToModel = (row) => {
+  if (!row) return null;
+
+  const parsed = {};
+  JSON_COLUMNS.forEach(column => {
+    const value = row[column];
+    parsed[column] = typeof value === 'string' ? JSON.parse(value) : nullable(value);
+  });
+
+  return {
+    id: row.id,
+    version: Number(row.version),
+    modelType: row.model_type,
+    artifact: row.artifact,
+    status: row.status,
+    metrics: parsed.metrics,
+    evaluation: parsed.evaluation,
+    trainingProfile: parsed.training_profile,
+    hyperparameters: parsed.hyperparameters,
+    features: parsed.features,
+    dataFingerprint: row.data_fingerprint,
+    sampleCount: row.sample_count === null ? null : Number(row.sample_count),
+    source: row.source,
+    notes: row.notes,
+    createdAt: Number(row.created_at),
+    promotedAt: row.promoted_at === null ? null : Number(row.promoted_at),
+    archivedAt: row.archived_at === null ? null : Number(row.archived_at)
+  };
+};
+
+/**
+ * Column changes for a registry update (unknown fields are ignored)
+ */
+const modelChangesToColumns = (changes) => {
+  const columns = {};
+  Object.keys(changes)
+    .filter(field => MODEL_UPDATABLE_COLUMNS[field])
+    .forEach(field => {
+      columns[MODEL_UPDATABLE_COLUMNS[field]] = nullable(changes[field]);
+    });
+  return columns;
+};
+
+module.exports = {
+  MODEL_STATUSES,
+  modelToRow,
+  rowToModel,
+  modelChangesToColumns
+};
@@ -0,0 +1,75 @@
+/**
+ * Row mapping for detection_rules, shared by the SQL and in-memory repositories
+ */
+
+// Fields an update may change and the columns that store them
+const RULE_UPDATABLE_COLUMNS = {
+  description: 'description',
+  severity: 'severity',
+  probability: 'probability',
+  when: 'expression',
+  for: 'hold_seconds',
+  sensorIds: 'sensor_ids',
+  enabled: 'enabled',
+  updatedAt: 'updated_at'
+};
+
+const nullable = (value) => (typeof value === 'undefined' ? null : value);
+
+const columnValue = (field, value) => {
+  if (field === 'when') return JSON.stringify(value);
+  if (field === 'sensorIds') return value ? JSON.stringify(value) : null;
+  if (field === 'enabled') return value ? 1 : 0;
+  return nullable(value);
+};
+
+const ruleToRow = (rule) => ({
+  id: rule.id,
+  description: nullable(rule.description),
+  severity: rule.severity,
+  probability: rule.probability,
+  expression: JSON.stringify(rule.when),
+  hold_seconds: nullable(rule.for),
+  sensor_ids: rule.sensorIds ? JSON.stringify(rule.sensorIds) : null,
+  enabled: rule.enabled === false ? 0 : 1,
+  built_in: rule.builtIn ? 1 : 0,
+  created_at: rule.createdAt,
+  updated_at: rule.updatedAt
+});
+
+const rowToRule = (row) => {
+  if (!row) return null;
+  const parse = (value) => (typeof value === 'string' ? JSON.parse(value) : nullable(value));
+  return {
+    id: row.id,
+    description: row.description,
+    severity: row.severity,
+    probability: Number(row.probability),
+    when: parse(row.expression),
+    for: row.hold_seconds === null ? null : Number(row.hold_seconds),
+    sensorIds: parse(row.sensor_ids),
+    enabled: Number(row.enabled) === 1,
+    builtIn: Number(row.built_in) === 1,
+    createdAt: Number(row.created_at),
+    updatedAt: Number(row.updated_at)
+  };
+};
+
+/**
+ * Column changes for a rule update (unknown fields are ignored)
+ */
+const ruleChangesToColumns = (changes) => {
+  const columns = {};
+  Object.keys(changes)
+    .filter(field => RULE_UPDATABLE_COLUMNS[field])
+    .forEach(field => {
+      columns[RULE_UPDATABLE_COLUMNS[field]] = columnValue(field, changes[field]);
+    });
+  return columns;
+};
+
+module.exports = {
+  ruleToRow,
+  rowToRule,
+  ruleChangesToColumns
+};
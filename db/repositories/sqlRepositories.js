@@ -0,0 +1,812 @@
+/**
+ * SQL repositories
+ * Written against a small executor ({ run, get, all, runMany, transaction }) using `?`
+ * placeholders and portable SQL, so the same code serves SQLite and
+ * Postgres-compatible servers (see db/postgres.js for placeholder rewriting).
+ */
+
+const {
+  detectionToRow,
+  rowToDetection,
+  alertToRow,
+  rowToAlert,
+  alertChangesToColumns
+} = require('./detectionRecords');
+const { modelToRow, rowToModel, modelChangesToColumns } = require('./modelRecords');
+const { feedbackToRow, rowToFeedback } = require('./feedbackRecords');
+const { ruleToRow, rowToRule, ruleChangesToColumns } = require('./ruleRecords');
+
+const SENSOR_DATA_COLUMNS = ['id', 'sensor_id', 'timestamp', 'pressure', 'flow', 'leak_status', 'valve_state', 'temperature', 'conductivity', 'location'];
+const SENSOR_COLUMNS = ['id', 'name', 'type', 'location', 'pipe_id', 'pressure_offset', 'flow_offset', 'temperature_offset', 'status', 'detector'];
+// Columns a sensor update may touch (whitelisted because they are interpolated into SQL)
+const SENSOR_UPDATABLE_COLUMNS = SENSOR_COLUMNS.filter(c => c !== 'id');
+
+const placeholders = (count) => new Array(count).fill('?').join(', ');
+
+const insertSql = (table, columns) =>
+  `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${placeholders(columns.length)})`;
+
+const orderDirection = (order) => (order === 'asc' ? 'ASC' : 'DESC');
+
+const sensorDataValues = (reading) => SENSOR_DATA_COLUMNS.map(column => {
+  if (column === 'leak_status') return reading.leak_status ? 1 : 0;
+  return typeof reading[column] === 'undefined' ? null : reading[column];
+});
+
+/**
+ * WHERE clause for sensor_data filters: { startTime, endTime, sensorIds, leakOnly, after }
+ * `after` is the same { timestamp, id } keyset cursor as in eventWhere.
+ */
+const sensorDataWhere = ({ startTime, endTime, sensorIds = [], leakOnly = false, after, order } = {}) => {
+  const clauses = [];
+  const params = [];
+
+  if (typeof startTime === 'number') {
+    clauses.push('timestamp >= ?');
+    params.push(startTime);
+  }
+  if (typeof endTime === 'number') {
+    clauses.push('timestamp <= ?');
+    params.push(endTime);
+  }
+  if (sensorIds.length > 0) {
+    clauses.push(`sensor_id IN (${placeholders(sensorIds.length)})`);
+    params.push(...sensorIds);
+  }
+  if (leakOnly) {
+    clauses.push('leak_status = 1');
+  }
+  if (after) {
+    clauses.push(`(timestamp ${order === 'asc' ? '>' : '<'} ? OR (timestamp = ? AND id > ?))`);
+    params.push(after.timestamp, after.timestamp, after.id);
+  }
+
+  return {
+    where: clauses.length > 0 ? ` WHERE ${clauses.join(' AND ')}` : '',
+    params
+  };
+};
+
+class SqlSensorDataRepository {
+  constructor(executor) {
+    this.executor = executor;
+  }
+
+  async insert(reading) {
+    await this.executor.run(insertSql('sensor_data', SENSOR_DATA_COLUMNS), sensorDataValues(reading));
+  }
+
+  /**
+   * Insert many readings in one transaction
+   * @returns {Array} per-reading outcome ({ success, error })
+   */
+  async insertMany(readings) {
+    return this.executor.runMany(insertSql('sensor_data', SENSOR_DATA_COLUMNS), readings.map(sensorDataValues));
+  }
+
+  async findById(id) {
+    return this.executor.get('SELECT * FROM sensor_data WHERE id = ?', [id]);
+  }
+
+  /**
+   * Readings matching the filters (newest first unless order: 'asc')
+   */
+  async find(filters = {}) {
+    const { limit = 100, offset = 0, order } = filters;
+    const { where, params } = sensorDataWhere(filters);
+    return this.executor.all(
+      `SELECT * FROM sensor_data${where} ORDER BY timestamp ${orderDirection(order)}, id ASC LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+  }
+
+  async count(filters = {}) {
+    const { where, params } = sensorDataWhere(filters);
+    const row = await this.executor.get(`SELECT COUNT(*) AS count FROM sensor_data${where}`, params);
+    return row ? Number(row.count) : 0;
+  }
+
+  /**
+   * (sensor_id, timestamp) of every reading matching the filters, for de-duplication
+   */
+  async findKeys(filters = {}) {
+    const { where, params } = sensorDataWhere(filters);
+    return this.executor.all(`SELECT sensor_id, timestamp FROM sensor_data${where}`, params);
+  }
+
+  /**
+   * Delete readings older than `before`
+   * @returns {number} rows deleted
+   */
+  async removeBefore(before) {
+    const result = await this.executor.run('DELETE FROM sensor_data WHERE timestamp < ?', [before]);
+    return result.changes;
+  }
+
+  async latest() {
+    const [row] = await this.find({ limit: 1 });
+    return row || null;
+  }
+}
+
+class SqlSensorRepository {
+  constructor(executor) {
+    this.executor = executor;
+  }
+
+  async findById(id) {
+    return this.executor.get('SELECT * FROM sensors WHERE id = ?', [id]);
+  }
+
+  async findByIds(ids) {
+    if (ids.length === 0) return [];
+    return this.executor.all(`SELECT * FROM sensors WHERE id IN (${placeholders(ids.length)})`, ids);
+  }
+
+  /**
+   * Registered sensors filtered by { type, status, location, pipe_id }, ordered by id
+   */
+  async list(filters = {}) {
+    const clauses = [];
+    const params = [];
+    ['type', 'status', 'location', 'pipe_id'].forEach(column => {
+      if (filters[column]) {
+        clauses.push(`${column} = ?`);
+        params.push(filters[column]);
+      }
+    });
+
+    const where = clauses.length > 0 ? ` WHERE ${clauses.join(' AND ')}` : '';
+    return this.executor.all(`SELECT * FROM sensors${where} ORDER BY id ASC`, params);
+  }
+
+  async create(sensor) {
+    // Only supplied columns, so table defaults (type, offsets, status) still apply
+    const columns = SENSOR_COLUMNS.filter(column => typeof sensor[column] !== 'undefined');
+    await this.executor.run(insertSql('sensors', columns), columns.map(column => sensor[column]));
+  }
+
+  async update(id, changes) {
+    const fields = Object.keys(changes).filter(f => SENSOR_UPDATABLE_COLUMNS.includes(f));
+    if (fields.length === 0) return;
+
+    await this.executor.run(
+      `UPDATE sensors SET ${fields.map(f => `${f} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [...fields.map(f => changes[f]), id]
+    );
+  }
+
+  async remove(id) {
+    await this.executor.run('DELETE FROM sensors WHERE id = ?', [id]);
+  }
+}
+
+/**
+ * Append-only log tables (valve_control_logs, model_training_logs, threshold_calibrations)
+ */
+class SqlLogRepository {
+  constructor(executor, { table, columns, orderBy }) {
+    this.executor = executor;
+    this.table = table;
+    this.columns = columns;
+    this.orderBy = orderBy;
+  }
+
+  async insert(entry) {
+    await this.executor.run(
+      insertSql(this.table, this.columns),
+      this.columns.map(column => (typeof entry[column] === 'undefined' ? null : entry[column]))
+    );
+  }
+
+  /**
+   * Most recent entries first
+   */
+  async list({ limit = 50 } = {}) {
+    return this.executor.all(`SELECT * FROM ${this.table} ORDER BY ${this.orderBy} DESC LIMIT ?`, [limit]);
+  }
+
+  /**
+   * Entries in { startTime, endTime } of the ordering column (newest first unless order: 'asc'),
+   * with the `after` cursor of eventWhere
+   */
+  async find(filters = {}) {
+    const { limit = 50, offset = 0, order } = filters;
+    const { where, params } = eventWhere(filters, this.orderBy);
+    return this.executor.all(
+      `SELECT * FROM ${this.table}${where} ORDER BY ${this.orderBy} ${orderDirection(order)}, id ASC LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+  }
+}
+
+/**
+ * WHERE clause shared by detections, alerts and log tables:
+ * { sensorIds, startTime, endTime, leakOnly, severity, resolved, acknowledged, after }
+ * `after` ({ timestamp, id }) is a keyset cursor: only rows past it in the requested order.
+ * `timeColumn` is the column the time range and cursor apply to.
+ */
+const eventWhere = (filters = {}, timeColumn = 'timestamp') => {
+  const { sensorIds = [], startTime, endTime, leakOnly, severity, resolved, acknowledged, after, order } = filters;
+  const clauses = [];
+  const params = [];
+
+  if (sensorIds.length > 0) {
+    clauses.push(`sensor_id IN (${placeholders(sensorIds.length)})`);
+    params.push(...sensorIds);
+  }
+  if (typeof startTime === 'number') {
+    clauses.push(`${timeColumn} >= ?`);
+    params.push(startTime);
+  }
+  if (typeof endTime === 'number') {
+    clauses.push(`${timeColumn} <= ?`);
+    params.push(endTime);
+  }
+  if (leakOnly) {
+    clauses.push('leak_detected = 1');
+  }
+  if (severity) {
+    clauses.push('severity = ?');
+    params.push(severity);
+  }
+  if (typeof resolved === 'boolean') {
+    clauses.push('resolved = ?');
+    params.push(resolved ? 1 : 0);
+  }
+  if (typeof acknowledged === 'boolean') {
+    clauses.push('acknowledged = ?');
+    params.push(acknowledged ? 1 : 0);
+  }
+  if (after) {
+    clauses.push(`(${timeColumn} ${order === 'asc' ? '>' : '<'} ? OR (${timeColumn} = ? AND id > ?))`);
+    params.push(after.timestamp, after.timestamp, after.id);
+  }
+
+  return {
+    where: clauses.length > 0 ? ` WHERE ${clauses.join(' AND ')}` : '',
+    params
+  };
+};
+
+class SqlDetectionRepository {
+  constructor(executor) {
+    this.executor = executor;
+  }
+
+  async insert(detection) {
+    const row = detectionToRow(detection);
+    const columns = Object.keys(row);
+    await this.executor.run(insertSql('detections', columns), columns.map(c => row[c]));
+  }
+
+  /**
+   * Detections matching the filters (newest first unless order: 'asc')
+   */
+  async find(filters = {}) {
+    const { limit = 100, offset = 0, order } = filters;
+    const { where, params } = eventWhere(filters);
+    const rows = await this.executor.all(
+      `SELECT payload FROM detections${where} ORDER BY timestamp ${orderDirection(order)}, id ASC LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    return rows.map(rowToDetection);
+  }
+
+  async count(filters = {}) {
+    const { where, params } = eventWhere(filters);
+    const row = await this.executor.get(`SELECT COUNT(*) AS count FROM detections${where}`, params);
+    return row ? Number(row.count) : 0;
+  }
+
+  /**
+   * Aggregates behind the pattern analysis (counts, probability range, severities)
+   */
+  async summarize(filters = {}) {
+    const { where, params } = eventWhere(filters);
+    const row = await this.executor.get(
+      `SELECT COUNT(*) AS total,
+         SUM(leak_detected) AS leaks,
+         AVG(probability) AS avg_probability,
+         MAX(probability) AS max_probability,
+         MIN(probability) AS min_probability,
+         AVG(confidence) AS avg_confidence,
+         AVG(data_quality) AS avg_quality,
+         SUM(CASE WHEN severity = 'CRITICAL' THEN 1 ELSE 0 END) AS critical,
+         SUM(CASE WHEN severity = 'HIGH' THEN 1 ELSE 0 END) AS high,
+         SUM(CASE WHEN severity = 'MEDIUM' THEN 1 ELSE 0 END) AS medium,
+         SUM(CASE WHEN severity = 'NORMAL' THEN 1 ELSE 0 END) AS normal
+       FROM detections${where}`,
+      params
+    );
+
+    return {
+      total: Number(row.total) || 0,
+      leaks: Number(row.leaks) || 0,
+      avgProbability: row.avg_probability,
+      maxProbability: row.max_probability,
+      minProbability: row.min_probability,
+      avgConfidence: row.avg_confidence,
+      avgQuality: row.avg_quality,
+      severityCounts: {
+        CRITICAL: Number(row.critical) || 0,
+        HIGH: Number(row.high) || 0,
+        MEDIUM: Number(row.medium) || 0,
+        NORMAL: Number(row.normal) || 0
+      }
+    };
+  }
+}
+
+class SqlAlertRepository {
+  constructor(executor) {
+    this.executor = executor;
+  }
+
+  async insert(alert) {
+    const row = alertToRow(alert);
+    const columns = Object.keys(row);
+    await this.executor.run(insertSql('alerts', columns), columns.map(c => row[c]));
+  }
+
+  async findById(id) {
+    return rowToAlert(await this.executor.get('SELECT * FROM alerts WHERE id = ?', [id]));
+  }
+
+  /**
+   * Alerts matching the filters (newest first unless order: 'asc')
+   */
+  async find(filters = {}) {
+    const { limit = 50, offset = 0, order } = filters;
+    const { where, params } = eventWhere(filters);
+    const rows = await this.executor.all(
+      `SELECT * FROM alerts${where} ORDER BY timestamp ${orderDirection(order)}, id ASC LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    return rows.map(rowToAlert);
+  }
+
+  async count(filters = {}) {
+    const { where, params } = eventWhere(filters);
+    const row = await this.executor.get(`SELECT COUNT(*) AS count FROM alerts${where}`, params);
+    return row ? Number(row.count) : 0;
+  }
+
+  /**
+   * Update lifecycle fields (acknowledged*, resolved*, feedback)
+   * @returns {Object|null} the updated alert, or null when it does not exist
+   */
+  async update(id, changes) {
+    const columns = alertChangesToColumns(changes);
+    const names = Object.keys(columns);
+    if (names.length > 0) {
+      await this.executor.run(
+        `UPDATE alerts SET ${names.map(c => `${c} = ?`).join(', ')} WHERE id = ?`,
+        [...names.map(c => columns[c]), id]
+      );
+    }
+    return this.findById(id);
+  }
+
+  /**
+   * Lifecycle counts behind /api/alerts/statistics/overview
+   */
+  async statistics(filters = {}) {
+    const { where, params } = eventWhere(filters);
+    const row = await this.executor.get(
+      `SELECT COUNT(*) AS total,
+         SUM(CASE WHEN resolved = 0 THEN 1 ELSE 0 END) AS active,
+         SUM(acknowledged) AS acknowledged,
+         SUM(resolved) AS resolved,
+         SUM(false_positive) AS false_positives,
+         SUM(CASE WHEN acknowledged_at IS NOT NULL THEN acknowledged_at - timestamp ELSE 0 END) AS response_time_sum
+       FROM alerts${where}`,
+      params
+    );
+
+    return {
+      total: Number(row.total) || 0,
+      active: Number(row.active) || 0,
+      acknowledged: Number(row.acknowledged) || 0,
+      resolved: Number(row.resolved) || 0,
+      falsePositives: Number(row.false_positives) || 0,
+      responseTimeSum: Number(row.response_time_sum) || 0
+    };
+  }
+
+  /**
+   * Alerts, operator-reviewed alerts (feedback given) and false positives per model version
+   */
+  async feedbackByModelVersion() {
+    const rows = await this.executor.all(
+      `SELECT model_version,
+         COUNT(*) AS total,
+         SUM(CASE WHEN feedback IS NOT NULL THEN 1 ELSE 0 END) AS reviewed,
+         SUM(false_positive) AS false_positives
+       FROM alerts
+       GROUP BY model_version
+       ORDER BY model_version`
+    );
+    return rows.map(row => ({
+      modelVersion: row.model_version === null ? null : Number(row.model_version),
+      total: Number(row.total) || 0,
+      reviewed: Number(row.reviewed) || 0,
+      falsePositives: Number(row.false_positives) || 0
+    }));
+  }
+}
+
+/**
+ * Curated training samples from alert feedback (one per alert)
+ */
+class SqlFeedbackSampleRepository {
+  constructor(executor) {
+    this.executor = executor;
+  }
+
+  /**
+   * Insert, or relabel when the alert already has a sample (feedback changed)
+   */
+  async upsert(sample) {
+    const row = feedbackToRow(sample);
+    const columns = Object.keys(row);
+    const updates = ['label', 'features', 'model_version', 'created_at'].map(c => `${c} = excluded.${c}`);
+    await this.executor.run(
+      `${insertSql('feedback_samples', columns)} ON CONFLICT (alert_id) DO UPDATE SET ${updates.join(', ')}`,
+      columns.map(c => row[c])
+    );
+  }
+
+  /**
+   * Samples newest first; since: only those added (or relabeled) after this time
+   */
+  async list({ since = null, limit = 1000, offset = 0 } = {}) {
+    const where = since !== null ? ' WHERE created_at > ?' : '';
+    const rows = await this.executor.all(
+      `SELECT * FROM feedback_samples${where} ORDER BY created_at DESC, id ASC LIMIT ? OFFSET ?`,
+      [...(since !== null ? [since] : []), limit, offset]
+    );
+    return rows.map(rowToFeedback);
+  }
+
+  /**
+   * Sample counts per label
+   */
+  async countByLabel({ since = null } = {}) {
+    const where = since !== null ? ' WHERE created_at > ?' : '';
+    const rows = await this.executor.all(
+      `SELECT label, COUNT(*) AS count FROM feedback_samples${where} GROUP BY label`,
+      since !== null ? [since] : []
+    );
+    return rows.reduce((counts, row) => ({ ...counts, [row.label]: Number(row.count) }), {});
+  }
+}
+
+class SqlModelRepository {
+  constructor(executor) {
+    this.executor = executor;
+  }
+
+  async insert(model) {
+    const row = modelToRow(model);
+    const columns = Object.keys(row);
+    await this.executor.run(insertSql('model_registry', columns), columns.map(c => row[c]));
+  }
+
+  async findById(id) {
+    return rowToModel(await this.executor.get('SELECT * FROM model_registry WHERE id = ?', [id]));
+  }
+
+  _where({ status = null, modelType = null } = {}) {
+    const clauses = [];
+    const params = [];
+    if (status) {
+      clauses.push('status = ?');
+      params.push(status);
+    }
+    if (modelType) {
+      clauses.push('model_type = ?');
+      params.push(modelType);
+    }
+    return { where: clauses.length > 0 ? ` WHERE ${clauses.join(' AND ')}` : '', params };
+  }
+
+  /**
+   * Registered models, newest version first (optionally one status and/or model type)
+   */
+  async list({ status = null, modelType = null, limit = 50, offset = 0 } = {}) {
+    const { where, params } = this._where({ status, modelType });
+    const rows = await this.executor.all(
+      `SELECT * FROM model_registry${where} ORDER BY version DESC LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    return rows.map(rowToModel);
+  }
+
+  async count(filters = {}) {
+    const { where, params } = this._where(filters);
+    const row = await this.executor.get(`SELECT COUNT(*) AS count FROM model_registry${where}`, params);
+    return row ? Number(row.count) : 0;
+  }
+
+  async latestVersion() {
+    const row = await this.executor.get('SELECT MAX(version) AS version FROM model_registry');
+    return row && row.version !== null ? Number(row.version) : 0;
+  }
+
+  /**
+   * Most recently promoted model other than excludeId (the rollback target)
+   */
+  async lastPromoted({ excludeId = null } = {}) {
+    const row = await this.executor.get(
+      `SELECT * FROM model_registry WHERE promoted_at IS NOT NULL AND id <> ?
+       ORDER BY promoted_at DESC, version DESC LIMIT 1`,
+      [excludeId || '']
+    );
+    return rowToModel(row);
+  }
+
+  /**
+   * Update status, notes and promotion timestamps
+   * @returns {Object|null} the updated model, or null when it does not exist
+   */
+  async update(id, changes) {
+    const columns = modelChangesToColumns(changes);
+    const names = Object.keys(columns);
+    if (names.length > 0) {
+      await this.executor.run(
+        `UPDATE model_registry SET ${names.map(c => `${c} = ?`).join(', ')} WHERE id = ?`,
+        [...names.map(c => columns[c]), id]
+      );
+    }
+    return this.findById(id);
+  }
+}
+
+/**
+ * Detection rules evaluated by the rule-based detector
+ */
+class SqlDetectionRuleRepository {
+  constructor(executor) {
+    this.executor = executor;
+  }
+
+  async insert(rule) {
+    const row = ruleToRow(rule);
+    const columns = Object.keys(row);
+    await this.executor.run(insertSql('detection_rules', columns), columns.map(c => row[c]));
+  }
+
+  async findById(id) {
+    return rowToRule(await this.executor.get('SELECT * FROM detection_rules WHERE id = ?', [id]));
+  }
+
+  /**
+   * All rules, oldest first (the order they are evaluated in)
+   */
+  async list() {
+    const rows = await this.executor.all('SELECT * FROM detection_rules ORDER BY created_at ASC, id ASC');
+    return rows.map(rowToRule);
+  }
+
+  /**
+   * @returns {Object|null} the updated rule, or null when it does not exist
+   */
+  async update(id, changes) {
+    const columns = ruleChangesToColumns(changes);
+    const names = Object.keys(columns);
+    if (names.length > 0) {
+      await this.executor.run(
+        `UPDATE detection_rules SET ${names.map(c => `${c} = ?`).join(', ')} WHERE id = ?`,
+        [...names.map(c => columns[c]), id]
+      );
+    }
+    return this.findById(id);
+  }
+
+  async remove(id) {
+    await this.executor.run('DELETE FROM detection_rules WHERE id = ?', [id]);
+  }
+}
+
+// Reading fields kept in the rollup tables (db/migrations/003_sensor_data_rollups.js)
+const ROLLUP_FIELDS = ['pressure', 'flow', 'temperature', 'conductivity'];
+
+/**
+ * Columns written to a rollup table, in INSERT order
+ */
+const ROLLUP_COLUMNS = [
+  'sensor_id', 'bucket_start', 'reading_count', 'leak_count',
+  ...ROLLUP_FIELDS.flatMap(f => [`${f}_min`, `${f}_max`, `${f}_sum`, `${f}_count`]),
+  'updated_at'
+];
+
+/**
+ * SELECT that aggregates raw rows into buckets of the given granularity (first parameter: updated_at)
+ */
+const rollupSelect = (granularityMs, where) => `
+  SELECT COALESCE(sensor_id, '') AS sensor_id,
+    (timestamp / ${granularityMs}) * ${granularityMs} AS bucket_start,
+    COUNT(*),
+    SUM(CASE WHEN leak_status = 1 THEN 1 ELSE 0 END),
+    ${ROLLUP_FIELDS.map(f => `MIN(${f}), MAX(${f}), SUM(${f}), COUNT(${f})`).join(',\n    ')},
+    CAST(? AS BIGINT)
+  FROM sensor_data
+  WHERE ${where}
+  GROUP BY COALESCE(sensor_id, ''), (timestamp / ${granularityMs}) * ${granularityMs}`;
+
+/**
+ * Upsert rollups for raw rows matching `where`.
+ * 'replace' recomputes buckets whose raw rows are all still present;
+ * 'merge' adds rows into buckets whose raw rows were already pruned.
+ */
+const rollupUpsertSql = ({ table, granularityMs }, where, mode) => {
+  const current = (column) => `${table}.${column}`;
+  const updates = mode === 'merge'
+    ? [
+      `reading_count = ${current('reading_count')} + excluded.reading_count`,
+      `leak_count = ${current('leak_count')} + excluded.leak_count`,
+      ...ROLLUP_FIELDS.flatMap(f => [
+        `${f}_min = CASE WHEN ${current(`${f}_min`)} IS NULL OR excluded.${f}_min < ${current(`${f}_min`)} THEN excluded.${f}_min ELSE ${current(`${f}_min`)} END`,
+        `${f}_max = CASE WHEN ${current(`${f}_max`)} IS NULL OR excluded.${f}_max > ${current(`${f}_max`)} THEN excluded.${f}_max ELSE ${current(`${f}_max`)} END`,
+        `${f}_sum = COALESCE(${current(`${f}_sum`)}, 0) + COALESCE(excluded.${f}_sum, 0)`,
+        `${f}_count = ${current(`${f}_count`)} + excluded.${f}_count`
+      ]),
+      'updated_at = excluded.updated_at'
+    ]
+    : ROLLUP_COLUMNS
+      .filter(c => c !== 'sensor_id' && c !== 'bucket_start')
+      .map(c => `${c} = excluded.${c}`);
+
+  return `INSERT INTO ${table} (${ROLLUP_COLUMNS.join(', ')})
+    ${rollupSelect(granularityMs, where)}
+    ON CONFLICT (sensor_id, bucket_start) DO UPDATE SET ${updates.join(', ')}`;
+};
+
+/**
+ * Rollup tables of sensor_data and their state (rollup_state).
+ * `rollup` arguments are definitions like { table, granularityMs } (see ROLLUPS in utils/retentionManager).
+ */
+class SqlRollupRepository {
+  constructor(executor) {
+    this.executor = executor;
+  }
+
+  async getState(name) {
+    const row = await this.executor.get('SELECT value FROM rollup_state WHERE name = ?', [name]);
+    return row ? row.value : null;
+  }
+
+  async setState(name, value) {
+    await this.executor.run(
+      `INSERT INTO rollup_state (name, value) VALUES (?, ?)
+       ON CONFLICT (name) DO UPDATE SET value = excluded.value`,
+      [name, value]
+    );
+  }
+
+  /**
+   * Recompute the buckets of raw readings in [startTime, endTime)
+   */
+  async rebuild(rollup, startTime, endTime, updatedAt) {
+    await this.executor.run(
+      rollupUpsertSql(rollup, 'timestamp >= ? AND timestamp < ?', 'replace'),
+      [updatedAt, startTime, endTime]
+    );
+  }
+
+  /**
+   * Merge raw readings older than `before` into their buckets and delete them, in one transaction
+   * @returns {number} readings merged
+   */
+  async mergeBefore(rollups, before, updatedAt) {
+    const results = await this.executor.transaction([
+      ...rollups.map(rollup => [rollupUpsertSql(rollup, 'timestamp < ?', 'merge'), [updatedAt, before]]),
+      ['DELETE FROM sensor_data WHERE timestamp < ?', [before]]
+    ]);
+    return results[results.length - 1].changes;
+  }
+
+  /**
+   * Delete buckets starting before `before`
+   * @returns {number} buckets deleted
+   */
+  async removeBefore(rollup, before) {
+    const result = await this.executor.run(`DELETE FROM ${rollup.table} WHERE bucket_start < ?`, [before]);
+    return result.changes;
+  }
+
+  /**
+   * Re-aggregate rollup buckets in [rollupStart, rollupEnd) together with raw readings in [rawStart, endTime]
+   * @param {Object} query - { rollup (null = no rollup part), rollupStart, rollupEnd, rawStart (null = no raw part),
+   *   endTime, sensorIds, fields, bucketMs (null = one row for the whole range), groupBySensor }
+   * @returns {Array} { sensor_id (grouped only), bucket, reading_count, leak_count, <field>_min/_avg/_max },
+   *   ordered by sensor and bucket
+   */
+  async aggregate({ rollup = null, rollupStart, rollupEnd, rawStart = null, endTime, sensorIds = [], fields, bucketMs = null, groupBySensor = false }) {
+    const sensorClause = sensorIds.length > 0 ? ` AND sensor_id IN (${placeholders(sensorIds.length)})` : '';
+    const parts = [];
+    const params = [];
+
+    if (rollup) {
+      parts.push(
+        `SELECT sensor_id, bucket_start, reading_count, leak_count,
+          ${ROLLUP_FIELDS.map(f => `${f}_min, ${f}_max, ${f}_sum, ${f}_count`).join(', ')}
+         FROM ${rollup.table}
+         WHERE bucket_start >= ? AND bucket_start < ?${sensorClause}`
+      );
+      params.push(rollupStart, rollupEnd, ...sensorIds);
+    }
+    if (rawStart !== null) {
+      parts.push(
+        `SELECT COALESCE(sensor_id, '') AS sensor_id, timestamp AS bucket_start, 1 AS reading_count,
+          CASE WHEN leak_status = 1 THEN 1 ELSE 0 END AS leak_count,
+          ${ROLLUP_FIELDS.map(f => `${f} AS ${f}_min, ${f} AS ${f}_max, ${f} AS ${f}_sum, CASE WHEN ${f} IS NULL THEN 0 ELSE 1 END AS ${f}_count`).join(',\n          ')}
+         FROM sensor_data
+         WHERE timestamp >= ? AND timestamp <= ?${sensorClause}`
+      );
+      params.push(rawStart, endTime, ...sensorIds);
+    }
+    if (parts.length === 0) {
+      return [];
+    }
+
+    const groups = [groupBySensor && 'sensor_id', bucketMs && 'bucket'].filter(Boolean);
+    const rows = await this.executor.all(
+      `SELECT ${groupBySensor ? `NULLIF(sensor_id, '') AS sensor_id, ` : ''}${bucketMs ? '(bucket_start / ?) * ? AS bucket, ' : ''}
+         SUM(reading_count) AS reading_count,
+         SUM(leak_count) AS leak_count,
+         ${fields.map(f => `MIN(${f}_min) AS ${f}_min, SUM(${f}_sum) / NULLIF(SUM(${f}_count), 0) AS ${f}_avg, MAX(${f}_max) AS ${f}_max`).join(',\n         ')}
+       FROM (${parts.join('\nUNION ALL\n')}) AS source
+       ${groups.length > 0 ? `GROUP BY ${groups.join(', ')} ORDER BY ${groups.join(', ')} ASC` : ''}`,
+      [...(bucketMs ? [bucketMs, bucketMs] : []), ...params]
+    );
+
+    // Without grouping an empty range still yields one row of NULLs
+    return rows.filter(row => row.reading_count !== null);
+  }
+}
+
+/**
+ * Build the repository set over one SQL executor
+ */
+const createSqlRepositories = (executor) => ({
+  sensorData: new SqlSensorDataRepository(executor),
+  sensors: new SqlSensorRepository(executor),
+  detections: new SqlDetectionRepository(executor),
+  alerts: new SqlAlertRepository(executor),
+  models: new SqlModelRepository(executor),
+  feedbackSamples: new SqlFeedbackSampleRepository(executor),
+  detectionRules: new SqlDetectionRuleRepository(executor),
+  rollups: new SqlRollupRepository(executor),
+  valveLogs: new SqlLogRepository(executor, {
+    table: 'valve_control_logs',
+    columns: ['id', 'operation', 'timestamp', 'reason', 'status'],
+    orderBy: 'timestamp'
+  }),
+  trainingLogs: new SqlLogRepository(executor, {
+    table: 'model_training_logs',
+    columns: ['id', 'training_date', 'accuracy', 'model_version', 'status'],
+    orderBy: 'training_date'
+  }),
+  calibrations: new SqlLogRepository(executor, {
+    table: 'threshold_calibrations',
+    columns: ['id', 'timestamp', 'objective', 'threshold', 'previous_threshold', 'applied', 'model_version', 'sample_count', 'source', 'metrics'],
+    orderBy: 'timestamp'
+  })
+});
+
+module.exports = {
+  SqlSensorDataRepository,
+  SqlSensorRepository,
+  SqlLogRepository,
+  SqlDetectionRepository,
+  SqlAlertRepository,
+  SqlModelRepository,
+  SqlFeedbackSampleRepository,
+  SqlDetectionRuleRepository,
+  SqlRollupRepository,
+  createSqlRepositories,
+  SENSOR_UPDATABLE_COLUMNS,
+  ROLLUP_FIELDS
+};
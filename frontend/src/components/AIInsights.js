@@ -1,6 +1,7 @@
-import React, { useContext, useEffect } from 'react';
+import React, { useContext, useEffect, useState } from 'react';
 import { DetectionContext } from '../context/DetectionContext';
 import { WebSocketContext } from '../context/WebSocketContext';
+import { modelsAPI } from '../services/apiClient';
 import {
   LineChart, Line, BarChart, Bar, PieChart, Pie, Cell,
   XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer
@@ -8,6 +9,16 @@ import {
 import { FiCpu, FiTrendingUp, FiZap } from 'react-icons/fi';
 import '../styles/AIInsights.css';
 
+// Top features behind a detection's ML score, e.g. "flow_rate_of_change contributed 42%"
+const describeAttributions = (detection, limit = 3) => {
+  const methods = detection.detection?.detectionMethods || [];
+  const ml = methods.find((m) => m.method === 'ml_anomaly');
+  return (ml?.attributions || [])
+    .slice(0, limit)
+    .map((a) => `${a.feature} contributed ${Math.round(a.contribution)}%`)
+    .join(', ');
+};
+
 const AIInsights = () => {
   const {
     predictions,
@@ -24,6 +35,15 @@ const AIInsights = () => {
     getFormattedFreshness,
   } = useContext(WebSocketContext);
 
+  const [evaluation, setEvaluation] = useState(null);
+
+  // Held-out evaluation of the production model (404 until a model with labeled data is promoted)
+  useEffect(() => {
+    modelsAPI.getActiveEvaluation()
+      .then((response) => setEvaluation(response.data.data))
+      .catch(() => setEvaluation(null));
+  }, []);
+
   useEffect(() => {
     console.log('[AI INSIGHTS] Component mounted');
     fetchPredictions();
@@ -329,6 +349,145 @@ const AIInsights = () => {
         })()
       )}
 
+      {/* Model Evaluation */}
+      {evaluation && (
+        (() => {
+          const report = evaluation.evaluation;
+          const formatAuc = (auc) => (typeof auc === 'number' ? auc.toFixed(3) : 'n/a');
+          const cv = report.crossValidation;
+          const comparison = report.algorithmComparison || [];
+          const formatPct = (value) => (typeof value === 'number' ? `${value.toFixed(2)}%` : 'n/a');
+
+          return (
+            <div className="model-info-section evaluation-section">
+              <h2>Model Evaluation (v{evaluation.version}{evaluation.modelType ? ` ${evaluation.modelType}` : ''}, {report.evaluatedOn} set)</h2>
+              <div className="model-info-grid">
+                <div className="info-box">
+                  <p className="info-label">ROC AUC</p>
+                  <p className="info-value">{formatAuc(report.rocAuc)}</p>
+                </div>
+                <div className="info-box">
+                  <p className="info-label">PR AUC</p>
+                  <p className="info-value">{formatAuc(report.prAuc)}</p>
+                </div>
+                <div className="info-box">
+                  <p className="info-label">Labeled Samples</p>
+                  <p className="info-value">{report.labeledSamples} ({report.anomalies} anomalies)</p>
+                </div>
+                {report.validation && (
+                  <div className="info-box">
+                    <p className="info-label">Validation ROC AUC</p>
+                    <p className="info-value">{formatAuc(report.validation.rocAuc)}</p>
+                  </div>
+                )}
+              </div>
+
+              <div className="charts-section">
+                <div className="chart-card">
+                  <h3>ROC Curve (AUC {formatAuc(report.rocAuc)})</h3>
+                  <ResponsiveContainer width="100%" height={300}>
+                    <LineChart data={report.roc || []} margin={{ top: 5, right: 30, left: 0, bottom: 5 }}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="fpr" type="number" domain={[0, 1]} name="False positive rate" />
+                      <YAxis type="number" domain={[0, 1]} />
+                      <Tooltip />
+                      <Legend />
+                      <Line type="monotone" dataKey="tpr" stroke="#8b5cf6" dot={false} name="True positive rate" isAnimationActive={false} />
+                    </LineChart>
+                  </ResponsiveContainer>
+                </div>
+
+                <div className="chart-card">
+                  <h3>Precision-Recall Curve (AUC {formatAuc(report.prAuc)})</h3>
+                  <ResponsiveContainer width="100%" height={300}>
+                    <LineChart data={report.pr || []} margin={{ top: 5, right: 30, left: 0, bottom: 5 }}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="recall" type="number" domain={[0, 1]} name="Recall" />
+                      <YAxis type="number" domain={[0, 1]} />
+                      <Tooltip />
+                      <Legend />
+                      <Line type="monotone" dataKey="precision" stroke="#ef4444" dot={false} name="Precision" isAnimationActive={false} />
+                    </LineChart>
+                  </ResponsiveContainer>
+                </div>
+              </div>
+
+              {Object.keys(report.bySource || {}).length > 0 && (
+                <table className="evaluation-table">
+                  <thead>
+                    <tr>
+                      <th>Source</th>
+                      <th>Samples</th>
+                      <th>Precision</th>
+                      <th>Recall</th>
+                      <th>F1</th>
+                      <th>ROC AUC</th>
+                      <th>PR AUC</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {Object.entries(report.bySource).map(([source, metrics]) => (
+                      <tr key={source}>
+                        <td>{source}</td>
+                        <td>{metrics.labeledSamples}</td>
+                        <td>{metrics.precision.toFixed(2)}%</td>
+                        <td>{metrics.recall.toFixed(2)}%</td>
+                        <td>{metrics.f1Score.toFixed(2)}%</td>
+                        <td>{formatAuc(metrics.rocAuc)}</td>
+                        <td>{formatAuc(metrics.prAuc)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+
+              {comparison.length > 0 && (
+                <table className="evaluation-table">
+                  <thead>
+                    <tr>
+                      <th>Algorithm</th>
+                      <th>Precision</th>
+                      <th>Recall</th>
+                      <th>Specificity</th>
+                      <th>F1</th>
+                      <th>ROC AUC</th>
+                      <th>PR AUC</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {comparison.map((row) => (
+                      <tr key={row.algorithm}>
+                        <td>{row.algorithm}{row.algorithm === evaluation.modelType ? ' (this model)' : ''}</td>
+                        {row.error ? (
+                          <td colSpan={6}>Training failed: {row.error}</td>
+                        ) : (
+                          <>
+                            <td>{formatPct(row.precision)}</td>
+                            <td>{formatPct(row.recall)}</td>
+                            <td>{formatPct(row.specificity)}</td>
+                            <td>{formatPct(row.f1Score)}</td>
+                            <td>{formatAuc(row.rocAuc)}</td>
+                            <td>{formatAuc(row.prAuc)}</td>
+                          </>
+                        )}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+
+              {cv && (
+                <p className="evaluation-cv">
+                  {cv.folds}-fold cross-validation: F1 {cv.mean.f1Score}% ± {cv.std.f1Score},
+                  ROC AUC {formatAuc(cv.mean.rocAuc)} ± {formatAuc(cv.std.rocAuc)},
+                  PR AUC {formatAuc(cv.mean.prAuc)} ± {formatAuc(cv.std.prAuc)}
+                </p>
+              )}
+            </div>
+          );
+        })()
+      )}
+
       {/* Top Anomalies */}
       <div className="anomalies-section">
         <h2>Top Detected Anomalies</h2>
@@ -346,6 +505,9 @@ const AIInsights = () => {
                   <p className="anomaly-description">
                     {detection.anomalyDescription || 'Anomaly detected'}
                   </p>
+                  {describeAttributions(detection) && (
+                    <p className="anomaly-attributions">{describeAttributions(detection)}</p>
+                  )}
                 </div>
                 <div className="anomaly-score">
                   <p className="score-label">ML Score</p>
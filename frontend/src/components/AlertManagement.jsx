@@ -357,6 +357,18 @@ const AlertManagement = () => {
                 </div>
               </div>
 
+              {/* Features behind the ML score */}
+              {Array.isArray(selectedAlert.attributions) && selectedAlert.attributions.length > 0 && (
+                <div className="details-section">
+                  <h4>Top Contributing Features</h4>
+                  <ul className="actions-list">
+                    {selectedAlert.attributions.map((a) => (
+                      <li key={a.feature}>{a.feature} contributed {Math.round(a.contribution)}%</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
               {/* Recommended Actions */}
               {selectedAlert.recommendedActions && selectedAlert.recommendedActions.length > 0 && (
                 <div className="details-section">
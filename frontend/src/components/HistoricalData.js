@@ -5,9 +5,19 @@ import {
   LineChart, Line, BarChart, Bar,
   XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer
 } from 'recharts';
-import { FiCalendar, FiDownload, FiZap } from 'react-icons/fi';
+import { FiCalendar, FiDownload, FiMoon, FiZap } from 'react-icons/fi';
+import { exportAPI, nightFlowAPI } from '../services/apiClient';
 import '../styles/HistoricalData.css';
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const NIGHT_FLOW_STATUS_LABELS = {
+  normal: 'Normal',
+  elevated: 'Elevated',
+  'probable-leak': 'Probable background leak',
+  'insufficient-data': 'Building baseline',
+};
+
 const HistoricalData = () => {
   const {
     filteredData,
@@ -31,40 +41,43 @@ const HistoricalData = () => {
 
   const [endDate, setEndDate] = useState(new Date().toISOString().split('T')[0]);
 
+  // Night flow follows the applied filter, not every date change
+  const [nightFlowRange, setNightFlowRange] = useState({ from: startDate, to: endDate });
+  const [nightFlow, setNightFlow] = useState(null);
+  const [nightFlowSensor, setNightFlowSensor] = useState(null);
+
   useEffect(() => {
     console.log('[HISTORICAL DATA] Component mounted, fetching initial data');
     fetchHistoricalData();
   }, [fetchHistoricalData]);
 
+  useEffect(() => {
+    // Nights that ended between the start date and the end of the end date
+    const endTime = new Date(nightFlowRange.to).getTime() + DAY_MS;
+    const days = Math.min(365, Math.max(1, Math.round((endTime - new Date(nightFlowRange.from).getTime()) / DAY_MS)));
+    nightFlowAPI.getTrend({ days, endTime })
+      .then((response) => setNightFlow(response.data.data))
+      .catch((error) => {
+        console.error('[HISTORICAL DATA] Failed to load minimum night flow', error);
+        setNightFlow(null);
+      });
+  }, [nightFlowRange]);
+
   const handleDateFilter = () => {
     console.log('[HISTORICAL DATA] Applying date filter', { startDate, endDate });
     const start = new Date(startDate);
     const end = new Date(endDate);
     filterDataByTimeRange(start, end);
+    setNightFlowRange({ from: startDate, to: endDate });
   };
 
   const handleExport = () => {
-    console.log('[HISTORICAL DATA] Exporting data', { count: filteredData.length });
-    const csv = [
-      ['Timestamp', 'Pressure (PSI)', 'Flow (GPM)', 'Temperature (°C)', 'Conductivity'],
-      ...filteredData.map((item) => [
-        item.timestamp || new Date().toISOString(),
-        item.pressure || 0,
-        item.flow || 0,
-        item.temperature || 0,
-        item.conductivity || 0,
-      ]),
-    ]
-      .map((row) => row.join(','))
-      .join('\n');
-
-    const blob = new Blob([csv], { type: 'text/csv' });
-    const url = window.URL.createObjectURL(blob);
+    // Export the selected range server-side so it is not limited to the rows loaded here
+    console.log('[HISTORICAL DATA] Exporting data', { startDate, endDate });
     const a = document.createElement('a');
-    a.href = url;
-    a.download = `sensor-data-${new Date().toISOString()}.csv`;
+    a.href = exportAPI.getExportUrl({ type: 'sensor-data', format: 'csv', startDate, endDate });
+    a.download = `sensor-data-${startDate}_${endDate}.csv`;
     a.click();
-    window.URL.revokeObjectURL(url);
   };
 
   if (loading) {
@@ -80,6 +93,18 @@ const HistoricalData = () => {
     index: idx,
   }));
 
+  const nightFlowSeries = nightFlow
+    ? nightFlow.series.find((series) => nightFlowSensor !== null && (series.id || '') === nightFlowSensor) || nightFlow.series[0]
+    : null;
+  const nightFlowData = nightFlowSeries
+    ? nightFlowSeries.nights.map((night) => ({
+      date: night.date,
+      mnf: night.mnf,
+      baseline: night.baseline,
+      elevated: night.elevated ? night.mnf : null,
+    }))
+    : [];
+
   return (
     <div className="historical-container">
       <div className="historical-header">
@@ -291,6 +316,66 @@ const HistoricalData = () => {
         </div>
       </div>
 
+      {/* Minimum Night Flow */}
+      <div className="chart-card night-flow-card">
+        <div className="night-flow-header">
+          <h3>
+            <FiMoon className="filter-icon" />
+            Minimum Night Flow
+            {nightFlow && ` (${String(nightFlow.window.startHour).padStart(2, '0')}:00-${String(nightFlow.window.endHour).padStart(2, '0')}:00)`}
+          </h3>
+          {nightFlow && nightFlow.series.length > 1 && (
+            <select value={nightFlowSeries.id || ''} onChange={(e) => setNightFlowSensor(e.target.value)}>
+              {nightFlow.series.map((series) => (
+                <option key={series.id || 'unassigned'} value={series.id || ''}>{series.id || 'Unassigned readings'}</option>
+              ))}
+            </select>
+          )}
+          {nightFlowSeries && (
+            <span className={`night-flow-status night-flow-status-${nightFlowSeries.status}`}>
+              {NIGHT_FLOW_STATUS_LABELS[nightFlowSeries.status] || nightFlowSeries.status}
+              {nightFlowSeries.elevatedNights > 0 && ` · ${nightFlowSeries.elevatedNights} night(s) above baseline`}
+            </span>
+          )}
+        </div>
+        {nightFlowData.length > 0 ? (
+          <ResponsiveContainer width="100%" height={300}>
+            <LineChart data={nightFlowData} margin={{ top: 5, right: 30, left: 0, bottom: 5 }}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="date" angle={-45} textAnchor="end" height={80} />
+              <YAxis />
+              <Tooltip />
+              <Legend />
+              <Line
+                type="monotone"
+                dataKey="mnf"
+                stroke="#6366f1"
+                name="Minimum night flow (GPM)"
+                isAnimationActive={false}
+              />
+              <Line
+                type="stepAfter"
+                dataKey="baseline"
+                stroke="#94a3b8"
+                strokeDasharray="5 5"
+                dot={false}
+                name="Baseline"
+                isAnimationActive={false}
+              />
+              <Line
+                dataKey="elevated"
+                stroke="none"
+                dot={{ r: 5, fill: '#ef4444' }}
+                name="Above baseline"
+                isAnimationActive={false}
+              />
+            </LineChart>
+          </ResponsiveContainer>
+        ) : (
+          <p className="night-flow-empty">No complete nights with readings in the selected range.</p>
+        )}
+      </div>
+
       {/* Data Table */}
       {filteredData.length > 0 && (
         <div className="data-table-section">
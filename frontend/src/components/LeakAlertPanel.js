@@ -183,6 +183,16 @@ const LeakAlertPanel = () => {
                       </span>
                     </div>
                   </div>
+                  {Array.isArray(alert.attributions) && alert.attributions.length > 0 && (
+                    <div className="alert-attributions">
+                      <p className="action-label">Top Contributing Features:</p>
+                      <p className="action-text">
+                        {alert.attributions.slice(0, 3)
+                          .map((a) => `${a.feature} contributed ${Math.round(a.contribution)}%`)
+                          .join(', ')}
+                      </p>
+                    </div>
+                  )}
                   {alert.recommendedAction && (
                     <div className="alert-action">
                       <p className="action-label">Recommended Action:</p>
@@ -1,5 +1,6 @@
 import React, { useState } from 'react';
 import { FiDownload, FiCheck, FiAlertCircle } from 'react-icons/fi';
+import { exportAPI } from '../../services/apiClient';
 import '../../styles/admin/DataExporter.css';
 
 const DataExporter = () => {
@@ -33,16 +34,12 @@ const DataExporter = () => {
       setIsExporting(true);
       setExportStatus(null);
 
-      const response = await fetch('/api/admin/export-data', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          type: exportType,
-          format,
-          startDate,
-          endDate,
-          filters,
-        }),
+      const response = await exportAPI.exportData({
+        type: exportType,
+        format,
+        startDate,
+        endDate,
+        filters,
       });
 
       if (!response.ok) {
@@ -81,7 +78,7 @@ const DataExporter = () => {
     <div className="data-exporter">
       <h3>Data Export</h3>
       <p className="section-description">
-        Export system data in CSV or JSON format for analysis and backup.
+        Export system data as CSV, NDJSON or columnar JSON for analysis and backup.
       </p>
 
       <div className="export-form">
@@ -138,12 +135,19 @@ const DataExporter = () => {
             >
               CSV
             </button>
+            <button
+              className={`format-btn ${format === 'ndjson' ? 'active' : ''}`}
+              onClick={() => setFormat('ndjson')}
+              disabled={isExporting}
+            >
+              NDJSON
+            </button>
             <button
               className={`format-btn ${format === 'json' ? 'active' : ''}`}
               onClick={() => setFormat('json')}
               disabled={isExporting}
             >
-              JSON
+              Columnar JSON
             </button>
           </div>
         </div>
@@ -1,12 +1,25 @@
-import React, { useState, useRef } from 'react';
+import React, { useState, useRef, useEffect, useCallback } from 'react';
 import { FiUpload, FiPlay, FiTrendingUp, FiCheck, FiAlertCircle } from 'react-icons/fi';
+import { useWebSocket } from '../../context/WebSocketContext';
+import { mlAPI } from '../../services/apiClient';
 import '../../styles/admin/ModelRetrainingInterface.css';
 
+const PHASE_LABELS = {
+  starting: 'Starting worker',
+  training: 'Building trees',
+  evaluating: 'Evaluating model',
+  registering: 'Registering model',
+};
+
+const formatPercent = (value) => (typeof value === 'number' ? `${value.toFixed(2)}%` : 'N/A');
+
 const ModelRetrainingInterface = () => {
   const fileInputRef = useRef(null);
+  const { isConnected, send, on } = useWebSocket();
   const [uploadedFile, setUploadedFile] = useState(null);
   const [isTraining, setIsTraining] = useState(false);
-  const [trainingProgress, setTrainingProgress] = useState(0);
+  const [jobId, setJobId] = useState(null);
+  const [trainingProgress, setTrainingProgress] = useState({ percent: 0, phase: 'starting' });
   const [trainingResults, setTrainingResults] = useState(null);
   const [trainingSplit, setTrainingSplit] = useState({
     train: 70,
@@ -14,12 +27,62 @@ const ModelRetrainingInterface = () => {
     test: 10,
   });
   const [hyperparameters, setHyperparameters] = useState({
-    epochs: 50,
-    batchSize: 32,
-    learningRate: 0.001,
-    regularization: 0.0001,
+    numTrees: 200,
+    sampleSize: 256,
+    maxDepth: '',
   });
 
+  // Training progress is pushed on the `training` channel (re-join after reconnects)
+  useEffect(() => {
+    if (isConnected) send('client:subscribe', ['training']);
+  }, [isConnected, send]);
+
+  const finishJob = useCallback((job) => {
+    console.log('[MODEL RETRAINING] Job finished:', job.status);
+    if (job.status === 'completed') {
+      setTrainingResults({ model: job.model, dataset: job.dataset });
+    } else if (job.status === 'failed') {
+      setTrainingResults({ error: job.error || 'Training failed' });
+    } else {
+      setTrainingResults(null);
+    }
+    setTrainingProgress({ percent: 0, phase: 'starting' });
+    setJobId(null);
+    setIsTraining(false);
+  }, []);
+
+  useEffect(() => {
+    if (!jobId || !isConnected) return undefined;
+
+    const onEnd = ({ job }) => {
+      if (job && job.id === jobId) finishJob(job);
+    };
+    const unsubscribers = [
+      on('training:progress', (payload) => {
+        if (payload.jobId === jobId) {
+          setTrainingProgress({ percent: payload.percent, phase: payload.phase, completed: payload.completed, total: payload.total });
+        }
+      }),
+      on('training:completed', onEnd),
+      on('training:failed', onEnd),
+      on('training:cancelled', onEnd),
+    ];
+
+    // Catch up in case the job advanced (or finished) before we were listening
+    mlAPI.getTrainingJob(jobId)
+      .then((response) => {
+        const job = response.data.data;
+        if (job.status === 'running') {
+          setTrainingProgress(job.progress);
+        } else {
+          finishJob(job);
+        }
+      })
+      .catch((err) => console.error('[MODEL RETRAINING] Failed to fetch job:', err));
+
+    return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+  }, [jobId, isConnected, on, finishJob]);
+
   const handleFileSelect = (event) => {
     const file = event.target.files[0];
     if (file) {
@@ -38,53 +101,39 @@ const ModelRetrainingInterface = () => {
     try {
       console.log('[MODEL RETRAINING] Starting model training');
       setIsTraining(true);
-      setTrainingProgress(0);
+      setTrainingResults(null);
+      setTrainingProgress({ percent: 0, phase: 'starting' });
 
       const formData = new FormData();
       formData.append('file', uploadedFile);
       formData.append('trainingSplit', JSON.stringify(trainingSplit));
-      formData.append('hyperparameters', JSON.stringify(hyperparameters));
-
-      // Simulate progress updates
-      const progressInterval = setInterval(() => {
-        setTrainingProgress((prev) => {
-          if (prev >= 90) {
-            clearInterval(progressInterval);
-            return prev;
-          }
-          return prev + Math.random() * 20;
-        });
-      }, 1000);
-
-      const response = await fetch('/api/admin/train-model', {
-        method: 'POST',
-        body: formData,
-      });
-
-      clearInterval(progressInterval);
+      formData.append('hyperparameters', JSON.stringify({
+        numTrees: hyperparameters.numTrees,
+        sampleSize: hyperparameters.sampleSize,
+        maxDepth: hyperparameters.maxDepth === '' ? null : hyperparameters.maxDepth,
+      }));
 
-      if (!response.ok) {
-        throw new Error(`Training failed: ${response.statusText}`);
-      }
+      const response = await mlAPI.trainFromUpload(formData);
 
-      const results = await response.json();
-      setTrainingProgress(100);
-
-      console.log('[MODEL RETRAINING] Training completed:', results);
-      setTrainingResults(results);
+      // The server answers with a background job; progress arrives over the WebSocket
+      console.log('[MODEL RETRAINING] Training job started:', response.data.data.jobId);
+      setJobId(response.data.data.jobId);
     } catch (err) {
       console.error('[MODEL RETRAINING] Error:', err);
       setTrainingResults({
-        error: err.message,
+        error: err.response?.data?.error?.message || err.message,
       });
-    } finally {
       setIsTraining(false);
     }
   };
 
-  const handleCancel = () => {
-    setIsTraining(false);
-    setTrainingProgress(0);
+  const handleCancel = async () => {
+    if (!jobId) return;
+    try {
+      await mlAPI.cancelTrainingJob(jobId);
+    } catch (err) {
+      console.error('[MODEL RETRAINING] Cancel failed:', err);
+    }
   };
 
   return (
@@ -200,17 +249,17 @@ const ModelRetrainingInterface = () => {
             <h5>Hyperparameters</h5>
             <div className="param-grid">
               <div className="param-item">
-                <label>Epochs</label>
+                <label>Trees</label>
                 <input
                   type="number"
                   min="10"
-                  max="500"
+                  max="5000"
                   step="10"
-                  value={hyperparameters.epochs}
+                  value={hyperparameters.numTrees}
                   onChange={(e) =>
                     setHyperparameters({
                       ...hyperparameters,
-                      epochs: parseInt(e.target.value),
+                      numTrees: parseInt(e.target.value),
                     })
                   }
                   disabled={isTraining}
@@ -218,17 +267,17 @@ const ModelRetrainingInterface = () => {
               </div>
 
               <div className="param-item">
-                <label>Batch Size</label>
+                <label>Sample Size</label>
                 <input
                   type="number"
-                  min="8"
-                  max="128"
-                  step="8"
-                  value={hyperparameters.batchSize}
+                  min="16"
+                  max="4096"
+                  step="16"
+                  value={hyperparameters.sampleSize}
                   onChange={(e) =>
                     setHyperparameters({
                       ...hyperparameters,
-                      batchSize: parseInt(e.target.value),
+                      sampleSize: parseInt(e.target.value),
                     })
                   }
                   disabled={isTraining}
@@ -236,35 +285,17 @@ const ModelRetrainingInterface = () => {
               </div>
 
               <div className="param-item">
-                <label>Learning Rate</label>
+                <label>Max Depth</label>
                 <input
                   type="number"
-                  min="0.00001"
-                  max="0.1"
-                  step="0.0001"
-                  value={hyperparameters.learningRate}
+                  min="1"
+                  max="64"
+                  placeholder="auto"
+                  value={hyperparameters.maxDepth}
                   onChange={(e) =>
                     setHyperparameters({
                       ...hyperparameters,
-                      learningRate: parseFloat(e.target.value),
-                    })
-                  }
-                  disabled={isTraining}
-                />
-              </div>
-
-              <div className="param-item">
-                <label>Regularization</label>
-                <input
-                  type="number"
-                  min="0"
-                  max="0.01"
-                  step="0.0001"
-                  value={hyperparameters.regularization}
-                  onChange={(e) =>
-                    setHyperparameters({
-                      ...hyperparameters,
-                      regularization: parseFloat(e.target.value),
+                      maxDepth: e.target.value === '' ? '' : parseInt(e.target.value),
                     })
                   }
                   disabled={isTraining}
@@ -280,11 +311,16 @@ const ModelRetrainingInterface = () => {
             <h4>Training Progress</h4>
             <div className="progress-container">
               <div className="progress-bar">
-                <div className="progress-fill" style={{ width: `${trainingProgress}%` }} />
+                <div className="progress-fill" style={{ width: `${trainingProgress.percent}%` }} />
               </div>
-              <p className="progress-text">{Math.round(trainingProgress)}%</p>
+              <p className="progress-text">
+                {trainingProgress.percent}% &middot; {PHASE_LABELS[trainingProgress.phase] || trainingProgress.phase}
+                {trainingProgress.phase === 'training' && trainingProgress.total
+                  ? ` (${trainingProgress.completed}/${trainingProgress.total} trees)`
+                  : ''}
+              </p>
             </div>
-            <button className="btn danger" onClick={handleCancel}>
+            <button className="btn danger" onClick={handleCancel} disabled={!jobId}>
               Cancel Training
             </button>
           </div>
@@ -310,53 +346,61 @@ const ModelRetrainingInterface = () => {
             ) : (
               <div className="results-grid">
                 <div className="result-item">
-                  <span className="label">Final Accuracy</span>
-                  <span className="value">{(trainingResults.accuracy * 100).toFixed(2)}%</span>
+                  <span className="label">Model Version</span>
+                  <span className="value">v{trainingResults.model.version}</span>
                 </div>
 
                 <div className="result-item">
-                  <span className="label">Validation Loss</span>
-                  <span className="value">{trainingResults.validationLoss.toFixed(4)}</span>
+                  <span className="label">Status</span>
+                  <span className="value">{trainingResults.model.status}</span>
                 </div>
 
                 <div className="result-item">
-                  <span className="label">Training Time</span>
-                  <span className="value">{trainingResults.trainingTime}s</span>
+                  <span className="label">Train / Validation / Test</span>
+                  <span className="value">
+                    {trainingResults.dataset
+                      ? `${trainingResults.dataset.split.train} / ${trainingResults.dataset.split.validation} / ${trainingResults.dataset.split.test}`
+                      : trainingResults.model.sampleCount}
+                  </span>
                 </div>
 
                 <div className="result-item">
-                  <span className="label">Model Size</span>
-                  <span className="value">{trainingResults.modelSize} MB</span>
-                </div>
-
-                <div className="result-item">
-                  <span className="label">Precision</span>
-                  <span className="value">{(trainingResults.precision * 100).toFixed(2)}%</span>
-                </div>
-
-                <div className="result-item">
-                  <span className="label">Recall</span>
-                  <span className="value">{(trainingResults.recall * 100).toFixed(2)}%</span>
+                  <span className="label">Training Time</span>
+                  <span className="value">
+                    {trainingResults.model.metrics && trainingResults.model.metrics.trainingTimeMs
+                      ? `${(trainingResults.model.metrics.trainingTimeMs / 1000).toFixed(1)}s`
+                      : 'N/A'}
+                  </span>
                 </div>
               </div>
             )}
 
-            {trainingResults.metrics && !trainingResults.error && (
+            {!trainingResults.error && trainingResults.model.metrics && (
               <div className="metrics-section">
-                <h5>Detailed Metrics</h5>
+                <h5>Metrics ({trainingResults.model.metrics.evaluatedOn === 'test' ? 'held-out test set' : trainingResults.model.metrics.evaluatedOn})</h5>
                 <div className="metrics-list">
                   <div className="metric">
-                    <span>F1 Score:</span>
-                    <strong>{(trainingResults.metrics.f1 * 100).toFixed(2)}%</strong>
+                    <span>Accuracy:</span>
+                    <strong>{formatPercent(trainingResults.model.metrics.accuracy)}</strong>
+                  </div>
+                  <div className="metric">
+                    <span>Precision:</span>
+                    <strong>{formatPercent(trainingResults.model.metrics.precision)}</strong>
                   </div>
                   <div className="metric">
-                    <span>ROC AUC:</span>
-                    <strong>{(trainingResults.metrics.rocAuc * 100).toFixed(2)}%</strong>
+                    <span>Recall:</span>
+                    <strong>{formatPercent(trainingResults.model.metrics.recall)}</strong>
                   </div>
                   <div className="metric">
-                    <span>Confusion Matrix Accuracy:</span>
-                    <strong>{(trainingResults.metrics.confusion * 100).toFixed(2)}%</strong>
+                    <span>F1 Score:</span>
+                    <strong>{formatPercent(trainingResults.model.metrics.f1Score)}</strong>
                   </div>
+                  {trainingResults.model.metrics.validation && (
+                    <div className="metric">
+                      <span>Validation F1 Score:</span>
+                      <strong>{formatPercent(trainingResults.model.metrics.validation.f1Score)}</strong>
+                    </div>
+                  )}
                 </div>
               </div>
             )}
@@ -388,10 +432,10 @@ const ModelRetrainingInterface = () => {
         <h4>Training Guidelines</h4>
         <ul>
           <li>Upload CSV or JSON files with historical sensor data</li>
-          <li>Ensure data includes: pressure, flow, temperature, conductivity, is_leak (label)</li>
+          <li>Ensure data includes: timestamp, pressure, flow and a label column (is_leak or label)</li>
           <li>Minimum 100 samples recommended for reliable training</li>
           <li>Training time varies based on dataset size and configuration</li>
-          <li>Model will be evaluated on test set before deployment</li>
+          <li>Metrics are measured on the held-out test set; the model is registered as a candidate until promoted</li>
         </ul>
       </div>
     </div>
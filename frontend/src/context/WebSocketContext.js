@@ -92,6 +92,14 @@ export const WebSocketContextProvider = ({ children }) => {
     }
   }, []);
 
+  // Listen for a server event; returns an unsubscribe function
+  const on = useCallback((event, handler) => {
+    const socket = socketRef.current;
+    if (!socket) return () => {};
+    socket.on(event, handler);
+    return () => socket.off(event, handler);
+  }, []);
+
   const getFormattedFreshness = useCallback(() => {
     if (!lastReceivedAt) return 'N/A';
     const ms = Date.now() - lastReceivedAt;
@@ -124,6 +132,7 @@ export const WebSocketContextProvider = ({ children }) => {
     connect: () => socketRef.current && socketRef.current.connect(),
     disconnect: () => socketRef.current && socketRef.current.disconnect(),
     send,
+    on,
   };
 
   return (
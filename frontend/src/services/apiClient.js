@@ -70,6 +70,12 @@ export const sensorAPI = {
     console.log('[SENSOR API] Fetching sensor statistics');
     return axiosInstance.get('/sensor-data/stats');
   },
+
+  // Get time-bucketed series (bucket=1m|5m|1h|1d, fields, sensorId, startTime, endTime)
+  getAggregate: (params = {}) => {
+    console.log('[SENSOR API] Fetching aggregated series', params);
+    return axiosInstance.get('/sensor-data/aggregate', { params });
+  },
 };
 
 // ===== ML MODEL ENDPOINTS =====
@@ -91,6 +97,39 @@ export const mlAPI = {
     console.log('[ML API] Fetching training history');
     return axiosInstance.get('/train-model/history');
   },
+
+  // Train on an uploaded dataset (multipart: file, trainingSplit, hyperparameters)
+  trainFromUpload: (formData) => {
+    console.log('[ML API] Uploading training dataset');
+    return axiosInstance.post('/admin/train-model', formData, { timeout: 120000 });
+  },
+
+  // Get a training job and its progress
+  getTrainingJob: (jobId) => {
+    console.log('[ML API] Fetching training job', jobId);
+    return axiosInstance.get(`/train-model/jobs/${jobId}`);
+  },
+
+  // Cancel a running training job
+  cancelTrainingJob: (jobId) => {
+    console.log('[ML API] Cancelling training job', jobId);
+    return axiosInstance.post(`/train-model/jobs/${jobId}/cancel`);
+  },
+};
+
+// ===== MODEL REGISTRY ENDPOINTS =====
+export const modelsAPI = {
+  // Evaluation report (metrics, ROC/PR curves, per-source) of the production model
+  getActiveEvaluation: () => {
+    console.log('[MODELS API] Fetching production model evaluation');
+    return axiosInstance.get('/models/active/evaluation');
+  },
+
+  // Evaluation report of a registered model
+  getEvaluation: (modelId) => {
+    console.log('[MODELS API] Fetching model evaluation', modelId);
+    return axiosInstance.get(`/models/${modelId}/evaluation`);
+  },
 };
 
 // ===== LEAK DETECTION ENDPOINTS =====
@@ -197,6 +236,43 @@ export const detectionAPI = {
   },
 };
 
+// ===== EXPORT ENDPOINTS =====
+export const exportAPI = {
+  // URL for a streamed GET export; navigating to it lets the browser save straight to disk
+  getExportUrl: (params = {}) => {
+    const query = new URLSearchParams(
+      Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '')
+    );
+    console.log('[EXPORT API] Building export URL', params);
+    return `${API_BASE_URL}/admin/export-data?${query.toString()}`;
+  },
+
+  // POST export with filters (response body is the exported file)
+  exportData: (options) => {
+    console.log('[EXPORT API] Requesting export', options);
+    return fetch(`${API_BASE_URL}/admin/export-data`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(options),
+    });
+  },
+};
+
+// ===== NIGHT FLOW ENDPOINTS =====
+export const nightFlowAPI = {
+  // Minimum night flow per night with its baseline (sensorId or zone, days, endTime)
+  getTrend: (params = {}) => {
+    console.log('[NIGHT FLOW API] Fetching minimum night flow', params);
+    return axiosInstance.get('/night-flow', { params });
+  },
+
+  // Night window, thresholds and open probable leaks
+  getStatus: () => {
+    console.log('[NIGHT FLOW API] Fetching night flow status');
+    return axiosInstance.get('/night-flow/status');
+  },
+};
+
 // ===== UTILITY ENDPOINTS =====
 export const utilAPI = {
   // Get API documentation
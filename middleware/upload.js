@@ -0,0 +1,41 @@
+const multer = require('multer');
+const { AppError } = require('./errorHandler');
+
+// Uploaded training datasets are parsed in memory (TRAINING_UPLOAD_MAX_MB, default 50)
+const MAX_UPLOAD_MB = parseInt(process.env.TRAINING_UPLOAD_MAX_MB, 10) || 50;
+
+const DATASET_EXTENSIONS = /\.(csv|json|ndjson|jsonl)$/i;
+
+const datasetMulter = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_MB * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!DATASET_EXTENSIONS.test(file.originalname)) {
+      cb(new AppError('Dataset must be a .csv, .json or .ndjson file', 415));
+      return;
+    }
+    cb(null, true);
+  }
+});
+
+/**
+ * Accept a single multipart dataset file in `fieldName` (req.file), mapping
+ * multer errors to AppErrors
+ */
+const datasetUpload = (fieldName = 'file') => (req, res, next) => {
+  datasetMulter.single(fieldName)(req, res, (err) => {
+    if (!err) return next();
+    if (err instanceof multer.MulterError) {
+      const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      const message = err.code === 'LIMIT_FILE_SIZE'
+        ? `Dataset exceeds the ${MAX_UPLOAD_MB}MB upload limit`
+        : `Upload failed: ${err.message}`;
+      return next(new AppError(message, status));
+    }
+    return next(err);
+  });
+};
+
+module.exports = {
+  datasetUpload
+};
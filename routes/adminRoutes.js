@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const { exportData } = require('../controllers/exportController');
+const { getRetentionStatus, updateRetention, runRetention } = require('../controllers/retentionController');
+const { trainFromUpload } = require('../controllers/mlController');
+const { datasetUpload } = require('../middleware/upload');
+
+/**
+ * Admin Routes
+ * @route POST /api/admin/export-data - Stream an export (JSON body options)
+ * @route GET /api/admin/export-data - Stream an export (query string options, for direct downloads)
+ * @route GET /api/admin/retention - Retention settings, rollup watermark and last run
+ * @route PUT /api/admin/retention - Update retention settings
+ * @route POST /api/admin/retention/run - Run the rollup/prune job now
+ * @route POST /api/admin/train-model - Train on an uploaded dataset (multipart `file`)
+ */
+
+router.post('/export-data', exportData);
+router.get('/export-data', exportData);
+
+router.get('/retention', getRetentionStatus);
+router.put('/retention', updateRetention);
+router.post('/retention/run', runRetention);
+
+router.post('/train-model', datasetUpload('file'), trainFromUpload);
+
+module.exports = router;
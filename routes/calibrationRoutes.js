@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getCalibrationStatus,
+  runCalibration,
+  getCalibrationHistory
+} = require('../controllers/calibrationController');
+const { datasetUpload } = require('../middleware/upload');
+
+/**
+ * Threshold Calibration Routes
+ * @route GET /api/calibration - Live threshold and the latest calibration
+ * @route POST /api/calibration - Calibrate the threshold for an objective (JSON, or multipart with a dataset `file`)
+ * @route GET /api/calibration/history - Past calibration runs
+ */
+
+router.get('/', getCalibrationStatus);
+router.post('/', datasetUpload('file'), runCalibration);
+router.get('/history', getCalibrationHistory);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getLatestDrift,
+  checkDrift,
+  getDriftStatus,
+  getDriftHistory
+} = require('../controllers/driftController');
+
+/**
+ * Feature Drift Routes
+ * @route GET /api/drift - The latest drift report
+ * @route GET /api/drift/status - Drift thresholds, schedule and the latest report
+ * @route GET /api/drift/history - Past drift reports
+ * @route POST /api/drift/check - Check live feature distributions against the training data now (PSI/KS per feature)
+ */
+
+router.get('/', getLatestDrift);
+router.get('/status', getDriftStatus);
+router.get('/history', getDriftHistory);
+router.post('/check', checkDrift);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getFeedbackStatus,
+  getFeedbackSamples,
+  collectFeedback,
+  retrainFromFeedback,
+  getFeedbackReport
+} = require('../controllers/feedbackController');
+
+/**
+ * Alert Feedback Loop Routes
+ * @route GET /api/feedback - Curated feedback set and retrain schedule
+ * @route GET /api/feedback/samples - Curated training samples
+ * @route POST /api/feedback/collect - Backfill samples from resolved alerts
+ * @route POST /api/feedback/retrain - Retrain with the feedback set (background job)
+ * @route GET /api/feedback/report - False-positive rate per model version
+ */
+
+router.get('/', getFeedbackStatus);
+router.get('/samples', getFeedbackSamples);
+router.post('/collect', collectFeedback);
+router.post('/retrain', retrainFromFeedback);
+router.get('/report', getFeedbackReport);
+
+module.exports = router;
@@ -4,6 +4,8 @@ const {
   initializeEngine,
   processIntegratedReading,
   getDetectionStatus,
+  getSensorPipelines,
+  getSensorPipeline,
   getRecentDetections,
   getRecentAlerts,
   getDetectionPatterns,
@@ -35,6 +37,10 @@ router.get('/alerts', getRecentAlerts);
 router.get('/patterns', getDetectionPatterns);
 router.get('/report', getComprehensiveReport);
 
+// Per-sensor pipelines
+router.get('/sensors', getSensorPipelines);
+router.get('/sensors/:sensorId', getSensorPipeline);
+
 // Maintenance
 router.get('/maintenance-report', getMaintenanceReport);
 
@@ -3,17 +3,23 @@ const router = express.Router();
 const {
   trainModel,
   getTrainingStatus,
-  getTrainingHistory
+  getTrainingHistory,
+  listTrainingJobs,
+  getTrainingJob,
+  cancelTrainingJob
 } = require('../controllers/mlController');
 
 /**
  * ML Model Training Routes
- * @route POST /api/train-model - Trigger model training
+ * @route POST /api/train-model - Start a background training job
  * @route GET /api/train-model/status - Get training status
  * @route GET /api/train-model/history - Get training history
+ * @route GET /api/train-model/jobs - List training jobs
+ * @route GET /api/train-model/jobs/:id - Get a training job
+ * @route POST /api/train-model/jobs/:id/cancel - Cancel a running training job
  */
 
-// POST: Train the model
+// POST: Start a training job
 router.post('/', trainModel);
 
 // GET: Get current training status
@@ -22,4 +28,9 @@ router.get('/status', getTrainingStatus);
 // GET: Get training history
 router.get('/history', getTrainingHistory);
 
+// Training jobs
+router.get('/jobs', listTrainingJobs);
+router.get('/jobs/:id', getTrainingJob);
+router.post('/jobs/:id/cancel', cancelTrainingJob);
+
 module.exports = router;
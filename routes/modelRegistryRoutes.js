@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const {
+  listModels,
+  getActiveModel,
+  compareModels,
+  getModel,
+  getModelEvaluation,
+  promoteModel,
+  rollbackModel
+} = require('../controllers/modelRegistryController');
+
+/**
+ * Model Registry Routes
+ * @route GET /api/models - List registered models
+ * @route GET /api/models/active - Production model and the engine's active model
+ * @route GET /api/models/compare - Compare metrics of two or more models
+ * @route GET /api/models/active/evaluation - Evaluation report of the production model
+ * @route GET /api/models/:id - Get a registered model
+ * @route GET /api/models/:id/evaluation - Evaluation report (metrics, ROC/PR curves, per-source)
+ * @route POST /api/models/:id/promote - Promote a model to production (hot-swapped)
+ * @route POST /api/models/rollback - Roll back to the previous production model
+ */
+
+router.get('/', listModels);
+router.get('/active', getActiveModel);
+router.get('/active/evaluation', getModelEvaluation);
+router.get('/compare', compareModels);
+router.post('/rollback', rollbackModel);
+router.get('/:id', getModel);
+router.get('/:id/evaluation', getModelEvaluation);
+router.post('/:id/promote', promoteModel);
+
+module.exports = router;
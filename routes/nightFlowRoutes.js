@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getNightFlow,
+  getNightFlowStatus,
+  checkNightFlow
+} = require('../controllers/nightFlowController');
+
+/**
+ * Minimum Night Flow Routes
+ * @route GET /api/night-flow - Nightly minimum flow and rolling baseline per sensor or zone
+ * @route GET /api/night-flow/status - Night window, thresholds, schedule and open probable leaks
+ * @route POST /api/night-flow/check - Check every sensor and zone now and raise background leak alerts
+ */
+
+router.get('/', getNightFlow);
+router.get('/status', getNightFlowStatus);
+router.post('/check', checkNightFlow);
+
+module.exports = router;
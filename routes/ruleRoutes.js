@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const {
+  listRules,
+  getRule,
+  createRule,
+  updateRule,
+  deleteRule,
+  enableRule,
+  disableRule,
+  testRule
+} = require('../controllers/ruleController');
+
+/**
+ * Detection Rule Routes
+ * @route GET /api/rules - List detection rules
+ * @route POST /api/rules - Create a rule
+ * @route POST /api/rules/test - Dry-run a rule definition over readings
+ * @route GET /api/rules/:id - Get a rule
+ * @route PUT /api/rules/:id - Update a rule
+ * @route DELETE /api/rules/:id - Remove a custom rule
+ * @route POST /api/rules/:id/enable - Enable a rule
+ * @route POST /api/rules/:id/disable - Disable a rule
+ * @route POST /api/rules/:id/test - Dry-run a stored rule over readings
+ */
+
+router.get('/', listRules);
+router.post('/', createRule);
+router.post('/test', testRule);
+router.get('/:id', getRule);
+router.put('/:id', updateRule);
+router.delete('/:id', deleteRule);
+router.post('/:id/enable', enableRule);
+router.post('/:id/disable', disableRule);
+router.post('/:id/test', testRule);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createSensor,
+  listSensors,
+  getSensor,
+  updateSensor,
+  deleteSensor
+} = require('../controllers/sensorRegistryController');
+
+/**
+ * Sensor Registry Routes
+ * @route POST /api/sensors - Register a sensor/device
+ * @route GET /api/sensors - List registered sensors
+ * @route GET /api/sensors/:id - Get a registered sensor
+ * @route PUT /api/sensors/:id - Update sensor metadata and calibration
+ * @route DELETE /api/sensors/:id - Remove a sensor from the registry
+ */
+
+router.post('/', createSensor);
+router.get('/', listSensors);
+router.get('/:id', getSensor);
+router.put('/:id', updateSensor);
+router.delete('/:id', deleteSensor);
+
+module.exports = router;
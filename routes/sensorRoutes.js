@@ -2,28 +2,43 @@ const express = require('express');
 const router = express.Router();
 const {
   addSensorData,
+  addSensorDataBulk,
   getSensorData,
   getSensorDataById,
-  getSensorDataStats
+  getSensorDataStats,
+  getSensorDataAggregate
 } = require('../controllers/sensorController');
+const { importSensorData } = require('../controllers/sensorImportController');
 
 /**
  * Sensor Data Routes
  * @route POST /api/sensor-data - Add new sensor reading
+ * @route POST /api/sensor-data/bulk - Add a batch of timestamped readings
+ * @route POST /api/sensor-data/import - Stream a CSV/NDJSON history file into sensor_data
  * @route GET /api/sensor-data - Get historical sensor data with filters
  * @route GET /api/sensor-data/:id - Get specific sensor reading
  * @route GET /api/sensor-data/stats - Get sensor data statistics
+ * @route GET /api/sensor-data/aggregate - Get time-bucketed min/avg/max series
  */
 
 // POST: Add sensor data
 router.post('/', addSensorData);
 
+// POST: Add a batch of buffered readings
+router.post('/bulk', addSensorDataBulk);
+
+// POST: Import historical CSV/NDJSON exports (streamed request body)
+router.post('/import', importSensorData);
+
 // GET: Retrieve sensor data with optional filters
 router.get('/', getSensorData);
 
 // GET: Get sensor data statistics
 router.get('/stats', getSensorDataStats);
 
+// GET: Time-bucketed series for historical charts
+router.get('/aggregate', getSensorDataAggregate);
+
 // GET: Retrieve specific sensor reading
 router.get('/:id', getSensorDataById);
 
@@ -10,19 +10,47 @@ const { requestLogger } = require('../middleware/logger');
 const { errorHandler, asyncHandler } = require('../middleware/errorHandler');
 
 // Import database initialization (db is at repository root)
-require('../db/database');
+const { databaseReady } = require('../db/database');
+const { repositories } = require('../db/repositories');
+const { integratedEngine } = require('../utils/integratedEngine');
+const { modelRegistry } = require('../utils/modelRegistry');
+const { trainingJobs } = require('../utils/trainingJobs');
+const { thresholdCalibrator } = require('../utils/thresholdCalibration');
+const { feedbackLoop } = require('../utils/feedbackLoop');
+const { driftMonitor } = require('../utils/driftMonitor');
+const { ruleRegistry } = require('../utils/ruleRegistry');
+const { nightFlowMonitor } = require('../utils/nightFlow');
+
+// Detections, alerts, the model registry, training logs, calibration history, feedback samples and detection rules are written through to the configured storage backend
+integratedEngine.attachStore(repositories);
+modelRegistry.attachStore(repositories);
+trainingJobs.attachStore(repositories);
+thresholdCalibrator.attachStore(repositories);
+feedbackLoop.attachStore(repositories);
+ruleRegistry.attachStore(repositories);
+// Night flow zones are the locations of registered sensors
+nightFlowMonitor.attachStore(repositories);
 
 // Import WebSocket service
 const WebSocketService = require('./services/websocketService');
+const { retentionManager } = require('../utils/retentionManager');
 
 // Import routes (top-level `routes/` folder)
 const sensorRoutes = require('../routes/sensorRoutes');
+const sensorRegistryRoutes = require('../routes/sensorRegistryRoutes');
 const mlRoutes = require('../routes/mlRoutes');
 const leakDetectionRoutes = require('../routes/leakDetectionRoutes');
 const integratedRoutes = require('../routes/integratedRoutes');
 // `websocket` REST endpoints live under `src/routes/websocket.js`
 const websocketRoutes = require('./routes/websocket');
 const alertsRoutes = require('../routes/alertsRoutes');
+const adminRoutes = require('../routes/adminRoutes');
+const modelRegistryRoutes = require('../routes/modelRegistryRoutes');
+const calibrationRoutes = require('../routes/calibrationRoutes');
+const feedbackRoutes = require('../routes/feedbackRoutes');
+const driftRoutes = require('../routes/driftRoutes');
+const ruleRoutes = require('../routes/ruleRoutes');
+const nightFlowRoutes = require('../routes/nightFlowRoutes');
 
 // Initialize Express app
 const app = express();
@@ -71,36 +99,99 @@ app.get('/api/docs', (req, res) => {
     endpoints: {
       health: 'GET /health',
       sensorData: {
-        post: 'POST /api/sensor-data - Add new sensor reading',
-        get: 'GET /api/sensor-data - Retrieve historical data with filters',
+        post: 'POST /api/sensor-data - Add new sensor reading (requires sensor_id, optional device timestamp)',
+        bulk: 'POST /api/sensor-data/bulk - Add a batch of timestamped readings (per-item results)',
+        import: 'POST /api/sensor-data/import - Stream CSV/NDJSON history into sensor_data (mapping, dryRun, report)',
+        get: 'GET /api/sensor-data - Retrieve historical data with filters (startTime, endTime, sensorId)',
         getById: 'GET /api/sensor-data/:id - Get specific sensor reading',
-        getStats: 'GET /api/sensor-data/stats - Get sensor statistics'
+        getStats: 'GET /api/sensor-data/stats - Get sensor statistics (sensorId, groupBy=sensor)',
+        aggregate: 'GET /api/sensor-data/aggregate - Bucketed series (bucket=1m|5m|1h|1d, fields, aggregations, sensorId, groupBy=sensor)'
+      },
+      sensors: {
+        create: 'POST /api/sensors - Register a sensor/device',
+        list: 'GET /api/sensors - List registered sensors',
+        get: 'GET /api/sensors/:id - Get a registered sensor',
+        update: 'PUT /api/sensors/:id - Update sensor metadata, calibration offsets and detector algorithm (detector: isolation-forest|robust-zscore|seasonal-baseline|knn-lof|null)',
+        remove: 'DELETE /api/sensors/:id - Remove a sensor from the registry'
       },
       modelTraining: {
-        train: 'POST /api/train-model - Trigger AI model training',
+        train: 'POST /api/train-model - Start a background training job; the model is registered as a candidate ({ source, promote, algorithm, hyperparameters, compareAlgorithms, trainingSplit, crossValidation })',
         status: 'GET /api/train-model/status - Get training status',
-        history: 'GET /api/train-model/history - Get training history'
+        history: 'GET /api/train-model/history - Get training history',
+        jobs: 'GET /api/train-model/jobs - List recent training jobs',
+        job: 'GET /api/train-model/jobs/:id - Get a training job and its progress',
+        cancelJob: 'POST /api/train-model/jobs/:id/cancel - Cancel a running training job'
+      },
+      modelRegistry: {
+        list: 'GET /api/models - List registered models (?status=candidate|production|archived, modelType, limit, offset)',
+        active: 'GET /api/models/active - Production model, the model the engine is scoring with and per-sensor models',
+        compare: 'GET /api/models/compare?ids=a,b - Compare model metrics (deltas against the first)',
+        get: 'GET /api/models/:id - Get a registered model',
+        evaluation: 'GET /api/models/:id/evaluation - Held-out metrics, ROC/PR curves, per-source and cross-validation results (or /api/models/active/evaluation)',
+        promote: 'POST /api/models/:id/promote - Promote a model to production without a restart',
+        rollback: 'POST /api/models/rollback - Roll back to the previous production model ({ to } optional)'
+      },
+      calibration: {
+        status: 'GET /api/calibration - Live anomaly threshold and the latest calibration',
+        calibrate: 'POST /api/calibration - Sweep thresholds on labeled data and apply the best for an objective ({ objective: max-f1|recall-floor|fpr-cap, minRecall, maxFpr, samples | multipart file, apply })',
+        history: 'GET /api/calibration/history - Past calibration runs'
+      },
+      feedback: {
+        status: 'GET /api/feedback - Curated training set from alert feedback and the retrain schedule',
+        samples: 'GET /api/feedback/samples - Labeled samples from resolved alerts (limit, offset)',
+        collect: 'POST /api/feedback/collect - Backfill samples from alerts resolved with feedback',
+        retrain: 'POST /api/feedback/retrain - Retrain with the feedback set as a background job ({ source, promote, algorithm, hyperparameters })',
+        report: 'GET /api/feedback/report - Live and offline false-positive rate per model version'
+      },
+      drift: {
+        latest: 'GET /api/drift - The latest drift report',
+        check: 'POST /api/drift/check - PSI and KS per feature between the live feature windows and the production model\'s training data; raises a model_drift system alert when drift starts (?sensorId)',
+        status: 'GET /api/drift/status - Drift thresholds, background schedule and the latest report',
+        history: 'GET /api/drift/history - Past drift reports (limit)'
+      },
+      rules: {
+        list: 'GET /api/rules - Detection rules the rule-based detector evaluates (built-in and custom)',
+        create: 'POST /api/rules - Create a rule ({ id, description, severity, probability, when, for, sensorIds, enabled })',
+        get: 'GET /api/rules/:id - Get a rule',
+        update: 'PUT /api/rules/:id - Update a rule; live on the next reading',
+        remove: 'DELETE /api/rules/:id - Remove a custom rule (built-in rules can only be disabled)',
+        enable: 'POST /api/rules/:id/enable - Enable a rule',
+        disable: 'POST /api/rules/:id/disable - Disable a rule',
+        test: 'POST /api/rules/test - Dry-run a rule definition ({ rule, readings | sensorId, startTime, endTime, limit, baseline }); POST /api/rules/:id/test for a stored rule'
+      },
+      nightFlow: {
+        trend: 'GET /api/night-flow - Minimum night flow per night (02:00-04:00 by default) with its rolling baseline and status, per sensor or for one zone (?sensorId|zone, days, endTime)',
+        status: 'GET /api/night-flow/status - Night window, thresholds, background schedule and open probable leaks',
+        check: 'POST /api/night-flow/check - Check every sensor and zone now; raises a background_leak system alert when a sustained MNF increase starts'
       },
       leakDetection: {
-        status: 'GET /api/leak-detection - Get current leak status and predictions',
-        predictions: 'GET /api/leak-detection/predictions - Get leak predictions',
+        status: 'GET /api/leak-detection?mode=engine|heuristic - Leak status of the newest reading, scored by the integrated engine',
+        predictions: 'GET /api/leak-detection/predictions?limit=&mode=engine|heuristic - Stored readings scored by the integrated engine',
         valveControl: 'POST /api/valve-control - Control valve (open/close)',
         valveStatus: 'GET /api/valve-control/status - Get valve status',
         valveHistory: 'GET /api/valve-control/history - Get valve history'
       },
       integratedDetection: {
         initialize: 'POST /api/detection/initialize - Initialize detection engine',
-        process: 'POST /api/detection/process - Process sensor reading',
+        process: 'POST /api/detection/process - Process sensor reading (optional device timestamp)',
         batchProcess: 'POST /api/detection/batch-process - Process multiple readings',
-        status: 'GET /api/detection/status - Get detection system status',
-        recent: 'GET /api/detection/recent - Get recent detections',
-        alerts: 'GET /api/detection/alerts - Get recent alerts',
-        patterns: 'GET /api/detection/patterns - Analyze detection patterns',
-        report: 'GET /api/detection/report - Get comprehensive report',
+        status: 'GET /api/detection/status - Get detection system status (?sensorId= for one sensor)',
+        recent: 'GET /api/detection/recent - Get persisted detections (?sensorId=, leaksOnly, limit, offset)',
+        alerts: 'GET /api/detection/alerts - Get persisted alerts (?sensorId=, severity, limit, offset)',
+        patterns: 'GET /api/detection/patterns - Analyze detection patterns (?sensorId=)',
+        report: 'GET /api/detection/report - Get comprehensive report (?sensorId=)',
+        sensors: 'GET /api/detection/sensors - List per-sensor detection pipelines',
+        sensorPipeline: 'GET /api/detection/sensors/:sensorId - Status, detections and alerts for one sensor',
         systemInfo: 'GET /api/detection/system-info - Get system information',
         maintenanceReport: 'GET /api/detection/maintenance-report - Get maintenance report',
         reset: 'POST /api/detection/reset - Reset detection engine'
       },
+      admin: {
+        exportData: 'POST|GET /api/admin/export-data - Stream sensor-data, detections, alerts, valve-history or full-report as csv, ndjson or columnar json',
+        retention: 'GET|PUT /api/admin/retention - Retention settings (raw / 1m / 1h rollups) and rollup status',
+        runRetention: 'POST /api/admin/retention/run - Run the rollup and prune job now',
+        trainModel: 'POST /api/admin/train-model - Train on an uploaded CSV/JSON dataset (multipart file, trainingSplit, algorithm, hyperparameters, compareAlgorithms, crossValidation); metrics are from the held-out test split'
+      },
       webSocket: {
         stats: 'GET /api/websocket/stats - Get WebSocket connection statistics',
         broadcastAlert: 'POST /api/websocket/broadcast-alert - Broadcast alert to all clients',
@@ -113,12 +204,20 @@ app.get('/api/docs', (req, res) => {
 
 // Mount routes
 app.use('/api/sensor-data', sensorRoutes);
+app.use('/api/sensors', sensorRegistryRoutes);
 app.use('/api/train-model', mlRoutes);
+app.use('/api/models', modelRegistryRoutes);
+app.use('/api/calibration', calibrationRoutes);
+app.use('/api/feedback', feedbackRoutes);
+app.use('/api/drift', driftRoutes);
+app.use('/api/rules', ruleRoutes);
+app.use('/api/night-flow', nightFlowRoutes);
 app.use('/api/leak-detection', leakDetectionRoutes);
 app.use('/api/detection', integratedRoutes);
 app.use('/api/websocket', websocketRoutes);
 // Alerts endpoints (legacy frontend expects /api/alerts/*)
 app.use('/api/alerts', alertsRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Valve control endpoint (mounted separately) - controller at repo root `controllers/`
 app.post('/api/valve-control', require('../controllers/leakDetectionController').controlValveEndpoint);
@@ -159,6 +258,12 @@ const wsService = new WebSocketService(server);
 // Add WebSocket service to app for use in controllers
 app.wsService = wsService;
 
+// Training progress is pushed to clients subscribed to the `training` channel
+trainingJobs.attachBroadcaster(wsService);
+// Drift and background leak alerts are pushed like leak alerts (alert:new)
+driftMonitor.attachBroadcaster(wsService);
+nightFlowMonitor.attachBroadcaster(wsService);
+
 // Handle listen errors (e.g. port already in use) with a friendly message
 server.on('error', (err) => {
   if (err && err.code === 'EADDRINUSE') {
@@ -173,8 +278,30 @@ server.on('error', (err) => {
   process.exit(1);
 });
 
-server.listen(PORT, () => {
-  console.log(`
+// Start serving only once the schema migrations have been applied and the storage backend is ready
+Promise.all([databaseReady, repositories.ready()])
+  .then(async () => {
+    console.log(`[STORAGE] Using ${repositories.backend} storage backend`);
+
+    // Score with the promoted model (and each sensor's chosen algorithm) and the stored rules, then replay
+    // recent readings so detection windows and hysteresis survive the restart
+    await modelRegistry.loadProduction().catch(err => {
+      console.error('[MODEL_REGISTRY] Failed to load production model:', err.message || err);
+    });
+    await ruleRegistry.load().catch(err => {
+      console.error('[RULE_REGISTRY] Failed to load detection rules:', err.message || err);
+    });
+    await repositories.sensors.list()
+      .then(sensors => modelRegistry.syncSensorDetectors(sensors))
+      .catch(err => {
+        console.error('[MODEL_REGISTRY] Failed to load sensor detectors:', err.message || err);
+      });
+    await integratedEngine.rehydrate().catch(err => {
+      console.error('[INTEGRATED_ENGINE] Startup rehydration failed:', err.message || err);
+    });
+
+    server.listen(PORT, () => {
+      console.log(`
 ╔════════════════════════════════════════════════════════════╗
 ║   Water Leak Detection System API Server                   ║
 ║   Environment: ${process.env.NODE_ENV || 'development'.padEnd(48)}║
@@ -186,13 +313,37 @@ server.listen(PORT, () => {
 ║   WebSocket Endpoint: ws://localhost:${PORT}${' '.repeat(37 - PORT.toString().length)}║
 ║════════════════════════════════════════════════════════════╝
   `);
-});
+
+      // Background rollups and retention pruning for sensor_data
+      retentionManager.start().catch(err => {
+        console.error('[RETENTION] Failed to start retention job:', err.message || err);
+      });
+
+      // Periodic retraining on alert feedback (FEEDBACK_RETRAIN_INTERVAL_HOURS)
+      feedbackLoop.start();
+
+      // Periodic feature drift checks against the production model (DRIFT_CHECK_INTERVAL_MINUTES)
+      driftMonitor.start();
+
+      // Periodic minimum night flow checks for background leakage (MNF_CHECK_INTERVAL_HOURS)
+      nightFlowMonitor.start();
+    });
+  })
+  .catch(err => {
+    console.error('Database initialization failed; not starting server:', err.message || err);
+    process.exit(1);
+  });
 
 // Graceful shutdown with WebSocket cleanup
 process.on('SIGTERM', () => {
   console.log('SIGTERM received. Shutting down gracefully...');
   wsService.shutdown();
-  server.close(() => {
+  retentionManager.stop();
+  feedbackLoop.stop();
+  driftMonitor.stop();
+  nightFlowMonitor.stop();
+  server.close(async () => {
+    await integratedEngine.flushWrites();
     console.log('Server closed');
     process.exit(0);
   });
@@ -201,7 +352,12 @@ process.on('SIGTERM', () => {
 process.on('SIGINT', () => {
   console.log('SIGINT received. Shutting down gracefully...');
   wsService.shutdown();
-  server.close(() => {
+  retentionManager.stop();
+  feedbackLoop.stop();
+  driftMonitor.stop();
+  nightFlowMonitor.stop();
+  server.close(async () => {
+    await integratedEngine.flushWrites();
     console.log('Server closed');
     process.exit(0);
   });
@@ -2,152 +2,101 @@
 
 /**
  * calibrateThreshold.js
- * Loads a trained model and sweeps anomaly-score thresholds (0.00 - 1.00)
- * to report precision / recall / F1 on the test set and recommend a threshold
- * to reduce false positives while maintaining recall.
- *
+ * Calibrate the live detector's anomaly threshold through the calibration API
+ * (POST /api/calibration). Without a dataset the server uses the prepared-data
+ * holdout (the last 20% of combined_training_data.json).
  * Usage:
- *  node tools/calibrateThreshold.js [modelFile]
- * Example:
- *  node tools/calibrateThreshold.js custom_trained_model.json
+ *   node tools/calibrateThreshold.js [dataset] [options]
+ * Options:
+ *   --objective max-f1|recall-floor|fpr-cap   (default max-f1)
+ *   --min-recall <0-1>         recall floor for recall-floor (default 0.95)
+ *   --max-fpr <0-1>            false-positive rate cap for fpr-cap (default 0.05)
+ *   --step <0-1>               sweep step (default 0.01)
+ *   --dry-run                  report the recommended threshold without applying it
+ * Examples:
+ *   node tools/calibrateThreshold.js --objective recall-floor --min-recall 0.9
+ *   node tools/calibrateThreshold.js labeled_readings.csv --objective fpr-cap --max-fpr 0.02 --dry-run
  */
 
 const fs = require('fs');
 const path = require('path');
-const { mlDetector } = require('../utils/mlAnomalyDetector');
 
-const MODEL_FILE = process.argv[2] || 'custom_trained_model.json';
-const MODEL_NAME = MODEL_FILE;
-const DATA_PATH = path.join(__dirname, '..', 'backend', 'training_data', 'processed', 'combined_training_data.json');
+const BACKEND_URL = process.env.BACKEND_URL || 'http://localhost:3000';
+const CALIBRATION_ENDPOINT = `${BACKEND_URL}/api/calibration`;
 
-function safeNumber(n) { return typeof n === 'number' && !isNaN(n); }
+const VALUE_OPTIONS = ['--objective', '--min-recall', '--max-fpr', '--step'];
 
-(async () => {
-  console.log('\n[CALIBRATE] Threshold calibration script');
-  try {
-    // Load trained model
-    const loaded = mlDetector.loadModel(MODEL_NAME);
-    if (!loaded) {
-      console.error(`[CALIBRATE] Failed to load model '${MODEL_NAME}' from models directory.`);
-      process.exit(1);
-    }
-
-    if (!fs.existsSync(DATA_PATH)) {
-      console.error('[CALIBRATE] Processed training data not found at:', DATA_PATH);
-      console.error('Run: node backend/scripts/prepareTrainingData.js');
-      process.exit(1);
-    }
+const args = process.argv.slice(2);
+const filePath = args.find((arg, index) => !arg.startsWith('--') && !VALUE_OPTIONS.includes(args[index - 1]));
 
-    const allData = JSON.parse(fs.readFileSync(DATA_PATH, 'utf8'));
-    if (!Array.isArray(allData) || allData.length === 0) {
-      console.error('[CALIBRATE] No data available in processed file');
-      process.exit(1);
-    }
-
-    // Split into train/test 80/20 as trainModel.js did
-    const splitIdx = Math.floor(allData.length * 0.8);
-    const testSet = allData.slice(splitIdx);
+function option(name) {
+  const index = args.indexOf(name);
+  return index >= 0 ? args[index + 1] : undefined;
+}
 
-    console.log(`[CALIBRATE] Loaded processed data: ${allData.length} total samples`);
-    console.log(`[CALIBRATE] Test set size: ${testSet.length} samples`);
+function buildBody() {
+  const fields = {
+    objective: option('--objective') || 'max-f1',
+    minRecall: option('--min-recall'),
+    maxFpr: option('--max-fpr'),
+    step: option('--step'),
+    apply: args.includes('--dry-run') ? 'false' : 'true'
+  };
+  Object.keys(fields).forEach(key => typeof fields[key] === 'undefined' && delete fields[key]);
 
-    // Ensure model is trained
-    if (!mlDetector.model.isTrained) {
-      console.error('[CALIBRATE] Model is not flagged as trained. Aborting.');
-      process.exit(1);
-    }
+  if (!filePath) {
+    return { body: JSON.stringify(fields), headers: { 'Content-Type': 'application/json' } };
+  }
 
-    // Collect raw scores and true labels
-    const scored = [];
-    for (let i = 0; i < testSet.length; i++) {
-      const sample = testSet[i];
-      const trueLabel = sample.label || null; // expecting 'anomaly' or 'normal'
-      const pred = mlDetector.model.predict(sample); // raw prediction {anomalyScore: 0..1, isAnomaly, pathLength}
-      scored.push({ score: pred.anomalyScore, actual: trueLabel });
-    }
+  const form = new FormData();
+  Object.entries(fields).forEach(([key, value]) => form.append(key, value));
+  form.append('file', new Blob([fs.readFileSync(filePath)]), path.basename(filePath));
+  return { body: form, headers: {} };
+}
 
-    // Filter out samples without label (can't compute metrics)
-    const labeled = scored.filter(s => s.actual === 'anomaly' || s.actual === 'normal');
-    console.log(`[CALIBRATE] Labeled test samples: ${labeled.length} (will be used for metrics)`);
+const pct = (ratio) => `${(ratio * 100).toFixed(2)}%`;
 
-    if (labeled.length === 0) {
-      console.error('[CALIBRATE] No labeled test samples found. Cannot compute metrics.');
-      process.exit(1);
-    }
+function printReport(calibration, message) {
+  const { metrics, previousMetrics } = calibration;
+  const objective = Object.entries(calibration.objective).map(([key, value]) => `${key}=${value}`).join(', ');
 
-    const thresholds = [];
-    for (let t = 0; t <= 100; t++) thresholds.push(t / 100);
-
-    let bestByF1 = { threshold: 0.5, f1: -1, precision: 0, recall: 0 };
-    let bestByPrecisionAt95Recall = { threshold: null, precision: 0, recall: 0, f1: 0 };
-
-    const results = [];
-
-    thresholds.forEach(th => {
-      let tp = 0, fp = 0, tn = 0, fn = 0;
-      labeled.forEach(item => {
-        const predictedAnomaly = item.score > th;
-        const actualAnomaly = item.actual === 'anomaly';
-        if (predictedAnomaly && actualAnomaly) tp++;
-        if (predictedAnomaly && !actualAnomaly) fp++;
-        if (!predictedAnomaly && !actualAnomaly) tn++;
-        if (!predictedAnomaly && actualAnomaly) fn++;
-      });
-
-      const denom = tp + fp + tn + fn;
-      const accuracy = denom > 0 ? (tp + tn) / denom : 0;
-      const precision = tp + fp > 0 ? tp / (tp + fp) : 0;
-      const recall = tp + fn > 0 ? tp / (tp + fn) : 0;
-      const f1 = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
-
-      results.push({ threshold: th, tp, fp, tn, fn, accuracy, precision, recall, f1 });
-
-      if (f1 > bestByF1.f1) {
-        bestByF1 = { threshold: th, f1, precision, recall };
-      }
-
-      // track best precision with recall >= 0.95
-      if (recall >= 0.95 && precision > bestByPrecisionAt95Recall.precision) {
-        bestByPrecisionAt95Recall = { threshold: th, precision, recall, f1 };
-      }
-    });
-
-    // Print summarized results
-    console.log('\n[CALIBRATE] Top results:');
-    console.log(`  Best F1: threshold=${bestByF1.threshold.toFixed(2)}, F1=${(bestByF1.f1*100).toFixed(2)}%, precision=${(bestByF1.precision*100).toFixed(2)}%, recall=${(bestByF1.recall*100).toFixed(2)}%`);
-    if (bestByPrecisionAt95Recall.threshold !== null) {
-      console.log(`  Best precision with recall>=95%: threshold=${bestByPrecisionAt95Recall.threshold.toFixed(2)}, precision=${(bestByPrecisionAt95Recall.precision*100).toFixed(2)}%, recall=${(bestByPrecisionAt95Recall.recall*100).toFixed(2)}%`);
-    } else {
-      console.log('  No threshold achieved recall >= 95%');
-    }
+  console.log(`[CALIBRATE] Objective:  ${objective}`);
+  console.log(`[CALIBRATE] Samples:    ${calibration.sampleCount} labeled (${metrics.anomalies} anomalies, ${calibration.source})`);
+  console.log(`[CALIBRATE] Threshold:  ${calibration.previousThreshold} -> ${calibration.threshold}`);
+  console.log(`[CALIBRATE]   before: precision=${previousMetrics.precision}%, recall=${previousMetrics.recall}%, f1=${previousMetrics.f1Score}%, fpr=${pct(previousMetrics.fpr)}`);
+  console.log(`[CALIBRATE]   after:  precision=${metrics.precision}%, recall=${metrics.recall}%, f1=${metrics.f1Score}%, fpr=${pct(metrics.fpr)}`);
+  console.log(`[CALIBRATE] ${message}`);
+}
 
-    // Show a short table of a few thresholds around best F1
-    const neighborhood = results.filter(r => Math.abs(r.threshold - bestByF1.threshold) <= 0.05)
-      .sort((a,b) => b.f1 - a.f1)
-      .slice(0, 10);
+if (filePath && !fs.existsSync(filePath)) {
+  console.error('Usage: node tools/calibrateThreshold.js [dataset] [--objective max-f1|recall-floor|fpr-cap] [--min-recall 0.95] [--max-fpr 0.05] [--dry-run]');
+  process.exit(1);
+}
 
-    console.log('\n[CALIBRATE] Neighborhood around best F1 (threshold, precision%, recall%, f1%):');
-    neighborhood.forEach(r => {
-      console.log(`  ${r.threshold.toFixed(2)} -> precision=${(r.precision*100).toFixed(2)}%, recall=${(r.recall*100).toFixed(2)}%, f1=${(r.f1*100).toFixed(2)}%, tp=${r.tp},fp=${r.fp},tn=${r.tn},fn=${r.fn}`);
-    });
+console.log(`[CALIBRATE] Calibrating via ${CALIBRATION_ENDPOINT}${filePath ? ` with ${filePath}` : ''}`);
 
-    // Suggest recommended threshold
-    const recommended = bestByPrecisionAt95Recall.threshold !== null ? bestByPrecisionAt95Recall.threshold : bestByF1.threshold;
-    console.log(`\n[CALIBRATE] Recommended threshold: ${recommended.toFixed(2)} (use to reduce false positives)`);
+const { body, headers } = buildBody();
 
-    // Optionally write recommendation to models/config.json
-    const cfgPath = path.join(__dirname, '..', 'models', 'model_config.json');
+fetch(CALIBRATION_ENDPOINT, { method: 'POST', body, headers })
+  .then(async (res) => {
+    const text = await res.text();
+    let payload;
     try {
-      const cfg = { recommendedThreshold: recommended, generatedAt: Date.now(), modelFile: MODEL_NAME };
-      fs.writeFileSync(cfgPath, JSON.stringify(cfg, null, 2));
-      console.log(`[CALIBRATE] Saved recommended threshold to ${cfgPath}`);
-    } catch (err) {
-      console.warn('[CALIBRATE] Could not write config file:', err.message || err);
+      payload = JSON.parse(text);
+    } catch (e) {
+      console.error(`[CALIBRATE] Unexpected response (${res.status}): ${text.slice(0, 200)}`);
+      process.exit(1);
     }
 
+    if (!payload.success) {
+      console.error(`[CALIBRATE] Calibration failed (${res.status}):`, payload.error ? payload.error.message : payload.message);
+      process.exit(1);
+    }
+
+    printReport(payload.data, payload.message);
     process.exit(0);
-  } catch (err) {
-    console.error('[CALIBRATE] Fatal error:', err.message || err);
+  })
+  .catch((err) => {
+    console.error('[CALIBRATE] Request failed:', err.message || err);
     process.exit(1);
-  }
-})();
+  });
@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+
+/**
+ * importSensorData.js
+ * Stream a CSV or NDJSON history export into sensor_data through the import API.
+ * Usage:
+ *   node tools/importSensorData.js <file> [options]
+ * Options:
+ *   --format csv|ndjson        (default: from file extension)
+ *   --mapping <file.json>      JSON object of reading field -> source column
+ *   --map field=Column,...     inline mapping, e.g. --map timestamp=Time,pressure=PSI
+ *   --sensor-id <id>           sensor for rows without a sensor column
+ *   --timestamp-unit ms|s      unit for numeric epoch timestamps (default ms)
+ *   --delimiter <char>         CSV separator (default ,)
+ *   --auto-register            register unknown sensors instead of rejecting their rows
+ *   --no-calibrate             store raw values without registry calibration offsets
+ *   --dry-run                  validate and report without writing
+ * Examples:
+ *   node tools/importSensorData.js scada_2023.csv --map sensor_id=Tag,timestamp=Time,pressure=PSI,flow=GPM
+ *   node tools/importSensorData.js readings.ndjson --sensor-id meter-01 --dry-run
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+
+const BACKEND_URL = process.env.BACKEND_URL || 'http://localhost:3000';
+const IMPORT_ENDPOINT = `${BACKEND_URL}/api/sensor-data/import`;
+
+const args = process.argv.slice(2);
+const filePath = args.find(arg => !arg.startsWith('--') && !isOptionValue(arg));
+
+function isOptionValue(arg) {
+  const index = args.indexOf(arg);
+  return index > 0 && ['--format', '--mapping', '--map', '--sensor-id', '--timestamp-unit', '--delimiter'].includes(args[index - 1]);
+}
+
+function option(name) {
+  const index = args.indexOf(name);
+  return index >= 0 ? args[index + 1] : undefined;
+}
+
+function buildMapping() {
+  const mapping = {};
+
+  const mappingFile = option('--mapping');
+  if (mappingFile) {
+    Object.assign(mapping, JSON.parse(fs.readFileSync(mappingFile, 'utf8')));
+  }
+
+  const inline = option('--map');
+  if (inline) {
+    inline.split(',').forEach(pair => {
+      const [field, column] = pair.split('=');
+      if (field && column) {
+        mapping[field.trim()] = column.trim();
+      }
+    });
+  }
+
+  return mapping;
+}
+
+function detectFormat(file) {
+  const explicit = option('--format');
+  if (explicit) return explicit.toLowerCase();
+  return ['.ndjson', '.jsonl'].includes(path.extname(file).toLowerCase()) ? 'ndjson' : 'csv';
+}
+
+function buildUrl(format) {
+  const url = new URL(IMPORT_ENDPOINT);
+  const mapping = buildMapping();
+
+  url.searchParams.set('format', format);
+  if (Object.keys(mapping).length > 0) url.searchParams.set('mapping', JSON.stringify(mapping));
+  if (option('--sensor-id')) url.searchParams.set('sensorId', option('--sensor-id'));
+  if (option('--timestamp-unit')) url.searchParams.set('timestampUnit', option('--timestamp-unit'));
+  if (option('--delimiter')) url.searchParams.set('delimiter', option('--delimiter'));
+  if (args.includes('--auto-register')) url.searchParams.set('autoRegister', 'true');
+  if (args.includes('--no-calibrate')) url.searchParams.set('calibrate', 'false');
+  if (args.includes('--dry-run')) url.searchParams.set('dryRun', 'true');
+
+  return url;
+}
+
+function printReport(report) {
+  console.log(`[IMPORT] Rows:       ${report.totalRows}`);
+  console.log(`[IMPORT] Imported:   ${report.imported}${report.dryRun ? ' (dry run)' : ''}`);
+  console.log(`[IMPORT] Duplicates: ${report.duplicates}`);
+  console.log(`[IMPORT] Rejected:   ${report.rejected}`);
+  if (report.timeRange) {
+    console.log(`[IMPORT] Time range: ${new Date(report.timeRange.start).toISOString()} → ${new Date(report.timeRange.end).toISOString()}`);
+  }
+  Object.entries(report.sensors).forEach(([sensorId, count]) => {
+    console.log(`[IMPORT]   ${sensorId}: ${count}`);
+  });
+  if (report.registeredSensors.length > 0) {
+    console.log(`[IMPORT] Registered sensors: ${report.registeredSensors.join(', ')}`);
+  }
+  report.errors.slice(0, 20).forEach(err => {
+    console.log(`[IMPORT]   row ${err.row}: ${err.errors.join('; ')}`);
+  });
+  if (report.errors.length > 20 || report.errorsTruncated) {
+    console.log('[IMPORT]   ... more errors in the full report');
+  }
+}
+
+if (!filePath || !fs.existsSync(filePath)) {
+  console.error('Usage: node tools/importSensorData.js <file> [--format csv|ndjson] [--map field=Column,...] [--sensor-id id] [--dry-run]');
+  process.exit(1);
+}
+
+const format = detectFormat(filePath);
+const url = buildUrl(format);
+const transport = url.protocol === 'https:' ? https : http;
+
+console.log(`[IMPORT] Streaming ${filePath} (${format}) to ${IMPORT_ENDPOINT}`);
+
+const req = transport.request(url, {
+  method: 'POST',
+  headers: {
+    'Content-Type': format === 'ndjson' ? 'application/x-ndjson' : 'text/csv'
+  }
+}, (res) => {
+  let body = '';
+  res.setEncoding('utf8');
+  res.on('data', chunk => { body += chunk; });
+  res.on('end', () => {
+    let payload;
+    try {
+      payload = JSON.parse(body);
+    } catch (e) {
+      console.error(`[IMPORT] Unexpected response (${res.statusCode}): ${body.slice(0, 200)}`);
+      process.exit(1);
+    }
+
+    if (!payload.data) {
+      console.error(`[IMPORT] Import failed (${res.statusCode}):`, payload.error ? payload.error.message : payload.message);
+      process.exit(1);
+    }
+
+    printReport(payload.data);
+    process.exit(payload.success ? 0 : 1);
+  });
+});
+
+req.on('error', (err) => {
+  console.error('[IMPORT] Request failed:', err.message || err);
+  process.exit(1);
+});
+
+fs.createReadStream(filePath).pipe(req);
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+
+/**
+ * migrate.js
+ * Apply, revert or inspect schema migrations (db/migrations) on a SQLite database.
+ * The server applies pending migrations itself on startup; use this for
+ * rollbacks, inspection, or preparing a database ahead of time.
+ * Usage:
+ *   node tools/migrate.js status
+ *   node tools/migrate.js up [--to <version>]
+ *   node tools/migrate.js down [--steps <n> | --to <version>]
+ * The database is DB_PATH (default ./db/sensor_data.db), or --db <file>.
+ */
+
+require('dotenv').config();
+
+const sqlite3 = require('sqlite3');
+const { Migrator } = require('../db/migrator');
+
+const args = process.argv.slice(2);
+const command = args[0] || 'status';
+
+function option(name) {
+  const index = args.indexOf(name);
+  return index >= 0 ? args[index + 1] : undefined;
+}
+
+function intOption(name) {
+  const value = option(name);
+  if (typeof value === 'undefined') return undefined;
+  const parsed = parseInt(value, 10);
+  if (isNaN(parsed) || parsed < 0) {
+    console.error(`[MIGRATE] ${name} must be a non-negative integer`);
+    process.exit(1);
+  }
+  return parsed;
+}
+
+const dbPath = option('--db') || process.env.DB_PATH || './db/sensor_data.db';
+
+async function main(db) {
+  const migrator = new Migrator(db);
+
+  if (command === 'status') {
+    const rows = await migrator.status();
+    console.log(`[MIGRATE] ${dbPath}`);
+    rows.forEach(row => {
+      const state = row.missing ? 'applied (file missing)' : (row.applied ? `applied ${new Date(row.appliedAt).toISOString()}` : 'pending');
+      console.log(`[MIGRATE]   ${String(row.version).padStart(3, '0')} ${row.name.padEnd(28)} ${state}`);
+    });
+    return;
+  }
+
+  if (command === 'up') {
+    const to = intOption('--to');
+    const applied = await migrator.migrate(typeof to === 'number' ? { to } : {});
+    console.log(`[MIGRATE] Applied ${applied.length} migration(s)`);
+    return;
+  }
+
+  if (command === 'down') {
+    const to = intOption('--to');
+    const steps = intOption('--steps');
+    const reverted = await migrator.rollback(typeof to === 'number' ? { to } : { steps: steps || 1 });
+    console.log(`[MIGRATE] Reverted ${reverted.length} migration(s)`);
+    return;
+  }
+
+  console.error('Usage: node tools/migrate.js status | up [--to N] | down [--steps N | --to N] [--db file]');
+  process.exitCode = 1;
+}
+
+const db = new sqlite3.Database(dbPath, (err) => {
+  if (err) {
+    console.error('[MIGRATE] Cannot open database:', err.message);
+    process.exit(1);
+  }
+
+  main(db)
+    .catch(error => {
+      console.error('[MIGRATE]', error.message || error);
+      process.exitCode = 1;
+    })
+    .finally(() => db.close());
+});
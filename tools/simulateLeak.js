@@ -7,6 +7,7 @@
  *   node tools/simulateLeak.js [minor|major|burst] [count] [intervalMs]
  * Examples:
  *   node tools/simulateLeak.js major 30 1000
+ * Set SENSOR_ID to post as a specific registered sensor (registered automatically if missing).
  */
 
 const { simulator, SCENARIOS } = require('../utils/dataSimulator');
@@ -14,6 +15,8 @@ const { simulator, SCENARIOS } = require('../utils/dataSimulator');
 const fetch = global.fetch || require('node-fetch');
 const BACKEND_URL = process.env.BACKEND_URL || 'http://localhost:3000';
 const SENSOR_ENDPOINT = `${BACKEND_URL}/api/sensor-data`;
+const REGISTRY_ENDPOINT = `${BACKEND_URL}/api/sensors`;
+const SENSOR_ID = process.env.SENSOR_ID || 'sim-sensor-001';
 
 const args = process.argv.slice(2);
 const scenarioArg = (args[0] || 'major').toLowerCase();
@@ -30,46 +33,66 @@ simulator.switchScenario(scenario);
 
 let sent = 0;
 
-const interval = setInterval(async () => {
-  const data = simulator._generateSensorData ? simulator._generateSensorData() : null;
-  // simulator exposes onData callback; however we can call the internal generator
-  // If generator not available, fall back to registering callback
-
-  if (!data) {
-    console.warn('[SIMULATE-LEAK] Simulator internal generator not accessible, falling back to onData posting');
-    simulator.onData(async (d) => {
-      try {
-        await postPayload(d);
-      } catch (e) {}
-    });
-    simulator.start(intervalMs);
-    // Let simulator run for count intervals then stop
-    setTimeout(() => {
-      simulator.stop();
-      process.exit(0);
-    }, count * intervalMs + 500);
-    return;
-  }
+ensureSensorRegistered()
+  .catch(err => console.warn('[SIMULATE-LEAK] Could not register sensor:', err.message || err))
+  .then(startSending);
+
+function startSending() {
+  const interval = setInterval(async () => {
+    const data = simulator._generateSensorData ? simulator._generateSensorData() : null;
+    // simulator exposes onData callback; however we can call the internal generator
+    // If generator not available, fall back to registering callback
+
+    if (!data) {
+      console.warn('[SIMULATE-LEAK] Simulator internal generator not accessible, falling back to onData posting');
+      simulator.onData(async (d) => {
+        try {
+          await postPayload(d);
+        } catch (e) {}
+      });
+      simulator.start(intervalMs);
+      // Let simulator run for count intervals then stop
+      setTimeout(() => {
+        simulator.stop();
+        process.exit(0);
+      }, count * intervalMs + 500);
+      return;
+    }
 
-  try {
-    await postPayload(data);
-    sent++;
-    console.log(`[SIMULATE-LEAK] Sent ${sent}/${count}`);
-    if (sent >= count) {
+    try {
+      await postPayload(data);
+      sent++;
+      console.log(`[SIMULATE-LEAK] Sent ${sent}/${count}`);
+      if (sent >= count) {
+        clearInterval(interval);
+        console.log('[SIMULATE-LEAK] Finished sending leak scenario samples');
+        process.exit(0);
+      }
+    } catch (err) {
+      console.error('[SIMULATE-LEAK] Error posting data:', err.message || err);
       clearInterval(interval);
-      console.log('[SIMULATE-LEAK] Finished sending leak scenario samples');
-      process.exit(0);
+      process.exit(1);
     }
-  } catch (err) {
-    console.error('[SIMULATE-LEAK] Error posting data:', err.message || err);
-    clearInterval(interval);
-    process.exit(1);
+  }, intervalMs);
+}
+
+async function ensureSensorRegistered() {
+  // 409 means the sensor is already registered
+  const resp = await fetch(REGISTRY_ENDPOINT, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ id: SENSOR_ID, name: 'Leak Simulator', type: 'COMBINED', location: 'Simulator' }),
+  });
+
+  if (!resp.ok && resp.status !== 409) {
+    const text = await resp.text();
+    throw new Error(`Sensor registration failed ${resp.status}: ${text}`);
   }
-}, intervalMs);
+}
 
 async function postPayload(payload) {
   // include valve_state if missing
-  const body = { ...payload, valve_state: payload.valve_state || 'OPEN' };
+  const body = { ...payload, sensor_id: SENSOR_ID, valve_state: payload.valve_state || 'OPEN' };
 
   const resp = await fetch(SENSOR_ENDPOINT, {
     method: 'POST',
@@ -25,9 +25,12 @@ const readline = require('readline');
 
 const BACKEND_URL = process.env.BACKEND_URL || 'http://localhost:3000';
 const SENSOR_ENDPOINT = `${BACKEND_URL}/api/sensor-data`;
+const REGISTRY_ENDPOINT = `${BACKEND_URL}/api/sensors`;
+const SENSOR_ID = process.env.SENSOR_ID || 'sim-sensor-001';
 
 console.log('\n[SIMULATOR-CLI] Starting pipe simulator - NORMAL CONDITIONS ONLY (proof-of-concept)');
 console.log(`[SIMULATOR-CLI] Backend API: ${SENSOR_ENDPOINT}`);
+console.log(`[SIMULATOR-CLI] Sensor ID: ${SENSOR_ID}`);
 console.log("Type 'help' for available commands. Simulator runs in NORMAL scenario (1s interval).\n");
 
 let intervalMs = 1000;
@@ -40,6 +43,7 @@ simulator.onData(async (data) => {
   // Build payload using all generated data fields so frontend and backend receive temperature, etc.
   const payload = {
     ...data,
+    sensor_id: SENSOR_ID,
     valve_state: data.valve_state || 'OPEN'
   };
 
@@ -69,9 +73,32 @@ simulator.onData(async (data) => {
   }
 });
 
-// Start default
+/**
+ * Register the simulated sensor so the backend accepts its readings (409 = already registered)
+ */
+async function ensureSensorRegistered() {
+  if (typeof fetch === 'undefined') {
+    // eslint-disable-next-line global-require
+    global.fetch = require('node-fetch');
+  }
+
+  const resp = await fetch(REGISTRY_ENDPOINT, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ id: SENSOR_ID, name: 'Pipe Simulator', type: 'COMBINED', location: 'Simulator' }),
+  });
+
+  if (!resp.ok && resp.status !== 409) {
+    const text = await resp.text();
+    throw new Error(`Sensor registration failed ${resp.status}: ${text}`);
+  }
+}
+
+// Start default once the sensor is registered
 simulator.switchScenario(SCENARIOS.NORMAL);
-simulator.start(intervalMs);
+ensureSensorRegistered()
+  .catch(err => console.warn('[SIMULATOR-CLI] Could not register sensor:', err.message || err))
+  .then(() => simulator.start(intervalMs));
 
 // CLI setup
 const rl = readline.createInterface({
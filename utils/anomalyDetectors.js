@@ -0,0 +1,618 @@
+/**
+ * Additional Anomaly Detectors
+ * Pure-JS alternatives to the Isolation Forest (utils/mlAnomalyDetector.js) with
+ * the same model interface, so MLAnomalyDetector, the training worker and the
+ * model registry can use any of them:
+ *   train(data, { onProgress }), predict(sample) -> { anomalyScore (0-1), ... },
+ *   getParams(), getModelState(), serialize(), static deserialize(data), static resolveParams(overrides)
+ *
+ * Scores share the forest's scale: 0-1, with 0.5 where a sample crosses the
+ * detector's `cutoff`, so the default threshold and calibration carry over.
+ * Every prediction carries `attributions`: each feature's share of the score
+ * (see toAttributions).
+ *   robust-zscore      largest median/MAD z-score over the features
+ *   seasonal-baseline  largest robust z-score against the sample's hour-of-week baseline
+ *   knn-lof            local outlier factor (or k-th neighbour distance) against normal training samples
+ */
+
+const MAD_SCALE = 1.4826; // MAD -> standard deviation for normally distributed data
+const MEAN_ABS_SCALE = 1.2533; // mean absolute deviation -> standard deviation
+
+const SEASONAL_MODES = ['hour-of-week', 'weekday-weekend'];
+const KNN_METHODS = ['lof', 'knn'];
+
+/**
+ * 0-1 score that reaches 0.5 when the statistic hits its cutoff (ratio 1)
+ */
+const ratioScore = (ratio) => (ratio > 0 ? ratio / (1 + ratio) : 0);
+
+/**
+ * Per-feature weights -> [{ feature, contribution }] with contributions in percent
+ * (summing to 100), largest first; features without weight are left out
+ */
+const toAttributions = (weights) => {
+  const total = Object.values(weights).reduce((sum, w) => sum + (w > 0 ? w : 0), 0);
+  if (!(total > 0)) return [];
+  return Object.entries(weights)
+    .filter(([, weight]) => weight > 0)
+    .map(([feature, weight]) => ({ feature, contribution: Math.round((weight / total) * 10000) / 100 }))
+    .sort((a, b) => b.contribution - a.contribution);
+};
+
+/**
+ * Numeric fields of the first sample (the forest picks its features the same way)
+ */
+const numericFeatures = (data) => Object.keys(data[0]).filter(key => typeof data[0][key] === 'number');
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+};
+
+/**
+ * Median and robust scale (MAD, falling back to the mean absolute deviation; 0 for a constant feature)
+ */
+const robustStats = (values) => {
+  const finite = values.filter(Number.isFinite);
+  if (finite.length === 0) return { median: 0, scale: 0 };
+
+  const center = median(finite);
+  const deviations = finite.map(v => Math.abs(v - center));
+  const mad = median(deviations) * MAD_SCALE;
+  const scale = mad > 0 ? mad : (deviations.reduce((a, b) => a + b, 0) / deviations.length) * MEAN_ABS_SCALE;
+  return { median: center, scale };
+};
+
+/**
+ * Robust z-score of every feature, and the largest ({ z, feature, zScores });
+ * constant or missing features score 0
+ */
+const largestRobustZ = (sample, features, medians, scales) => features.reduce((largest, feature) => {
+  const value = sample[feature];
+  const scale = scales[feature];
+  const z = Number.isFinite(value) && scale > 0 ? Math.abs(value - medians[feature]) / scale : 0;
+  largest.zScores[feature] = z;
+  return z > largest.z ? { ...largest, z, feature } : largest;
+}, { z: 0, feature: null, zScores: {} });
+
+const positiveNumber = (value, name) => {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+    throw new Error(`${name} must be a positive number`);
+  }
+  return value;
+};
+
+const integerBetween = (value, name, min, max) => {
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new Error(`${name} must be an integer between ${min} and ${max}`);
+  }
+  return value;
+};
+
+const withDefaults = (defaults, overrides = {}) => {
+  const params = { ...defaults };
+  Object.keys(defaults).forEach(key => {
+    if (typeof overrides[key] !== 'undefined' && overrides[key] !== null) params[key] = overrides[key];
+  });
+  return params;
+};
+
+const requireFeatures = (data) => {
+  const { features } = data;
+  if (!Array.isArray(features) || features.length === 0 || !features.every(f => typeof f === 'string')) {
+    throw new Error('features must be a non-empty array of feature names');
+  }
+};
+
+const requireStats = (features, stats, name) => {
+  features.forEach(feature => {
+    if (!stats || !Number.isFinite(stats[feature])) {
+      throw new Error(`Missing ${name} for feature ${feature}`);
+    }
+  });
+};
+
+/**
+ * Robust z-score detector
+ * Per-feature median and MAD from the training data; a sample scores by its most
+ * extreme feature, reaching 0.5 at a z-score of `cutoff` (default 3.5)
+ */
+class RobustZScoreDetector {
+  static resolveParams(overrides = {}) {
+    const params = withDefaults({ cutoff: 3.5 }, overrides);
+    positiveNumber(params.cutoff, 'cutoff');
+    return params;
+  }
+
+  constructor(params = {}) {
+    this.params = RobustZScoreDetector.resolveParams(params);
+    this.features = [];
+    this.medians = {};
+    this.scales = {};
+    this.isTrained = false;
+  }
+
+  get type() {
+    return 'robust-zscore';
+  }
+
+  train(data, options = {}) {
+    const { onProgress = null } = options;
+    if (data.length === 0) {
+      throw new Error('No training data provided');
+    }
+
+    this.features = numericFeatures(data);
+    this.medians = {};
+    this.scales = {};
+    this.features.forEach((feature, index) => {
+      const stats = robustStats(data.map(d => d[feature]));
+      this.medians[feature] = stats.median;
+      this.scales[feature] = stats.scale;
+      if (onProgress) onProgress(index + 1, this.features.length);
+    });
+
+    this.isTrained = true;
+    console.log(`[ML_MODEL] ✓ Robust z-score baseline trained on ${data.length} samples (${this.features.length} features)`);
+  }
+
+  predict(sample) {
+    if (!this.isTrained) {
+      throw new Error('Model not trained. Call train() first.');
+    }
+
+    const { z, feature, zScores } = largestRobustZ(sample, this.features, this.medians, this.scales);
+    return {
+      anomalyScore: ratioScore(z / this.params.cutoff),
+      zScore: z,
+      feature,
+      attributions: toAttributions(zScores)
+    };
+  }
+
+  getParams() {
+    return { ...this.params };
+  }
+
+  getModelState() {
+    return {
+      isTrained: this.isTrained,
+      type: this.type,
+      params: this.getParams(),
+      features: this.features,
+      medians: this.medians,
+      scales: this.scales
+    };
+  }
+
+  serialize() {
+    if (!this.isTrained) {
+      throw new Error('Model not trained. Call train() first.');
+    }
+    return {
+      params: this.getParams(),
+      features: [...this.features],
+      medians: { ...this.medians },
+      scales: { ...this.scales }
+    };
+  }
+
+  static deserialize(data) {
+    requireFeatures(data);
+    requireStats(data.features, data.medians, 'median');
+    requireStats(data.features, data.scales, 'scale');
+
+    const detector = new RobustZScoreDetector(data.params);
+    detector.features = [...data.features];
+    detector.medians = { ...data.medians };
+    detector.scales = { ...data.scales };
+    detector.isTrained = true;
+    return detector;
+  }
+}
+
+/**
+ * Seasonal baseline detector
+ * Median and MAD of each value feature per hour-of-week bucket (day_of_week or a
+ * timestamp, plus hour_of_day). When the training data has no day of week the
+ * buckets are hour of day on weekdays and weekends (is_weekend). Buckets with
+ * fewer than `minBucketSamples` samples use the overall baseline.
+ */
+class SeasonalBaselineDetector {
+  static resolveParams(overrides = {}) {
+    const params = withDefaults({ cutoff: 3.5, features: ['pressure', 'flow'], minBucketSamples: 5 }, overrides);
+    positiveNumber(params.cutoff, 'cutoff');
+    integerBetween(params.minBucketSamples, 'minBucketSamples', 1, 100000);
+    if (!Array.isArray(params.features) || params.features.length === 0 || !params.features.every(f => typeof f === 'string')) {
+      throw new Error('features must be a non-empty array of feature names');
+    }
+    return params;
+  }
+
+  constructor(params = {}) {
+    this.params = SeasonalBaselineDetector.resolveParams(params);
+    this.mode = null;
+    this.features = [];
+    this.overall = null;
+    this.buckets = {};
+    this.isTrained = false;
+  }
+
+  get type() {
+    return 'seasonal-baseline';
+  }
+
+  static hourOf(sample) {
+    if (Number.isFinite(sample.hour_of_day)) return sample.hour_of_day;
+    return Number.isFinite(sample.timestamp) ? new Date(sample.timestamp).getHours() : null;
+  }
+
+  static dayOf(sample) {
+    if (Number.isFinite(sample.day_of_week)) return sample.day_of_week;
+    return Number.isFinite(sample.timestamp) ? new Date(sample.timestamp).getDay() : null;
+  }
+
+  /**
+   * Bucket key for a sample in the given mode (null when its time is unknown)
+   */
+  static bucketOf(sample, mode) {
+    const hour = SeasonalBaselineDetector.hourOf(sample);
+    if (hour === null) return null;
+
+    if (mode === 'hour-of-week') {
+      const day = SeasonalBaselineDetector.dayOf(sample);
+      return day === null ? null : day * 24 + hour;
+    }
+    const day = SeasonalBaselineDetector.dayOf(sample);
+    const weekend = day !== null ? [0, 6].includes(day) : Boolean(sample.is_weekend);
+    return (weekend ? 24 : 0) + hour;
+  }
+
+  _baseline(samples) {
+    const medians = {};
+    const scales = {};
+    this.features.forEach(feature => {
+      const stats = robustStats(samples.map(s => s[feature]));
+      medians[feature] = stats.median;
+      scales[feature] = stats.scale;
+    });
+    return { count: samples.length, medians, scales };
+  }
+
+  train(data, options = {}) {
+    const { onProgress = null } = options;
+    if (data.length === 0) {
+      throw new Error('No training data provided');
+    }
+
+    this.features = this.params.features.filter(feature => typeof data[0][feature] === 'number');
+    if (this.features.length === 0) {
+      throw new Error(`Training data has none of the seasonal features (${this.params.features.join(', ')})`);
+    }
+    this.mode = data.every(sample => SeasonalBaselineDetector.dayOf(sample) !== null) ? 'hour-of-week' : 'weekday-weekend';
+
+    const groups = new Map();
+    data.forEach(sample => {
+      const key = SeasonalBaselineDetector.bucketOf(sample, this.mode);
+      if (key === null) return;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(sample);
+    });
+
+    this.overall = this._baseline(data);
+    this.buckets = {};
+    let done = 0;
+    groups.forEach((samples, key) => {
+      if (samples.length >= this.params.minBucketSamples) {
+        this.buckets[key] = this._baseline(samples);
+      }
+      if (onProgress) onProgress(++done, groups.size);
+    });
+
+    this.isTrained = true;
+    console.log(`[ML_MODEL] ✓ Seasonal baseline trained (${this.mode}, ${Object.keys(this.buckets).length} buckets)`);
+  }
+
+  predict(sample) {
+    if (!this.isTrained) {
+      throw new Error('Model not trained. Call train() first.');
+    }
+
+    const key = SeasonalBaselineDetector.bucketOf(sample, this.mode);
+    const bucket = key !== null && this.buckets[key] ? this.buckets[key] : null;
+    const baseline = bucket || this.overall;
+    // A bucket without spread for a feature falls back to the overall spread
+    const scales = {};
+    this.features.forEach(feature => {
+      scales[feature] = baseline.scales[feature] > 0 ? baseline.scales[feature] : this.overall.scales[feature];
+    });
+
+    const { z, feature, zScores } = largestRobustZ(sample, this.features, baseline.medians, scales);
+    return {
+      anomalyScore: ratioScore(z / this.params.cutoff),
+      zScore: z,
+      feature,
+      bucket: bucket ? key : null,
+      attributions: toAttributions(zScores)
+    };
+  }
+
+  getParams() {
+    return { ...this.params, features: [...this.params.features] };
+  }
+
+  getModelState() {
+    return {
+      isTrained: this.isTrained,
+      type: this.type,
+      params: this.getParams(),
+      mode: this.mode,
+      features: this.features,
+      bucketCount: Object.keys(this.buckets).length
+    };
+  }
+
+  serialize() {
+    if (!this.isTrained) {
+      throw new Error('Model not trained. Call train() first.');
+    }
+    return {
+      params: this.getParams(),
+      mode: this.mode,
+      features: [...this.features],
+      overall: this.overall,
+      buckets: this.buckets
+    };
+  }
+
+  static deserialize(data) {
+    requireFeatures(data);
+    if (!SEASONAL_MODES.includes(data.mode)) {
+      throw new Error(`mode must be one of: ${SEASONAL_MODES.join(', ')}`);
+    }
+    if (!data.overall) {
+      throw new Error('Missing overall baseline');
+    }
+    requireStats(data.features, data.overall.medians, 'median');
+    requireStats(data.features, data.overall.scales, 'scale');
+    Object.entries(data.buckets || {}).forEach(([key, bucket]) => {
+      try {
+        requireStats(data.features, bucket.medians, 'median');
+        requireStats(data.features, bucket.scales, 'scale');
+      } catch (error) {
+        throw new Error(`Bucket ${key}: ${error.message}`);
+      }
+    });
+
+    const detector = new SeasonalBaselineDetector(data.params);
+    detector.mode = data.mode;
+    detector.features = [...data.features];
+    detector.overall = data.overall;
+    detector.buckets = data.buckets || {};
+    detector.isTrained = true;
+    return detector;
+  }
+}
+
+const distance = (a, b) => {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    const d = a[i] - b[i];
+    sum += d * d;
+  }
+  return Math.sqrt(sum);
+};
+
+/**
+ * The k nearest reference points to `point` as [{ index, distance }] (skipIndex: the point itself)
+ */
+const nearest = (point, reference, k, skipIndex = -1) => {
+  const distances = [];
+  for (let i = 0; i < reference.length; i++) {
+    if (i !== skipIndex) distances.push({ index: i, distance: distance(point, reference[i]) });
+  }
+  return distances.sort((a, b) => a.distance - b.distance).slice(0, k);
+};
+
+/**
+ * One-class k-nearest-neighbour detector
+ * Keeps up to `maxReference` z-normalized training samples (labeled anomalies are
+ * left out) and scores new samples against them:
+ *   lof  local outlier factor; 0.5 at LOF = cutoff (default 1.5)
+ *   knn  distance to the k-th neighbour; 0.5 at cutoff x the 95th percentile training distance
+ */
+class KnnDetector {
+  static resolveParams(overrides = {}) {
+    const params = withDefaults({ k: 10, method: 'lof', cutoff: 1.5, maxReference: 1000 }, overrides);
+    integerBetween(params.k, 'k', 1, 100);
+    integerBetween(params.maxReference, 'maxReference', 10, 20000);
+    if (!KNN_METHODS.includes(params.method)) {
+      throw new Error(`method must be one of: ${KNN_METHODS.join(', ')}`);
+    }
+    positiveNumber(params.cutoff, 'cutoff');
+    if (params.method === 'lof' && params.cutoff <= 1) {
+      throw new Error('cutoff must be greater than 1 for the lof method');
+    }
+    return params;
+  }
+
+  constructor(params = {}) {
+    this.params = KnnDetector.resolveParams(params);
+    this.features = [];
+    this.featureMeans = {};
+    this.featureStdDevs = {};
+    this.reference = [];
+    this.kDistances = [];
+    this.densities = [];
+    this.distanceScale = 0;
+    this.isTrained = false;
+  }
+
+  get type() {
+    return 'knn-lof';
+  }
+
+  _normalize(sample) {
+    return this.features.map(feature => {
+      const value = sample[feature];
+      const stdDev = this.featureStdDevs[feature];
+      if (!Number.isFinite(value) || stdDev === 0) return 0;
+      return (value - this.featureMeans[feature]) / stdDev;
+    });
+  }
+
+  train(data, options = {}) {
+    const { onProgress = null } = options;
+    if (data.length === 0) {
+      throw new Error('No training data provided');
+    }
+
+    const { k, maxReference } = this.params;
+    const pool = data.filter(sample => sample.label !== 'anomaly');
+    if (pool.length <= k) {
+      throw new Error(`k-NN needs more than ${k} normal training samples`);
+    }
+
+    this.features = numericFeatures(pool);
+    this.featureMeans = {};
+    this.featureStdDevs = {};
+    this.features.forEach(feature => {
+      const values = pool.map(d => d[feature]).filter(Number.isFinite);
+      const mean = values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+      const variance = values.length > 0 ? values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length : 0;
+      this.featureMeans[feature] = mean;
+      this.featureStdDevs[feature] = Math.sqrt(variance);
+    });
+
+    // Evenly spaced subsample, so the same data always gives the same reference set
+    const step = pool.length / Math.min(pool.length, maxReference);
+    const reference = [];
+    for (let i = 0; reference.length < Math.min(pool.length, maxReference); i++) {
+      reference.push(pool[Math.floor(i * step)]);
+    }
+    this.reference = reference.map(sample => this._normalize(sample));
+
+    // k-distance of every reference point, then its local reachability density
+    const neighbours = this.reference.map((point, index) => {
+      const found = nearest(point, this.reference, k, index);
+      if (onProgress) onProgress(index + 1, this.reference.length);
+      return found;
+    });
+    this.kDistances = neighbours.map(found => found[found.length - 1].distance);
+    this.densities = neighbours.map(found => {
+      const reach = found.reduce((sum, n) => sum + Math.max(this.kDistances[n.index], n.distance), 0) / found.length;
+      return reach > 0 ? 1 / reach : 0;
+    });
+
+    const sortedDistances = [...this.kDistances].sort((a, b) => a - b);
+    this.distanceScale = sortedDistances[Math.min(sortedDistances.length - 1, Math.floor(sortedDistances.length * 0.95))];
+
+    this.isTrained = true;
+    console.log(`[ML_MODEL] ✓ k-NN (${this.params.method}) trained with ${this.reference.length} reference samples, k=${k}`);
+  }
+
+  predict(sample) {
+    if (!this.isTrained) {
+      throw new Error('Model not trained. Call train() first.');
+    }
+
+    const { k, method, cutoff } = this.params;
+    const point = this._normalize(sample);
+    const found = nearest(point, this.reference, k);
+    const kDistance = found[found.length - 1].distance;
+
+    // Each feature's share of the squared (normalized) distance to the neighbours
+    const spread = {};
+    this.features.forEach((feature, i) => {
+      spread[feature] = found.reduce((sum, n) => sum + (point[i] - this.reference[n.index][i]) ** 2, 0);
+    });
+    const attributions = toAttributions(spread);
+
+    if (method === 'knn') {
+      return {
+        anomalyScore: this.distanceScale > 0 ? ratioScore(kDistance / (cutoff * this.distanceScale)) : (kDistance > 0 ? 1 : 0),
+        distance: kDistance,
+        attributions
+      };
+    }
+
+    // Duplicates of reference points (zero reachability distance) are as dense as it gets
+    const reach = found.reduce((sum, n) => sum + Math.max(this.kDistances[n.index], n.distance), 0) / found.length;
+    const neighbourDensity = found.reduce((sum, n) => sum + this.densities[n.index], 0) / found.length;
+    const lof = reach > 0 ? neighbourDensity * reach : 0;
+    return {
+      anomalyScore: ratioScore(Math.max(0, lof - 1) / (cutoff - 1)),
+      distance: kDistance,
+      lof,
+      attributions
+    };
+  }
+
+  getParams() {
+    return { ...this.params };
+  }
+
+  getModelState() {
+    return {
+      isTrained: this.isTrained,
+      type: this.type,
+      params: this.getParams(),
+      features: this.features,
+      referenceSize: this.reference.length
+    };
+  }
+
+  serialize() {
+    if (!this.isTrained) {
+      throw new Error('Model not trained. Call train() first.');
+    }
+    return {
+      params: this.getParams(),
+      features: [...this.features],
+      featureMeans: { ...this.featureMeans },
+      featureStdDevs: { ...this.featureStdDevs },
+      reference: this.reference,
+      kDistances: this.kDistances,
+      densities: this.densities,
+      distanceScale: this.distanceScale
+    };
+  }
+
+  static deserialize(data) {
+    requireFeatures(data);
+    requireStats(data.features, data.featureMeans, 'mean');
+    requireStats(data.features, data.featureStdDevs, 'standard deviation');
+    const { reference, kDistances, densities } = data;
+    const params = KnnDetector.resolveParams(data.params);
+    if (!Array.isArray(reference) || reference.length <= params.k - 1 || reference.some(p => !Array.isArray(p) || p.length !== data.features.length)) {
+      throw new Error('reference must hold at least k points with one value per feature');
+    }
+    if (!Array.isArray(kDistances) || kDistances.length !== reference.length || !Array.isArray(densities) || densities.length !== reference.length) {
+      throw new Error('kDistances and densities must have one value per reference point');
+    }
+    if (!Number.isFinite(data.distanceScale)) {
+      throw new Error('Missing distanceScale');
+    }
+
+    const detector = new KnnDetector(params);
+    detector.features = [...data.features];
+    detector.featureMeans = { ...data.featureMeans };
+    detector.featureStdDevs = { ...data.featureStdDevs };
+    detector.reference = reference;
+    detector.kDistances = kDistances;
+    detector.densities = densities;
+    detector.distanceScale = data.distanceScale;
+    detector.isTrained = true;
+    return detector;
+  }
+}
+
+module.exports = {
+  RobustZScoreDetector,
+  SeasonalBaselineDetector,
+  KnnDetector,
+  ratioScore,
+  robustStats,
+  toAttributions
+};
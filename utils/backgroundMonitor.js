@@ -0,0 +1,121 @@
+/**
+ * Background Monitor building blocks
+ * Shared by the drift monitor and the night flow monitor:
+ * - envNumber: non-negative numeric settings from the environment
+ * - CheckSchedule: runs a monitor's check() on an interval (0 disables it)
+ * - EpisodeAlerts: one system alert per scope while a condition persists,
+ *   pushed to dashboard clients as it is raised
+ */
+
+/**
+ * Numeric environment setting; missing, invalid or negative values use the fallback
+ */
+const envNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return isNaN(value) || value < 0 ? fallback : value;
+};
+
+class CheckSchedule {
+  /**
+   * @param {Object} options - { tag (log prefix), name (e.g. 'drift'), envName, unitMs, unit (label for unitMs), check }
+   */
+  constructor({ tag, name, envName, unitMs, unit, check }) {
+    this.tag = tag;
+    this.name = name;
+    this.envName = envName;
+    this.unitMs = unitMs;
+    this.unit = unit;
+    this.check = check;
+    this.timer = null;
+  }
+
+  get scheduled() {
+    return this.timer !== null;
+  }
+
+  /**
+   * Run the check every intervalMs; the timer does not keep the process alive
+   */
+  start(intervalMs) {
+    if (!intervalMs) {
+      console.log(`[${this.tag}] Background ${this.name} checks disabled (set ${this.envName})`);
+      return;
+    }
+
+    this.stop();
+    this.timer = setInterval(() => {
+      this.check().catch(error => console.error(`[${this.tag}] Scheduled check failed:`, error.message || error));
+    }, intervalMs);
+    if (this.timer.unref) this.timer.unref();
+    console.log(`[${this.tag}] ${this.name[0].toUpperCase()}${this.name.slice(1)} checked every ${intervalMs / this.unitMs}${this.unit}`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+class EpisodeAlerts {
+  /**
+   * @param {Object} engine - raises and stores the alerts (raiseSystemAlert)
+   * @param {string} tag - log prefix
+   */
+  constructor(engine, tag) {
+    this.engine = engine;
+    this.tag = tag;
+    this.broadcaster = null;
+    // Scope -> { alertId, ...details given to raise() } while the episode lasts
+    this.active = new Map();
+  }
+
+  attachBroadcaster(wsService) {
+    this.broadcaster = wsService;
+  }
+
+  get(scope) {
+    return this.active.get(scope) || null;
+  }
+
+  /**
+   * End the episode of a scope; the next raise() for it alerts again
+   */
+  clear(scope) {
+    this.active.delete(scope);
+  }
+
+  /**
+   * Raise a system alert for a scope, remember it as the scope's open episode and broadcast it
+   * @param {Object} alertData - raiseSystemAlert input ({ type, severity, message, details, recommendedActions })
+   * @param {Object} details - kept with the episode (e.g. the model or start time it belongs to)
+   * @returns {Object} the alert
+   */
+  raise(scope, alertData, details = {}) {
+    const alert = this.engine.raiseSystemAlert(alertData);
+    this.active.set(scope, { alertId: alert.id, ...details });
+
+    if (this.broadcaster) {
+      try {
+        this.broadcaster.broadcastAlert(alert);
+      } catch (error) {
+        console.error(`[${this.tag}] Failed to broadcast ${alertData.type} alert:`, error.message || error);
+      }
+    }
+    return alert;
+  }
+
+  /**
+   * Open episodes as [{ scope, alertId, ... }]
+   */
+  list() {
+    return Array.from(this.active.entries()).map(([scope, episode]) => ({ scope, ...episode }));
+  }
+}
+
+module.exports = {
+  envNumber,
+  CheckSchedule,
+  EpisodeAlerts
+};
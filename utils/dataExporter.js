@@ -0,0 +1,393 @@
+/**
+ * Streaming Data Exporter
+ * Exports sensor_data, detections, alerts and valve logs in CSV, NDJSON or
+ * columnar JSON. Rows are fetched and written chunk by chunk (keyset pagination
+ * on (timestamp, id)) so large exports never sit in memory in full.
+ */
+
+const { once } = require('events');
+const { repositories } = require('../db/repositories');
+const { integratedEngine } = require('./integratedEngine');
+
+const EXPORT_FORMATS = ['csv', 'ndjson', 'json'];
+const DEFAULT_CHUNK_SIZE = 5000;
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8',
+  json: 'application/json; charset=utf-8'
+};
+
+/**
+ * Page through a repository oldest first with a (timestamp, id) cursor, without OFFSET scans.
+ * `keep` applies filters the repositories do not support (probability range)
+ */
+async function* storeChunks(repository, filters, keep, mapRow, chunkSize) {
+  let cursor = null;
+
+  while (true) {
+    const items = await repository.find({ ...filters, order: 'asc', limit: chunkSize, after: cursor });
+    const rows = items.filter(keep).map(mapRow);
+
+    if (rows.length > 0) {
+      yield rows;
+    }
+    if (items.length < chunkSize) {
+      return;
+    }
+    const last = items[items.length - 1];
+    cursor = { timestamp: last.timestamp, id: last.id };
+  }
+}
+
+/**
+ * Repository filters (time range, sensors) from normalized export filters
+ */
+const storeFilters = (filters, extra = {}) => ({
+  sensorIds: filters.sensorIds,
+  startTime: filters.startTime === null ? undefined : filters.startTime,
+  endTime: filters.endTime === null ? undefined : filters.endTime,
+  ...extra
+});
+
+const inProbabilityRange = (probability, filters) =>
+  (filters.minProbability === null || probability >= filters.minProbability) &&
+  (filters.maxProbability === null || probability <= filters.maxProbability);
+
+const methodProbability = (detection, method) => {
+  const entry = (detection.detectionMethods || []).find(m => m.method === method);
+  return entry ? entry.probability : null;
+};
+
+/**
+ * Dataset definitions: column schema plus a chunk source for the given filters
+ */
+const EXPORT_DATASETS = {
+  'sensor-data': {
+    columns: [
+      { name: 'id', type: 'string' },
+      { name: 'sensor_id', type: 'string' },
+      { name: 'timestamp', type: 'timestamp' },
+      { name: 'pressure', type: 'number' },
+      { name: 'flow', type: 'number' },
+      { name: 'leak_status', type: 'boolean' },
+      { name: 'valve_state', type: 'string' },
+      { name: 'temperature', type: 'number' },
+      { name: 'conductivity', type: 'number' },
+      { name: 'location', type: 'string' }
+    ],
+    chunks: (filters, chunkSize) => storeChunks(
+      repositories.sensorData,
+      storeFilters(filters, { leakOnly: filters.leakOnly }),
+      () => true,
+      row => ({
+        id: row.id,
+        sensor_id: row.sensor_id,
+        timestamp: row.timestamp,
+        pressure: row.pressure,
+        flow: row.flow,
+        leak_status: Boolean(row.leak_status),
+        valve_state: row.valve_state,
+        temperature: row.temperature,
+        conductivity: row.conductivity,
+        location: row.location
+      }),
+      chunkSize
+    )
+  },
+
+  detections: {
+    columns: [
+      { name: 'id', type: 'string' },
+      { name: 'sensor_id', type: 'string' },
+      { name: 'timestamp', type: 'timestamp' },
+      { name: 'location', type: 'string' },
+      { name: 'pressure', type: 'number' },
+      { name: 'flow', type: 'number' },
+      { name: 'valve_state', type: 'string' },
+      { name: 'leak_detected', type: 'boolean' },
+      { name: 'probability', type: 'number' },
+      { name: 'severity', type: 'string' },
+      { name: 'confidence', type: 'number' },
+      { name: 'rule_probability', type: 'number' },
+      { name: 'ml_probability', type: 'number' },
+      { name: 'data_quality_score', type: 'number' }
+    ],
+    chunks: (filters, chunkSize) => storeChunks(
+      integratedEngine.store.detections,
+      storeFilters(filters, { leakOnly: filters.leakOnly }),
+      d => inProbabilityRange(d.detection.overallProbability, filters),
+      d => ({
+        id: d.id,
+        sensor_id: d.sensorId,
+        timestamp: d.timestamp,
+        location: d.location,
+        pressure: d.readings.pressure,
+        flow: d.readings.flow,
+        valve_state: d.readings.valve_state,
+        leak_detected: d.detection.overallLeakDetected,
+        probability: d.detection.overallProbability,
+        severity: d.detection.severityLevel,
+        confidence: d.detection.confidenceScore,
+        rule_probability: methodProbability(d.detection, 'rule_based'),
+        ml_probability: methodProbability(d.detection, 'ml_anomaly'),
+        data_quality_score: d.qualityMetrics ? d.qualityMetrics.dataQualityScore : null
+      }),
+      chunkSize
+    )
+  },
+
+  alerts: {
+    columns: [
+      { name: 'id', type: 'string' },
+      { name: 'sensor_id', type: 'string' },
+      { name: 'timestamp', type: 'timestamp' },
+      { name: 'detected_at', type: 'timestamp' },
+      { name: 'detection_id', type: 'string' },
+      { name: 'severity', type: 'string' },
+      { name: 'probability', type: 'number' },
+      { name: 'location', type: 'string' },
+      { name: 'message', type: 'string' },
+      { name: 'acknowledged', type: 'boolean' },
+      { name: 'acknowledged_by', type: 'string' },
+      { name: 'acknowledged_at', type: 'timestamp' },
+      { name: 'resolved', type: 'boolean' },
+      { name: 'resolved_by', type: 'string' },
+      { name: 'resolved_at', type: 'timestamp' },
+      { name: 'false_positive', type: 'boolean' }
+    ],
+    chunks: (filters, chunkSize) => storeChunks(
+      integratedEngine.store.alerts,
+      storeFilters(filters, { severity: filters.severity }),
+      a => inProbabilityRange(a.probability, filters),
+      a => ({
+        id: a.id,
+        sensor_id: a.sensorId,
+        timestamp: a.timestamp,
+        detected_at: a.detectedAt || null,
+        detection_id: a.detectionId || null,
+        severity: a.severity,
+        probability: a.probability,
+        location: a.location,
+        message: a.message,
+        acknowledged: Boolean(a.acknowledged),
+        acknowledged_by: a.acknowledgedBy,
+        acknowledged_at: a.acknowledgedAt,
+        resolved: Boolean(a.resolved),
+        resolved_by: a.resolvedBy,
+        resolved_at: a.resolvedAt,
+        false_positive: a.feedback ? Boolean(a.feedback.isFalsePositive) : null
+      }),
+      chunkSize
+    )
+  },
+
+  'valve-history': {
+    columns: [
+      { name: 'id', type: 'string' },
+      { name: 'timestamp', type: 'timestamp' },
+      { name: 'operation', type: 'string' },
+      { name: 'reason', type: 'string' },
+      { name: 'status', type: 'string' }
+    ],
+    // Valve operations are not per sensor, so only the time range applies
+    chunks: (filters, chunkSize) => storeChunks(
+      repositories.valveLogs,
+      storeFilters(filters, { sensorIds: [] }),
+      () => true,
+      row => ({
+        id: row.id,
+        timestamp: row.timestamp,
+        operation: row.operation,
+        reason: row.reason,
+        status: row.status
+      }),
+      chunkSize
+    )
+  }
+};
+
+// A full report is every dataset, one after another
+const EXPORT_TYPES = [...Object.keys(EXPORT_DATASETS), 'full-report'];
+
+/**
+ * Escape one CSV cell (RFC 4180 quoting)
+ */
+const csvCell = (value) => {
+  if (value === null || typeof value === 'undefined') {
+    return '';
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format-specific serializers. Each hook returns the text to write next.
+ */
+const createSerializer = (format, multiDataset) => {
+  if (format === 'csv') {
+    return {
+      begin: () => '',
+      beginDataset: (name, columns, index) =>
+        (index > 0 ? '\n' : '') +
+        (multiDataset ? `# ${name}\n` : '') +
+        columns.map(c => csvCell(c.name)).join(',') + '\n',
+      chunk: (rows, columns) =>
+        rows.map(row => columns.map(c => csvCell(row[c.name])).join(',')).join('\n') + '\n',
+      endDataset: () => '',
+      end: () => ''
+    };
+  }
+
+  if (format === 'ndjson') {
+    return {
+      begin: () => '',
+      beginDataset: () => '',
+      chunk: (rows, columns, name) =>
+        rows.map(row => JSON.stringify(multiDataset ? { dataset: name, ...row } : row)).join('\n') + '\n',
+      endDataset: () => '',
+      end: () => ''
+    };
+  }
+
+  // Columnar JSON: Parquet-style schema with one row group per chunk
+  let groupIndex = 0;
+  return {
+    begin: () => '{"format":"columnar-json","version":1,"datasets":[',
+    beginDataset: (name, columns, index) => {
+      groupIndex = 0;
+      return (index > 0 ? ',' : '') +
+        `{"name":${JSON.stringify(name)},"schema":${JSON.stringify(columns)},"rowGroups":[`;
+    },
+    chunk: (rows, columns) => {
+      const data = {};
+      columns.forEach(c => {
+        data[c.name] = rows.map(row => (typeof row[c.name] === 'undefined' ? null : row[c.name]));
+      });
+      return (groupIndex++ > 0 ? ',' : '') + JSON.stringify({ rowCount: rows.length, columns: data });
+    },
+    endDataset: (rowCount) => `],"rowCount":${rowCount}}`,
+    end: (summary) => `],"exportedAt":${summary.exportedAt},"filters":${JSON.stringify(summary.filters)}}`
+  };
+};
+
+/**
+ * Parse a date/time bound; date-only end bounds cover the whole day
+ */
+const parseBound = (value, isEnd) => {
+  if (value === null || typeof value === 'undefined' || value === '') {
+    return null;
+  }
+  if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+    return parseInt(value, 10);
+  }
+
+  const parsed = Date.parse(value);
+  if (isNaN(parsed)) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+  return isEnd && /^\d{4}-\d{2}-\d{2}$/.test(String(value)) ? parsed + 24 * 60 * 60 * 1000 - 1 : parsed;
+};
+
+/**
+ * Normalize request options into export filters
+ * Probability filters are percentages; severity 'all' disables the filter.
+ */
+const normalizeExportOptions = (options = {}) => {
+  const type = options.type || 'sensor-data';
+  const format = (options.format || 'csv').toLowerCase() === 'columnar' ? 'json' : (options.format || 'csv').toLowerCase();
+  const extra = options.filters || {};
+
+  if (!EXPORT_TYPES.includes(type)) {
+    throw new Error(`Export type must be one of: ${EXPORT_TYPES.join(', ')}`);
+  }
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(`Export format must be one of: ${EXPORT_FORMATS.join(', ')} (or columnar)`);
+  }
+
+  const sensorIds = extra.sensorId || options.sensorId;
+  const severity = extra.severity || options.severity;
+  const minProbability = typeof extra.minProbability !== 'undefined' ? extra.minProbability : options.minProbability;
+  const maxProbability = typeof extra.maxProbability !== 'undefined' ? extra.maxProbability : options.maxProbability;
+
+  const filters = {
+    startTime: parseBound(options.startTime || options.startDate, false),
+    endTime: parseBound(options.endTime || options.endDate, true),
+    sensorIds: sensorIds
+      ? String(sensorIds).split(',').map(s => s.trim()).filter(Boolean)
+      : [],
+    severity: severity && String(severity).toLowerCase() !== 'all' ? String(severity).toUpperCase() : null,
+    minProbability: minProbability !== undefined && minProbability !== null && minProbability !== '' && !isNaN(minProbability)
+      ? Number(minProbability)
+      : null,
+    maxProbability: maxProbability !== undefined && maxProbability !== null && maxProbability !== '' && !isNaN(maxProbability)
+      ? Number(maxProbability)
+      : null,
+    leakOnly: extra.leakOnly === true || extra.leakOnly === 'true' || options.leakOnly === true || options.leakOnly === 'true'
+  };
+
+  if (filters.startTime !== null && filters.endTime !== null && filters.startTime > filters.endTime) {
+    throw new Error('Start time must be before end time');
+  }
+
+  return {
+    type,
+    format,
+    filters,
+    chunkSize: Math.max(100, Math.min(50000, parseInt(options.chunkSize, 10) || DEFAULT_CHUNK_SIZE))
+  };
+};
+
+/**
+ * Stream an export to a writable (e.g. an HTTP response), honouring backpressure.
+ * Resolves with { rowCounts, aborted }.
+ */
+const streamExport = async (output, { type, format, filters, chunkSize = DEFAULT_CHUNK_SIZE }) => {
+  const datasetNames = type === 'full-report' ? Object.keys(EXPORT_DATASETS) : [type];
+  const serializer = createSerializer(format, datasetNames.length > 1);
+  const rowCounts = {};
+  let aborted = false;
+
+  const onClose = () => { aborted = true; };
+  output.on('close', onClose);
+
+  const write = async (text) => {
+    if (!text || aborted) return;
+    if (!output.write(text)) {
+      await Promise.race([once(output, 'drain'), once(output, 'close')]);
+    }
+  };
+
+  try {
+    await write(serializer.begin());
+
+    for (let index = 0; index < datasetNames.length && !aborted; index++) {
+      const name = datasetNames[index];
+      const { columns, chunks } = EXPORT_DATASETS[name];
+      rowCounts[name] = 0;
+
+      await write(serializer.beginDataset(name, columns, index));
+      for await (const rows of chunks(filters, chunkSize)) {
+        if (aborted) break;
+        rowCounts[name] += rows.length;
+        await write(serializer.chunk(rows, columns, name));
+      }
+      await write(serializer.endDataset(rowCounts[name]));
+    }
+
+    await write(serializer.end({ exportedAt: Date.now(), filters }));
+  } finally {
+    output.removeListener('close', onClose);
+  }
+
+  return { rowCounts, aborted };
+};
+
+module.exports = {
+  EXPORT_DATASETS,
+  EXPORT_TYPES,
+  EXPORT_FORMATS,
+  CONTENT_TYPES,
+  normalizeExportOptions,
+  streamExport
+};
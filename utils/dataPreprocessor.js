@@ -112,16 +112,34 @@ class DataPreprocessor {
   }
 
   /**
-   * Calculate moving average over a time window
+   * Readings inside the window that ends at `now` (device time)
    */
-  _calculateMovingAverage(fieldName, windowSec) {
-    const windowMs = windowSec * 1000;
-    const now = getCurrentTimestamp();
-    const windowStart = now - windowMs;
+  _getWindowReadings(windowSec, now = getCurrentTimestamp()) {
+    const windowStart = now - windowSec * 1000;
 
-    const relevantReadings = this.sensorHistory.filter(
-      reading => reading.timestamp >= windowStart
+    return this.sensorHistory.filter(
+      reading => reading.timestamp >= windowStart && reading.timestamp <= now
     );
+  }
+
+  /**
+   * Insert a reading into the history keeping device-time order
+   * Returns the index the reading was inserted at
+   */
+  _insertIntoHistory(reading) {
+    let index = this.sensorHistory.length;
+    while (index > 0 && this.sensorHistory[index - 1].timestamp > reading.timestamp) {
+      index--;
+    }
+    this.sensorHistory.splice(index, 0, reading);
+    return index;
+  }
+
+  /**
+   * Calculate moving average over a time window
+   */
+  _calculateMovingAverage(fieldName, windowSec, now = getCurrentTimestamp()) {
+    const relevantReadings = this._getWindowReadings(windowSec, now);
 
     if (relevantReadings.length < CONFIG.MIN_WINDOW_SIZE) {
       return null;
@@ -134,14 +152,8 @@ class DataPreprocessor {
   /**
    * Calculate standard deviation over a time window
    */
-  _calculateStdDev(fieldName, windowSec) {
-    const windowMs = windowSec * 1000;
-    const now = getCurrentTimestamp();
-    const windowStart = now - windowMs;
-
-    const relevantReadings = this.sensorHistory.filter(
-      reading => reading.timestamp >= windowStart
-    );
+  _calculateStdDev(fieldName, windowSec, now = getCurrentTimestamp()) {
+    const relevantReadings = this._getWindowReadings(windowSec, now);
 
     if (relevantReadings.length < CONFIG.MIN_WINDOW_SIZE) {
       return null;
@@ -161,14 +173,8 @@ class DataPreprocessor {
   /**
    * Detect anomalous spikes (>N standard deviations from mean)
    */
-  _detectSpike(fieldName, currentValue, windowSec) {
-    const windowMs = windowSec * 1000;
-    const now = getCurrentTimestamp();
-    const windowStart = now - windowMs;
-
-    const relevantReadings = this.sensorHistory.filter(
-      reading => reading.timestamp >= windowStart
-    );
+  _detectSpike(fieldName, currentValue, windowSec, now = getCurrentTimestamp()) {
+    const relevantReadings = this._getWindowReadings(windowSec, now);
 
     if (relevantReadings.length < CONFIG.MIN_WINDOW_SIZE) {
       return false;
@@ -247,16 +253,12 @@ class DataPreprocessor {
       valve_state: reading.valve_state
     };
 
-    // Add to history
-    this.sensorHistory.push(normalizedReading);
-
-    // Maintain circular buffer
-    if (this.sensorHistory.length > this.maxHistorySize) {
-      this.sensorHistory.shift();
-    }
+    // Add to history in device-time order so late readings land in the right window
+    const historyIndex = this._insertIntoHistory(normalizedReading);
+    const now = normalizedReading.timestamp;
 
-    // Get previous reading for delta calculations
-    const previousReading = this.sensorHistory[this.sensorHistory.length - 2];
+    // Get previous reading (in device time) for delta calculations
+    const previousReading = historyIndex > 0 ? this.sensorHistory[historyIndex - 1] : undefined;
     const timeDeltaMs = previousReading
       ? normalizedReading.timestamp - previousReading.timestamp
       : 1000;
@@ -285,12 +287,12 @@ class DataPreprocessor {
       ),
 
       // Moving averages (30-second window)
-      pressure_ma_30s: this._calculateMovingAverage('pressure', 30),
-      flow_ma_30s: this._calculateMovingAverage('flow', 30),
+      pressure_ma_30s: this._calculateMovingAverage('pressure', 30, now),
+      flow_ma_30s: this._calculateMovingAverage('flow', 30, now),
 
       // Standard deviations (60-second window)
-      pressure_stddev_60s: this._calculateStdDev('pressure', 60),
-      flow_stddev_60s: this._calculateStdDev('flow', 60),
+      pressure_stddev_60s: this._calculateStdDev('pressure', 60, now),
+      flow_stddev_60s: this._calculateStdDev('flow', 60, now),
 
       // Pressure-to-flow ratio
       pressure_flow_ratio: this._calculatePressureFlowRatio(
@@ -299,8 +301,8 @@ class DataPreprocessor {
       ),
 
       // Anomaly detection
-      pressure_spike_detected: this._detectSpike('pressure', normalizedReading.pressure, 60),
-      flow_spike_detected: this._detectSpike('flow', normalizedReading.flow, 60),
+      pressure_spike_detected: this._detectSpike('pressure', normalizedReading.pressure, 60, now),
+      flow_spike_detected: this._detectSpike('flow', normalizedReading.flow, 60, now),
 
       // Time-based features
       ...this._extractTimeFeatures(normalizedReading.timestamp),
@@ -310,6 +312,11 @@ class DataPreprocessor {
       data_quality_score: this._calculateDataQualityScore(normalizedReading, validation)
     };
 
+    // Maintain circular buffer (oldest device time first)
+    while (this.sensorHistory.length > this.maxHistorySize) {
+      this.sensorHistory.shift();
+    }
+
     // Update quality metrics
     this.qualityMetrics.validRecords++;
 
@@ -0,0 +1,400 @@
+/**
+ * Detection Rule DSL
+ * Declarative leak rules evaluated by RuleBasedLeakDetector over the engineered
+ * features of each reading (see DataPreprocessor.processReading).
+ *
+ * A rule: { id, description, severity, probability, when, for, sensorIds, enabled }
+ *   when      - a condition (below)
+ *   for       - optional duration the condition must hold on every reading before the rule triggers
+ *   sensorIds - optional list of sensors the rule applies to (default: all)
+ *
+ * A condition is { all: [...] }, { any: [...] }, { not: condition } or a comparison:
+ *   { feature, agg, window, minReadings, relativeTo, abs, op, value }
+ *   feature     - engineered feature of the reading (pressure, flow, hour_of_day, ...)
+ *   agg         - avg|min|max|sum|count|stddev over the readings in `window` (current included),
+ *                 or change|pct_change of the current value against the oldest earlier
+ *                 reading in `window` (the previous reading when there is no window)
+ *   window      - seconds, or a duration string such as "90s", "5m", "2h"
+ *   minReadings - readings the aggregate needs (earlier readings for change aggregates), default 1
+ *   relativeTo  - number or baseline.pressure|baseline.flow|baseline.ratio: compare the
+ *                 percent deviation from it instead of the value itself
+ *   abs         - compare the absolute value
+ *   op          - > >= < <= == != between (value: [low, high], inclusive)
+ * A comparison whose value cannot be computed (not enough readings, no baseline) is false.
+ */
+
+const SEVERITIES = ['CRITICAL', 'HIGH', 'MEDIUM', 'MINOR'];
+const OPERATORS = ['>', '>=', '<', '<=', '==', '!=', 'between'];
+const WINDOW_AGGREGATIONS = ['avg', 'min', 'max', 'sum', 'count', 'stddev'];
+const CHANGE_AGGREGATIONS = ['change', 'pct_change'];
+const AGGREGATIONS = [...WINDOW_AGGREGATIONS, ...CHANGE_AGGREGATIONS];
+const BASELINE_REFERENCES = ['baseline.pressure', 'baseline.flow', 'baseline.ratio'];
+
+const MAX_WINDOW_SECONDS = 24 * 60 * 60;
+const MAX_HOLD_SECONDS = 7 * 24 * 60 * 60;
+const MAX_COMPARISONS = 20;
+
+const RULE_ID_PATTERN = /^[A-Za-z][A-Za-z0-9_-]{0,63}$/;
+const FEATURE_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+
+/**
+ * Seconds for a duration (number of seconds, or "90s", "5m", "2h", "1d")
+ * @returns {number|null} null when the value is not a positive duration
+ */
+const parseDuration = (value) => {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value > 0 ? value : null;
+  }
+  const match = typeof value === 'string' && value.trim().match(/^(\d+(?:\.\d+)?)\s*([smhd])$/i);
+  if (!match) return null;
+  const seconds = parseFloat(match[1]) * DURATION_UNITS[match[2].toLowerCase()];
+  return seconds > 0 ? seconds : null;
+};
+
+/**
+ * The five rules the detector shipped with, expressed in the DSL
+ */
+const DEFAULT_RULES = [
+  {
+    id: 'CRITICAL_LEAK',
+    description: 'Sudden pressure drop >15% in <60 seconds',
+    severity: 'CRITICAL',
+    probability: 85,
+    when: { feature: 'pressure', agg: 'pct_change', window: '60s', minReadings: 2, op: '<', value: -15 }
+  },
+  {
+    id: 'MINOR_LEAK',
+    description: 'Gradual pressure drop 5-15% over 5 minutes',
+    severity: 'MINOR',
+    probability: 50,
+    when: { feature: 'pressure', agg: 'pct_change', window: '5m', minReadings: 2, op: 'between', value: [-15, -5] }
+  },
+  {
+    id: 'FLOW_PRESSURE_MISMATCH',
+    description: 'Flow increases >25% while pressure decreases',
+    severity: 'HIGH',
+    probability: 70,
+    when: {
+      all: [
+        { feature: 'flow', agg: 'pct_change', op: '>', value: 25 },
+        { feature: 'pressure', agg: 'pct_change', op: '<', value: -2 }
+      ]
+    }
+  },
+  {
+    id: 'RATIO_ANOMALY',
+    description: 'Pressure-to-flow ratio deviates >30% from baseline',
+    severity: 'MEDIUM',
+    probability: 45,
+    when: {
+      all: [
+        { feature: 'flow', op: '>=', value: 0.1 },
+        { feature: 'pressure_flow_ratio', relativeTo: 'baseline.ratio', abs: true, op: '>', value: 30 }
+      ]
+    }
+  },
+  {
+    id: 'SPIKE_ANOMALY',
+    description: 'Sudden pressure or flow spike detected',
+    severity: 'MINOR',
+    probability: 35,
+    when: {
+      any: [
+        { feature: 'pressure_spike_detected', op: '==', value: true },
+        { feature: 'flow_spike_detected', op: '==', value: true }
+      ]
+    }
+  }
+].map(rule => ({ ...rule, for: null, sensorIds: null, enabled: true }));
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+const validateComparison = (node, path, errors) => {
+  if (typeof node.feature !== 'string' || !FEATURE_PATTERN.test(node.feature)) {
+    errors.push(`${path}.feature must be a feature name`);
+  }
+  if (!OPERATORS.includes(node.op)) {
+    errors.push(`${path}.op must be one of: ${OPERATORS.join(' ')}`);
+  } else if (node.op === 'between') {
+    if (!Array.isArray(node.value) || node.value.length !== 2 || !node.value.every(isNumber) || node.value[0] > node.value[1]) {
+      errors.push(`${path}.value must be [low, high] for between`);
+    }
+  } else if (['==', '!='].includes(node.op)) {
+    if (!isNumber(node.value) && typeof node.value !== 'boolean') {
+      errors.push(`${path}.value must be a number or boolean`);
+    }
+  } else if (!isNumber(node.value)) {
+    errors.push(`${path}.value must be a number`);
+  }
+
+  if (typeof node.agg !== 'undefined' && !AGGREGATIONS.includes(node.agg)) {
+    errors.push(`${path}.agg must be one of: ${AGGREGATIONS.join(', ')}`);
+  }
+  if (typeof node.window !== 'undefined') {
+    const seconds = parseDuration(node.window);
+    if (seconds === null || seconds > MAX_WINDOW_SECONDS) {
+      errors.push(`${path}.window must be a duration up to 24h`);
+    } else if (!node.agg) {
+      errors.push(`${path}.window needs an agg`);
+    }
+  } else if (WINDOW_AGGREGATIONS.includes(node.agg)) {
+    errors.push(`${path}.window is required for ${node.agg}`);
+  }
+  if (typeof node.minReadings !== 'undefined' && !(Number.isInteger(node.minReadings) && node.minReadings >= 1)) {
+    errors.push(`${path}.minReadings must be a positive integer`);
+  }
+  if (typeof node.relativeTo !== 'undefined' && !BASELINE_REFERENCES.includes(node.relativeTo) && !(isNumber(node.relativeTo) && node.relativeTo !== 0)) {
+    errors.push(`${path}.relativeTo must be a non-zero number or one of: ${BASELINE_REFERENCES.join(', ')}`);
+  }
+  if (typeof node.abs !== 'undefined' && typeof node.abs !== 'boolean') {
+    errors.push(`${path}.abs must be true or false`);
+  }
+};
+
+/**
+ * Validate a condition tree
+ * @returns {number} comparisons in the tree
+ */
+const validateCondition = (node, path, errors) => {
+  if (!node || typeof node !== 'object' || Array.isArray(node)) {
+    errors.push(`${path} must be a condition object`);
+    return 0;
+  }
+
+  const groups = ['all', 'any'].filter(key => key in node);
+  if (groups.length > 0 || 'not' in node) {
+    if (groups.length + ('not' in node ? 1 : 0) > 1) {
+      errors.push(`${path} must have exactly one of all, any, not`);
+      return 0;
+    }
+    if ('not' in node) {
+      return validateCondition(node.not, `${path}.not`, errors);
+    }
+    const children = node[groups[0]];
+    if (!Array.isArray(children) || children.length === 0) {
+      errors.push(`${path}.${groups[0]} must be a non-empty list of conditions`);
+      return 0;
+    }
+    return children.reduce((count, child, i) => count + validateCondition(child, `${path}.${groups[0]}[${i}]`, errors), 0);
+  }
+
+  validateComparison(node, path, errors);
+  return 1;
+};
+
+/**
+ * Validate a rule definition (partial: only the fields present, for updates)
+ * @returns {Object} { isValid, errors }
+ */
+const validateRule = (rule, { partial = false } = {}) => {
+  const errors = [];
+  const has = (field) => !partial || typeof rule[field] !== 'undefined';
+
+  if (!rule || typeof rule !== 'object') {
+    return { isValid: false, errors: ['Rule must be an object'] };
+  }
+
+  if (has('id') && (typeof rule.id !== 'string' || !RULE_ID_PATTERN.test(rule.id))) {
+    errors.push('id must start with a letter and be 1-64 characters (letters, digits, _ -)');
+  }
+  if (typeof rule.description !== 'undefined' && rule.description !== null && typeof rule.description !== 'string') {
+    errors.push('description must be a string');
+  }
+  if (has('severity') && !SEVERITIES.includes(rule.severity)) {
+    errors.push(`severity must be one of: ${SEVERITIES.join(', ')}`);
+  }
+  if (has('probability') && !(isNumber(rule.probability) && rule.probability > 0 && rule.probability <= 100)) {
+    errors.push('probability must be a number in (0, 100]');
+  }
+  if (has('when')) {
+    const comparisons = validateCondition(rule.when, 'when', errors);
+    if (comparisons > MAX_COMPARISONS) {
+      errors.push(`when may hold at most ${MAX_COMPARISONS} comparisons`);
+    }
+  }
+  if (typeof rule.for !== 'undefined' && rule.for !== null) {
+    const seconds = parseDuration(rule.for);
+    if (seconds === null || seconds > MAX_HOLD_SECONDS) {
+      errors.push('for must be a duration up to 7d');
+    }
+  }
+  if (typeof rule.sensorIds !== 'undefined' && rule.sensorIds !== null) {
+    if (!Array.isArray(rule.sensorIds) || rule.sensorIds.length === 0 || !rule.sensorIds.every(id => typeof id === 'string' && id)) {
+      errors.push('sensorIds must be null or a non-empty list of sensor IDs');
+    }
+  }
+  if (typeof rule.enabled !== 'undefined' && typeof rule.enabled !== 'boolean') {
+    errors.push('enabled must be true or false');
+  }
+
+  return { isValid: errors.length === 0, errors };
+};
+
+/**
+ * Longest aggregation window in a condition tree (seconds)
+ */
+const conditionWindowSeconds = (node) => {
+  if (!node || typeof node !== 'object') return 0;
+  if (node.not) return conditionWindowSeconds(node.not);
+  const children = node.all || node.any;
+  if (children) return Math.max(0, ...children.map(conditionWindowSeconds));
+  return node.window ? parseDuration(node.window) || 0 : 0;
+};
+
+const numeric = (value) => (typeof value === 'boolean' ? Number(value) : value);
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+const aggregateWindow = (agg, values) => {
+  const sum = values.reduce((total, v) => total + v, 0);
+  switch (agg) {
+    case 'avg': return sum / values.length;
+    case 'min': return Math.min(...values);
+    case 'max': return Math.max(...values);
+    case 'sum': return sum;
+    case 'count': return values.length;
+    case 'stddev': {
+      const mean = sum / values.length;
+      return Math.sqrt(values.reduce((total, v) => total + (v - mean) ** 2, 0) / values.length);
+    }
+    default: return null;
+  }
+};
+
+/**
+ * Readings from `start` up to `end` (history is in device-time order, so scan back from the newest)
+ */
+const readingsBetween = (history, start, end) => {
+  const readings = [];
+  for (let i = history.length - 1; i >= 0 && history[i].timestamp >= start; i--) {
+    if (history[i].timestamp <= end) readings.push(history[i]);
+  }
+  return readings.reverse();
+};
+
+/**
+ * Value a comparison tests: the feature, its aggregate, then the deviation from `relativeTo`
+ * @returns {number|boolean|null}
+ */
+const comparisonValue = (node, { features, history, baseline }) => {
+  const now = features.timestamp;
+  const current = numeric(features[node.feature]);
+  const minReadings = node.minReadings || 1;
+  const valueOf = (reading) => numeric(reading[node.feature]);
+  let value;
+
+  if (!node.agg) {
+    value = typeof current === 'undefined' ? null : current;
+  } else if (WINDOW_AGGREGATIONS.includes(node.agg)) {
+    const values = readingsBetween(history, now - parseDuration(node.window) * 1000, now)
+      .map(valueOf)
+      .filter(isNumber);
+    value = values.length >= minReadings ? aggregateWindow(node.agg, values) : null;
+  } else {
+    let earlier;
+    if (node.window) {
+      earlier = readingsBetween(history, now - parseDuration(node.window) * 1000, now - 1);
+    } else {
+      let previous = null;
+      for (let i = history.length - 1; i >= 0 && !previous; i--) {
+        if (history[i].timestamp < now && isNumber(valueOf(history[i]))) previous = history[i];
+      }
+      earlier = previous ? [previous] : [];
+    }
+    earlier = earlier.filter(r => isNumber(valueOf(r)));
+    const reference = earlier.length >= minReadings ? valueOf(earlier[0]) : null;
+
+    if (reference === null || !isNumber(current)) {
+      value = null;
+    } else if (node.agg === 'change') {
+      value = current - reference;
+    } else {
+      value = reference !== 0 ? ((current - reference) / Math.abs(reference)) * 100 : null;
+    }
+  }
+
+  if (value !== null && typeof node.relativeTo !== 'undefined') {
+    const reference = typeof node.relativeTo === 'number'
+      ? node.relativeTo
+      : (baseline ? baseline[node.relativeTo.split('.')[1]] : null);
+    value = isNumber(reference) && reference !== 0 && isNumber(value)
+      ? ((value - reference) / Math.abs(reference)) * 100
+      : null;
+  }
+
+  if (value !== null && node.abs && isNumber(value)) {
+    value = Math.abs(value);
+  }
+
+  return isNumber(value) ? round(value) : value;
+};
+
+const compare = (value, op, expected) => {
+  if (value === null || typeof value === 'undefined') return false;
+  switch (op) {
+    case '>': return value > expected;
+    case '>=': return value >= expected;
+    case '<': return value < expected;
+    case '<=': return value <= expected;
+    case '==': return numeric(value) === numeric(expected);
+    case '!=': return numeric(value) !== numeric(expected);
+    case 'between': return value >= expected[0] && value <= expected[1];
+    default: return false;
+  }
+};
+
+/**
+ * Evaluate a condition against a reading
+ * @param {Object} context - { features, history (readings in device-time order, current included), baseline }
+ * @returns {Object} { passed, comparisons: [{ feature, agg, window, value, op, expected, passed }] }
+ */
+const evaluateCondition = (node, context) => {
+  const comparisons = [];
+
+  const visit = (current) => {
+    if (current.all) {
+      // Every child is visited so the trace shows the whole rule
+      return current.all.map(visit).every(Boolean);
+    }
+    if (current.any) {
+      return current.any.map(visit).some(Boolean);
+    }
+    if (current.not) {
+      return !visit(current.not);
+    }
+
+    const value = comparisonValue(current, context);
+    const passed = compare(value, current.op, current.value);
+    comparisons.push({
+      feature: current.feature,
+      agg: current.agg || null,
+      window: current.window || null,
+      value,
+      op: current.op,
+      expected: current.value,
+      passed
+    });
+    return passed;
+  };
+
+  return { passed: visit(node), comparisons };
+};
+
+/**
+ * Longest window any of the rules aggregates over (seconds)
+ */
+const maxWindowSeconds = (rules) => Math.max(0, ...rules.map(rule => conditionWindowSeconds(rule.when)));
+
+module.exports = {
+  SEVERITIES,
+  OPERATORS,
+  AGGREGATIONS,
+  BASELINE_REFERENCES,
+  DEFAULT_RULES,
+  parseDuration,
+  validateRule,
+  evaluateCondition,
+  maxWindowSeconds
+};
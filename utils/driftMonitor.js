@@ -0,0 +1,188 @@
+/**
+ * Drift Monitor
+ * Compares live model input (the engine's per-sensor feature windows, see
+ * DataPreprocessor.featureHistory) with the training data of the production
+ * model (its trainingProfile, see utils/featureDrift). A feature has drifted when
+ * its PSI or KS statistic reaches the threshold.
+ *
+ * The first check that finds drift raises a system alert ('model_drift'); another
+ * one is raised only after drift has cleared or a different model went live.
+ * DRIFT_CHECK_INTERVAL_MINUTES (default 15, 0 disables) runs the check in the background.
+ */
+
+const { integratedEngine } = require('./integratedEngine');
+const { modelRegistry } = require('./modelRegistry');
+const { compareFeature } = require('./featureDrift');
+const { getCurrentTimestamp } = require('./helpers');
+const { envNumber, CheckSchedule, EpisodeAlerts } = require('./backgroundMonitor');
+
+const MINUTE_MS = 60 * 1000;
+
+const MAX_REPORTS = 50;
+
+// Calendar features say when a reading was taken; a live window only spans minutes of one day
+const CALENDAR_FEATURES = ['hour_of_day', 'day_of_week', 'is_weekend'];
+
+class DriftMonitor {
+  constructor({ engine = integratedEngine, registry = modelRegistry, config = {} } = {}) {
+    this.engine = engine;
+    this.registry = registry;
+    this.config = {
+      intervalMs: envNumber('DRIFT_CHECK_INTERVAL_MINUTES', 15) * MINUTE_MS, // 0 = no background checks
+      psiThreshold: envNumber('DRIFT_PSI_THRESHOLD', 0.2),
+      ksThreshold: envNumber('DRIFT_KS_THRESHOLD', 0.2),
+      minSamples: envNumber('DRIFT_MIN_SAMPLES', 50),
+      ...config
+    };
+    this.reports = [];
+    // Scope ('all' or a sensor ID) -> { alertId, modelId } while drift persists
+    this.alerts = new EpisodeAlerts(engine, 'DRIFT_MONITOR');
+    this.schedule = new CheckSchedule({
+      tag: 'DRIFT_MONITOR',
+      name: 'drift',
+      envName: 'DRIFT_CHECK_INTERVAL_MINUTES',
+      unitMs: MINUTE_MS,
+      unit: ' min',
+      check: () => this.check()
+    });
+  }
+
+  /**
+   * model_drift alerts also go out as alert:new on this WebSocket service
+   */
+  attachBroadcaster(wsService) {
+    this.alerts.attachBroadcaster(wsService);
+  }
+
+  start() {
+    this.schedule.start(this.config.intervalMs);
+  }
+
+  stop() {
+    this.schedule.stop();
+  }
+
+  /**
+   * Compare the live feature windows (all sensors, or one) with the production model's training data
+   * @returns {Object} report: { status: 'ok'|'drift'|'insufficient-data'|'no-reference', features, driftedFeatures, alertId, ... }
+   *   features: [{ feature, psi, ks, drifted, training: { mean, std }, live: { mean, std } }], largest PSI first
+   */
+  async check({ sensorId = null } = {}) {
+    const model = await this.registry.getProduction();
+    const samples = this.engine.getRecentModelInputs(sensorId);
+    const report = {
+      checkedAt: getCurrentTimestamp(),
+      sensorId,
+      model: model ? { id: model.id, version: model.version, modelType: model.modelType } : null,
+      sampleCount: samples.length,
+      thresholds: { psi: this.config.psiThreshold, ks: this.config.ksThreshold },
+      status: 'ok',
+      message: null,
+      features: [],
+      driftedFeatures: [],
+      alertId: null
+    };
+
+    if (!model || !model.trainingProfile) {
+      report.status = 'no-reference';
+      report.message = model
+        ? `Model v${model.version} was registered without a training profile; retrain to monitor drift`
+        : 'No production model to compare with';
+    } else if (samples.length < this.config.minSamples) {
+      report.status = 'insufficient-data';
+      report.message = `${samples.length} live readings, at least ${this.config.minSamples} needed`;
+    } else {
+      report.features = this._compare(model.trainingProfile, samples);
+      report.driftedFeatures = report.features.filter(f => f.drifted).map(f => f.feature);
+      report.status = report.driftedFeatures.length > 0 ? 'drift' : 'ok';
+      report.message = `${report.driftedFeatures.length} of ${report.features.length} features drifted`;
+      this._updateAlert(report);
+    }
+
+    this.reports.push(report);
+    if (this.reports.length > MAX_REPORTS) {
+      this.reports.shift();
+    }
+    return report;
+  }
+
+  _compare(profile, samples) {
+    const { psiThreshold, ksThreshold } = this.config;
+    return Object.keys(profile.features)
+      .filter(feature => !CALENDAR_FEATURES.includes(feature))
+      .map(feature => {
+        const result = compareFeature(profile.features[feature], samples, feature);
+        return result && {
+          feature,
+          ...result,
+          drifted: result.psi >= psiThreshold || result.ks >= ksThreshold
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.psi - a.psi);
+  }
+
+  /**
+   * Raise a system alert when drift starts (per scope and model); forget it once drift clears
+   */
+  _updateAlert(report) {
+    const scope = report.sensorId || 'all';
+    if (report.status !== 'drift') {
+      this.alerts.clear(scope);
+      return;
+    }
+
+    const active = this.alerts.get(scope);
+    if (active && active.modelId === report.model.id) return;
+
+    const drifted = report.features.filter(f => f.drifted);
+    const alert = this.alerts.raise(scope, {
+      type: 'model_drift',
+      // Most of the model input moved: scores can no longer be trusted
+      severity: drifted.length * 2 > report.features.length ? 'HIGH' : 'MEDIUM',
+      message: `Feature drift${report.sensorId ? ` on ${report.sensorId}` : ''}: ${drifted
+        .slice(0, 3)
+        .map(f => `${f.feature} (PSI ${f.psi}, KS ${f.ks})`)
+        .join(', ')} moved away from the training data of model v${report.model.version}`,
+      details: {
+        sensorId: report.sensorId,
+        model: report.model,
+        sampleCount: report.sampleCount,
+        thresholds: report.thresholds,
+        features: drifted
+      },
+      recommendedActions: [
+        'Check sensor calibration and recent changes to the network',
+        'Retrain the model on recent data and calibrate the threshold again'
+      ]
+    }, { modelId: report.model.id });
+    report.alertId = alert.id;
+  }
+
+  /**
+   * Past reports, newest first
+   */
+  history(limit = MAX_REPORTS) {
+    return this.reports.slice(-limit).reverse();
+  }
+
+  /**
+   * Settings, background schedule and the newest report
+   */
+  status() {
+    return {
+      config: { ...this.config, ignoredFeatures: CALENDAR_FEATURES },
+      scheduled: this.schedule.scheduled,
+      activeDrift: this.alerts.list(),
+      lastReport: this.reports.length > 0 ? this.reports[this.reports.length - 1] : null
+    };
+  }
+}
+
+const driftMonitor = new DriftMonitor();
+
+module.exports = {
+  DriftMonitor,
+  driftMonitor,
+  CALENDAR_FEATURES
+};
@@ -0,0 +1,111 @@
+/**
+ * Feature Drift Statistics
+ * A compact per-feature profile of a model's training data, and the statistics
+ * that compare live feature values with it:
+ *   PSI - population stability index over the training deciles
+ *   KS  - largest gap between the training and live CDFs, taken at the decile edges
+ */
+
+const PROFILE_BINS = 10;
+
+// Share used for empty bins so PSI stays finite
+const PSI_EPSILON = 1e-4;
+
+const round = (value, digits = 4) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const finiteValues = (samples, feature) => samples
+  .map(sample => sample[feature])
+  .filter(value => typeof value === 'number' && Number.isFinite(value));
+
+const quantile = (sorted, q) => {
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+const meanAndStd = (values) => {
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length;
+  return { mean: round(mean), std: round(Math.sqrt(variance)) };
+};
+
+/**
+ * Share of values per bin: bin i holds values up to edges[i], the last bin everything above
+ */
+const binShares = (values, edges) => {
+  const counts = new Array(edges.length + 1).fill(0);
+  values.forEach(value => {
+    let bin = 0;
+    while (bin < edges.length && value > edges[bin]) bin++;
+    counts[bin]++;
+  });
+  return counts.map(count => count / values.length);
+};
+
+/**
+ * Training profile: per feature the interior decile edges (ties collapse bins),
+ * the training share of each bin and the mean/std
+ * @returns {Object} { sampleCount, features: { [feature]: { edges, shares, mean, std } } }
+ */
+const buildFeatureProfile = (samples, features, bins = PROFILE_BINS) => {
+  const profile = { sampleCount: samples.length, features: {} };
+
+  features.forEach(feature => {
+    const values = finiteValues(samples, feature);
+    if (values.length === 0) return;
+
+    const sorted = [...values].sort((a, b) => a - b);
+    const edges = [...new Set(
+      Array.from({ length: bins - 1 }, (_, i) => round(quantile(sorted, (i + 1) / bins), 6))
+    )];
+    profile.features[feature] = {
+      edges,
+      shares: binShares(values, edges).map(share => round(share, 6)),
+      ...meanAndStd(values)
+    };
+  });
+
+  return profile;
+};
+
+const populationStabilityIndex = (expected, actual) => expected.reduce((psi, share, i) => {
+  const e = Math.max(share, PSI_EPSILON);
+  const a = Math.max(actual[i], PSI_EPSILON);
+  return psi + (a - e) * Math.log(a / e);
+}, 0);
+
+const ksStatistic = (expected, actual) => {
+  let expectedCdf = 0;
+  let actualCdf = 0;
+  return expected.reduce((ks, share, i) => {
+    expectedCdf += share;
+    actualCdf += actual[i];
+    return Math.max(ks, Math.abs(expectedCdf - actualCdf));
+  }, 0);
+};
+
+/**
+ * Compare live samples with one feature of a training profile
+ * @returns {Object|null} { psi, ks, training: { mean, std }, live: { mean, std } }, null without live values
+ */
+const compareFeature = (featureProfile, samples, feature) => {
+  const values = finiteValues(samples, feature);
+  if (values.length === 0) return null;
+
+  const shares = binShares(values, featureProfile.edges);
+  return {
+    psi: round(populationStabilityIndex(featureProfile.shares, shares)),
+    ks: round(ksStatistic(featureProfile.shares, shares)),
+    training: { mean: featureProfile.mean, std: featureProfile.std },
+    live: meanAndStd(values)
+  };
+};
+
+module.exports = {
+  PROFILE_BINS,
+  buildFeatureProfile,
+  compareFeature,
+  populationStabilityIndex,
+  ksStatistic
+};
@@ -0,0 +1,281 @@
+/**
+ * Alert Feedback Loop
+ * Turns operator feedback on resolved alerts into a curated training set and
+ * retrains the Isolation Forest on it:
+ *   isFalsePositive: true   -> the alert's model input labeled 'normal'
+ *   isFalsePositive: false  -> labeled 'anomaly' (confirmed leak)
+ *
+ * A retrain trains on the base data (see utils/trainingData) plus half of the
+ * feedback normals, so false alarms teach the forest what normal looks like, and
+ * evaluates on the other half plus the confirmed anomalies. The result is
+ * registered as a candidate with source 'feedback' (optionally promoted).
+ *
+ * When FEEDBACK_RETRAIN_INTERVAL_HOURS is set, a background job retrains once at
+ * least FEEDBACK_RETRAIN_MIN_SAMPLES samples arrived since the last feedback model.
+ */
+
+const { trainingJobs } = require('./trainingJobs');
+const { modelRegistry } = require('./modelRegistry');
+const { splitDataset } = require('./modelEvaluation');
+const { loadTrainingData, TRAINING_SOURCES } = require('./trainingData');
+const { generateId, getCurrentTimestamp } = require('./helpers');
+const { createMemoryRepositories } = require('../db/repositories/memoryRepositories');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Upper bounds for one retrain or backfill pass
+const MAX_FEEDBACK_SAMPLES = 10000;
+const MAX_BACKFILL_ALERTS = 5000;
+
+// Half of the feedback set trains, the other half is held out to measure false positives
+const FEEDBACK_SPLIT = { train: 50, validation: 0, test: 50 };
+
+const percent = (part, whole) => (whole > 0 ? Math.round((part / whole) * 10000) / 100 : null);
+
+/**
+ * Training label for an alert's feedback, or null when it does not say whether the alert was real
+ */
+const labelForFeedback = (feedback) => {
+  if (!feedback) return null;
+  if (feedback.isFalsePositive === true) return 'normal';
+  if (feedback.isFalsePositive === false || feedback.isCorrectPositive === true) return 'anomaly';
+  return null;
+};
+
+/**
+ * False-positive rate (percent) on a model's held-out evaluation
+ */
+const offlineFalsePositiveRate = (model) => {
+  const matrix = model.metrics && model.metrics.confusionMatrix;
+  if (!matrix) return null;
+  return percent(matrix.falsePositives, matrix.falsePositives + matrix.trueNegatives);
+};
+
+class FeedbackLoop {
+  constructor({ jobs = trainingJobs, registry = modelRegistry, config = {} } = {}) {
+    this.jobs = jobs;
+    this.registry = registry;
+    this.store = createMemoryRepositories();
+    this.config = {
+      intervalMs: (parseFloat(process.env.FEEDBACK_RETRAIN_INTERVAL_HOURS) || 0) * HOUR_MS, // 0 = no scheduled retraining
+      minSamples: parseInt(process.env.FEEDBACK_RETRAIN_MIN_SAMPLES, 10) || 10,
+      baseSource: process.env.FEEDBACK_RETRAIN_SOURCE || 'db',
+      promote: process.env.FEEDBACK_RETRAIN_PROMOTE === 'true',
+      ...config
+    };
+    this.timer = null;
+    this.lastRun = null;
+  }
+
+  /**
+   * Alerts and sensor data are read from this store; curated samples go to store.feedbackSamples
+   */
+  attachStore(store) {
+    this.store = store;
+  }
+
+  start() {
+    if (!this.config.intervalMs) {
+      console.log('[FEEDBACK] Scheduled retraining disabled (set FEEDBACK_RETRAIN_INTERVAL_HOURS)');
+      return;
+    }
+
+    this.stop();
+    this.timer = setInterval(() => {
+      this.runOnce().catch(error => console.error('[FEEDBACK] Scheduled retrain failed:', error.message || error));
+    }, this.config.intervalMs);
+    if (this.timer.unref) this.timer.unref();
+    console.log(`[FEEDBACK] Retraining checked every ${this.config.intervalMs / HOUR_MS}h (min ${this.config.minSamples} new samples)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Add a resolved alert to the curated set (relabels it when its feedback changed)
+   * @returns {Object|null} the sample, or null when the alert carries no usable label or model input
+   */
+  async recordAlertFeedback(alert) {
+    const label = alert ? labelForFeedback(alert.feedback) : null;
+    if (!label || !alert.features) return null;
+
+    const sample = {
+      id: generateId(),
+      alertId: alert.id,
+      sensorId: alert.sensorId || null,
+      timestamp: alert.timestamp,
+      label,
+      features: alert.features,
+      modelVersion: typeof alert.modelVersion === 'number' ? alert.modelVersion : null,
+      createdAt: getCurrentTimestamp()
+    };
+    await this.store.feedbackSamples.upsert(sample);
+    return sample;
+  }
+
+  /**
+   * Backfill the curated set from resolved alerts already in the store
+   * @returns {Object} { scanned, collected }
+   */
+  async collect() {
+    const alerts = await this.store.alerts.find({ resolved: true, limit: MAX_BACKFILL_ALERTS });
+    let collected = 0;
+    for (const alert of alerts) {
+      if (await this.recordAlertFeedback(alert)) collected++;
+    }
+    console.log(`[FEEDBACK] Collected ${collected} samples from ${alerts.length} resolved alerts`);
+    return { scanned: alerts.length, collected };
+  }
+
+  /**
+   * Curated set size per label, overall and since the last feedback model
+   */
+  async status() {
+    const lastModel = await this._lastFeedbackModel();
+    const since = lastModel ? lastModel.createdAt : null;
+    const [total, pending] = await Promise.all([
+      this.store.feedbackSamples.countByLabel(),
+      this.store.feedbackSamples.countByLabel({ since })
+    ]);
+    const sum = (counts) => Object.values(counts).reduce((a, b) => a + b, 0);
+
+    return {
+      samples: { total: sum(total), normal: total.normal || 0, anomaly: total.anomaly || 0 },
+      newSinceLastModel: sum(pending),
+      lastModel: lastModel ? { id: lastModel.id, version: lastModel.version, status: lastModel.status, createdAt: lastModel.createdAt } : null,
+      schedule: {
+        enabled: Boolean(this.config.intervalMs),
+        intervalHours: this.config.intervalMs / HOUR_MS,
+        minSamples: this.config.minSamples,
+        baseSource: this.config.baseSource,
+        promote: this.config.promote
+      },
+      lastRun: this.lastRun
+    };
+  }
+
+  async samples({ limit = 100, offset = 0 } = {}) {
+    return this.store.feedbackSamples.list({ limit, offset });
+  }
+
+  /**
+   * Start a training job on the base data plus the feedback set
+   * @param {Object} options - { source: base data 'db'|'prepared'|'combined', promote, algorithm, hyperparameters }
+   * @returns {Object} the queued job
+   */
+  async retrain(options = {}) {
+    const { source = this.config.baseSource, promote = this.config.promote, algorithm, hyperparameters } = options;
+    if (!TRAINING_SOURCES.includes(source)) {
+      throw new Error(`source must be one of: ${TRAINING_SOURCES.join(', ')}`);
+    }
+    if (this.jobs.isBusy()) {
+      throw new Error('A training job is already running');
+    }
+
+    const feedback = (await this.store.feedbackSamples.list({ limit: MAX_FEEDBACK_SAMPLES }))
+      .map(sample => ({ ...sample.features, label: sample.label, source: 'feedback' }));
+    if (feedback.length === 0) {
+      throw new Error('No feedback samples collected yet');
+    }
+
+    const sets = splitDataset(feedback, FEEDBACK_SPLIT);
+    const normals = sets.train.filter(s => s.label === 'normal');
+    const test = sets.test.concat(sets.train.filter(s => s.label !== 'normal'));
+    const base = await loadTrainingData(source, this.store.sensorData);
+
+    const job = this.jobs.start({
+      trainingData: base.concat(normals),
+      evaluationSets: { validation: [], test },
+      dataset: {
+        type: 'feedback',
+        baseSource: source,
+        rows: base.length + feedback.length,
+        feedbackSamples: feedback.length,
+        split: { train: base.length + normals.length, validation: 0, test: test.length }
+      },
+      source: 'feedback',
+      notes: `Retrained on ${source} data with ${normals.length} false-positive samples; tested on ${test.length} feedback samples`,
+      promote,
+      algorithm,
+      hyperparameters
+    });
+
+    this.lastRun = { at: getCurrentTimestamp(), jobId: job.id, feedbackSamples: feedback.length };
+    console.log(`[FEEDBACK] Retrain job ${job.id} started (${normals.length} feedback normals, ${test.length} held out)`);
+    return job;
+  }
+
+  /**
+   * One scheduler pass: retrain when enough new feedback arrived and no job is running
+   * @returns {Object|null} the started job, or null when skipped
+   */
+  async runOnce() {
+    if (this.jobs.isBusy()) return null;
+
+    const { newSinceLastModel } = await this.status();
+    if (newSinceLastModel < this.config.minSamples) return null;
+
+    return this.retrain();
+  }
+
+  /**
+   * False-positive rate per model version: live (share of operator-reviewed alerts marked
+   * false positive) and offline (on the model's held-out evaluation), with the live change
+   * from the previous version
+   */
+  async report() {
+    const [groups, { items: models }] = await Promise.all([
+      this.store.alerts.feedbackByModelVersion(),
+      this.registry.list({ limit: 100 })
+    ]);
+    const byVersion = new Map(groups.map(group => [group.modelVersion, group]));
+    const versions = [...new Set([...models.map(m => m.version), ...groups.map(g => g.modelVersion)])]
+      .sort((a, b) => (a === null ? -1 : b === null ? 1 : a - b));
+
+    let previousRate = null;
+    const rows = versions.map(version => {
+      const model = models.find(m => m.version === version) || null;
+      const group = byVersion.get(version) || { total: 0, reviewed: 0, falsePositives: 0 };
+      const liveRate = percent(group.falsePositives, group.reviewed);
+      const row = {
+        modelVersion: version,
+        modelId: model ? model.id : null,
+        status: model ? model.status : null,
+        source: model ? model.source : null,
+        alerts: group.total,
+        reviewed: group.reviewed,
+        falsePositives: group.falsePositives,
+        falsePositiveRate: liveRate,
+        falsePositiveRateChange: liveRate !== null && previousRate !== null ? Math.round((liveRate - previousRate) * 100) / 100 : null,
+        offlineFalsePositiveRate: model ? offlineFalsePositiveRate(model) : null
+      };
+      if (liveRate !== null) previousRate = liveRate;
+      return row;
+    });
+
+    const production = models.find(m => m.status === 'production') || null;
+    return {
+      generatedAt: getCurrentTimestamp(),
+      productionVersion: production ? production.version : null,
+      versions: rows
+    };
+  }
+
+  async _lastFeedbackModel() {
+    const { items } = await this.registry.list({ limit: 100 });
+    return items.find(model => model.source === 'feedback') || null;
+  }
+}
+
+// Shared instance for the running server
+const feedbackLoop = new FeedbackLoop();
+
+module.exports = {
+  FeedbackLoop,
+  feedbackLoop,
+  labelForFeedback
+};
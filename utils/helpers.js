@@ -14,12 +14,37 @@ const getCurrentTimestamp = () => {
   return Date.now();
 };
 
+/**
+ * Parse a device-supplied timestamp (epoch milliseconds or ISO-8601 string)
+ * Returns null when the value cannot be interpreted
+ */
+const parseTimestamp = (value) => {
+  if (value === null || typeof value === 'undefined' || value === '') {
+    return null;
+  }
+
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? Math.round(value) : null;
+  }
+
+  if (typeof value === 'string' && /^\d+$/.test(value.trim())) {
+    return parseInt(value.trim(), 10);
+  }
+
+  const parsed = Date.parse(value);
+  return isNaN(parsed) ? null : parsed;
+};
+
 /**
  * Validate sensor data
  */
 const validateSensorData = (data) => {
   const errors = [];
 
+  if (typeof data.sensor_id !== 'string' || data.sensor_id.trim() === '') {
+    errors.push('Sensor ID is required');
+  }
+
   if (typeof data.pressure !== 'number' || data.pressure < 0) {
     errors.push('Pressure must be a positive number');
   }
@@ -48,6 +73,7 @@ const validateSensorData = (data) => {
 const formatSensorData = (row) => {
   return {
     id: row.id,
+    sensor_id: row.sensor_id || null,
     timestamp: row.timestamp,
     pressure: row.pressure,
     flow: row.flow,
@@ -60,6 +86,46 @@ const formatSensorData = (row) => {
   };
 };
 
+/**
+ * Format registered sensor for response
+ */
+const formatSensor = (row) => {
+  return {
+    id: row.id,
+    name: row.name,
+    type: row.type,
+    location: row.location || null,
+    pipe_id: row.pipe_id || null,
+    calibration: {
+      pressure_offset: row.pressure_offset || 0,
+      flow_offset: row.flow_offset || 0,
+      temperature_offset: row.temperature_offset || 0
+    },
+    status: row.status,
+    detector: row.detector || null,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+};
+
+/**
+ * Apply a sensor's calibration offsets to a raw reading
+ */
+const applyCalibration = (reading, sensor) => {
+  if (!sensor) {
+    return reading;
+  }
+
+  return {
+    ...reading,
+    pressure: reading.pressure + (sensor.pressure_offset || 0),
+    flow: reading.flow + (sensor.flow_offset || 0),
+    temperature: reading.temperature !== null && typeof reading.temperature !== 'undefined'
+      ? reading.temperature + (sensor.temperature_offset || 0)
+      : reading.temperature
+  };
+};
+
 /**
  * Detect leaks based on sensor readings
  * Simple heuristic: high flow with low pressure or sudden flow increase
@@ -85,10 +151,29 @@ const detectLeak = (pressure, flow, previousFlow = null) => {
   return false;
 };
 
+/**
+ * Parse ?limit= (or legacy ?count=) and ?offset= query parameters
+ * Invalid values fall back to the defaults; limit is capped at maxLimit.
+ */
+const parsePagination = (query = {}, defaultLimit = 50, maxLimit = 1000) => {
+  const rawLimit = typeof query.limit !== 'undefined' ? query.limit : query.count;
+  const limit = parseInt(rawLimit, 10);
+  const offset = parseInt(query.offset, 10);
+
+  return {
+    limit: Math.min(isNaN(limit) || limit < 1 ? defaultLimit : limit, maxLimit),
+    offset: isNaN(offset) || offset < 0 ? 0 : offset
+  };
+};
+
 module.exports = {
   generateId,
   getCurrentTimestamp,
+  parseTimestamp,
   validateSensorData,
   formatSensorData,
-  detectLeak
+  formatSensor,
+  applyCalibration,
+  detectLeak,
+  parsePagination
 };
@@ -4,15 +4,97 @@
  * Provides unified interface for all detection systems
  */
 
-const { leakDetector } = require('./leakDetector');
+const { RuleBasedLeakDetector, DEFAULT_RULES } = require('./leakDetector');
 const { mlDetector } = require('./mlAnomalyDetector');
-const { preprocessor } = require('./dataPreprocessor');
+const { DataPreprocessor } = require('./dataPreprocessor');
 const { maintenanceSystem } = require('./predictiveMaintenance');
-const { getCurrentTimestamp, generateId } = require('./helpers');
+const { getCurrentTimestamp, generateId, parseTimestamp } = require('./helpers');
+const { createMemoryRepositories } = require('../db/repositories/memoryRepositories');
+
+// Pipeline used for readings that carry neither a sensor_id nor a zone_id
+const DEFAULT_PIPELINE_KEY = 'default';
+
+// What to do with readings older than the reorder tolerance
+const LATE_DATA_POLICIES = ['drop', 'rewindow', 'flag'];
+
+// Feature attributions kept per ML prediction (every detection is persisted)
+const MAX_ATTRIBUTIONS = 5;
+
+// sensorId of alerts about the system itself (e.g. model drift) rather than a reading
+const SYSTEM_ALERT_SENSOR_ID = 'system';
+
+const parseNonNegative = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return isNaN(parsed) || parsed < 0 ? fallback : parsed;
+};
+
+/**
+ * ML model input for preprocessed features (defaults for windows that are still filling)
+ */
+const toModelInput = (features) => ({
+  pressure: features.pressure,
+  flow: features.flow,
+  pressure_rate_of_change: features.pressure_rate_of_change,
+  flow_rate_of_change: features.flow_rate_of_change,
+  pressure_ma_30s: features.pressure_ma_30s || features.pressure,
+  flow_ma_30s: features.flow_ma_30s || features.flow,
+  pressure_stddev_60s: features.pressure_stddev_60s || 0.5,
+  flow_stddev_60s: features.flow_stddev_60s || 0.3,
+  pressure_flow_ratio: features.pressure_flow_ratio,
+  hour_of_day: features.hour_of_day,
+  is_weekend: features.is_weekend ? 1 : 0,
+  // Include engineered features
+  pressure_flow_ratio_variance: features.pressure_flow_ratio_variance || 0,
+  combined_rate_of_change: features.combined_rate_of_change || 0,
+  combined_volatility: features.combined_volatility || 0,
+  flow_pressure_interaction: features.flow_pressure_interaction || 0
+});
+
+/**
+ * Isolated per-sensor (or per-zone) detection state
+ * Each pipeline owns its own rolling windows, baseline and hysteresis counters
+ */
+class DetectionPipeline {
+  constructor(key, baseline = null, rules = DEFAULT_RULES) {
+    this.key = key;
+    this.preprocessor = new DataPreprocessor();
+    this.detector = new RuleBasedLeakDetector({ rules, sensorId: key });
+    this.mlConsecutiveAnomalies = 0;
+    this.activeAnomalies = {
+      ruleBasedActive: false,
+      mlBasedActive: false
+    };
+    this.createdAt = getCurrentTimestamp();
+    this.lastReadingAt = null;
+    this.lastTimestamp = null; // newest device timestamp processed
+    this.readingCount = 0;
+    this.timingStats = {
+      reordered: 0,
+      late: 0,
+      dropped: 0,
+      clamped: 0
+    };
+
+    if (baseline) {
+      this.detector.setBaseline(baseline.pressure, baseline.flow);
+    }
+  }
+
+  /**
+   * Clear hysteresis state so a resumed anomaly can alert again
+   */
+  clearActiveAnomalies() {
+    this.activeAnomalies.ruleBasedActive = false;
+    this.activeAnomalies.mlBasedActive = false;
+    this.mlConsecutiveAnomalies = 0;
+  }
+}
 
 class IntegratedLeakDetectionEngine {
   constructor() {
     this.detectionHistory = [];
+    this.pipelines = new Map();
+    this.defaultBaseline = null;
     this.systemStatus = {
       ruleBasedReady: false,
       mlModelReady: false,
@@ -20,15 +102,34 @@ class IntegratedLeakDetectionEngine {
       maintenanceReady: false
     };
     this.alerts = [];
+    // Durable detections/alerts ({ detections, alerts } repositories); detectionHistory
+    // and alerts above are only a bounded in-process cache of the most recent entries
+    this.store = createMemoryRepositories();
+    this.pendingWrites = new Set();
     // Hysteresis settings: require N consecutive ML anomalies before alerting
     this.hysteresisConsecutive = parseInt(process.env.HYSTERESIS_CONSECUTIVE, 10) || 3;
-    this.mlConsecutiveAnomalies = 0;
     this.maxHistorySize = 10000;
-    // Track active anomalies to prevent duplicate alerts per event
-    this.activeAnomalies = {
-      ruleBasedActive: false,
-      mlBasedActive: false
+    // Device-time handling: future skew allowance, reorder window and late-data policy
+    this.timeConfig = {
+      clockSkewToleranceMs: parseNonNegative(process.env.CLOCK_SKEW_TOLERANCE_MS, 5000),
+      reorderToleranceMs: parseNonNegative(process.env.REORDER_TOLERANCE_MS, 10000),
+      lateDataPolicy: LATE_DATA_POLICIES.includes(process.env.LATE_DATA_POLICY)
+        ? process.env.LATE_DATA_POLICY
+        : 'flag'
     };
+    // Startup replay of recent sensor_data (see rehydrate)
+    this.replayConfig = {
+      minutes: parseNonNegative(process.env.ENGINE_REPLAY_MINUTES, 10),
+      maxReadings: parseNonNegative(process.env.ENGINE_REPLAY_MAX_READINGS, 50000)
+    };
+    this.lastRehydration = null;
+    // Registry model currently loaded into mlDetector (see utils/modelRegistry)
+    this.activeModel = null;
+    // Sensors scored by their own registry model instead of mlDetector:
+    // sensorId -> { detector: MLAnomalyDetector, model: { id, version, modelType } }
+    this.sensorModels = new Map();
+    // Enabled detection rules every pipeline evaluates (see utils/ruleRegistry)
+    this.detectionRules = DEFAULT_RULES;
 
     console.log('[INTEGRATED_ENGINE] Leak Detection Engine initialized');
     console.log('[INTEGRATED_ENGINE] Available modules:');
@@ -38,23 +139,199 @@ class IntegratedLeakDetectionEngine {
     console.log('  ✓ Predictive Maintenance');
   }
 
+  /**
+   * Detections and alerts are written to store.detections and store.alerts (in memory until attached)
+   */
+  attachStore(store) {
+    this.store = store;
+  }
+
+  /**
+   * Fire-and-forget write so processReading stays synchronous; failures are logged
+   */
+  _persist(write) {
+    let pending;
+    try {
+      // Called synchronously so the record is serialized as it is right now
+      pending = Promise.resolve(write(this.store));
+    } catch (error) {
+      pending = Promise.reject(error);
+    }
+    pending = pending
+      .catch(error => {
+        console.error('[INTEGRATED_ENGINE] Failed to persist detection data:', error.message || error);
+      })
+      .finally(() => this.pendingWrites.delete(pending));
+    this.pendingWrites.add(pending);
+  }
+
+  /**
+   * Wait until every queued detection/alert write has finished
+   */
+  async flushWrites() {
+    while (this.pendingWrites.size > 0) {
+      await Promise.all([...this.pendingWrites]);
+    }
+  }
+
+  /**
+   * Resolve which pipeline a reading belongs to (sensor first, then zone)
+   */
+  _resolvePipelineKey(reading) {
+    if (reading && reading.sensor_id) return String(reading.sensor_id);
+    if (reading && reading.zone_id) return `zone:${reading.zone_id}`;
+    return DEFAULT_PIPELINE_KEY;
+  }
+
+  /**
+   * Get (or lazily create) the isolated pipeline for a sensor/zone key
+   */
+  _getPipeline(key) {
+    let pipeline = this.pipelines.get(key);
+    if (!pipeline) {
+      pipeline = new DetectionPipeline(key, this.defaultBaseline, this.detectionRules);
+      this.pipelines.set(key, pipeline);
+      console.log(`[INTEGRATED_ENGINE] Created detection pipeline for ${key}`);
+    }
+    return pipeline;
+  }
+
+  /**
+   * Swap the rule set of every pipeline; rule windows keep their readings
+   */
+  setDetectionRules(rules) {
+    this.detectionRules = rules;
+    this.pipelines.forEach(pipeline => pipeline.detector.setRules(rules));
+    console.log(`[INTEGRATED_ENGINE] ${rules.filter(r => r.enabled !== false).length} detection rules active`);
+  }
+
+  /**
+   * Update device-time handling (clock skew tolerance, reorder window, late-data policy)
+   */
+  configureTimeHandling(options = {}) {
+    const { clockSkewToleranceMs, reorderToleranceMs, lateDataPolicy } = options;
+
+    if (typeof clockSkewToleranceMs !== 'undefined') {
+      if (typeof clockSkewToleranceMs !== 'number' || clockSkewToleranceMs < 0) {
+        throw new Error('clockSkewToleranceMs must be a non-negative number');
+      }
+      this.timeConfig.clockSkewToleranceMs = clockSkewToleranceMs;
+    }
+
+    if (typeof reorderToleranceMs !== 'undefined') {
+      if (typeof reorderToleranceMs !== 'number' || reorderToleranceMs < 0) {
+        throw new Error('reorderToleranceMs must be a non-negative number');
+      }
+      this.timeConfig.reorderToleranceMs = reorderToleranceMs;
+    }
+
+    if (typeof lateDataPolicy !== 'undefined') {
+      if (!LATE_DATA_POLICIES.includes(lateDataPolicy)) {
+        throw new Error(`lateDataPolicy must be one of: ${LATE_DATA_POLICIES.join(', ')}`);
+      }
+      this.timeConfig.lateDataPolicy = lateDataPolicy;
+    }
+
+    console.log('[INTEGRATED_ENGINE] Time handling configured', this.timeConfig);
+    return { ...this.timeConfig };
+  }
+
+  /**
+   * Decide how a reading's device timestamp is handled before it enters a pipeline.
+   * Returns { action: 'process'|'drop', timestamp, receivedAt, source, clamped, reordered, late, lagMs, reason }
+   */
+  classifyReadingTime(rawReading) {
+    const receivedAt = getCurrentTimestamp();
+    const deviceTimestamp = parseTimestamp(rawReading ? rawReading.timestamp : null);
+    const timing = {
+      action: 'process',
+      timestamp: receivedAt,
+      receivedAt,
+      source: 'server',
+      clamped: false,
+      reordered: false,
+      late: false,
+      lagMs: 0,
+      reason: null
+    };
+
+    if (deviceTimestamp === null) {
+      return timing;
+    }
+
+    timing.source = 'device';
+    timing.timestamp = deviceTimestamp;
+
+    // Device clock ahead of ours: clamp small skew, reject anything beyond the tolerance
+    if (deviceTimestamp > receivedAt) {
+      if (deviceTimestamp - receivedAt > this.timeConfig.clockSkewToleranceMs) {
+        return {
+          ...timing,
+          action: 'drop',
+          reason: `Timestamp is ${deviceTimestamp - receivedAt}ms in the future (tolerance ${this.timeConfig.clockSkewToleranceMs}ms)`
+        };
+      }
+      timing.timestamp = receivedAt;
+      timing.clamped = true;
+    }
+
+    const pipeline = this.pipelines.get(this._resolvePipelineKey(rawReading));
+    if (!pipeline || pipeline.lastTimestamp === null || timing.timestamp >= pipeline.lastTimestamp) {
+      return timing;
+    }
+
+    // Out of order: slightly late readings are slotted into the windows, older ones follow the policy
+    timing.reordered = true;
+    timing.lagMs = pipeline.lastTimestamp - timing.timestamp;
+    if (timing.lagMs <= this.timeConfig.reorderToleranceMs) {
+      return timing;
+    }
+
+    timing.late = true;
+    if (this.timeConfig.lateDataPolicy === 'drop') {
+      return {
+        ...timing,
+        action: 'drop',
+        reason: `Reading is ${timing.lagMs}ms behind the newest reading (reorder tolerance ${this.timeConfig.reorderToleranceMs}ms)`
+      };
+    }
+
+    return timing;
+  }
+
   /**
    * Initialize rule-based detection system
+   * Without a sensorId the baseline becomes the default for every pipeline.
+   * Rolling windows are kept, so re-initializing does not discard replayed or live history.
    */
-  initializeRuleBasedDetection(baselinePressure, baselineFlow) {
-    leakDetector.reset();
-    leakDetector.setBaseline(baselinePressure, baselineFlow);
+  initializeRuleBasedDetection(baselinePressure, baselineFlow, sensorId = null) {
+    if (sensorId) {
+      this._getPipeline(String(sensorId)).detector.setBaseline(baselinePressure, baselineFlow);
+    } else {
+      this.defaultBaseline = { pressure: baselinePressure, flow: baselineFlow };
+      this.pipelines.forEach(pipeline => {
+        pipeline.detector.setBaseline(baselinePressure, baselineFlow);
+      });
+    }
     this.systemStatus.ruleBasedReady = true;
 
-    console.log('[INTEGRATED_ENGINE] Rule-based detection initialized');
+    console.log(`[INTEGRATED_ENGINE] Rule-based detection initialized${sensorId ? ` for ${sensorId}` : ''}`);
     return true;
   }
 
   /**
    * Initialize ML anomaly detection with training
+   * Without training data a promoted registry model is kept rather than replaced by synthetic training
    */
   initializeMLDetection(trainingData = null) {
+    if (!trainingData && this.activeModel && mlDetector.model.isTrained) {
+      this.systemStatus.mlModelReady = true;
+      console.log(`[INTEGRATED_ENGINE] ML detection using registry model v${this.activeModel.version}`);
+      return true;
+    }
+
     mlDetector.reset();
+    this.activeModel = null;
 
     if (trainingData) {
       mlDetector.train(trainingData);
@@ -70,6 +347,81 @@ class IntegratedLeakDetectionEngine {
     return this.systemStatus.mlModelReady;
   }
 
+  /**
+   * Switch ML scoring to a registry model that has just been loaded into mlDetector.
+   * Scores from different models are not comparable, so ML hysteresis restarts.
+   */
+  activateModel(model) {
+    this.activeModel = {
+      id: model.id,
+      version: model.version,
+      modelType: model.modelType,
+      artifact: model.artifact,
+      promotedAt: model.promotedAt
+    };
+    this.systemStatus.mlModelReady = mlDetector.model.isTrained;
+    this.pipelines.forEach(pipeline => {
+      pipeline.mlConsecutiveAnomalies = 0;
+      pipeline.activeAnomalies.mlBasedActive = false;
+    });
+
+    console.log(`[INTEGRATED_ENGINE] ML model switched to v${model.version}`);
+    return this.activeModel;
+  }
+
+  /**
+   * Score one sensor with its own detector (a loaded registry model of the sensor's
+   * chosen algorithm) instead of the production model. ML hysteresis restarts.
+   */
+  assignSensorModel(sensorId, detector, model) {
+    const key = String(sensorId);
+    this.sensorModels.set(key, {
+      detector,
+      model: { id: model.id, version: model.version, modelType: model.modelType }
+    });
+    this._resetMlHysteresis(key);
+    console.log(`[INTEGRATED_ENGINE] ${key} scored by ${model.modelType} v${model.version}`);
+  }
+
+  /**
+   * Return a sensor to the production model
+   * @returns {boolean} whether the sensor had its own model
+   */
+  clearSensorModel(sensorId) {
+    const key = String(sensorId);
+    if (!this.sensorModels.delete(key)) return false;
+    this._resetMlHysteresis(key);
+    console.log(`[INTEGRATED_ENGINE] ${key} back on the production model`);
+    return true;
+  }
+
+  /**
+   * Sensors with their own model: [{ sensorId, id, version, modelType }]
+   */
+  getSensorModels() {
+    return Array.from(this.sensorModels.entries()).map(([sensorId, entry]) => ({ sensorId, ...entry.model }));
+  }
+
+  /**
+   * Registry model that scores a sensor: its own model, else the production model
+   * @returns {Object|null} { id, version, modelType }, null when ML scores with an unregistered model
+   */
+  getScoringModel(sensorId = null) {
+    const sensorModel = sensorId ? this.sensorModels.get(String(sensorId)) : null;
+    if (sensorModel) return { ...sensorModel.model };
+    if (!this.activeModel) return null;
+    const { id, version, modelType } = this.activeModel;
+    return { id, version, modelType };
+  }
+
+  _resetMlHysteresis(key) {
+    const pipeline = this.pipelines.get(key);
+    if (pipeline) {
+      pipeline.mlConsecutiveAnomalies = 0;
+      pipeline.activeAnomalies.mlBasedActive = false;
+    }
+  }
+
   /**
    * Initialize predictive maintenance system with pipe metadata
    */
@@ -100,63 +452,44 @@ class IntegratedLeakDetectionEngine {
 
   /**
    * Process raw sensor reading through all systems
+   * With { replay: true } the reading only rebuilds pipeline state: windows, baselines
+   * and hysteresis move as usual, but nothing is stored and no alert is emitted.
    */
-  processReading(rawReading) {
+  processReading(rawReading, options = {}) {
+    const { replay = false } = options;
     const id = generateId();
-    const timestamp = getCurrentTimestamp();
+    const pipeline = this._getPipeline(this._resolvePipelineKey(rawReading));
 
-    // Step 1: Preprocess data
-    const features = preprocessor.processReading({
+    // Step 0: Resolve device time (skew clamp, reordering, late-data policy)
+    const timing = this.classifyReadingTime(rawReading);
+    if (timing.action === 'drop') {
+      pipeline.timingStats.dropped++;
+      console.warn(`[INTEGRATED_ENGINE] Reading dropped (${pipeline.key}): ${timing.reason}`);
+      return null;
+    }
+    const { timestamp } = timing;
+
+    const analysis = this._analyzeReading(pipeline, rawReading, {
       id,
       timestamp,
-      ...rawReading
+      // Always during replay, so the rule windows are warm once the engine is initialized
+      ruleBased: this.systemStatus.ruleBasedReady || replay
     });
-
-    if (!features) {
-      console.error('[INTEGRATED_ENGINE] Preprocessing failed');
+    if (!analysis) {
       return null;
     }
-
-    // Step 2: Rule-based detection
-    let ruleBasedResult = null;
-    if (this.systemStatus.ruleBasedReady) {
-      ruleBasedResult = leakDetector.evaluate(features);
-    }
-
-    // Step 3: ML anomaly detection
-    let mlResult = null;
-    if (this.systemStatus.mlModelReady) {
-      try {
-        const mlPrediction = mlDetector.predict({
-          pressure: features.pressure,
-          flow: features.flow,
-          pressure_rate_of_change: features.pressure_rate_of_change,
-          flow_rate_of_change: features.flow_rate_of_change,
-          pressure_ma_30s: features.pressure_ma_30s || features.pressure,
-          flow_ma_30s: features.flow_ma_30s || features.flow,
-          pressure_stddev_60s: features.pressure_stddev_60s || 0.5,
-          flow_stddev_60s: features.flow_stddev_60s || 0.3,
-          pressure_flow_ratio: features.pressure_flow_ratio,
-          hour_of_day: features.hour_of_day,
-          is_weekend: features.is_weekend ? 1 : 0,
-          // Include engineered features
-          pressure_flow_ratio_variance: features.pressure_flow_ratio_variance || 0,
-          combined_rate_of_change: features.combined_rate_of_change || 0,
-          combined_volatility: features.combined_volatility || 0,
-          flow_pressure_interaction: features.flow_pressure_interaction || 0
-        });
-
-        mlResult = {
-          anomalyScore: mlPrediction.anomalyScore,
-          isAnomaly: mlPrediction.isAnomaly,
-          confidence: mlPrediction.confidence
-        };
-      } catch (error) {
-        console.error('[INTEGRATED_ENGINE] ML prediction failed:', error.message);
-      }
-    }
-
-    // Step 4: Add reading to maintenance system
+    const { features, ruleBasedResult, mlResult, integratedResult } = analysis;
+
+    pipeline.readingCount++;
+    pipeline.lastReadingAt = replay ? timestamp : timing.receivedAt;
+    pipeline.lastTimestamp = pipeline.lastTimestamp === null
+      ? timestamp
+      : Math.max(pipeline.lastTimestamp, timestamp);
+    if (timing.clamped) pipeline.timingStats.clamped++;
+    if (timing.reordered) pipeline.timingStats.reordered++;
+    if (timing.late) pipeline.timingStats.late++;
+
+    // Add reading to maintenance system
     if (this.systemStatus.maintenanceReady) {
       maintenanceSystem.pipeSegments.forEach(pipe => {
         pipe.addReading({
@@ -169,19 +502,32 @@ class IntegratedLeakDetectionEngine {
       });
     }
 
-    // Combine results
-    const integratedResult = this._combineDetectionResults(
-      id,
-      timestamp,
-      features,
-      ruleBasedResult,
-      mlResult
-    );
+    integratedResult.timing = {
+      receivedAt: timing.receivedAt,
+      source: timing.source,
+      clamped: timing.clamped,
+      reordered: timing.reordered,
+      late: timing.late,
+      lagMs: timing.lagMs
+    };
 
-    // Store in history
-    this.detectionHistory.push(integratedResult);
-    if (this.detectionHistory.length > this.maxHistorySize) {
-      this.detectionHistory.shift();
+    // Late readings under the 'flag' policy are recorded but never alert or move hysteresis
+    const flagged = timing.late && this.timeConfig.lateDataPolicy === 'flag';
+    if (flagged) {
+      integratedResult.timing.flagged = true;
+    }
+
+    // Store in history (replayed readings were already recorded the first time round)
+    if (!replay) {
+      this.detectionHistory.push(integratedResult);
+      if (this.detectionHistory.length > this.maxHistorySize) {
+        this.detectionHistory.shift();
+      }
+      this._persist(store => store.detections.insert(integratedResult));
+    }
+
+    if (flagged) {
+      return integratedResult;
     }
 
     // Generate alerts if needed with hysteresis and duplicate prevention
@@ -189,34 +535,170 @@ class IntegratedLeakDetectionEngine {
 
     if (ruleTriggered) {
       // Immediate alert when rule-based detection indicates leak
-      this.mlConsecutiveAnomalies = 0;
+      pipeline.mlConsecutiveAnomalies = 0;
       
       // Only generate alert if not already active (transition from normal to anomalous)
-      if (!this.activeAnomalies.ruleBasedActive) {
-        this.activeAnomalies.ruleBasedActive = true;
-        this._generateAlert(integratedResult);
+      if (!pipeline.activeAnomalies.ruleBasedActive) {
+        pipeline.activeAnomalies.ruleBasedActive = true;
+        if (!replay) this._generateAlert(integratedResult);
       }
     } else if (mlResult && mlResult.isAnomaly) {
       // Increment ML consecutive anomaly counter and only alert when threshold reached
-      this.mlConsecutiveAnomalies++;
+      pipeline.mlConsecutiveAnomalies++;
 
-      if (this.mlConsecutiveAnomalies >= this.hysteresisConsecutive && integratedResult.detection.overallLeakDetected) {
+      if (pipeline.mlConsecutiveAnomalies >= this.hysteresisConsecutive && integratedResult.detection.overallLeakDetected) {
         // Only generate alert if not already active (transition from normal to anomalous)
-        if (!this.activeAnomalies.mlBasedActive) {
-          this.activeAnomalies.mlBasedActive = true;
-          this._generateAlert(integratedResult);
+        if (!pipeline.activeAnomalies.mlBasedActive) {
+          pipeline.activeAnomalies.mlBasedActive = true;
+          if (!replay) this._generateAlert(integratedResult);
         }
       }
     } else {
       // Reset counters and anomaly flags on normal reading
-      this.mlConsecutiveAnomalies = 0;
-      this.activeAnomalies.ruleBasedActive = false;
-      this.activeAnomalies.mlBasedActive = false;
+      pipeline.clearActiveAnomalies();
     }
 
     return integratedResult;
   }
 
+  /**
+   * Preprocess a reading in a pipeline, then score it with the rules and the
+   * sensor's ML model and combine the results
+   * @returns {Object|null} { features, ruleBasedResult, mlResult, integratedResult }, null when preprocessing fails
+   */
+  _analyzeReading(pipeline, rawReading, { id, timestamp, ruleBased }) {
+    const features = pipeline.preprocessor.processReading({
+      id,
+      ...rawReading,
+      timestamp
+    });
+
+    if (!features) {
+      console.error(`[INTEGRATED_ENGINE] Preprocessing failed (${pipeline.key})`);
+      return null;
+    }
+
+    const ruleBasedResult = ruleBased ? pipeline.detector.evaluate(features) : null;
+
+    // ML anomaly detection (the sensor's own model when it has one)
+    const mlFeatures = toModelInput(features);
+    const sensorModel = this.sensorModels.get(pipeline.key) || null;
+    let mlResult = null;
+    if (sensorModel || this.systemStatus.mlModelReady) {
+      try {
+        const mlPrediction = (sensorModel ? sensorModel.detector : mlDetector).predict(mlFeatures);
+
+        mlResult = {
+          anomalyScore: mlPrediction.anomalyScore,
+          isAnomaly: mlPrediction.isAnomaly,
+          confidence: mlPrediction.confidence,
+          attributions: (mlPrediction.attributions || []).slice(0, MAX_ATTRIBUTIONS)
+        };
+      } catch (error) {
+        console.error('[INTEGRATED_ENGINE] ML prediction failed:', error.message);
+      }
+    }
+
+    const integratedResult = this._combineDetectionResults(
+      id,
+      timestamp,
+      features,
+      ruleBasedResult,
+      mlResult
+    );
+    integratedResult.sensorId = pipeline.key;
+    integratedResult.location = rawReading.location || null;
+    integratedResult.mlFeatures = mlFeatures;
+    integratedResult.modelVersion = sensorModel
+      ? sensorModel.model.version
+      : (this.activeModel ? this.activeModel.version : null);
+
+    return { features, ruleBasedResult, mlResult, integratedResult };
+  }
+
+  /**
+   * Score stored readings without touching live state. Each sensor's readings run
+   * oldest first through a scratch pipeline with the live baseline and ML model, so
+   * the windows fill as they did live; nothing is stored, alerted on or fed to
+   * predictive maintenance.
+   * @param {Array} readings - sensor_data rows (sensor_id, pressure, flow, valve_state, timestamp, ...)
+   * @returns {Array} integrated results in the order of `readings` (null where preprocessing failed)
+   */
+  evaluateReadings(readings) {
+    const scratch = new Map();
+    const results = new Array(readings.length).fill(null);
+
+    readings
+      .map((reading, index) => ({ reading, index, timestamp: parseTimestamp(reading.timestamp) || getCurrentTimestamp() }))
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .forEach(({ reading, index, timestamp }) => {
+        const key = this._resolvePipelineKey(reading);
+        if (!scratch.has(key)) {
+          const live = this.pipelines.get(key);
+          scratch.set(key, new DetectionPipeline(key, live ? live.detector.baselineMetrics : this.defaultBaseline, this.detectionRules));
+        }
+        const analysis = this._analyzeReading(scratch.get(key), reading, {
+          id: generateId(),
+          timestamp,
+          ruleBased: this.systemStatus.ruleBasedReady
+        });
+        results[index] = analysis ? analysis.integratedResult : null;
+      });
+
+    return results;
+  }
+
+  /**
+   * Warm the pipelines after a restart by replaying the last N minutes of stored
+   * sensor_data (oldest first) in replay mode, so an anomaly that was already
+   * alerted on before the restart is not alerted on again
+   */
+  async rehydrate(options = {}) {
+    const {
+      minutes = this.replayConfig.minutes,
+      maxReadings = this.replayConfig.maxReadings
+    } = options;
+    const startedAt = getCurrentTimestamp();
+    const summary = { at: startedAt, minutes, replayed: 0, skipped: 0, sensors: [], durationMs: 0 };
+
+    if (minutes > 0 && maxReadings > 0) {
+      // Newest first from the store; when capped, the most recent readings are the ones kept
+      const rows = await this.store.sensorData.find({
+        startTime: startedAt - minutes * 60 * 1000,
+        limit: maxReadings
+      });
+      const sensors = new Set();
+
+      rows.reverse().forEach(row => {
+        const result = this.processReading({
+          sensor_id: row.sensor_id,
+          pressure: row.pressure,
+          flow: row.flow,
+          valve_state: row.valve_state,
+          temperature: row.temperature,
+          location: row.location,
+          timestamp: row.timestamp
+        }, { replay: true });
+
+        if (result) {
+          summary.replayed++;
+          sensors.add(result.sensorId);
+        } else {
+          summary.skipped++;
+        }
+      });
+      summary.sensors = [...sensors];
+    }
+
+    summary.durationMs = getCurrentTimestamp() - startedAt;
+    this.lastRehydration = summary;
+    console.log(
+      `[INTEGRATED_ENGINE] Rehydrated ${summary.sensors.length} pipeline(s) from ${summary.replayed} reading(s) ` +
+      `of the last ${minutes} min (${summary.skipped} skipped, ${summary.durationMs}ms)`
+    );
+    return summary;
+  }
+
   /**
    * Combine results from all detection systems
    */
@@ -247,7 +729,8 @@ class IntegratedLeakDetectionEngine {
       detectionMethods.push({
         method: 'ml_anomaly',
         probability: mlResult.anomalyScore,
-        confidence: mlResult.confidence
+        confidence: mlResult.confidence,
+        attributions: mlResult.attributions || []
       });
 
       if (mlResult.isAnomaly && severityLevel === 'NORMAL') {
@@ -336,6 +819,9 @@ class IntegratedLeakDetectionEngine {
     const alert = {
       id: generateId(),
       timestamp: getCurrentTimestamp(),
+      detectedAt: detectionResult.timestamp,
+      sensorId: detectionResult.sensorId || DEFAULT_PIPELINE_KEY,
+      detectionId: detectionResult.id,
       severity: detectionResult.detection.severityLevel,
       // Ensure probability is available and provide a sensible fallback
       probability: (function () {
@@ -354,27 +840,20 @@ class IntegratedLeakDetectionEngine {
       })(),
       // include the detection snapshot so UI can access more details safely
       detection: detectionResult.detection,
-      location: this._generateRandomLocation(),
+      location: detectionResult.location || this._generateRandomLocation(),
       message: this._generateAlertMessage(detectionResult),
       readings: detectionResult.readings,
-      recommendedActions: this._generateRecommendedActions(detectionResult)
+      recommendedActions: this._generateRecommendedActions(detectionResult),
+      // Features behind the ML score ([{ feature, contribution }], percent, largest first)
+      attributions: this._mlAttributions(detectionResult),
+      // Model input and version, so operator feedback can be turned into labeled training data
+      features: detectionResult.mlFeatures || null,
+      modelVersion: typeof detectionResult.modelVersion === 'undefined'
+        ? (this.activeModel ? this.activeModel.version : null)
+        : detectionResult.modelVersion
     };
 
-    // Add lifecycle fields for acknowledgement/resolution and notifications
-    alert.acknowledged = false;
-    alert.acknowledgedBy = null;
-    alert.acknowledgedAt = null;
-    alert.acknowledgeNotes = null;
-    alert.resolved = false;
-    alert.resolvedBy = null;
-    alert.resolvedAt = null;
-    alert.resolveNotes = null;
-    alert.notificationsSent = [];
-
-    this.alerts.push(alert);
-    if (this.alerts.length > 1000) {
-      this.alerts.shift();
-    }
+    this._storeAlert(alert);
 
     // Log alert and the detection result for debugging mapping issues
     try {
@@ -389,6 +868,61 @@ class IntegratedLeakDetectionEngine {
     return alert;
   }
 
+  /**
+   * Add lifecycle fields for acknowledgement/resolution and notifications, then cache and persist the alert
+   */
+  _storeAlert(alert) {
+    Object.assign(alert, {
+      acknowledged: false,
+      acknowledgedBy: null,
+      acknowledgedAt: null,
+      acknowledgeNotes: null,
+      resolved: false,
+      resolvedBy: null,
+      resolvedAt: null,
+      resolveNotes: null,
+      notificationsSent: []
+    });
+
+    this.alerts.push(alert);
+    if (this.alerts.length > 1000) {
+      this.alerts.shift();
+    }
+    this._persist(store => store.alerts.insert(alert));
+  }
+
+  /**
+   * Raise an alert about the system rather than a reading (sensorId 'system', no detection)
+   * @param {Object} options - { type, severity, message, details, recommendedActions }
+   * @returns {Object} the alert
+   */
+  raiseSystemAlert({ type, severity = 'MEDIUM', message, details = null, recommendedActions = [] }) {
+    const now = getCurrentTimestamp();
+    const alert = {
+      id: generateId(),
+      type,
+      timestamp: now,
+      detectedAt: now,
+      sensorId: SYSTEM_ALERT_SENSOR_ID,
+      detectionId: null,
+      severity,
+      probability: null,
+      detection: null,
+      location: null,
+      message,
+      details,
+      readings: null,
+      recommendedActions,
+      attributions: [],
+      features: null,
+      modelVersion: this.activeModel ? this.activeModel.version : null
+    };
+    this._storeAlert(alert);
+
+    console.warn(`[INTEGRATED_ENGINE] SYSTEM ALERT (${type}): ${message}`);
+    return alert;
+  }
+
   /**
    * Generate alert message
    */
@@ -407,6 +941,15 @@ class IntegratedLeakDetectionEngine {
     return 'LOW: Minor anomaly detected. Monitor closely.';
   }
 
+  /**
+   * Feature attributions of a detection's ML method (empty when ML did not score it)
+   */
+  _mlAttributions(detectionResult) {
+    const methods = detectionResult.detection.detectionMethods || [];
+    const ml = methods.find(m => m.method === 'ml_anomaly');
+    return ml && ml.attributions ? ml.attributions : [];
+  }
+
   /**
    * Generate recommended actions
    */
@@ -444,100 +987,323 @@ class IntegratedLeakDetectionEngine {
   }
 
   /**
-   * Get recent detections
+   * Detection history, optionally restricted to one sensor/zone pipeline
    */
-  getRecentDetections(count = 100) {
-    return this.detectionHistory.slice(-count);
+  _detectionsFor(sensorId = null) {
+    if (!sensorId) return this.detectionHistory;
+    return this.detectionHistory.filter(d => d.sensorId === String(sensorId));
   }
 
   /**
-   * Get recent alerts
+   * Alerts, optionally restricted to one sensor/zone pipeline
    */
-  getRecentAlerts(count = 50) {
-    return this.alerts.slice(-count);
+  _alertsFor(sensorId = null) {
+    if (!sensorId) return this.alerts;
+    return this.alerts.filter(a => a.sensorId === String(sensorId));
   }
 
   /**
-   * Analyze historical data for patterns
+   * Get recent detections
    */
-  analyzeHistoricalPatterns() {
-    if (this.detectionHistory.length === 0) {
-      return null;
-    }
+  getRecentDetections(count = 100, sensorId = null) {
+    return this._detectionsFor(sensorId).slice(-count);
+  }
 
-    const detections = this.detectionHistory;
-    const leakDetections = detections.filter(d => d.detection.overallLeakDetected);
+  /**
+   * Get recent alerts
+   */
+  getRecentAlerts(count = 50, sensorId = null) {
+    return this._alertsFor(sensorId).slice(-count);
+  }
 
-    const avgProbability =
-      detections.reduce((sum, d) => sum + d.detection.overallProbability, 0) /
-      detections.length;
+  /**
+   * Aggregate an in-memory detection list (same shape as the repository summarize())
+   */
+  _summarizeDetections(detections) {
+    const sum = (fn) => detections.reduce((total, d) => total + fn(d), 0);
+    const count = detections.length;
 
-    const severityCounts = {
-      CRITICAL: detections.filter(d => d.detection.severityLevel === 'CRITICAL').length,
-      HIGH: detections.filter(d => d.detection.severityLevel === 'HIGH').length,
-      MEDIUM: detections.filter(d => d.detection.severityLevel === 'MEDIUM').length,
-      NORMAL: detections.filter(d => d.detection.severityLevel === 'NORMAL').length
+    return {
+      total: count,
+      leaks: detections.filter(d => d.detection.overallLeakDetected).length,
+      avgProbability: count > 0 ? sum(d => d.detection.overallProbability) / count : null,
+      maxProbability: count > 0 ? Math.max(...detections.map(d => d.detection.overallProbability)) : null,
+      minProbability: count > 0 ? Math.min(...detections.map(d => d.detection.overallProbability)) : null,
+      avgConfidence: count > 0 ? sum(d => d.detection.confidenceScore) / count : null,
+      avgQuality: count > 0 ? sum(d => d.qualityMetrics.dataQualityScore) / count : null,
+      severityCounts: {
+        CRITICAL: detections.filter(d => d.detection.severityLevel === 'CRITICAL').length,
+        HIGH: detections.filter(d => d.detection.severityLevel === 'HIGH').length,
+        MEDIUM: detections.filter(d => d.detection.severityLevel === 'MEDIUM').length,
+        NORMAL: detections.filter(d => d.detection.severityLevel === 'NORMAL').length
+      }
     };
+  }
+
+  /**
+   * Pattern analysis payload from a detection summary
+   */
+  _patternsFromSummary(summary) {
+    if (!summary || summary.total === 0) {
+      return null;
+    }
 
     return {
-      totalDetections: detections.length,
-      leakDetections: leakDetections.length,
-      leakDetectionRate: ((leakDetections.length / detections.length) * 100).toFixed(2) + '%',
-      averageProbability: Math.round(avgProbability),
-      maxProbability: Math.max(...detections.map(d => d.detection.overallProbability)),
-      minProbability: Math.min(...detections.map(d => d.detection.overallProbability)),
-      severityCounts,
-      averageConfidence: Math.round(
-        detections.reduce((sum, d) => sum + d.detection.confidenceScore, 0) / detections.length
-      )
+      totalDetections: summary.total,
+      leakDetections: summary.leaks,
+      leakDetectionRate: ((summary.leaks / summary.total) * 100).toFixed(2) + '%',
+      averageProbability: Math.round(summary.avgProbability),
+      maxProbability: summary.maxProbability,
+      minProbability: summary.minProbability,
+      severityCounts: summary.severityCounts,
+      averageConfidence: Math.round(summary.avgConfidence)
     };
   }
 
   /**
-   * Get system status
+   * Analyze historical data for patterns (recent in-memory window)
    */
-  getSystemStatus() {
-    return {
+  analyzeHistoricalPatterns(sensorId = null) {
+    return this._patternsFromSummary(this._summarizeDetections(this._detectionsFor(sensorId)));
+  }
+
+  /**
+   * Get system status (whole system, or a single sensor/zone pipeline)
+   */
+  getSystemStatus(sensorId = null) {
+    const detections = this._detectionsFor(sensorId);
+    const status = {
       status: 'OPERATIONAL',
       timestamp: getCurrentTimestamp(),
       systems: this.systemStatus,
+      timeHandling: { ...this.timeConfig },
+      rehydration: this.lastRehydration,
+      activeModel: this.activeModel,
       statistics: {
-        totalDetections: this.detectionHistory.length,
-        totalAlerts: this.alerts.length,
+        totalDetections: detections.length,
+        totalAlerts: this._alertsFor(sensorId).length,
         averageDataQuality:
-          this.detectionHistory.length > 0
+          detections.length > 0
             ? Math.round(
-                (this.detectionHistory.reduce(
+                (detections.reduce(
                   (sum, d) => sum + d.qualityMetrics.dataQualityScore,
                   0
                 ) /
-                  this.detectionHistory.length) *
+                  detections.length) *
                   100
               ) / 100
             : 0
       }
     };
+
+    if (sensorId) {
+      const pipeline = this.pipelines.get(String(sensorId));
+      status.sensorId = String(sensorId);
+      status.pipeline = pipeline ? this._summarizePipeline(pipeline) : null;
+    } else {
+      status.statistics.activePipelines = this.pipelines.size;
+      status.sensorModels = this.getSensorModels();
+    }
+
+    return status;
+  }
+
+  /**
+   * Repository filters from API-level options ({ sensorId, leakOnly, severity, ... })
+   */
+  _storeFilters({ sensorId = null, ...filters } = {}) {
+    return { ...filters, sensorIds: sensorId ? [String(sensorId)] : [] };
+  }
+
+  /**
+   * Persisted detections, newest first: { items, total }
+   */
+  async loadDetections(options = {}) {
+    const filters = this._storeFilters(options);
+    const [items, total] = await Promise.all([
+      this.store.detections.find(filters),
+      this.store.detections.count(filters)
+    ]);
+    return { items, total };
+  }
+
+  /**
+   * Persisted alerts, newest first: { items, total }
+   */
+  async loadAlerts(options = {}) {
+    const filters = this._storeFilters(options);
+    const [items, total] = await Promise.all([
+      this.store.alerts.find(filters),
+      this.store.alerts.count(filters)
+    ]);
+    return { items, total };
+  }
+
+  /**
+   * Pattern analysis over the full persisted history
+   */
+  async loadDetectionPatterns(sensorId = null) {
+    const summary = await this.store.detections.summarize(this._storeFilters({ sensorId }));
+    return this._patternsFromSummary(summary);
+  }
+
+  /**
+   * getSystemStatus with statistics taken from the persisted history
+   */
+  async loadSystemStatus(sensorId = null) {
+    const filters = this._storeFilters({ sensorId });
+    const [summary, totalAlerts] = await Promise.all([
+      this.store.detections.summarize(filters),
+      this.store.alerts.count(filters)
+    ]);
+
+    const status = this.getSystemStatus(sensorId);
+    status.statistics.totalDetections = summary.total;
+    status.statistics.totalAlerts = totalAlerts;
+    status.statistics.averageDataQuality = summary.avgQuality !== null && typeof summary.avgQuality !== 'undefined'
+      ? Math.round(summary.avgQuality * 100) / 100
+      : 0;
+    return status;
+  }
+
+  /**
+   * getComprehensiveReport over the persisted history
+   */
+  async loadComprehensiveReport(sensorId = null) {
+    const [patterns, status, recentAlerts] = await Promise.all([
+      this.loadDetectionPatterns(sensorId),
+      this.loadSystemStatus(sensorId),
+      this.loadAlerts({ sensorId, limit: 10 })
+    ]);
+    const maintenanceAssessment =
+      this.systemStatus.maintenanceReady ? maintenanceSystem.generateReport() : null;
+
+    return {
+      timestamp: new Date().toISOString(),
+      systemStatus: status,
+      detectionPatterns: patterns,
+      recentAlerts: recentAlerts.items.reverse(),
+      maintenanceAssessment,
+      systemHealth: this._assessSystemHealth(patterns, status)
+    };
+  }
+
+  /**
+   * Apply lifecycle changes to the stored alert and the cached copy
+   * @returns {Object|null} updated alert, or null when the alert does not exist
+   */
+  async _updateAlert(id, changes) {
+    const updated = await this.store.alerts.update(id, changes);
+    if (!updated) {
+      return null;
+    }
+
+    const cached = this.alerts.find(a => a.id === id);
+    if (cached) {
+      Object.assign(cached, changes);
+    }
+    return updated;
+  }
+
+  /**
+   * Mark an alert acknowledged
+   */
+  async acknowledgeAlert(id, { userId = 'unknown', notes = '' } = {}) {
+    return this._updateAlert(id, {
+      acknowledged: true,
+      acknowledgedBy: userId,
+      acknowledgedAt: Date.now(),
+      acknowledgeNotes: notes
+    });
+  }
+
+  /**
+   * Mark an alert resolved and re-arm its pipeline so a resumed anomaly alerts again
+   */
+  async resolveAlert(id, { userId = 'unknown', notes = '', feedback = null } = {}) {
+    const changes = {
+      resolved: true,
+      resolvedBy: userId,
+      resolvedAt: Date.now(),
+      resolveNotes: notes
+    };
+    if (feedback) changes.feedback = feedback;
+
+    const alert = await this._updateAlert(id, changes);
+    if (alert) {
+      this.clearActiveAnomalies(alert.sensorId);
+    }
+    return alert;
+  }
+
+  /**
+   * Lifecycle statistics over every persisted alert
+   */
+  async loadAlertStatistics(sensorId = null) {
+    return this.store.alerts.statistics(this._storeFilters({ sensorId }));
+  }
+
+  /**
+   * Summarize a pipeline's state for the API
+   */
+  _summarizePipeline(pipeline) {
+    return {
+      sensorId: pipeline.key,
+      createdAt: pipeline.createdAt,
+      lastReadingAt: pipeline.lastReadingAt,
+      lastTimestamp: pipeline.lastTimestamp,
+      readingCount: pipeline.readingCount,
+      timing: { ...pipeline.timingStats },
+      baseline: pipeline.detector.baselineMetrics,
+      mlModel: this.sensorModels.has(pipeline.key) ? { ...this.sensorModels.get(pipeline.key).model } : null,
+      mlConsecutiveAnomalies: pipeline.mlConsecutiveAnomalies,
+      activeAnomalies: { ...pipeline.activeAnomalies },
+      dataQuality: pipeline.preprocessor.getQualityReport()
+    };
+  }
+
+  /**
+   * ML model input for the readings in the pipelines' feature windows (one sensor/zone, or all)
+   */
+  getRecentModelInputs(sensorId = null) {
+    const pipelines = sensorId
+      ? [this.pipelines.get(String(sensorId))].filter(Boolean)
+      : Array.from(this.pipelines.values());
+    return pipelines.flatMap(pipeline => pipeline.preprocessor.featureHistory.map(toModelInput));
+  }
+
+  /**
+   * Summaries of every sensor/zone pipeline seen so far
+   */
+  getPipelineSummaries() {
+    return Array.from(this.pipelines.values()).map(pipeline => this._summarizePipeline(pipeline));
   }
 
   /**
    * Clear active anomalies (call when an alert is resolved to allow a new alert if anomaly resumes)
+   * Without a sensorId every pipeline is cleared
    */
-  clearActiveAnomalies() {
-    this.activeAnomalies.ruleBasedActive = false;
-    this.activeAnomalies.mlBasedActive = false;
-    this.mlConsecutiveAnomalies = 0;
-    console.log('[INTEGRATED_ENGINE] Active anomalies cleared');
+  clearActiveAnomalies(sensorId = null) {
+    if (sensorId) {
+      const pipeline = this.pipelines.get(String(sensorId));
+      if (pipeline) pipeline.clearActiveAnomalies();
+    } else {
+      this.pipelines.forEach(pipeline => pipeline.clearActiveAnomalies());
+    }
+    console.log(`[INTEGRATED_ENGINE] Active anomalies cleared${sensorId ? ` for ${sensorId}` : ''}`);
   }
 
   /**
    * Reset engine
    */
   reset() {
-    leakDetector.reset();
     mlDetector.reset();
-    preprocessor.reset();
     maintenanceSystem.reset();
 
+    this.pipelines = new Map();
+    this.defaultBaseline = null;
+    this.activeModel = null;
+    this.sensorModels = new Map();
     this.detectionHistory = [];
     this.alerts = [];
     this.systemStatus = {
@@ -546,10 +1312,6 @@ class IntegratedLeakDetectionEngine {
       preprocessorReady: true,
       maintenanceReady: false
     };
-    this.activeAnomalies = {
-      ruleBasedActive: false,
-      mlBasedActive: false
-    };
 
     console.log('[INTEGRATED_ENGINE] Engine reset');
   }
@@ -557,9 +1319,9 @@ class IntegratedLeakDetectionEngine {
   /**
    * Get comprehensive system report
    */
-  getComprehensiveReport() {
-    const patterns = this.analyzeHistoricalPatterns();
-    const status = this.getSystemStatus();
+  getComprehensiveReport(sensorId = null) {
+    const patterns = this.analyzeHistoricalPatterns(sensorId);
+    const status = this.getSystemStatus(sensorId);
     const maintenanceAssessment =
       this.systemStatus.maintenanceReady ? maintenanceSystem.generateReport() : null;
 
@@ -567,7 +1329,7 @@ class IntegratedLeakDetectionEngine {
       timestamp: new Date().toISOString(),
       systemStatus: status,
       detectionPatterns: patterns,
-      recentAlerts: this.getRecentAlerts(10),
+      recentAlerts: this.getRecentAlerts(10, sensorId),
       maintenanceAssessment,
       systemHealth: this._assessSystemHealth(patterns, status)
     };
@@ -602,5 +1364,9 @@ const integratedEngine = new IntegratedLeakDetectionEngine();
 
 module.exports = {
   IntegratedLeakDetectionEngine,
+  DetectionPipeline,
+  DEFAULT_PIPELINE_KEY,
+  SYSTEM_ALERT_SENSOR_ID,
+  LATE_DATA_POLICIES,
   integratedEngine
 };
@@ -1,58 +1,12 @@
 /**
  * Rule-Based Leak Detection System
- * Baseline detection system using engineered features and threshold-based rules
- * Provides leak probability scores and severity levels with detailed reasoning
+ * Baseline detection system: declarative rules (see utils/detectionRules) evaluated
+ * over engineered features. Provides leak probability scores and severity levels
+ * with detailed reasoning.
  */
 
 const { getCurrentTimestamp } = require('./helpers');
-
-/**
- * Detection thresholds and rules configuration
- */
-const CONFIG = {
-  CRITICAL_LEAK: {
-    name: 'CRITICAL_LEAK',
-    description: 'Sudden pressure drop >15% in <60 seconds',
-    pressure_drop_threshold: 0.15, // 15%
-    time_window: 60, // seconds
-    base_probability: 85, // base leak probability %
-    severity: 'CRITICAL'
-  },
-
-  MINOR_LEAK: {
-    name: 'MINOR_LEAK',
-    description: 'Gradual pressure drop 5-15% over 5 minutes',
-    pressure_drop_min: 0.05, // 5%
-    pressure_drop_max: 0.15, // 15%
-    time_window: 300, // 5 minutes in seconds
-    base_probability: 50,
-    severity: 'MINOR'
-  },
-
-  FLOW_PRESSURE_MISMATCH: {
-    name: 'FLOW_PRESSURE_MISMATCH',
-    description: 'Flow increases >25% while pressure decreases',
-    flow_increase_threshold: 0.25, // 25%
-    pressure_decrease_threshold: 0.02, // 2% (any decrease)
-    base_probability: 70,
-    severity: 'HIGH'
-  },
-
-  RATIO_ANOMALY: {
-    name: 'RATIO_ANOMALY',
-    description: 'Pressure-to-flow ratio deviates >30% from baseline',
-    ratio_deviation_threshold: 0.30, // 30%
-    base_probability: 45,
-    severity: 'MEDIUM'
-  },
-
-  SPIKE_ANOMALY: {
-    name: 'SPIKE_ANOMALY',
-    description: 'Sudden pressure or flow spike detected',
-    base_probability: 35,
-    severity: 'LOW'
-  }
-};
+const { DEFAULT_RULES, evaluateCondition, maxWindowSeconds, parseDuration } = require('./detectionRules');
 
 const SEVERITY_LEVELS = {
   CRITICAL: { level: 4, color: '🔴' },
@@ -62,23 +16,63 @@ const SEVERITY_LEVELS = {
   NORMAL: { level: 0, color: '✅' }
 };
 
+// Readings kept for rule windows: everything inside the longest window, at most this many
+const MIN_HISTORY_SIZE = 200; // ~3 minutes at 1 reading/second
+const MAX_HISTORY_SIZE = 20000;
+
+/**
+ * Numeric and boolean features only (the rest is never aggregated)
+ */
+const compactReading = (features) => {
+  const reading = {};
+  Object.keys(features).forEach(key => {
+    const value = features[key];
+    if (typeof value === 'number' || typeof value === 'boolean') {
+      reading[key] = value;
+    }
+  });
+  return reading;
+};
+
 class RuleBasedLeakDetector {
-  constructor() {
+  /**
+   * @param {Object} options - { rules: rule definitions (see utils/detectionRules), sensorId: scopes rules with sensorIds }
+   */
+  constructor({ rules = DEFAULT_RULES, sensorId = null } = {}) {
+    this.sensorId = sensorId;
     this.sensorHistory = []; // Keep recent readings for rule evaluation
     this.baselineMetrics = null;
     this.detectionResults = [];
-    this.maxHistorySize = 200; // ~3 minutes at 1 reading/second
+    this.maxHistorySize = MIN_HISTORY_SIZE;
+    this.setRules(rules);
 
     console.log('[LEAK_DETECTOR] Rule-Based Leak Detection System initialized');
-    console.log(`[LEAK_DETECTOR] Available rules: ${Object.keys(CONFIG).length}`);
+    console.log(`[LEAK_DETECTOR] Available rules: ${this.rules.length}`);
     console.log('[LEAK_DETECTOR] Rules:');
-    Object.entries(CONFIG).forEach(([key, rule]) => {
-      if (rule.description) {
-        console.log(`  • ${key}: ${rule.description}`);
-      }
+    this.rules.forEach(rule => {
+      console.log(`  • ${rule.id}: ${rule.description || 'custom rule'}`);
     });
   }
 
+  /**
+   * Replace the rule set; disabled rules and rules scoped to other sensors are skipped.
+   * Hold timers of rules that are kept carry over.
+   */
+  setRules(rules) {
+    this.rules = rules.filter(rule =>
+      rule.enabled !== false &&
+      (!rule.sensorIds || (this.sensorId !== null && rule.sensorIds.includes(this.sensorId)))
+    );
+
+    const previous = this.ruleState || new Map();
+    this.ruleState = new Map(); // rule id -> device time its condition started holding
+    this.rules.forEach(rule => {
+      if (previous.has(rule.id)) this.ruleState.set(rule.id, previous.get(rule.id));
+    });
+
+    this.windowMs = maxWindowSeconds(this.rules) * 1000;
+  }
+
   /**
    * Set baseline metrics for comparison (pressure-to-flow ratio baseline)
    */
@@ -100,198 +94,61 @@ class RuleBasedLeakDetector {
 
   /**
    * Add reading to history for rule evaluation
+   * History is kept in device-time order so late readings are windowed correctly
    */
   _addToHistory(reading) {
-    this.sensorHistory.push(reading);
-
-    // Maintain circular buffer
-    if (this.sensorHistory.length > this.maxHistorySize) {
-      this.sensorHistory.shift();
-    }
-  }
-
-  /**
-   * Rule 1: Detect critical leak (sudden pressure drop >15% in <60 seconds)
-   */
-  _checkCriticalLeak(currentReading) {
-    const rule = CONFIG.CRITICAL_LEAK;
-    const windowMs = rule.time_window * 1000;
-    const now = currentReading.timestamp;
-    const windowStart = now - windowMs;
-
-    // Find readings within the window
-    const windowReadings = this.sensorHistory.filter(
-      r => r.timestamp >= windowStart && r.timestamp < now
-    );
-
-    if (windowReadings.length < 2) {
-      return { triggered: false, details: 'Insufficient historical data' };
+    let index = this.sensorHistory.length;
+    while (index > 0 && this.sensorHistory[index - 1].timestamp > reading.timestamp) {
+      index--;
     }
-
-    // Get the earliest reading in the window
-    const earliestReading = windowReadings[0];
-    const pressureDrop = earliestReading.pressure - currentReading.pressure;
-    const pressureDropPercent = Math.abs(pressureDrop / earliestReading.pressure);
-
-    const triggered = pressureDropPercent > rule.pressure_drop_threshold && pressureDrop > 0;
-
-    return {
-      triggered,
-      details: {
-        rule: rule.name,
-        description: rule.description,
-        windowSeconds: rule.time_window,
-        pressureBefore: earliestReading.pressure,
-        pressureNow: currentReading.pressure,
-        pressureDrop: Math.round(pressureDrop * 100) / 100,
-        pressureDropPercent: Math.round(pressureDropPercent * 10000) / 100 + '%',
-        threshold: rule.pressure_drop_threshold * 100 + '%',
-        baseProbability: rule.base_probability,
-        severity: rule.severity
-      }
-    };
-  }
-
-  /**
-   * Rule 2: Detect minor leak (gradual pressure drop 5-15% over 5 minutes)
-   */
-  _checkMinorLeak(currentReading) {
-    const rule = CONFIG.MINOR_LEAK;
-    const windowMs = rule.time_window * 1000;
-    const now = currentReading.timestamp;
-    const windowStart = now - windowMs;
-
-    // Find readings within the window
-    const windowReadings = this.sensorHistory.filter(
-      r => r.timestamp >= windowStart && r.timestamp < now
-    );
-
-    if (windowReadings.length < 2) {
-      return { triggered: false, details: 'Insufficient historical data' };
+    this.sensorHistory.splice(index, 0, reading);
+
+    // Keep the last few minutes, or everything inside the longest rule window
+    const newest = this.sensorHistory[this.sensorHistory.length - 1].timestamp;
+    while (
+      this.sensorHistory.length > MAX_HISTORY_SIZE ||
+      (this.sensorHistory.length > this.maxHistorySize && this.sensorHistory[0].timestamp < newest - this.windowMs)
+    ) {
+      this.sensorHistory.shift();
     }
-
-    // Get the oldest reading in the window
-    const oldestReading = windowReadings[0];
-    const pressureDrop = oldestReading.pressure - currentReading.pressure;
-    const pressureDropPercent = Math.abs(pressureDrop / oldestReading.pressure);
-
-    const triggered =
-      pressureDropPercent >= rule.pressure_drop_min &&
-      pressureDropPercent <= rule.pressure_drop_max &&
-      pressureDrop > 0;
-
-    return {
-      triggered,
-      details: {
-        rule: rule.name,
-        description: rule.description,
-        windowMinutes: rule.time_window / 60,
-        pressureBefore: oldestReading.pressure,
-        pressureNow: currentReading.pressure,
-        pressureDrop: Math.round(pressureDrop * 100) / 100,
-        pressureDropPercent: Math.round(pressureDropPercent * 10000) / 100 + '%',
-        thresholdRange: `${rule.pressure_drop_min * 100}% - ${rule.pressure_drop_max * 100}%`,
-        baseProbability: rule.base_probability,
-        severity: rule.severity
-      }
-    };
   }
 
   /**
-   * Rule 3: Detect flow-pressure mismatch (flow up >25% while pressure down)
+   * Evaluate one rule; with `for`, the condition must have held since at least that long ago
    */
-  _checkFlowPressureMismatch(currentReading) {
-    const rule = CONFIG.FLOW_PRESSURE_MISMATCH;
-
-    if (this.sensorHistory.length < 1) {
-      return { triggered: false, details: 'Insufficient historical data' };
-    }
-
-    const previousReading = this.sensorHistory[this.sensorHistory.length - 1];
-
-    const flowIncrease = currentReading.flow - previousReading.flow;
-    const flowIncreasePercent = Math.abs(flowIncrease / previousReading.flow);
-
-    const pressureDecrease = previousReading.pressure - currentReading.pressure;
-    const pressureDecreasePercent = pressureDecrease / previousReading.pressure;
-
-    const triggered =
-      flowIncreasePercent > rule.flow_increase_threshold &&
-      pressureDecreasePercent > rule.pressure_decrease_threshold;
+  _evaluateRule(rule, features) {
+    const { passed, comparisons } = evaluateCondition(rule.when, {
+      features,
+      history: this.sensorHistory,
+      baseline: this.baselineMetrics
+    });
 
-    return {
-      triggered,
-      details: {
-        rule: rule.name,
-        description: rule.description,
-        flowBefore: previousReading.flow,
-        flowNow: currentReading.flow,
-        flowIncrease: Math.round(flowIncrease * 100) / 100,
-        flowIncreasePercent: Math.round(flowIncreasePercent * 10000) / 100 + '%',
-        flowThreshold: rule.flow_increase_threshold * 100 + '%',
-        pressureBefore: previousReading.pressure,
-        pressureNow: currentReading.pressure,
-        pressureDecrease: Math.round(pressureDecrease * 100) / 100,
-        pressureDecreasePercent: Math.round(pressureDecreasePercent * 10000) / 100 + '%',
-        baseProbability: rule.base_probability,
-        severity: rule.severity
+    let triggered = passed;
+    let heldSeconds = null;
+    if (rule.for) {
+      if (passed) {
+        const since = this.ruleState.has(rule.id)
+          ? Math.min(this.ruleState.get(rule.id), features.timestamp)
+          : features.timestamp;
+        this.ruleState.set(rule.id, since);
+        heldSeconds = (features.timestamp - since) / 1000;
+        triggered = heldSeconds >= parseDuration(rule.for);
+      } else {
+        this.ruleState.delete(rule.id);
+        triggered = false;
       }
-    };
-  }
-
-  /**
-   * Rule 4: Detect ratio anomaly (P/F ratio deviates >30% from baseline)
-   */
-  _checkRatioAnomaly(currentReading) {
-    const rule = CONFIG.RATIO_ANOMALY;
-
-    if (!this.baselineMetrics) {
-      return { triggered: false, details: 'No baseline established' };
     }
 
-    if (currentReading.flow < 0.1) {
-      return { triggered: false, details: 'Flow too low for meaningful ratio' };
-    }
-
-    const currentRatio = currentReading.pressure / currentReading.flow;
-    const baselineRatio = this.baselineMetrics.ratio;
-    const ratioDifference = Math.abs(currentRatio - baselineRatio) / baselineRatio;
-
-    const triggered = ratioDifference > rule.ratio_deviation_threshold;
-
-    return {
-      triggered,
-      details: {
-        rule: rule.name,
-        description: rule.description,
-        baselineRatio: Math.round(baselineRatio * 10000) / 10000,
-        currentRatio: Math.round(currentRatio * 10000) / 10000,
-        deviation: Math.round(ratioDifference * 10000) / 100 + '%',
-        threshold: rule.ratio_deviation_threshold * 100 + '%',
-        baseProbability: rule.base_probability,
-        severity: rule.severity
-      }
-    };
-  }
-
-  /**
-   * Rule 5: Detect spike anomaly (pressure or flow spike)
-   */
-  _checkSpikeAnomaly(currentReading) {
-    const rule = CONFIG.SPIKE_ANOMALY;
-
-    const triggered =
-      currentReading.pressure_spike_detected ||
-      currentReading.flow_spike_detected;
-
     return {
       triggered,
       details: {
-        rule: rule.name,
-        description: rule.description,
-        pressureSpikeDetected: currentReading.pressure_spike_detected,
-        flowSpikeDetected: currentReading.flow_spike_detected,
-        baseProbability: rule.base_probability,
+        rule: rule.id,
+        description: rule.description || null,
+        conditionMet: passed,
+        heldSeconds,
+        holdSeconds: rule.for ? parseDuration(rule.for) : null,
+        conditions: comparisons,
+        baseProbability: rule.probability,
         severity: rule.severity
       }
     };
@@ -305,15 +162,14 @@ class RuleBasedLeakDetector {
     let ruleCount = 0;
     const triggeredRules = [];
 
-    Object.entries(ruleResults).forEach(([ruleKey, result]) => {
+    Object.values(ruleResults).forEach(result => {
       if (result.triggered) {
-        const rule = CONFIG[ruleKey];
-        totalProbability += rule.base_probability;
+        totalProbability += result.details.baseProbability;
         ruleCount++;
         triggeredRules.push({
-          rule: rule.name,
-          probability: rule.base_probability,
-          severity: rule.severity
+          rule: result.details.rule,
+          probability: result.details.baseProbability,
+          severity: result.details.severity
         });
       }
     });
@@ -341,33 +197,12 @@ class RuleBasedLeakDetector {
   }
 
   /**
-   * Determine severity level based on probability and rules
+   * Determine severity level: the most severe triggered rule
    */
-  _determineSeverity(ruleResults, probability) {
-    // Check for critical rules first
-    if (ruleResults.CRITICAL_LEAK.triggered) {
-      return SEVERITY_LEVELS.CRITICAL.level;
-    }
-
-    if (ruleResults.FLOW_PRESSURE_MISMATCH.triggered) {
-      return SEVERITY_LEVELS.HIGH.level;
-    }
-
-    if (ruleResults.RATIO_ANOMALY.triggered || ruleResults.MINOR_LEAK.triggered) {
-      return SEVERITY_LEVELS.MEDIUM.level;
-    }
-
-    if (ruleResults.SPIKE_ANOMALY.triggered) {
-      return SEVERITY_LEVELS.LOW.level;
-    }
-
-    // Fallback to probability-based severity
-    if (probability >= 70) return SEVERITY_LEVELS.CRITICAL.level;
-    if (probability >= 50) return SEVERITY_LEVELS.HIGH.level;
-    if (probability >= 30) return SEVERITY_LEVELS.MEDIUM.level;
-    if (probability > 0) return SEVERITY_LEVELS.LOW.level;
-
-    return SEVERITY_LEVELS.NORMAL.level;
+  _determineSeverity(ruleResults) {
+    return Object.values(ruleResults)
+      .filter(result => result.triggered)
+      .reduce((level, result) => Math.max(level, SEVERITY_LEVELS[result.details.severity].level), SEVERITY_LEVELS.NORMAL.level);
   }
 
   /**
@@ -382,22 +217,19 @@ class RuleBasedLeakDetector {
    */
   evaluate(features) {
     // Add to history
-    this._addToHistory(features);
+    this._addToHistory(compactReading(features));
 
     // Evaluate all rules
-    const ruleResults = {
-      CRITICAL_LEAK: this._checkCriticalLeak(features),
-      MINOR_LEAK: this._checkMinorLeak(features),
-      FLOW_PRESSURE_MISMATCH: this._checkFlowPressureMismatch(features),
-      RATIO_ANOMALY: this._checkRatioAnomaly(features),
-      SPIKE_ANOMALY: this._checkSpikeAnomaly(features)
-    };
+    const ruleResults = {};
+    this.rules.forEach(rule => {
+      ruleResults[rule.id] = this._evaluateRule(rule, features);
+    });
 
     // Calculate leak probability
     const probabilityInfo = this._calculateLeakProbability(ruleResults);
 
     // Determine severity
-    const severityLevel = this._determineSeverity(ruleResults, probabilityInfo.probability);
+    const severityLevel = this._determineSeverity(ruleResults);
     const severityLabel = this._getSeverityLabel(severityLevel);
 
     const result = {
@@ -414,13 +246,9 @@ class RuleBasedLeakDetector {
         flow: features.flow,
         leak_status: features.leak_status
       },
-      rule_details: {
-        critical_leak: ruleResults.CRITICAL_LEAK.details,
-        minor_leak: ruleResults.MINOR_LEAK.details,
-        flow_pressure_mismatch: ruleResults.FLOW_PRESSURE_MISMATCH.details,
-        ratio_anomaly: ruleResults.RATIO_ANOMALY.details,
-        spike_anomaly: ruleResults.SPIKE_ANOMALY.details
-      }
+      rule_details: Object.fromEntries(
+        Object.entries(ruleResults).map(([ruleId, ruleResult]) => [ruleId, ruleResult.details])
+      )
     };
 
     // Store result
@@ -463,49 +291,16 @@ class RuleBasedLeakDetector {
 
       console.log(`\n[DETAILED RULE ANALYSIS]`);
 
-      if (result.triggered_rules.some(r => r.rule === 'CRITICAL_LEAK')) {
-        const details = result.rule_details.critical_leak;
-        console.log(`  🔴 CRITICAL LEAK:`);
-        console.log(`     ${details.description}`);
-        console.log(`     Pressure before: ${details.pressureBefore} → now: ${details.pressureNow} PSI`);
-        console.log(`     Drop: ${details.pressureDrop} PSI (${details.pressureDropPercent})`);
-        console.log(`     Threshold: ${details.threshold} in ${details.windowSeconds}s`);
-      }
-
-      if (result.triggered_rules.some(r => r.rule === 'MINOR_LEAK')) {
-        const details = result.rule_details.minor_leak;
-        console.log(`  🟡 MINOR LEAK:`);
-        console.log(`     ${details.description}`);
-        console.log(`     Pressure before: ${details.pressureBefore} → now: ${details.pressureNow} PSI`);
-        console.log(`     Drop: ${details.pressureDrop} PSI (${details.pressureDropPercent})`);
-        console.log(`     Threshold range: ${details.thresholdRange} over ${details.windowMinutes} min`);
-      }
-
-      if (result.triggered_rules.some(r => r.rule === 'FLOW_PRESSURE_MISMATCH')) {
-        const details = result.rule_details.flow_pressure_mismatch;
-        console.log(`  🟠 FLOW-PRESSURE MISMATCH:`);
-        console.log(`     ${details.description}`);
-        console.log(`     Flow: ${details.flowBefore} → ${details.flowNow} L/min (${details.flowIncreasePercent})`);
-        console.log(`     Pressure: ${details.pressureBefore} → ${details.pressureNow} PSI (${details.pressureDecreasePercent})`);
-        console.log(`     Threshold: ${details.flowThreshold} flow increase while pressure drops`);
-      }
-
-      if (result.triggered_rules.some(r => r.rule === 'RATIO_ANOMALY')) {
-        const details = result.rule_details.ratio_anomaly;
-        console.log(`  🟢 RATIO ANOMALY:`);
-        console.log(`     ${details.description}`);
-        console.log(`     Baseline ratio: ${details.baselineRatio}`);
-        console.log(`     Current ratio: ${details.currentRatio}`);
-        console.log(`     Deviation: ${details.deviation} (threshold: ${details.threshold})`);
-      }
-
-      if (result.triggered_rules.some(r => r.rule === 'SPIKE_ANOMALY')) {
-        const details = result.rule_details.spike_anomaly;
-        console.log(`  🟡 SPIKE ANOMALY:`);
-        console.log(`     ${details.description}`);
-        if (details.pressureSpikeDetected) console.log(`     Pressure spike detected`);
-        if (details.flowSpikeDetected) console.log(`     Flow spike detected`);
-      }
+      result.triggered_rules.forEach(triggered => {
+        const details = result.rule_details[triggered.rule];
+        console.log(`  ${SEVERITY_LEVELS[details.severity].color} ${details.rule}:`);
+        if (details.description) console.log(`     ${details.description}`);
+        details.conditions.filter(c => c.passed).forEach(c => {
+          const subject = c.agg ? `${c.agg}(${c.feature}${c.window ? `, ${c.window}` : ''})` : c.feature;
+          console.log(`     ${subject} = ${c.value} ${c.op} ${JSON.stringify(c.expected)}`);
+        });
+        if (details.holdSeconds) console.log(`     Held for ${details.heldSeconds}s (needs ${details.holdSeconds}s)`);
+      });
     } else {
       console.log(`\n[STATUS]`);
       console.log(`  No leak detection rules triggered`);
@@ -536,7 +331,7 @@ class RuleBasedLeakDetector {
       criticalsDetected: results.filter(r => r.severity === 'CRITICAL').length,
       highsDetected: results.filter(r => r.severity === 'HIGH').length,
       mediumsDetected: results.filter(r => r.severity === 'MEDIUM').length,
-      lowsDetected: results.filter(r => r.severity === 'LOW').length
+      lowsDetected: results.filter(r => r.severity === 'MINOR').length
     };
   }
 
@@ -573,6 +368,7 @@ class RuleBasedLeakDetector {
   reset() {
     this.sensorHistory = [];
     this.detectionResults = [];
+    this.ruleState = new Map();
     console.log('[LEAK_DETECTOR] Detector reset');
   }
 
@@ -595,6 +391,6 @@ const leakDetector = new RuleBasedLeakDetector();
 module.exports = {
   RuleBasedLeakDetector,
   leakDetector,
-  CONFIG,
+  DEFAULT_RULES,
   SEVERITY_LEVELS
 };
@@ -7,6 +7,108 @@
 const fs = require('fs');
 const path = require('path');
 const { getCurrentTimestamp, generateId } = require('./helpers');
+const { evaluateDetector, metricsFromCounts } = require('./modelEvaluation');
+const { RobustZScoreDetector, SeasonalBaselineDetector, KnnDetector, toAttributions } = require('./anomalyDetectors');
+
+// Saved model file format (files without formatVersion are v1: metadata only, no trees)
+const MODEL_FORMAT_VERSION = 2;
+
+// Trees are stored in preorder as (featureIndex, splitValue) per node and
+// (LEAF_MARKER, size) per leaf, packed into a base64 Float64Array so split
+// values round-trip exactly
+const LEAF_MARKER = -1;
+
+/**
+ * Encode an isolation tree as a base64 string
+ */
+const encodeTree = (tree, features) => {
+  const values = [];
+  const visit = (node) => {
+    if (node.type === 'leaf') {
+      values.push(LEAF_MARKER, node.size);
+      return;
+    }
+    values.push(features.indexOf(node.feature), node.splitValue);
+    visit(node.left);
+    visit(node.right);
+  };
+  visit(tree);
+
+  return Buffer.from(new Float64Array(values).buffer).toString('base64');
+};
+
+/**
+ * Decode a tree written by encodeTree, validating it against the feature list
+ */
+const decodeTree = (encoded, features) => {
+  const bytes = Buffer.from(encoded, 'base64');
+  if (bytes.length === 0 || bytes.length % 16 !== 0) {
+    throw new Error('Invalid tree encoding');
+  }
+  const values = new Float64Array(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length));
+  let position = 0;
+
+  const read = (depth) => {
+    if (position >= values.length) {
+      throw new Error('Truncated tree encoding');
+    }
+    const marker = values[position];
+    const value = values[position + 1];
+    position += 2;
+
+    if (marker === LEAF_MARKER) {
+      if (!Number.isInteger(value) || value < 0) {
+        throw new Error(`Invalid leaf size: ${value}`);
+      }
+      return { type: 'leaf', size: value };
+    }
+    if (!Number.isInteger(marker) || marker < 0 || marker >= features.length) {
+      throw new Error(`Tree references unknown feature index ${marker}`);
+    }
+    if (!Number.isFinite(value)) {
+      throw new Error('Invalid split value');
+    }
+
+    const node = { type: 'node', feature: features[marker], splitValue: value, depth };
+    node.left = read(depth + 1);
+    node.right = read(depth + 1);
+    return node;
+  };
+
+  const tree = read(0);
+  if (position !== values.length) {
+    throw new Error('Trailing data after tree encoding');
+  }
+  return tree;
+};
+
+/**
+ * Check a serialized forest's feature schema and shape before anything is loaded
+ */
+const validateSerializedForest = (data) => {
+  const { features, featureMeans, featureStdDevs, numTrees, sampleSize, trees } = data;
+
+  if (!Array.isArray(features) || features.length === 0 || !features.every(f => typeof f === 'string')) {
+    throw new Error('features must be a non-empty array of feature names');
+  }
+  if (new Set(features).size !== features.length) {
+    throw new Error('features contains duplicate names');
+  }
+  features.forEach(feature => {
+    if (!featureMeans || !Number.isFinite(featureMeans[feature])) {
+      throw new Error(`Missing mean for feature ${feature}`);
+    }
+    if (!featureStdDevs || !Number.isFinite(featureStdDevs[feature])) {
+      throw new Error(`Missing standard deviation for feature ${feature}`);
+    }
+  });
+  if (!Number.isInteger(numTrees) || numTrees < 1 || !Number.isInteger(sampleSize) || sampleSize < 1) {
+    throw new Error('numTrees and sampleSize must be positive integers');
+  }
+  if (!Array.isArray(trees) || trees.length !== numTrees) {
+    throw new Error(`Expected ${numTrees} trees, found ${Array.isArray(trees) ? trees.length : 0}`);
+  }
+};
 
 /**
  * Simple Isolation Forest Implementation
@@ -28,6 +130,10 @@ class IsolationForest {
     console.log(`  Sample Size: ${sampleSize}`);
   }
 
+  get type() {
+    return 'isolation-forest';
+  }
+
   /**
    * Build an isolation tree recursively
    */
@@ -83,20 +189,17 @@ class IsolationForest {
   }
 
   /**
-   * Calculate path length for a data point in a tree
+   * Path of a data point through a tree: its length (with the leaf's average-path
+   * correction) and the feature of every split on the way
    */
-  _pathLength(sample, tree, currentLength = 0) {
-    if (tree.type === 'leaf') {
-      const c = this._averagePathLength(tree.size);
-      return currentLength + c;
-    }
-
-    const value = sample[tree.feature];
-    if (value < tree.splitValue) {
-      return this._pathLength(sample, tree.left, currentLength + 1);
-    } else {
-      return this._pathLength(sample, tree.right, currentLength + 1);
+  _isolationPath(sample, tree) {
+    const splits = [];
+    let node = tree;
+    while (node.type !== 'leaf') {
+      splits.push(node.feature);
+      node = sample[node.feature] < node.splitValue ? node.left : node.right;
     }
+    return { length: splits.length + this._averagePathLength(node.size), splits };
   }
 
   /**
@@ -134,8 +237,11 @@ class IsolationForest {
 
   /**
    * Train the Isolation Forest
+   * @param {Object} options - { onProgress(treesBuilt, totalTrees) } called after each tree
    */
-  train(data) {
+  train(data, options = {}) {
+    const { onProgress = null } = options;
+
     if (data.length === 0) {
       throw new Error('No training data provided');
     }
@@ -144,6 +250,10 @@ class IsolationForest {
     this.features = Object.keys(data[0]).filter(
       key => typeof data[0][key] === 'number'
     );
+    // Retraining replaces the forest rather than growing it
+    this.trees = [];
+    this.featureMeans = {};
+    this.featureStdDevs = {};
 
     console.log(`[ML_MODEL] Training Isolation Forest`);
     console.log(`  Total samples: ${data.length}`);
@@ -182,6 +292,7 @@ class IsolationForest {
 
       // Build tree
       this.trees.push(this._buildTree(sample));
+      if (onProgress) onProgress(i + 1, this.numTrees);
 
       if ((i + 1) % Math.max(1, Math.floor(this.numTrees / 10)) === 0) {
         console.log(`  Trees built: ${i + 1}/${this.numTrees}`);
@@ -214,10 +325,19 @@ class IsolationForest {
       }
     });
 
-    // Calculate average path length across all trees
+    // Calculate average path length across all trees. Path-depth attribution: every
+    // split on a path credits its feature with 1/length, so the features that isolate
+    // the sample in few splits carry the score.
     let totalPathLength = 0;
+    const weights = {};
     this.trees.forEach(tree => {
-      totalPathLength += this._pathLength(normalizedSample, tree);
+      const path = this._isolationPath(normalizedSample, tree);
+      totalPathLength += path.length;
+      if (path.length > 0) {
+        path.splits.forEach(feature => {
+          weights[feature] = (weights[feature] || 0) + 1 / path.length;
+        });
+      }
     });
 
     const avgPathLength = totalPathLength / this.numTrees;
@@ -229,7 +349,8 @@ class IsolationForest {
     return {
       anomalyScore: Math.min(1, Math.max(0, anomalyScore)),
       pathLength: avgPathLength,
-      isAnomaly: anomalyScore > 0.5 // Threshold at 0.5
+      isAnomaly: anomalyScore > 0.5, // Threshold at 0.5
+      attributions: toAttributions(weights)
     };
   }
 
@@ -240,6 +361,13 @@ class IsolationForest {
     return samples.map(sample => this.predict(sample));
   }
 
+  /**
+   * Hyperparameters the forest was built with
+   */
+  getParams() {
+    return { numTrees: this.numTrees, sampleSize: this.sampleSize, maxDepth: this.maxDepth };
+  }
+
   /**
    * Get model state
    */
@@ -254,19 +382,157 @@ class IsolationForest {
       treeCount: this.trees.length
     };
   }
+
+  /**
+   * Complete, JSON-safe snapshot of the trained forest (trees included)
+   */
+  serialize() {
+    if (!this.isTrained) {
+      throw new Error('Model not trained. Call train() first.');
+    }
+
+    return {
+      numTrees: this.numTrees,
+      sampleSize: this.sampleSize,
+      maxDepth: this.maxDepth,
+      features: [...this.features],
+      featureMeans: { ...this.featureMeans },
+      featureStdDevs: { ...this.featureStdDevs },
+      trees: this.trees.map(tree => encodeTree(tree, this.features))
+    };
+  }
+
+  /**
+   * Rebuild a trained forest from serialize() output; throws if the data is inconsistent
+   */
+  static deserialize(data) {
+    validateSerializedForest(data);
+
+    const forest = new IsolationForest(data.numTrees, data.sampleSize, data.maxDepth || null);
+    forest.features = [...data.features];
+    data.features.forEach(feature => {
+      forest.featureMeans[feature] = data.featureMeans[feature];
+      forest.featureStdDevs[feature] = data.featureStdDevs[feature];
+    });
+    forest.trees = data.trees.map((encoded, index) => {
+      try {
+        return decodeTree(encoded, forest.features);
+      } catch (error) {
+        throw new Error(`Tree ${index}: ${error.message}`);
+      }
+    });
+    forest.isTrained = true;
+    return forest;
+  }
 }
 
+/**
+ * Default forest size; ISO_NUM_TREES / ISO_SAMPLE_SIZE override it for easy tuning
+ */
+const defaultForestParams = () => {
+  const defaultNumTrees = 500; // increased capacity (ideal)
+  const defaultSampleSize = 1024; // increased sample size (ideal)
+  return {
+    numTrees: parseInt(process.env.ISO_NUM_TREES, 10) || defaultNumTrees,
+    sampleSize: parseInt(process.env.ISO_SAMPLE_SIZE, 10) || defaultSampleSize,
+    maxDepth: null
+  };
+};
+
+/**
+ * Isolation Forest hyperparameters from a request, falling back to the defaults above
+ */
+const resolveForestParams = (overrides = {}) => {
+  const defaults = defaultForestParams();
+  const resolved = {
+    numTrees: typeof overrides.numTrees === 'undefined' ? defaults.numTrees : overrides.numTrees,
+    sampleSize: typeof overrides.sampleSize === 'undefined' ? defaults.sampleSize : overrides.sampleSize,
+    maxDepth: typeof overrides.maxDepth === 'undefined' ? defaults.maxDepth : overrides.maxDepth
+  };
+
+  if (!Number.isInteger(resolved.numTrees) || resolved.numTrees < 1 || resolved.numTrees > 5000) {
+    throw new Error('numTrees must be an integer between 1 and 5000');
+  }
+  if (!Number.isInteger(resolved.sampleSize) || resolved.sampleSize < 2 || resolved.sampleSize > 100000) {
+    throw new Error('sampleSize must be an integer between 2 and 100000');
+  }
+  if (resolved.maxDepth !== null && (!Number.isInteger(resolved.maxDepth) || resolved.maxDepth < 1)) {
+    throw new Error('maxDepth must be a positive integer or null');
+  }
+  return resolved;
+};
+
+/**
+ * Detector algorithms by model type (the `modelType` of saved models and registry records).
+ * All share the IsolationForest interface: train, predict (anomalyScore 0-1), getParams,
+ * getModelState, serialize and deserialize.
+ */
+const DETECTORS = {
+  'isolation-forest': {
+    label: 'Isolation Forest',
+    resolveParams: resolveForestParams,
+    create: (params) => new IsolationForest(params.numTrees, params.sampleSize, params.maxDepth),
+    deserialize: (data) => IsolationForest.deserialize(data)
+  },
+  'robust-zscore': {
+    label: 'Robust z-score (median/MAD)',
+    resolveParams: (overrides) => RobustZScoreDetector.resolveParams(overrides),
+    create: (params) => new RobustZScoreDetector(params),
+    deserialize: (data) => RobustZScoreDetector.deserialize(data)
+  },
+  'seasonal-baseline': {
+    label: 'Seasonal baseline (hour of week)',
+    resolveParams: (overrides) => SeasonalBaselineDetector.resolveParams(overrides),
+    create: (params) => new SeasonalBaselineDetector(params),
+    deserialize: (data) => SeasonalBaselineDetector.deserialize(data)
+  },
+  'knn-lof': {
+    label: 'One-class k-NN / LOF',
+    resolveParams: (overrides) => KnnDetector.resolveParams(overrides),
+    create: (params) => new KnnDetector(params),
+    deserialize: (data) => KnnDetector.deserialize(data)
+  }
+};
+
+const DETECTOR_TYPES = Object.keys(DETECTORS);
+
+// Raw score at which the non-forest algorithms reach their own cutoff (see utils/anomalyDetectors);
+// the calibrated threshold in model_config.json is tuned on Isolation Forest scores
+const CUTOFF_THRESHOLD = 0.5;
+
+const detectorFor = (type) => {
+  const entry = DETECTORS[type];
+  if (!entry) {
+    throw new Error(`algorithm must be one of: ${DETECTOR_TYPES.join(', ')}`);
+  }
+  return entry;
+};
+
+/**
+ * Validated hyperparameters for an algorithm, with its defaults filled in
+ */
+const resolveDetectorParams = (type, overrides = {}) => detectorFor(type).resolveParams(overrides || {});
+
+/**
+ * Untrained model of the given algorithm
+ */
+const createDetectorModel = (type, overrides = {}) => {
+  const entry = detectorFor(type);
+  return entry.create(entry.resolveParams(overrides || {}));
+};
+
+/**
+ * Rebuild a trained model from its serialize() output; throws if the data is inconsistent
+ */
+const deserializeDetectorModel = (type, data) => detectorFor(type).deserialize(data);
+
 /**
  * ML-Based Anomaly Detector
  * Wrapper around Isolation Forest with performance metrics
  */
 class MLAnomalyDetector {
   constructor() {
-    // Allow overriding defaults with environment variables for easy tuning
-    const defaultNumTrees = 500; // increased capacity (ideal)
-    const defaultSampleSize = 1024; // increased sample size (ideal)
-    const numTrees = parseInt(process.env.ISO_NUM_TREES, 10) || defaultNumTrees;
-    const sampleSize = parseInt(process.env.ISO_SAMPLE_SIZE, 10) || defaultSampleSize;
+    const { numTrees, sampleSize } = defaultForestParams();
 
     this.model = new IsolationForest(numTrees, sampleSize);
     this.performanceMetrics = {
@@ -280,7 +546,7 @@ class MLAnomalyDetector {
     this.modelPath = path.join(__dirname, '../models');
     this.createdModelsDir();
 
-    // Load recommended threshold from config if available (written by calibration script)
+    // Load recommended threshold from config if available (written by the threshold calibration service)
     this.recommendedThreshold = 0.5; // default
     try {
       const cfgPath = path.join(this.modelPath, 'model_config.json');
@@ -439,8 +705,9 @@ class MLAnomalyDetector {
 
   /**
    * Train the model
+   * @param {Object} options - passed to IsolationForest.train (onProgress)
    */
-  train(trainingData) {
+  train(trainingData, options = {}) {
     console.log(`\n${'═'.repeat(80)}`);
     console.log('[ANOMALY_DETECTOR] Starting model training...');
     console.log(`${'═'.repeat(80)}\n`);
@@ -448,7 +715,7 @@ class MLAnomalyDetector {
     const startTime = Date.now();
 
     try {
-      this.model.train(trainingData);
+      this.model.train(trainingData, options);
       this.performanceMetrics.trainingData = trainingData;
 
       const trainingTime = Date.now() - startTime;
@@ -466,6 +733,31 @@ class MLAnomalyDetector {
     }
   }
 
+  /**
+   * Switch the anomaly threshold (raw 0-1 score) and persist it to model_config.json,
+   * so predictions use it immediately and after a restart
+   * @param {Object} details - extra config fields (e.g. calibrationId, objective)
+   * @returns {number} the previous threshold
+   */
+  setThreshold(threshold, details = {}) {
+    if (typeof threshold !== 'number' || !Number.isFinite(threshold) || threshold < 0 || threshold > 1) {
+      throw new Error('Threshold must be a number between 0 and 1');
+    }
+
+    const previous = this.recommendedThreshold;
+    this.recommendedThreshold = threshold;
+
+    try {
+      const cfg = { ...details, recommendedThreshold: threshold, generatedAt: getCurrentTimestamp() };
+      fs.writeFileSync(path.join(this.modelPath, 'model_config.json'), JSON.stringify(cfg, null, 2));
+    } catch (err) {
+      console.warn('[ANOMALY_DETECTOR] Could not write model_config.json:', err.message || err);
+    }
+
+    console.log(`[ANOMALY_DETECTOR] Threshold changed: ${previous} -> ${threshold}`);
+    return previous;
+  }
+
   /**
    * Make prediction on a single sample
    */
@@ -479,23 +771,32 @@ class MLAnomalyDetector {
     // Use calibrated threshold (recommendedThreshold) rather than hardcoded 0.5
     const isAnomaly = prediction.anomalyScore > this.recommendedThreshold;
 
-    return {
+    const result = {
       anomalyScore: Math.round(prediction.anomalyScore * 10000) / 100, // 0-100%
       isAnomaly,
-      pathLength: Math.round(prediction.pathLength * 100) / 100,
-      confidence: Math.round(Math.abs(prediction.anomalyScore - this.recommendedThreshold) * 2 * 10000) / 100 // Confidence % from 0 to 100
+      confidence: Math.round(Math.abs(prediction.anomalyScore - this.recommendedThreshold) * 2 * 10000) / 100, // Confidence % from 0 to 100
+      // Share of the score per feature (percent, largest first)
+      attributions: prediction.attributions || []
     };
+    // Only the forest reports a path length
+    if (typeof prediction.pathLength === 'number') {
+      result.pathLength = Math.round(prediction.pathLength * 100) / 100;
+    }
+    return result;
   }
 
   /**
    * Batch prediction with performance evaluation
+   * @param {Object} options - { onProgress(evaluated, total) } called after each sample
    */
-  predictBatch(samples, trueLabels = null) {
+  predictBatch(samples, trueLabels = null, options = {}) {
+    const { onProgress = null } = options;
     const predictions = [];
     let confusionMatrix = { tp: 0, fp: 0, tn: 0, fn: 0 };
 
     samples.forEach((sample, idx) => {
       const pred = this.predict(sample);
+      if (onProgress) onProgress(idx + 1, samples.length);
       predictions.push({
         index: idx,
         ...pred,
@@ -530,43 +831,25 @@ class MLAnomalyDetector {
     return { predictions, confusionMatrix };
   }
 
+  /**
+   * Evaluate on the labeled ('normal'/'anomaly') samples: metrics at the current threshold,
+   * ROC/PR curves with AUC and a per-source breakdown (null when nothing is labeled)
+   * @param {Object} options - { evaluatedOn (default 'training-data'), onProgress } (see utils/modelEvaluation)
+   */
+  evaluate(samples, options = {}) {
+    return evaluateDetector(this, samples, options);
+  }
+
   /**
    * Calculate performance metrics
    */
   calculateMetrics() {
-    const tp = this.performanceMetrics.truePositives || 0;
-    const fp = this.performanceMetrics.falsePositives || 0;
-    const tn = this.performanceMetrics.trueNegatives || 0;
-    const fn = this.performanceMetrics.falseNegatives || 0;
-
-    const denom = tp + fp + tn + fn;
-    const accuracy = denom > 0 ? (tp + tn) / denom : 0;
-
-    const precisionDenom = tp + fp;
-    const precision = precisionDenom > 0 ? tp / precisionDenom : 0;
-
-    const recallDenom = tp + fn;
-    const recall = recallDenom > 0 ? tp / recallDenom : 0;
-
-    const specificityDenom = tn + fp;
-    const specificity = specificityDenom > 0 ? tn / specificityDenom : 0;
-
-    const f1Denom = precision + recall;
-    const f1Score = f1Denom > 0 ? (2 * precision * recall) / f1Denom : 0;
-
-    return {
-      accuracy: Math.round(accuracy * 10000) / 100,
-      precision: Math.round(precision * 10000) / 100,
-      recall: Math.round(recall * 10000) / 100,
-      specificity: Math.round(specificity * 10000) / 100,
-      f1Score: Math.round(f1Score * 10000) / 100,
-      confusionMatrix: {
-        truePositives: tp,
-        falsePositives: fp,
-        trueNegatives: tn,
-        falseNegatives: fn
-      }
-    };
+    return metricsFromCounts({
+      tp: this.performanceMetrics.truePositives,
+      fp: this.performanceMetrics.falsePositives,
+      tn: this.performanceMetrics.trueNegatives,
+      fn: this.performanceMetrics.falseNegatives
+    });
   }
 
   /**
@@ -593,7 +876,7 @@ class MLAnomalyDetector {
   }
 
   /**
-   * Save model to disk
+   * Save model to disk (metadata plus the full model, see IsolationForest.serialize)
    */
   saveModel(filename = 'anomaly_model.json') {
     if (!this.model.isTrained) {
@@ -602,18 +885,17 @@ class MLAnomalyDetector {
     }
 
     const modelPath = path.join(this.modelPath, filename);
-    const modelData = {
-      timestamp: getCurrentTimestamp(),
-      isTrained: this.model.isTrained,
-      numTrees: this.model.numTrees,
-      sampleSize: this.model.sampleSize,
-      features: this.model.features,
-      featureMeans: this.model.featureMeans,
-      featureStdDevs: this.model.featureStdDevs,
-      metrics: this.calculateMetrics()
-    };
 
     try {
+      const modelData = {
+        formatVersion: MODEL_FORMAT_VERSION,
+        modelType: this.model.type,
+        timestamp: getCurrentTimestamp(),
+        isTrained: this.model.isTrained,
+        ...this.model.serialize(),
+        metrics: this.calculateMetrics()
+      };
+
       fs.writeFileSync(modelPath, JSON.stringify(modelData, null, 2));
       console.log(`[ANOMALY_DETECTOR] ✓ Model saved to: ${modelPath}`);
       console.log(`  File size: ${(fs.statSync(modelPath).size / 1024).toFixed(2)} KB`);
@@ -626,8 +908,10 @@ class MLAnomalyDetector {
 
   /**
    * Load model from disk
+   * The current model is only replaced once the file has been fully validated.
+   * @param {Object} options - { expectedFeatures } feature names the caller will score with
    */
-  loadModel(filename = 'anomaly_model.json') {
+  loadModel(filename = 'anomaly_model.json', options = {}) {
     const modelPath = path.join(this.modelPath, filename);
 
     if (!fs.existsSync(modelPath)) {
@@ -638,16 +922,35 @@ class MLAnomalyDetector {
     try {
       const modelData = JSON.parse(fs.readFileSync(modelPath, 'utf8'));
 
-      this.model.isTrained = modelData.isTrained;
-      this.model.numTrees = modelData.numTrees;
-      this.model.sampleSize = modelData.sampleSize;
-      this.model.features = modelData.features;
-      this.model.featureMeans = modelData.featureMeans;
-      this.model.featureStdDevs = modelData.featureStdDevs;
+      if (!modelData.formatVersion) {
+        throw new Error('Model file was saved without its trees (format v1); retrain and save it again');
+      }
+      if (modelData.formatVersion > MODEL_FORMAT_VERSION) {
+        throw new Error(`Unsupported model format version ${modelData.formatVersion}`);
+      }
+
+      // Files saved before other algorithms existed have no modelType
+      const model = deserializeDetectorModel(modelData.modelType || 'isolation-forest', modelData);
+
+      const { expectedFeatures } = options;
+      if (expectedFeatures) {
+        const missing = expectedFeatures.filter(f => !model.features.includes(f));
+        const extra = model.features.filter(f => !expectedFeatures.includes(f));
+        if (missing.length > 0 || extra.length > 0) {
+          throw new Error(
+            `Feature schema mismatch (missing: ${missing.join(', ') || 'none'}; unexpected: ${extra.join(', ') || 'none'})`
+          );
+        }
+      }
+
+      this.model = model;
 
       console.log(`[ANOMALY_DETECTOR] ✓ Model loaded from: ${modelPath}`);
-      console.log(`  Features: ${modelData.features.length}`);
-      console.log(`  Accuracy: ${modelData.metrics.accuracy}%`);
+      console.log(`  Type: ${model.type}`);
+      console.log(`  Features: ${model.features.length}`);
+      if (modelData.metrics) {
+        console.log(`  Accuracy: ${modelData.metrics.accuracy}%`);
+      }
 
       return true;
     } catch (error) {
@@ -665,6 +968,8 @@ class MLAnomalyDetector {
 
     return {
       isTrained: state.isTrained,
+      modelType: this.model.type,
+      params: this.model.getParams(),
       numTrees: state.numTrees,
       sampleSize: state.sampleSize,
       features: state.features,
@@ -694,7 +999,16 @@ class MLAnomalyDetector {
 const mlDetector = new MLAnomalyDetector();
 
 module.exports = {
+  MODEL_FORMAT_VERSION,
   IsolationForest,
   MLAnomalyDetector,
-  mlDetector
+  mlDetector,
+  defaultForestParams,
+  resolveForestParams,
+  DETECTOR_TYPES,
+  DETECTORS,
+  CUTOFF_THRESHOLD,
+  resolveDetectorParams,
+  createDetectorModel,
+  deserializeDetectorModel
 };
@@ -0,0 +1,350 @@
+/**
+ * Model Evaluation
+ * Stratified splits and k-fold cross-validation, confusion-matrix metrics,
+ * ROC / precision-recall curves with AUC, and per-source breakdowns (the
+ * prepared training data mixes NAB, maintenance, pump and water quality sets).
+ *
+ * Scores are anomaly scores in 0-1, the same unit as the detector threshold.
+ */
+
+// Curves are thinned to this many points before they are stored with a model
+const MAX_CURVE_POINTS = 101;
+
+const isLabeled = (sample) => sample.label === 'normal' || sample.label === 'anomaly';
+
+const round = (value, digits = 4) => (value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+
+const asPercent = (ratio) => Math.round(ratio * 10000) / 100;
+
+/**
+ * Fisher-Yates shuffle (copy)
+ */
+const shuffle = (items, random = Math.random) => {
+  const copy = [...items];
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+};
+
+/**
+ * Validate train/validation/test percentages; they must add up to 100
+ * @param {Object} split - { train, validate|validation, test }
+ * @returns {Object} { train, validation, test }
+ */
+const normalizeSplit = (split = {}) => {
+  const resolved = {
+    train: Number(typeof split.train === 'undefined' ? 70 : split.train),
+    validation: Number(typeof split.validation !== 'undefined' ? split.validation : (typeof split.validate === 'undefined' ? 20 : split.validate)),
+    test: Number(typeof split.test === 'undefined' ? 10 : split.test)
+  };
+
+  if (Object.values(resolved).some(value => !Number.isFinite(value) || value < 0)) {
+    throw new Error('Split percentages must be non-negative numbers');
+  }
+  if (resolved.train <= 0) {
+    throw new Error('Training split must be greater than 0%');
+  }
+  if (Math.abs(resolved.train + resolved.validation + resolved.test - 100) > 0.5) {
+    throw new Error('Split percentages must add up to 100');
+  }
+  return resolved;
+};
+
+/**
+ * Group samples by label ('anomaly', 'normal', unlabeled) in first-seen order
+ */
+const groupByLabel = (samples) => {
+  const groups = new Map();
+  samples.forEach(sample => {
+    const key = sample.label || null;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(sample);
+  });
+  return groups;
+};
+
+/**
+ * Stratified split: each label ('anomaly', 'normal', unlabeled) is shuffled and divided
+ * in the requested proportions, so held-out sets keep the dataset's class balance
+ * @param {Array} samples - samples with an optional `label`
+ * @param {Object} split - percentages { train, validate|validation, test }
+ * @param {Object} options - { random } (defaults to Math.random)
+ * @returns {Object} { train, validation, test }
+ */
+const splitDataset = (samples, split = {}, options = {}) => {
+  const { random = Math.random } = options;
+  const { train, validation } = normalizeSplit(split);
+
+  const groups = groupByLabel(samples);
+
+  // concat rather than push(...) so large datasets don't hit the argument-list limit
+  let sets = { train: [], validation: [], test: [] };
+  groups.forEach(group => {
+    const shuffled = shuffle(group, random);
+    const trainEnd = Math.round(shuffled.length * (train / 100));
+    const validationEnd = Math.min(shuffled.length, trainEnd + Math.round(shuffled.length * (validation / 100)));
+    sets = {
+      train: sets.train.concat(shuffled.slice(0, trainEnd)),
+      validation: sets.validation.concat(shuffled.slice(trainEnd, validationEnd)),
+      test: sets.test.concat(shuffled.slice(validationEnd))
+    };
+  });
+
+  return {
+    train: shuffle(sets.train, random),
+    validation: shuffle(sets.validation, random),
+    test: shuffle(sets.test, random)
+  };
+};
+
+/**
+ * Stratified k-fold assignment: each label is shuffled and dealt round-robin over the folds
+ * @returns {Array<Array>} k folds of samples
+ */
+const stratifiedFolds = (samples, k, options = {}) => {
+  const { random = Math.random } = options;
+  const folds = Array.from({ length: k }, () => []);
+  let next = 0;
+  groupByLabel(samples).forEach(group => {
+    shuffle(group, random).forEach(sample => {
+      folds[next % k].push(sample);
+      next++;
+    });
+  });
+  return folds;
+};
+
+/**
+ * Accuracy, precision, recall, specificity and F1 (percent) from confusion counts
+ */
+const metricsFromCounts = ({ tp = 0, fp = 0, tn = 0, fn = 0 }) => {
+  const total = tp + fp + tn + fn;
+  const precision = tp + fp > 0 ? tp / (tp + fp) : 0;
+  const recall = tp + fn > 0 ? tp / (tp + fn) : 0;
+  const f1 = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+
+  return {
+    accuracy: asPercent(total > 0 ? (tp + tn) / total : 0),
+    precision: asPercent(precision),
+    recall: asPercent(recall),
+    specificity: asPercent(tn + fp > 0 ? tn / (tn + fp) : 0),
+    f1Score: asPercent(f1),
+    confusionMatrix: {
+      truePositives: tp,
+      falsePositives: fp,
+      trueNegatives: tn,
+      falseNegatives: fn
+    }
+  };
+};
+
+/**
+ * Keep at most `max` points, evenly spaced, always including both ends
+ */
+const thinPoints = (points, max = MAX_CURVE_POINTS) => {
+  if (points.length <= max) return points;
+  const step = (points.length - 1) / (max - 1);
+  return Array.from({ length: max }, (_, i) => points[Math.round(i * step)]);
+};
+
+/**
+ * ROC and precision-recall curves over every distinct score threshold
+ * @param {Array} scored - [{ score, positive }]
+ * @returns {Object} { roc: { auc, points: [{ threshold, fpr, tpr }] }, pr: { auc, points: [{ threshold, recall, precision }] } }
+ *   auc is null when the set lacks either class
+ */
+const computeCurves = (scored) => {
+  const positives = scored.filter(s => s.positive).length;
+  const negatives = scored.length - positives;
+  if (positives === 0 || negatives === 0) {
+    return { roc: { auc: null, points: [] }, pr: { auc: null, points: [] } };
+  }
+
+  const sorted = [...scored].sort((a, b) => b.score - a.score);
+  const rocPoints = [{ threshold: 1, fpr: 0, tpr: 0 }];
+  const prPoints = [];
+  let tp = 0;
+  let fp = 0;
+  let rocAuc = 0;
+  let averagePrecision = 0;
+
+  for (let i = 0; i < sorted.length; i++) {
+    if (sorted[i].positive) tp++; else fp++;
+    // Emit a point once all samples sharing this score are counted
+    if (i < sorted.length - 1 && sorted[i + 1].score === sorted[i].score) continue;
+
+    const threshold = sorted[i].score;
+    const tpr = tp / positives;
+    const fpr = fp / negatives;
+    const previous = rocPoints[rocPoints.length - 1];
+    rocAuc += (fpr - previous.fpr) * (tpr + previous.tpr) / 2;
+    rocPoints.push({ threshold, fpr, tpr });
+
+    const precision = tp / (tp + fp);
+    const previousRecall = prPoints.length > 0 ? prPoints[prPoints.length - 1].recall : 0;
+    averagePrecision += (tpr - previousRecall) * precision;
+    prPoints.push({ threshold, recall: tpr, precision });
+  }
+
+  const roundPoint = (point) => Object.fromEntries(Object.entries(point).map(([key, value]) => [key, round(value)]));
+  return {
+    roc: { auc: round(rocAuc), points: thinPoints(rocPoints).map(roundPoint) },
+    pr: { auc: round(averagePrecision), points: thinPoints(prPoints).map(roundPoint) }
+  };
+};
+
+/**
+ * Metrics at the detector's operating point plus ROC/PR AUC for scored samples
+ * @param {Array} scored - [{ score, positive, predicted }]
+ */
+const summarizeScored = (scored, { curves = true } = {}) => {
+  const counts = { tp: 0, fp: 0, tn: 0, fn: 0 };
+  scored.forEach(({ positive, predicted }) => {
+    if (positive && predicted) counts.tp++;
+    else if (!positive && predicted) counts.fp++;
+    else if (!positive && !predicted) counts.tn++;
+    else counts.fn++;
+  });
+
+  const { roc, pr } = computeCurves(scored);
+  return {
+    ...metricsFromCounts(counts),
+    rocAuc: roc.auc,
+    prAuc: pr.auc,
+    labeledSamples: scored.length,
+    anomalies: scored.filter(s => s.positive).length,
+    ...(curves ? { roc: roc.points, pr: pr.points } : {})
+  };
+};
+
+/**
+ * Evaluate a trained detector on the labeled samples
+ * @param {MLAnomalyDetector} detector - anything with predict(sample) -> { anomalyScore (0-100), isAnomaly }
+ * @param {Array} samples - samples with label 'normal' | 'anomaly' (others are skipped)
+ * @param {Object} options - { evaluatedOn, groupBy ('source'), onProgress(evaluated, total) }
+ * @returns {Object|null} metrics, curves and bySource breakdown; null when nothing is labeled
+ */
+const evaluateDetector = (detector, samples, options = {}) => {
+  const { evaluatedOn = 'training-data', groupBy = 'source', onProgress = null } = options;
+  const labeled = samples.filter(isLabeled);
+  if (labeled.length === 0) return null;
+
+  const scored = labeled.map((sample, index) => {
+    const prediction = detector.predict(sample);
+    if (onProgress) onProgress(index + 1, labeled.length);
+    return {
+      score: prediction.anomalyScore / 100,
+      predicted: Boolean(prediction.isAnomaly),
+      positive: sample.label === 'anomaly',
+      group: sample[groupBy] || null
+    };
+  });
+
+  const bySource = {};
+  if (scored.some(s => s.group)) {
+    const groups = new Map();
+    scored.forEach(s => {
+      const key = s.group || 'unknown';
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(s);
+    });
+    groups.forEach((group, key) => {
+      bySource[key] = summarizeScored(group, { curves: false });
+    });
+  }
+
+  return { ...summarizeScored(scored), evaluatedOn, bySource };
+};
+
+const CV_METRICS = ['accuracy', 'precision', 'recall', 'f1Score', 'rocAuc', 'prAuc'];
+
+/**
+ * Stratified k-fold cross-validation: train a fresh detector on k-1 folds, evaluate on the rest
+ * @param {Array} samples - labeled training samples
+ * @param {Object} options - { folds (default 5), createDetector() -> untrained detector, random,
+ *   onProgress(foldsDone, folds) }
+ * @returns {Object} { folds, perFold: [...], mean, std } over CV_METRICS
+ */
+const crossValidate = (samples, options = {}) => {
+  const { folds: k = 5, createDetector, random = Math.random, onProgress = null } = options;
+  if (!Number.isInteger(k) || k < 2) {
+    throw new Error('Cross-validation needs at least 2 folds');
+  }
+  if (samples.length < k) {
+    throw new Error(`Cross-validation needs at least ${k} samples`);
+  }
+
+  const folds = stratifiedFolds(samples, k, { random });
+  const perFold = folds.map((heldOut, index) => {
+    const training = folds.filter((_, i) => i !== index).reduce((all, fold) => all.concat(fold), []);
+    const detector = createDetector();
+    const result = detector.train(training);
+    if (result && result.success === false) {
+      throw new Error(`Fold ${index + 1} training failed: ${result.error}`);
+    }
+
+    const evaluation = evaluateDetector(detector, heldOut, { evaluatedOn: `fold-${index + 1}` });
+    if (onProgress) onProgress(index + 1, k);
+
+    const foldMetrics = { fold: index + 1, samples: heldOut.length };
+    CV_METRICS.forEach(metric => {
+      foldMetrics[metric] = evaluation ? evaluation[metric] : null;
+    });
+    return foldMetrics;
+  });
+
+  const mean = {};
+  const std = {};
+  CV_METRICS.forEach(metric => {
+    const values = perFold.map(f => f[metric]).filter(v => typeof v === 'number');
+    if (values.length === 0) {
+      mean[metric] = null;
+      std[metric] = null;
+      return;
+    }
+    const average = values.reduce((sum, v) => sum + v, 0) / values.length;
+    mean[metric] = round(average);
+    std[metric] = round(Math.sqrt(values.reduce((sum, v) => sum + (v - average) ** 2, 0) / values.length));
+  });
+
+  return { folds: k, perFold, mean, std };
+};
+
+/**
+ * Compact metrics for the registry listing (no curves or per-source detail)
+ * @param {Object} evaluation - { ...evaluateDetector() result, validation, crossValidation, algorithmComparison }
+ */
+const summarizeEvaluation = (evaluation) => {
+  if (!evaluation) return null;
+
+  const compact = (result) => {
+    if (!result) return null;
+    const { roc, pr, bySource, validation, crossValidation, algorithmComparison, ...metrics } = result;
+    return metrics;
+  };
+
+  const summary = compact(evaluation);
+  if (evaluation.validation) summary.validation = compact(evaluation.validation);
+  if (evaluation.crossValidation) {
+    summary.crossValidation = {
+      folds: evaluation.crossValidation.folds,
+      mean: evaluation.crossValidation.mean,
+      std: evaluation.crossValidation.std
+    };
+  }
+  return summary;
+};
+
+module.exports = {
+  MAX_CURVE_POINTS,
+  normalizeSplit,
+  splitDataset,
+  stratifiedFolds,
+  metricsFromCounts,
+  computeCurves,
+  evaluateDetector,
+  crossValidate,
+  summarizeEvaluation
+};
@@ -0,0 +1,297 @@
+/**
+ * Model Registry
+ * Tracks every trained anomaly model (artifact, metrics, hyperparameters,
+ * training-data fingerprint and profile) and which one is live. Promoting a model loads its
+ * artifact into the shared detector, so the integrated engine switches over
+ * without a restart; rollback re-promotes the previous production model.
+ *
+ * Statuses: candidate (trained, not live) -> production (live, at most one) -> archived
+ *
+ * Sensors can pick another algorithm (sensors.detector): they are scored by the
+ * newest registered model of that type, or by the production model when it is one.
+ */
+
+const crypto = require('crypto');
+const { mlDetector, MLAnomalyDetector, CUTOFF_THRESHOLD } = require('./mlAnomalyDetector');
+const { integratedEngine } = require('./integratedEngine');
+const { generateId, getCurrentTimestamp } = require('./helpers');
+const { summarizeEvaluation } = require('./modelEvaluation');
+const { buildFeatureProfile } = require('./featureDrift');
+const { createMemoryRepositories } = require('../db/repositories/memoryRepositories');
+
+const METRIC_KEYS = ['accuracy', 'precision', 'recall', 'specificity', 'f1Score', 'rocAuc', 'prAuc'];
+
+/**
+ * Model without its full evaluation report (listings and comparisons carry only the metrics summary)
+ */
+const withoutEvaluation = (model) => {
+  if (!model) return model;
+  const { evaluation, ...rest } = model;
+  return rest;
+};
+
+/**
+ * SHA-256 over the training samples (feature values and label, in order)
+ */
+const fingerprintTrainingData = (samples, features) => {
+  const hash = crypto.createHash('sha256');
+  hash.update(JSON.stringify(features));
+  samples.forEach(sample => {
+    hash.update(JSON.stringify([...features.map(f => sample[f]), sample.label || null]));
+  });
+  return hash.digest('hex');
+};
+
+class ModelRegistry {
+  constructor({ detector = mlDetector, engine = integratedEngine } = {}) {
+    this.detector = detector;
+    this.engine = engine;
+    const repositories = createMemoryRepositories();
+    this.store = repositories.models;
+    this.sensors = repositories.sensors;
+  }
+
+  /**
+   * Model versions live in store.models; each sensor's detector choice is read
+   * from store.sensors
+   */
+  attachStore(store) {
+    this.store = store.models;
+    this.sensors = store.sensors;
+  }
+
+  /**
+   * Save a freshly trained detector's model as the next candidate version
+   * @param {MLAnomalyDetector} trained - detector holding the trained model (not the live one)
+   * @param {Object} options - { trainingData, source, notes, trainingTimeMs, evaluation }
+   *   evaluation: precomputed report (e.g. held-out results from a training worker); the
+   *   training data is evaluated here when omitted. `metrics` stores its summary.
+   */
+  async register(trained, options = {}) {
+    const { trainingData = [], source = null, notes = null, trainingTimeMs = null } = options;
+    const state = trained.model.getModelState();
+    const evaluation = typeof options.evaluation === 'undefined' ? trained.evaluate(trainingData) : options.evaluation;
+    const metrics = summarizeEvaluation(evaluation);
+
+    const version = (await this.store.latestVersion()) + 1;
+    const createdAt = getCurrentTimestamp();
+    const artifact = `model_v${version}_${createdAt}.json`;
+    if (!trained.saveModel(artifact)) {
+      throw new Error(`Failed to save model artifact ${artifact}`);
+    }
+
+    const model = {
+      id: generateId(),
+      version,
+      modelType: trained.model.type,
+      artifact,
+      status: 'candidate',
+      metrics: metrics ? { ...metrics, trainingTimeMs } : { trainingTimeMs },
+      evaluation,
+      // Reference distribution for drift monitoring (known anomalies are not part of normal behaviour)
+      trainingProfile: buildFeatureProfile(trainingData.filter(s => s.label !== 'anomaly'), state.features),
+      hyperparameters: trained.model.getParams(),
+      features: state.features,
+      dataFingerprint: fingerprintTrainingData(trainingData, state.features),
+      sampleCount: trainingData.length,
+      source,
+      notes,
+      createdAt
+    };
+    await this.store.insert(model);
+
+    console.log(`[MODEL_REGISTRY] Registered candidate v${version} (${model.modelType}, ${artifact})`);
+    await this._refreshSensorDetectors(model.modelType);
+    return this.store.findById(model.id);
+  }
+
+  async list(filters = {}) {
+    const [items, total] = await Promise.all([this.store.list(filters), this.store.count(filters)]);
+    return { items: items.map(withoutEvaluation), total };
+  }
+
+  async get(id) {
+    return this.store.findById(id);
+  }
+
+  async getProduction() {
+    const [model] = await this.store.list({ status: 'production', limit: 1 });
+    return model || null;
+  }
+
+  /**
+   * Side-by-side metrics; deltas are relative to the first model
+   * @returns {Object|null} null when any of the models does not exist
+   */
+  async compare(ids) {
+    const models = await Promise.all(ids.map(id => this.store.findById(id)));
+    if (models.some(model => !model)) return null;
+
+    const [baseline] = models;
+    const metricOf = (model, key) => (model.metrics && typeof model.metrics[key] === 'number' ? model.metrics[key] : null);
+
+    return {
+      baseline: baseline.id,
+      models: models.map(model => ({
+        ...withoutEvaluation(model),
+        sameTrainingData: model.dataFingerprint === baseline.dataFingerprint,
+        deltas: METRIC_KEYS.reduce((deltas, key) => {
+          const value = metricOf(model, key);
+          const base = metricOf(baseline, key);
+          // Percent metrics to 2 decimals, AUCs (0-1) to 4
+          const scale = key.endsWith('Auc') ? 10000 : 100;
+          deltas[key] = value !== null && base !== null ? Math.round((value - base) * scale) / scale : null;
+          return deltas;
+        }, {})
+      }))
+    };
+  }
+
+  /**
+   * Make a model live: load its artifact into the shared detector, archive the
+   * current production model and hand the new one to the engine
+   * @returns {Object|null} { model, previous }, or null when the model does not exist
+   */
+  async promote(id, { notes } = {}) {
+    const model = await this.store.findById(id);
+    if (!model) return null;
+    if (model.status === 'production') {
+      throw new Error(`Model v${model.version} is already in production`);
+    }
+
+    // Load first: a missing or invalid artifact leaves the live model untouched
+    if (!this.detector.loadModel(model.artifact, { expectedFeatures: model.features || undefined })) {
+      throw new Error(`Could not load artifact ${model.artifact} for model v${model.version}`);
+    }
+
+    const now = getCurrentTimestamp();
+    const current = await this.getProduction();
+    const previous = current
+      ? await this.store.update(current.id, { status: 'archived', archivedAt: now })
+      : null;
+    const promoted = await this.store.update(id, {
+      status: 'production',
+      promotedAt: now,
+      archivedAt: null,
+      ...(typeof notes === 'undefined' ? {} : { notes })
+    });
+
+    this.engine.activateModel(promoted);
+    console.log(`[MODEL_REGISTRY] Promoted v${promoted.version}${previous ? ` (archived v${previous.version})` : ''}`);
+    // Sensors on the old or new production algorithm switch between their own model and the live one
+    await this._refreshSensorDetectors(promoted.modelType);
+    if (previous && previous.modelType !== promoted.modelType) {
+      await this._refreshSensorDetectors(previous.modelType);
+    }
+    return { model: promoted, previous };
+  }
+
+  /**
+   * Re-promote the previous production model (or a specific, previously promoted one)
+   * @returns {Object|null} { model, previous }, or null when `to` does not exist
+   */
+  async rollback({ to = null, notes } = {}) {
+    const current = await this.getProduction();
+    let target;
+
+    if (to) {
+      target = await this.store.findById(to);
+      if (!target) return null;
+      if (target.promotedAt === null) {
+        throw new Error(`Model v${target.version} has never been in production; promote it instead`);
+      }
+    } else {
+      target = await this.store.lastPromoted({ excludeId: current ? current.id : null });
+      if (!target) {
+        throw new Error('No previously promoted model to roll back to');
+      }
+    }
+
+    console.log(`[MODEL_REGISTRY] Rolling back to v${target.version}`);
+    return this.promote(target.id, { notes });
+  }
+
+  /**
+   * Load the production model on startup (no-op when none is registered)
+   */
+  async loadProduction() {
+    const model = await this.getProduction();
+    if (!model) {
+      console.log('[MODEL_REGISTRY] No production model registered');
+      return null;
+    }
+
+    if (!this.detector.loadModel(model.artifact, { expectedFeatures: model.features || undefined })) {
+      console.error(`[MODEL_REGISTRY] Could not load production model v${model.version} (${model.artifact})`);
+      return null;
+    }
+
+    this.engine.activateModel(model);
+    console.log(`[MODEL_REGISTRY] Loaded production model v${model.version}`);
+    return model;
+  }
+
+  /**
+   * Score a sensor with a model of the given algorithm: the production model when it is
+   * one (the engine's default), otherwise the newest registered model of that type.
+   * A null type returns the sensor to the production model.
+   * @returns {Object|null} the registry model now scoring the sensor (null: production)
+   * @throws when no model of that type has been registered or its artifact cannot be loaded
+   */
+  async loadSensorDetector(sensorId, modelType) {
+    const production = await this.getProduction();
+    if (!modelType || (production && production.modelType === modelType)) {
+      this.engine.clearSensorModel(sensorId);
+      return modelType ? production : null;
+    }
+
+    const [model] = await this.store.list({ modelType, limit: 1 });
+    if (!model) {
+      throw new Error(`No ${modelType} model has been trained yet`);
+    }
+
+    const detector = new MLAnomalyDetector();
+    detector.modelPath = this.detector.modelPath;
+    // The calibrated threshold is tuned on forest scores; other algorithms alert at their cutoff
+    if (modelType !== 'isolation-forest') detector.recommendedThreshold = CUTOFF_THRESHOLD;
+    if (!detector.loadModel(model.artifact, { expectedFeatures: model.features || undefined })) {
+      throw new Error(`Could not load artifact ${model.artifact} for model v${model.version}`);
+    }
+
+    this.engine.assignSensorModel(sensorId, detector, model);
+    return model;
+  }
+
+  /**
+   * Load the chosen algorithm of every sensor that has one (startup); failures are logged
+   * and leave that sensor on the production model
+   * @param {Array} sensors - registry sensors ({ id, detector })
+   */
+  async syncSensorDetectors(sensors) {
+    for (const sensor of sensors.filter(s => s.detector)) {
+      try {
+        await this.loadSensorDetector(sensor.id, sensor.detector);
+      } catch (error) {
+        this.engine.clearSensorModel(sensor.id);
+        console.warn(`[MODEL_REGISTRY] ${sensor.id} stays on the production model: ${error.message}`);
+      }
+    }
+  }
+
+  async _refreshSensorDetectors(modelType) {
+    try {
+      const sensors = await this.sensors.list();
+      await this.syncSensorDetectors(sensors.filter(sensor => sensor.detector === modelType));
+    } catch (error) {
+      console.error('[MODEL_REGISTRY] Failed to refresh sensor detectors:', error.message || error);
+    }
+  }
+}
+
+const modelRegistry = new ModelRegistry();
+
+module.exports = {
+  ModelRegistry,
+  modelRegistry,
+  fingerprintTrainingData
+};
@@ -0,0 +1,409 @@
+/**
+ * Minimum Night Flow (MNF)
+ * Legitimate demand is lowest at night, so the night-time flow floor is mostly
+ * leakage. Each night's MNF is the lowest 15-minute average flow inside the night
+ * window (default 02:00-04:00 server time), read through the sensor aggregation
+ * (rollups included, so pruned raw history still counts).
+ *
+ * A night is elevated when its MNF exceeds the median of the previous baseline
+ * nights by both the percent and the absolute margin. Elevated nights do not enter
+ * the baseline, so a leak cannot raise its own reference. Enough elevated nights
+ * in a row mark a probable background leak, which raises a system alert
+ * ('background_leak') once per episode.
+ *
+ * Series are per sensor, or per zone (sensors sharing a location): a zone's flow
+ * is the sum of its sensors' flows, over buckets where all of them reported.
+ * MNF_CHECK_INTERVAL_HOURS (default 6, 0 disables) runs the check in the background.
+ */
+
+const { integratedEngine } = require('./integratedEngine');
+const { getCurrentTimestamp } = require('./helpers');
+const { envNumber, CheckSchedule, EpisodeAlerts } = require('./backgroundMonitor');
+const { createMemoryRepositories } = require('../db/repositories/memoryRepositories');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+const BUCKET_MS = 15 * MINUTE_MS;
+
+// A night counts once at least this share of its 15-minute buckets has readings
+const MIN_NIGHT_COVERAGE = 0.5;
+
+const MAX_DAYS = 365;
+
+// Required on first use, so a monitor given its own `aggregate` never opens the database
+const aggregateSensorData = (options) => require('./sensorAggregation').aggregateSensorData(options);
+
+const round = (value, digits = 2) => {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Calendar date (server time) of a timestamp, as YYYY-MM-DD
+ */
+const dateKey = (timestamp) => {
+  const date = new Date(timestamp);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+const atHour = (timestamp, hour) => {
+  const date = new Date(timestamp);
+  date.setHours(hour, 0, 0, 0);
+  return date.getTime();
+};
+
+/**
+ * Minimum night flow per night from bucketed flow
+ * @param {Array} points - [{ timestamp, flow }] bucket averages, any order
+ * @param {Object} options - { startHour, endHour, endTime, bucketMs }; nights whose window ends after endTime are skipped
+ * @returns {Array} [{ date, windowStart, mnf, mnfAt, buckets }], oldest first
+ */
+const computeNightlyMinimums = (points, { startHour, endHour, endTime = Infinity, bucketMs = BUCKET_MS }) => {
+  const expected = ((endHour - startHour) * HOUR_MS) / bucketMs;
+  const nights = new Map();
+
+  points
+    .filter(point => typeof point.flow === 'number' && Number.isFinite(point.flow))
+    .forEach(point => {
+      const hour = new Date(point.timestamp).getHours();
+      if (hour < startHour || hour >= endHour) return;
+
+      const date = dateKey(point.timestamp);
+      if (!nights.has(date)) {
+        nights.set(date, { date, windowStart: atHour(point.timestamp, startHour), windowEnd: atHour(point.timestamp, endHour), points: [] });
+      }
+      nights.get(date).points.push(point);
+    });
+
+  return [...nights.values()]
+    .filter(night => night.windowEnd <= endTime && night.points.length >= expected * MIN_NIGHT_COVERAGE)
+    .sort((a, b) => a.windowStart - b.windowStart)
+    .map(night => {
+      const lowest = night.points.reduce((min, point) => (point.flow < min.flow ? point : min));
+      return {
+        date: night.date,
+        windowStart: night.windowStart,
+        mnf: round(lowest.flow, 3),
+        mnfAt: lowest.timestamp,
+        buckets: night.points.length
+      };
+    });
+};
+
+/**
+ * Compare every night with the rolling baseline of the nights before it
+ * @param {Array} nights - output of computeNightlyMinimums
+ * @param {Object} config - { baselineNights, minBaselineNights, increasePercent, minIncrease, sustainedNights }
+ * @returns {Object} { status, nights (with baseline, increase, increasePercent, elevated), baseline, elevatedNights, elevatedSince, trendPerDay }
+ *   status: 'normal' | 'elevated' | 'probable-leak' | 'insufficient-data'
+ */
+const analyzeNights = (nights, config) => {
+  const accepted = [];
+  let elevatedNights = 0;
+  let elevatedSince = null;
+
+  const analyzed = nights.map(night => {
+    const reference = accepted.slice(-config.baselineNights);
+    const baseline = reference.length >= config.minBaselineNights ? median(reference) : null;
+    let increase = null;
+    let increasePercent = null;
+    let elevated = false;
+
+    if (baseline !== null) {
+      increase = night.mnf - baseline;
+      increasePercent = baseline > 0 ? (increase / baseline) * 100 : null;
+      elevated = increase >= config.minIncrease && (increasePercent === null || increasePercent >= config.increasePercent);
+    }
+
+    if (elevated) {
+      elevatedNights++;
+      if (elevatedSince === null) elevatedSince = night.windowStart;
+    } else {
+      accepted.push(night.mnf);
+      elevatedNights = 0;
+      elevatedSince = null;
+    }
+
+    return {
+      ...night,
+      baseline: baseline === null ? null : round(baseline, 3),
+      increase: increase === null ? null : round(increase, 3),
+      increasePercent: increasePercent === null ? null : round(increasePercent, 1),
+      elevated
+    };
+  });
+
+  const latest = analyzed.length > 0 ? analyzed[analyzed.length - 1] : null;
+  let status = 'normal';
+  if (!latest || latest.baseline === null) {
+    status = 'insufficient-data';
+  } else if (elevatedNights >= config.sustainedNights) {
+    status = 'probable-leak';
+  } else if (elevatedNights > 0) {
+    status = 'elevated';
+  }
+
+  return {
+    status,
+    nights: analyzed,
+    baseline: latest ? latest.baseline : null,
+    elevatedNights,
+    elevatedSince,
+    trendPerDay: trendPerDay(analyzed)
+  };
+};
+
+/**
+ * Least-squares slope of MNF, in flow units per day (null under two nights)
+ */
+const trendPerDay = (nights) => {
+  if (nights.length < 2) return null;
+  const xs = nights.map(night => (night.windowStart - nights[0].windowStart) / DAY_MS);
+  const ys = nights.map(night => night.mnf);
+  const meanX = xs.reduce((sum, x) => sum + x, 0) / xs.length;
+  const meanY = ys.reduce((sum, y) => sum + y, 0) / ys.length;
+  const sxx = xs.reduce((sum, x) => sum + (x - meanX) * (x - meanX), 0);
+  const sxy = xs.reduce((sum, x, i) => sum + (x - meanX) * (ys[i] - meanY), 0);
+  return sxx > 0 ? round(sxy / sxx, 4) : null;
+};
+
+/**
+ * Sum the per-sensor bucket flows of a zone, keeping buckets every sensor reported
+ */
+const combineZone = (seriesList) => {
+  const buckets = new Map();
+  seriesList.forEach(series => {
+    series.points.forEach(point => {
+      if (typeof point.flow !== 'number') return;
+      const bucket = buckets.get(point.timestamp) || { flow: 0, sensors: 0 };
+      bucket.flow += point.flow;
+      bucket.sensors++;
+      buckets.set(point.timestamp, bucket);
+    });
+  });
+
+  return [...buckets.entries()]
+    .filter(([, bucket]) => bucket.sensors === seriesList.length)
+    .map(([timestamp, bucket]) => ({ timestamp, flow: bucket.flow }));
+};
+
+class NightFlowMonitor {
+  constructor({ engine = integratedEngine, aggregate = aggregateSensorData, config = {} } = {}) {
+    this.aggregate = aggregate;
+    this.sensors = createMemoryRepositories().sensors;
+    this.config = {
+      startHour: envNumber('MNF_WINDOW_START_HOUR', 2),
+      endHour: envNumber('MNF_WINDOW_END_HOUR', 4),
+      baselineNights: envNumber('MNF_BASELINE_NIGHTS', 14),
+      minBaselineNights: envNumber('MNF_MIN_BASELINE_NIGHTS', 5),
+      increasePercent: envNumber('MNF_INCREASE_PERCENT', 20),
+      minIncrease: envNumber('MNF_MIN_INCREASE', 0.5),
+      sustainedNights: envNumber('MNF_SUSTAINED_NIGHTS', 3),
+      historyDays: envNumber('MNF_HISTORY_DAYS', 30),
+      intervalMs: envNumber('MNF_CHECK_INTERVAL_HOURS', 6) * HOUR_MS, // 0 = no background checks
+      ...config
+    };
+    // Scope ('sensor:<id>' or 'zone:<location>') -> { alertId, since } while a probable leak persists
+    this.alerts = new EpisodeAlerts(engine, 'NIGHT_FLOW');
+    this.schedule = new CheckSchedule({
+      tag: 'NIGHT_FLOW',
+      name: 'night flow',
+      envName: 'MNF_CHECK_INTERVAL_HOURS',
+      unitMs: HOUR_MS,
+      unit: 'h',
+      check: () => this.check()
+    });
+    this.lastCheck = null;
+  }
+
+  /**
+   * Sensor registry to read zones from (sensors sharing a location form a zone)
+   */
+  attachStore(store) {
+    this.sensors = store.sensors;
+  }
+
+  /**
+   * Dashboard clients get background_leak alerts as alert:new through this service
+   */
+  attachBroadcaster(wsService) {
+    this.alerts.attachBroadcaster(wsService);
+  }
+
+  start() {
+    this.schedule.start(this.config.intervalMs);
+  }
+
+  stop() {
+    this.schedule.stop();
+  }
+
+  /**
+   * MNF trend per sensor (all sensors, or one) or for one zone
+   * @param {Object} options - { sensorId, zone, days, endTime }
+   * @returns {Object} { window, config, startTime, endTime, series: [{ scope, id, sensorIds, status, nights, ... }] }
+   */
+  async analyze({ sensorId = null, zone = null, days = this.config.historyDays, endTime = getCurrentTimestamp() } = {}) {
+    const { startHour, endHour, baselineNights } = this.config;
+    if (!(startHour >= 0 && endHour <= 24 && startHour < endHour)) {
+      throw new Error(`Night window ${startHour}:00-${endHour}:00 must lie within one day`);
+    }
+
+    let scopeSensorIds = sensorId ? [sensorId] : [];
+    if (zone) {
+      scopeSensorIds = (await this.sensors.list({ location: zone })).map(sensor => sensor.id);
+      if (scopeSensorIds.length === 0) {
+        throw new Error(`No sensors in zone ${zone}`);
+      }
+    }
+
+    // Reach back far enough that the first reported night already has a baseline
+    const startTime = atHour(endTime - (days + baselineNights) * DAY_MS, 0);
+    const reportFrom = endTime - days * DAY_MS;
+    const data = await this.aggregate({
+      bucket: '15m',
+      bucketMs: BUCKET_MS,
+      fields: ['flow'],
+      aggregations: ['avg'],
+      startTime,
+      endTime,
+      sensorIds: scopeSensorIds,
+      groupBySensor: true
+    });
+    const seriesList = data.series.map(series => ({
+      sensorId: series.sensorId,
+      points: series.points.map(point => ({ timestamp: point.timestamp, flow: point.flow.avg }))
+    }));
+
+    const describe = (scope, id, sensorIds, points) => {
+      const result = analyzeNights(computeNightlyMinimums(points, { startHour, endHour, endTime, bucketMs: BUCKET_MS }), this.config);
+      return {
+        scope,
+        id,
+        sensorIds,
+        ...result,
+        latest: result.nights.length > 0 ? result.nights[result.nights.length - 1] : null,
+        nights: result.nights.filter(night => night.windowStart >= reportFrom)
+      };
+    };
+
+    const series = zone
+      ? (seriesList.length > 0 ? [describe('zone', zone, seriesList.map(s => s.sensorId), combineZone(seriesList))] : [])
+      : seriesList.map(s => describe('sensor', s.sensorId, [s.sensorId], s.points));
+
+    return {
+      window: { startHour, endHour, bucketMinutes: BUCKET_MS / MINUTE_MS },
+      config: {
+        baselineNights,
+        minBaselineNights: this.config.minBaselineNights,
+        increasePercent: this.config.increasePercent,
+        minIncrease: this.config.minIncrease,
+        sustainedNights: this.config.sustainedNights
+      },
+      startTime: reportFrom,
+      endTime,
+      series
+    };
+  }
+
+  /**
+   * Analyze every sensor and every zone of two or more sensors, and raise or clear background leak alerts
+   * @returns {Object} { checkedAt, series: [{ scope, id, status, baseline, latestMnf, elevatedNights, alertId }] }
+   */
+  async check({ endTime = getCurrentTimestamp() } = {}) {
+    const results = (await this.analyze({ endTime })).series;
+
+    const zones = new Map();
+    (await this.sensors.list()).forEach(sensor => {
+      if (!sensor.location) return;
+      zones.set(sensor.location, (zones.get(sensor.location) || 0) + 1);
+    });
+    for (const [zone, count] of zones) {
+      if (count < 2) continue;
+      results.push(...(await this.analyze({ zone, endTime })).series);
+    }
+
+    const summary = results.map(series => ({
+      scope: series.scope,
+      id: series.id,
+      status: series.status,
+      baseline: series.baseline,
+      latestMnf: series.latest ? series.latest.mnf : null,
+      elevatedNights: series.elevatedNights,
+      alertId: this._updateAlert(series)
+    }));
+
+    this.lastCheck = { checkedAt: getCurrentTimestamp(), series: summary };
+    return this.lastCheck;
+  }
+
+  /**
+   * Raise a system alert when a probable leak starts; forget it once MNF is back to normal
+   * @returns {string|null} ID of the alert covering this series
+   */
+  _updateAlert(series) {
+    const key = `${series.scope}:${series.id}`;
+    if (series.status !== 'probable-leak') {
+      if (series.status === 'normal') this.alerts.clear(key);
+      const open = this.alerts.get(key);
+      return open ? open.alertId : null;
+    }
+
+    const active = this.alerts.get(key);
+    if (active) return active.alertId;
+
+    const { latest } = series;
+    const name = series.scope === 'zone' ? `zone ${series.id}` : `sensor ${series.id}`;
+    const alert = this.alerts.raise(key, {
+      type: 'background_leak',
+      severity: latest.increasePercent !== null && latest.increasePercent < this.config.increasePercent * 2 ? 'MEDIUM' : 'HIGH',
+      message: `Minimum night flow on ${name} has been above its baseline for ${series.elevatedNights} nights ` +
+        `(${latest.mnf} vs ${latest.baseline}${latest.increasePercent !== null ? `, +${latest.increasePercent}%` : ''}): probable background leak`,
+      details: {
+        scope: series.scope,
+        id: series.id,
+        sensorIds: series.sensorIds,
+        baseline: series.baseline,
+        elevatedSince: series.elevatedSince,
+        nights: series.nights.filter(night => night.elevated).slice(-series.elevatedNights)
+      },
+      recommendedActions: [
+        'Run a step test or an acoustic survey in the area',
+        'Rule out new night-time consumers, open bypass valves and meter faults'
+      ]
+    }, { since: series.elevatedSince });
+    return alert.id;
+  }
+
+  /**
+   * Settings, background schedule, open probable leaks and the newest check
+   */
+  status() {
+    return {
+      config: { ...this.config, bucketMinutes: BUCKET_MS / MINUTE_MS },
+      scheduled: this.schedule.scheduled,
+      activeLeaks: this.alerts.list(),
+      lastCheck: this.lastCheck
+    };
+  }
+}
+
+const nightFlowMonitor = new NightFlowMonitor();
+
+module.exports = {
+  NightFlowMonitor,
+  nightFlowMonitor,
+  computeNightlyMinimums,
+  analyzeNights,
+  MAX_DAYS
+};
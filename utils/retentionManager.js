@@ -0,0 +1,286 @@
+/**
+ * Retention & Rollup Manager
+ * Background job that rolls raw sensor_data up into 1-minute and hourly
+ * aggregate tables and prunes rows past their retention period
+ * (through the `rollups` and `sensorData` repositories).
+ *
+ * State (persisted in rollup_state):
+ * - watermark: raw data before this time is reflected in the rollups
+ * - dirtyFrom: earliest late-arriving reading inserted behind the watermark
+ * - prunedBefore: raw data before this time has been deleted
+ */
+
+const { repositories } = require('../db/repositories');
+const { getCurrentTimestamp } = require('./helpers');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+const ROLLUPS = [
+  { table: 'sensor_data_rollup_1m', granularityMs: MINUTE_MS, retentionKey: 'rollup1mRetentionDays' },
+  { table: 'sensor_data_rollup_1h', granularityMs: HOUR_MS, retentionKey: 'rollup1hRetentionDays' }
+];
+
+const parseDays = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return isNaN(parsed) || parsed < 0 ? fallback : parsed;
+};
+
+const floorTo = (timestamp, granularityMs) => Math.floor(timestamp / granularityMs) * granularityMs;
+
+class RetentionManager {
+  constructor(config = {}) {
+    this.config = {
+      enabled: process.env.RETENTION_ENABLED !== 'false',
+      rawRetentionDays: parseDays(process.env.RAW_RETENTION_DAYS, 30),
+      rollup1mRetentionDays: parseDays(process.env.ROLLUP_1M_RETENTION_DAYS, 365),
+      rollup1hRetentionDays: parseDays(process.env.ROLLUP_1H_RETENTION_DAYS, 0), // 0 = keep forever
+      intervalMs: parseInt(process.env.RETENTION_INTERVAL_MS, 10) || 15 * MINUTE_MS,
+      graceMs: parseInt(process.env.ROLLUP_GRACE_MS, 10) || 2 * MINUTE_MS,
+      ...config
+    };
+
+    this.state = { watermark: null, dirtyFrom: null, prunedBefore: null };
+    this.stateLoaded = false;
+    this.timer = null;
+    this.running = false;
+    this.lastRun = null;
+  }
+
+  /**
+   * Load persisted state and schedule the job (when enabled)
+   */
+  async start() {
+    try {
+      await this.loadState();
+    } catch (error) {
+      // Tables may still be initializing; runOnce() loads state lazily
+      console.warn('[RETENTION] Could not load rollup state yet:', error.message || error);
+    }
+
+    if (!this.config.enabled) {
+      console.log('[RETENTION] Background rollup/retention job disabled');
+      return;
+    }
+
+    this._schedule();
+    console.log(
+      `[RETENTION] Job scheduled every ${Math.round(this.config.intervalMs / 1000)}s ` +
+      `(raw ${this.config.rawRetentionDays || '∞'}d, 1m ${this.config.rollup1mRetentionDays || '∞'}d, ` +
+      `1h ${this.config.rollup1hRetentionDays || '∞'}d)`
+    );
+
+    // First pass shortly after startup so existing data is rolled up
+    const initial = setTimeout(() => this.runOnce().catch(() => {}), 5000);
+    if (initial.unref) initial.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  _schedule() {
+    this.stop();
+    this.timer = setInterval(() => {
+      this.runOnce().catch(() => {});
+    }, this.config.intervalMs);
+    if (this.timer.unref) this.timer.unref();
+  }
+
+  /**
+   * Update retention settings at runtime (days; 0 keeps data forever)
+   */
+  configure(options = {}) {
+    const numeric = ['rawRetentionDays', 'rollup1mRetentionDays', 'rollup1hRetentionDays', 'intervalMs', 'graceMs'];
+
+    numeric.forEach(key => {
+      if (typeof options[key] === 'undefined') return;
+      if (typeof options[key] !== 'number' || isNaN(options[key]) || options[key] < 0) {
+        throw new Error(`${key} must be a non-negative number`);
+      }
+    });
+    if (typeof options.rawRetentionDays === 'number' && options.rawRetentionDays > 0 && options.rawRetentionDays < 1 / 24) {
+      throw new Error('rawRetentionDays must be at least one hour (or 0 to keep raw data forever)');
+    }
+    if (typeof options.intervalMs === 'number' && options.intervalMs < 1000) {
+      throw new Error('intervalMs must be at least 1000');
+    }
+
+    numeric.forEach(key => {
+      if (typeof options[key] !== 'undefined') this.config[key] = options[key];
+    });
+    if (typeof options.enabled === 'boolean') {
+      this.config.enabled = options.enabled;
+    }
+
+    if (this.config.enabled) {
+      this._schedule();
+    } else {
+      this.stop();
+    }
+
+    console.log('[RETENTION] Configuration updated', this.config);
+    return { ...this.config };
+  }
+
+  async loadState() {
+    const [watermark, dirtyFrom, prunedBefore] = await Promise.all(
+      ['watermark', 'dirtyFrom', 'prunedBefore'].map(name => repositories.rollups.getState(name))
+    );
+
+    this.state = { watermark, dirtyFrom, prunedBefore };
+    this.stateLoaded = true;
+    return this.state;
+  }
+
+  async _saveState(name, value) {
+    this.state[name] = value;
+    await repositories.rollups.setState(name, value);
+  }
+
+  /**
+   * Time up to which raw data is reflected in the rollups (null = no rollups yet)
+   */
+  async getWatermark() {
+    if (!this.stateLoaded) {
+      try {
+        await this.loadState();
+      } catch (error) {
+        return null;
+      }
+    }
+    return this.state.watermark;
+  }
+
+  /**
+   * Record that readings were inserted at `timestamp`; readings behind the
+   * watermark make the next run re-roll the affected buckets.
+   */
+  noteInsert(timestamp) {
+    const { watermark, dirtyFrom } = this.state;
+    if (watermark === null || timestamp >= watermark) {
+      return;
+    }
+    if (dirtyFrom !== null && dirtyFrom <= timestamp) {
+      return;
+    }
+
+    this._saveState('dirtyFrom', timestamp).catch(err => {
+      console.error('[RETENTION] Failed to record late data:', err.message || err);
+    });
+  }
+
+  /**
+   * One rollup + prune pass
+   */
+  async runOnce() {
+    if (this.running) {
+      return null;
+    }
+    this.running = true;
+    const startedAt = getCurrentTimestamp();
+    const summary = { startedAt, rolledUpFrom: null, rolledUpTo: null, lateRowsMerged: 0, rawPruned: 0, rollupsPruned: {} };
+
+    try {
+      if (!this.stateLoaded) {
+        await this.loadState();
+      }
+      const now = getCurrentTimestamp();
+      const safeEnd = floorTo(now - this.config.graceMs, MINUTE_MS);
+
+      // 1. Recompute buckets from the watermark (or the earliest late reading) up to safeEnd
+      let from = this.state.watermark;
+      if (from === null) {
+        const [earliest] = await repositories.sensorData.find({ order: 'asc', limit: 1 });
+        from = earliest ? earliest.timestamp : safeEnd;
+      }
+      const dirtyFrom = this.state.dirtyFrom;
+      if (dirtyFrom !== null) {
+        from = Math.min(from, dirtyFrom);
+      }
+      from = floorTo(from, HOUR_MS);
+      if (this.state.prunedBefore !== null) {
+        from = Math.max(from, this.state.prunedBefore);
+      }
+
+      for (let chunkStart = from; chunkStart < safeEnd; chunkStart += DAY_MS) {
+        const chunkEnd = Math.min(chunkStart + DAY_MS, safeEnd);
+        for (const rollup of ROLLUPS) {
+          await repositories.rollups.rebuild(rollup, chunkStart, chunkEnd, now);
+        }
+      }
+      summary.rolledUpFrom = from < safeEnd ? from : null;
+      summary.rolledUpTo = safeEnd;
+
+      await this._saveState('watermark', Math.max(safeEnd, this.state.watermark || 0));
+      if (this.state.dirtyFrom === dirtyFrom) {
+        // Only clear if no newer late data arrived while this pass was running
+        await this._saveState('dirtyFrom', null);
+      }
+
+      // 2. Late rows behind the prune boundary: their buckets lost their raw rows, so merge and drop them
+      if (this.state.prunedBefore !== null) {
+        summary.lateRowsMerged = await repositories.rollups.mergeBefore(ROLLUPS, this.state.prunedBefore, now);
+      }
+
+      // 3. Prune raw rows past retention (never beyond what has been rolled up)
+      if (this.config.rawRetentionDays > 0) {
+        const cutoff = Math.min(
+          floorTo(now - this.config.rawRetentionDays * DAY_MS, HOUR_MS),
+          floorTo(this.state.watermark, HOUR_MS)
+        );
+        summary.rawPruned = await repositories.sensorData.removeBefore(cutoff);
+        await this._saveState('prunedBefore', Math.max(cutoff, this.state.prunedBefore || 0));
+      }
+
+      // 4. Prune rollups past their retention
+      for (const rollup of ROLLUPS) {
+        const days = this.config[rollup.retentionKey];
+        if (days > 0) {
+          summary.rollupsPruned[rollup.table] = await repositories.rollups.removeBefore(rollup, now - days * DAY_MS);
+        }
+      }
+
+      summary.durationMs = getCurrentTimestamp() - startedAt;
+      summary.success = true;
+      this.lastRun = summary;
+
+      if (summary.rawPruned > 0 || summary.lateRowsMerged > 0) {
+        console.log(
+          `[RETENTION] Rolled up to ${new Date(safeEnd).toISOString()}, ` +
+          `pruned ${summary.rawPruned} raw rows, merged ${summary.lateRowsMerged} late rows`
+        );
+      }
+      return summary;
+    } catch (error) {
+      console.error('[RETENTION] Run failed:', error.message || error);
+      this.lastRun = { ...summary, success: false, error: error.message };
+      throw error;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  getStatus() {
+    return {
+      config: { ...this.config },
+      state: { ...this.state },
+      scheduled: this.timer !== null,
+      running: this.running,
+      lastRun: this.lastRun
+    };
+  }
+}
+
+// Export singleton instance
+const retentionManager = new RetentionManager();
+
+module.exports = {
+  RetentionManager,
+  retentionManager,
+  ROLLUPS
+};
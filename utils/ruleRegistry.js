@@ -0,0 +1,211 @@
+/**
+ * Rule Registry
+ * The detection rules the engine evaluates, kept in detection_rules (see
+ * utils/detectionRules for the rule format). The built-in rules are seeded into
+ * an empty store on first load; every change reaches the live pipelines at once.
+ */
+
+const { integratedEngine } = require('./integratedEngine');
+const { DEFAULT_RULES, parseDuration } = require('./detectionRules');
+const { RuleBasedLeakDetector } = require('./leakDetector');
+const { DataPreprocessor } = require('./dataPreprocessor');
+const { getCurrentTimestamp, parseTimestamp } = require('./helpers');
+const { createMemoryRepositories } = require('../db/repositories/memoryRepositories');
+
+const MAX_TEST_MATCHES = 100;
+
+const RULE_FIELDS = ['id', 'description', 'severity', 'probability', 'when', 'sensorIds', 'enabled'];
+
+/**
+ * Known fields of a (validated) rule definition; `for` becomes seconds
+ */
+const normalizeRule = (definition) => {
+  const rule = {};
+  RULE_FIELDS
+    .filter(field => typeof definition[field] !== 'undefined')
+    .forEach(field => {
+      rule[field] = definition[field];
+    });
+  if (typeof definition.for !== 'undefined') {
+    rule.for = definition.for === null ? null : Math.round(parseDuration(definition.for));
+  }
+  return rule;
+};
+
+class RuleRegistry {
+  constructor({ engine = integratedEngine } = {}) {
+    this.engine = engine;
+    this.store = createMemoryRepositories().detectionRules;
+    this.loaded = false;
+  }
+
+  /**
+   * Read and write rule definitions through store.detectionRules (reloaded on next use)
+   */
+  attachStore(store) {
+    this.store = store.detectionRules;
+    this.loaded = false;
+  }
+
+  /**
+   * Hand the stored rules to the engine, seeding the built-in rules into an empty store
+   */
+  async load() {
+    let rules = await this.store.list();
+    if (rules.length === 0) {
+      const now = getCurrentTimestamp();
+      for (const rule of DEFAULT_RULES) {
+        await this.store.insert({ ...rule, builtIn: true, createdAt: now, updatedAt: now });
+      }
+      rules = await this.store.list();
+      console.log(`[RULE_REGISTRY] Seeded ${rules.length} built-in rules`);
+    }
+
+    this.loaded = true;
+    this.engine.setDetectionRules(rules.filter(rule => rule.enabled));
+    return rules;
+  }
+
+  async _ensureLoaded() {
+    if (!this.loaded) await this.load();
+  }
+
+  async _sync() {
+    const rules = await this.store.list();
+    this.engine.setDetectionRules(rules.filter(rule => rule.enabled));
+  }
+
+  /**
+   * All rules, enabled or not, in evaluation order
+   */
+  async list() {
+    await this._ensureLoaded();
+    return this.store.list();
+  }
+
+  async get(id) {
+    await this._ensureLoaded();
+    return this.store.findById(id);
+  }
+
+  /**
+   * Add a rule (validated by the caller, ID not taken)
+   */
+  async create(definition) {
+    await this._ensureLoaded();
+    const now = getCurrentTimestamp();
+    const rule = { ...normalizeRule(definition), builtIn: false, createdAt: now, updatedAt: now };
+    await this.store.insert(rule);
+    await this._sync();
+    console.log(`[RULE_REGISTRY] Rule ${rule.id} created`);
+    return this.store.findById(rule.id);
+  }
+
+  /**
+   * Change a rule (validated partial definition)
+   * @returns {Object|null} the updated rule, null when it does not exist
+   */
+  async update(id, changes) {
+    await this._ensureLoaded();
+    const rule = normalizeRule(changes);
+    delete rule.id;
+    const updated = await this.store.update(id, { ...rule, updatedAt: getCurrentTimestamp() });
+    if (updated) {
+      await this._sync();
+      console.log(`[RULE_REGISTRY] Rule ${id} updated`);
+    }
+    return updated;
+  }
+
+  async setEnabled(id, enabled) {
+    return this.update(id, { enabled });
+  }
+
+  /**
+   * @returns {Object|null} the removed rule, null when it does not exist
+   */
+  async remove(id) {
+    await this._ensureLoaded();
+    const rule = await this.store.findById(id);
+    if (!rule) return null;
+    await this.store.remove(id);
+    await this._sync();
+    console.log(`[RULE_REGISTRY] Rule ${id} removed`);
+    return rule;
+  }
+
+  /**
+   * Dry-run a rule over readings without touching the live pipelines: each sensor
+   * gets a scratch preprocessor and detector holding only this rule, with the
+   * live baseline (or the given one). sensorIds and enabled are ignored.
+   * @param {Object} definition - validated rule definition
+   * @param {Array} readings - sensor_data rows, any order
+   * @returns {Object} { rule, evaluated, skipped, conditionMet, triggered, firstTriggeredAt, matches, last }
+   */
+  test(definition, readings, { baseline = null } = {}) {
+    const rule = { ...normalizeRule(definition), sensorIds: null, enabled: true };
+    const scratch = new Map();
+    const summary = {
+      rule: rule.id,
+      evaluated: 0,
+      skipped: 0,
+      conditionMet: 0,
+      triggered: 0,
+      firstTriggeredAt: null,
+      matches: [],
+      last: null
+    };
+
+    readings
+      .map(reading => ({ ...reading, timestamp: parseTimestamp(reading.timestamp) || getCurrentTimestamp() }))
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .forEach(reading => {
+        const sensorId = reading.sensor_id || 'default';
+        if (!scratch.has(sensorId)) {
+          const live = this.engine.pipelines.get(sensorId);
+          const reference = baseline || (live ? live.detector.baselineMetrics : null) || this.engine.defaultBaseline;
+          const detector = new RuleBasedLeakDetector({ rules: [rule], sensorId });
+          if (reference) detector.setBaseline(reference.pressure, reference.flow);
+          scratch.set(sensorId, { preprocessor: new DataPreprocessor(), detector });
+        }
+
+        const { preprocessor, detector } = scratch.get(sensorId);
+        const features = preprocessor.processReading(reading);
+        if (!features) {
+          summary.skipped++;
+          return;
+        }
+
+        const result = detector.evaluate(features);
+        const details = result.rule_details[rule.id];
+        const triggered = result.triggered_count > 0;
+        const entry = {
+          sensorId,
+          timestamp: features.timestamp,
+          triggered,
+          conditionMet: details.conditionMet,
+          heldSeconds: details.heldSeconds,
+          conditions: details.conditions
+        };
+
+        summary.evaluated++;
+        if (details.conditionMet) summary.conditionMet++;
+        if (triggered) {
+          summary.triggered++;
+          if (summary.firstTriggeredAt === null) summary.firstTriggeredAt = features.timestamp;
+          if (summary.matches.length < MAX_TEST_MATCHES) summary.matches.push(entry);
+        }
+        summary.last = entry;
+      });
+
+    return summary;
+  }
+}
+
+const ruleRegistry = new RuleRegistry();
+
+module.exports = {
+  RuleRegistry,
+  ruleRegistry,
+  normalizeRule
+};
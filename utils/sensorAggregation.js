@@ -0,0 +1,191 @@
+/**
+ * Time-bucketed aggregation of sensor_data
+ * Buckets are computed by the `rollups` repository (in SQL for the SQL backends)
+ * so long ranges are downsampled by the database, not in Node.
+ * Ranges already rolled up are read from the rollup tables; only data past the
+ * rollup watermark is read from raw sensor_data, so pruned history still aggregates.
+ */
+
+const { repositories } = require('../db/repositories');
+const { retentionManager, ROLLUPS } = require('./retentionManager');
+
+const BUCKET_SIZES = {
+  '1m': 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000
+};
+
+const AGGREGATE_FIELDS = ['pressure', 'flow', 'temperature', 'conductivity'];
+const AGGREGATIONS = ['min', 'avg', 'max'];
+
+// Upper bound on points per series so a 1m bucket over a year is rejected, not computed
+const MAX_BUCKETS = parseInt(process.env.MAX_AGGREGATE_BUCKETS, 10) || 10000;
+// Default window when startTime is omitted: this many buckets back from endTime
+const DEFAULT_BUCKET_COUNT = 168;
+
+const parseList = (value, fallback) => {
+  if (!value) return fallback;
+  return String(value).split(',').map(s => s.trim()).filter(Boolean);
+};
+
+/**
+ * Validate and normalize aggregation query options
+ */
+const validateAggregationOptions = (query = {}, now = Date.now()) => {
+  const errors = [];
+  const bucket = query.bucket || '1h';
+  const fields = parseList(query.fields, ['pressure', 'flow']);
+  const aggregations = parseList(query.aggregations, AGGREGATIONS);
+
+  if (!BUCKET_SIZES[bucket]) {
+    errors.push(`Bucket must be one of: ${Object.keys(BUCKET_SIZES).join(', ')}`);
+  }
+
+  const unknownFields = fields.filter(f => !AGGREGATE_FIELDS.includes(f));
+  if (fields.length === 0 || unknownFields.length > 0) {
+    errors.push(`Fields must be a comma-separated list of: ${AGGREGATE_FIELDS.join(', ')}`);
+  }
+
+  const unknownAggregations = aggregations.filter(a => !AGGREGATIONS.includes(a));
+  if (aggregations.length === 0 || unknownAggregations.length > 0) {
+    errors.push(`Aggregations must be a comma-separated list of: ${AGGREGATIONS.join(', ')}`);
+  }
+
+  if (query.groupBy && query.groupBy !== 'sensor') {
+    errors.push('Invalid groupBy parameter. Supported: sensor');
+  }
+
+  const bucketMs = BUCKET_SIZES[bucket] || BUCKET_SIZES['1h'];
+  const endTime = query.endTime ? parseInt(query.endTime, 10) : now;
+  const startTime = query.startTime ? parseInt(query.startTime, 10) : endTime - bucketMs * DEFAULT_BUCKET_COUNT;
+
+  if (isNaN(startTime) || isNaN(endTime)) {
+    errors.push('startTime and endTime must be epoch milliseconds');
+  } else if (startTime > endTime) {
+    errors.push('startTime must be before endTime');
+  } else if ((endTime - startTime) / bucketMs > MAX_BUCKETS) {
+    errors.push(`Range too large for bucket ${bucket} (max ${MAX_BUCKETS} buckets); use a larger bucket`);
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    options: {
+      bucket,
+      bucketMs,
+      fields,
+      aggregations,
+      startTime,
+      endTime,
+      sensorIds: parseList(query.sensorId, []),
+      groupBySensor: query.groupBy === 'sensor'
+    }
+  };
+};
+
+/**
+ * Pick the coarsest rollup table that still divides the requested bucket
+ */
+const rollupFor = (bucketMs) => {
+  const candidates = ROLLUPS.filter(r => bucketMs % r.granularityMs === 0);
+  return candidates.length > 0 ? candidates[candidates.length - 1] : null;
+};
+
+/**
+ * Which part of a range comes from a rollup table (before the watermark) and which from raw rows
+ * (from the watermark on), as query options for repositories.rollups.aggregate
+ */
+const planAggregateSource = async ({ startTime, endTime, sensorIds, bucketMs }) => {
+  const rollup = rollupFor(bucketMs);
+  const watermark = rollup ? await retentionManager.getWatermark() : null;
+  const useRollup = watermark !== null && watermark > startTime;
+  const rawStart = watermark !== null ? Math.max(startTime, watermark) : startTime;
+  const useRaw = rawStart <= endTime;
+
+  const rollupPart = useRollup
+    ? { rollup, rollupStart: Math.floor(startTime / rollup.granularityMs) * rollup.granularityMs, rollupEnd: Math.min(watermark, endTime + 1) }
+    : { rollup: null };
+
+  return {
+    query: { ...rollupPart, rawStart: useRaw ? rawStart : null, endTime, sensorIds },
+    source: useRollup && useRaw ? 'rollup+raw' : (useRollup ? 'rollup' : 'raw')
+  };
+};
+
+/**
+ * Overall statistics over a range (used by /api/sensor-data/stats)
+ * Returns rows shaped like the legacy stats query (total_readings, avg_pressure, ...).
+ */
+const summarizeSensorData = async ({ startTime, endTime, sensorIds = [], groupBySensor = false }) => {
+  const { query } = await planAggregateSource({ startTime, endTime, sensorIds, bucketMs: BUCKET_SIZES['1m'] });
+  const rows = await repositories.rollups.aggregate({ ...query, fields: ['pressure', 'flow'], groupBySensor });
+
+  return rows.map(row => ({
+    ...(groupBySensor ? { sensor_id: row.sensor_id } : {}),
+    total_readings: row.reading_count,
+    avg_pressure: row.pressure_avg,
+    max_pressure: row.pressure_max,
+    min_pressure: row.pressure_min,
+    avg_flow: row.flow_avg,
+    max_flow: row.flow_max,
+    min_flow: row.flow_min,
+    leak_count: row.leak_count
+  }));
+};
+
+const round = (value) => (value === null || typeof value === 'undefined' ? null : Math.round(value * 100) / 100);
+
+/**
+ * Run the bucketed query and shape rows into one series per sensor (or one combined series)
+ */
+const aggregateSensorData = async (options) => {
+  const { bucketMs, fields, aggregations, startTime, endTime, sensorIds, groupBySensor } = options;
+
+  const source = await planAggregateSource({ startTime, endTime, sensorIds, bucketMs });
+  const rows = await repositories.rollups.aggregate({ ...source.query, fields, bucketMs, groupBySensor });
+
+  const series = new Map();
+  rows.forEach(row => {
+    const key = groupBySensor ? row.sensor_id || null : null;
+    if (!series.has(key)) {
+      series.set(key, { sensorId: key, points: [] });
+    }
+
+    const point = {
+      timestamp: row.bucket,
+      count: row.reading_count,
+      leakCount: row.leak_count || 0
+    };
+    fields.forEach(field => {
+      point[field] = {};
+      aggregations.forEach(agg => {
+        point[field][agg] = round(row[`${field}_${agg}`]);
+      });
+    });
+
+    series.get(key).points.push(point);
+  });
+
+  return {
+    bucket: options.bucket,
+    bucketMs,
+    startTime,
+    endTime,
+    fields,
+    aggregations,
+    sensorIds,
+    groupBy: groupBySensor ? 'sensor' : null,
+    source: source.source,
+    series: [...series.values()]
+  };
+};
+
+module.exports = {
+  BUCKET_SIZES,
+  AGGREGATE_FIELDS,
+  AGGREGATIONS,
+  validateAggregationOptions,
+  aggregateSensorData,
+  summarizeSensorData
+};
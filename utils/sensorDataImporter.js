@@ -0,0 +1,393 @@
+/**
+ * Historical Sensor Data Importer
+ * Streams CSV or NDJSON exports (e.g. SCADA history) into sensor_data.
+ * Columns are mapped onto reading fields, rows are validated with
+ * validateSensorData and de-duplicated on (sensor_id, timestamp).
+ */
+
+const readline = require('readline');
+const csv = require('csv-parser');
+const { repositories } = require('../db/repositories');
+const {
+  generateId,
+  getCurrentTimestamp,
+  parseTimestamp,
+  validateSensorData,
+  applyCalibration,
+  detectLeak
+} = require('./helpers');
+const { retentionManager } = require('./retentionManager');
+
+const IMPORT_FORMATS = ['csv', 'ndjson'];
+
+// Reading field -> source column; identity by default, overridden by the caller's mapping
+const DEFAULT_MAPPING = {
+  sensor_id: 'sensor_id',
+  timestamp: 'timestamp',
+  pressure: 'pressure',
+  flow: 'flow',
+  valve_state: 'valve_state',
+  temperature: 'temperature',
+  conductivity: 'conductivity',
+  location: 'location',
+  leak_status: 'leak_status'
+};
+
+const DEFAULT_BATCH_SIZE = 500;
+const MAX_BATCH_SIZE = 5000;
+const MAX_REPORTED_ERRORS = 100;
+
+/**
+ * Parse an optional numeric cell ('' and missing become null)
+ */
+const parseOptionalNumber = (value) => {
+  if (typeof value === 'undefined' || value === null || value === '') {
+    return null;
+  }
+  const parsed = typeof value === 'number' ? value : parseFloat(value);
+  return isNaN(parsed) ? null : parsed;
+};
+
+/**
+ * Parse a boolean-ish cell (1/0, true/false, yes/no)
+ */
+const parseBoolean = (value) => {
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'number') return value !== 0;
+  return ['1', 'true', 'yes', 'y'].includes(String(value).trim().toLowerCase());
+};
+
+class SensorDataImporter {
+  /**
+   * @param {Object} options
+   * @param {string} options.format - 'csv' or 'ndjson'
+   * @param {Object} options.mapping - reading field -> source column name
+   * @param {string} options.defaultSensorId - used when a row has no sensor column/value
+   * @param {string} options.timestampUnit - 'ms' (default) or 's' for numeric epoch timestamps
+   * @param {string} options.delimiter - CSV separator (default ',')
+   * @param {boolean} options.autoRegister - register unknown sensors instead of rejecting their rows
+   * @param {boolean} options.calibrate - apply registry calibration offsets (default true)
+   * @param {boolean} options.dryRun - validate and count without writing
+   * @param {number} options.batchSize - rows per transaction
+   */
+  constructor(options = {}) {
+    const format = (options.format || 'csv').toLowerCase();
+    if (!IMPORT_FORMATS.includes(format)) {
+      throw new Error(`Unsupported import format: ${options.format} (expected ${IMPORT_FORMATS.join(' or ')})`);
+    }
+
+    const mapping = options.mapping || {};
+    const unknownFields = Object.keys(mapping).filter(field => !(field in DEFAULT_MAPPING));
+    if (unknownFields.length > 0) {
+      throw new Error(`Unknown mapping fields: ${unknownFields.join(', ')}`);
+    }
+
+    this.format = format;
+    this.mapping = { ...DEFAULT_MAPPING, ...mapping };
+    this.defaultSensorId = options.defaultSensorId || null;
+    this.timestampUnit = options.timestampUnit === 's' ? 's' : 'ms';
+    this.delimiter = options.delimiter || ',';
+    this.autoRegister = Boolean(options.autoRegister);
+    this.calibrate = options.calibrate !== false;
+    this.dryRun = Boolean(options.dryRun);
+    this.batchSize = Math.min(MAX_BATCH_SIZE, Math.max(1, parseInt(options.batchSize, 10) || DEFAULT_BATCH_SIZE));
+
+    this.sensorCache = new Map();
+    this.previousFlow = new Map();
+    this.seenKeys = new Set(); // only used in dry runs, where earlier batches are not in the table
+    this.report = this._createReport();
+  }
+
+  _createReport() {
+    return {
+      format: this.format,
+      dryRun: this.dryRun,
+      totalRows: 0,
+      imported: 0,
+      duplicates: 0,
+      rejected: 0,
+      sensors: {},
+      registeredSensors: [],
+      timeRange: null,
+      errors: [],
+      errorsTruncated: false,
+      startedAt: getCurrentTimestamp(),
+      durationMs: 0
+    };
+  }
+
+  /**
+   * Import every record from a readable stream and resolve with the import report
+   */
+  async importStream(input) {
+    let batch = [];
+
+    for await (const record of this._records(input)) {
+      this.report.totalRows++;
+      batch.push(record);
+
+      if (batch.length >= this.batchSize) {
+        await this._flushBatch(batch);
+        batch = [];
+      }
+    }
+
+    if (batch.length > 0) {
+      await this._flushBatch(batch);
+    }
+
+    this.report.errors.sort((a, b) => a.row - b.row);
+    this.report.durationMs = getCurrentTimestamp() - this.report.startedAt;
+    console.log(
+      `[IMPORT] ${this.dryRun ? 'Dry run' : 'Import'} complete: ${this.report.imported} imported, ` +
+      `${this.report.duplicates} duplicates, ${this.report.rejected} rejected (${this.report.totalRows} rows)`
+    );
+
+    return this.report;
+  }
+
+  /**
+   * Yield { row, data, parseError } records from the input stream
+   */
+  async *_records(input) {
+    let row = 0;
+
+    if (this.format === 'csv') {
+      const parser = input.pipe(csv({
+        separator: this.delimiter,
+        mapHeaders: ({ header }) => header.trim()
+      }));
+
+      for await (const data of parser) {
+        row++;
+        yield { row, data };
+      }
+      return;
+    }
+
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (line.trim() === '') {
+        continue;
+      }
+      row++;
+      try {
+        yield { row, data: JSON.parse(line) };
+      } catch (error) {
+        yield { row, data: null, parseError: 'Invalid JSON line' };
+      }
+    }
+  }
+
+  /**
+   * Map a source record onto a reading using the configured column mapping
+   */
+  _mapRecord(data) {
+    const pick = (field) => {
+      const column = this.mapping[field];
+      return column ? data[column] : undefined;
+    };
+
+    const sensorId = pick('sensor_id');
+    const rawTimestamp = pick('timestamp');
+    const leakStatus = pick('leak_status');
+    const valveState = pick('valve_state');
+
+    let timestamp = parseTimestamp(typeof rawTimestamp === 'string' ? rawTimestamp.trim() : rawTimestamp);
+    if (timestamp !== null && this.timestampUnit === 's' && /^\d+(\.\d+)?$/.test(String(rawTimestamp).trim())) {
+      timestamp = Math.round(parseFloat(rawTimestamp) * 1000);
+    }
+
+    return {
+      reading: {
+        sensor_id: sensorId !== undefined && sensorId !== null && String(sensorId).trim() !== ''
+          ? String(sensorId).trim()
+          : this.defaultSensorId,
+        pressure: parseOptionalNumber(pick('pressure')),
+        flow: parseOptionalNumber(pick('flow')),
+        leak_status: false,
+        valve_state: valveState ? String(valveState).trim().toUpperCase() : 'OPEN',
+        temperature: parseOptionalNumber(pick('temperature')),
+        conductivity: parseOptionalNumber(pick('conductivity')),
+        location: pick('location') ? String(pick('location')).trim() : null
+      },
+      timestamp,
+      leakStatus: typeof leakStatus !== 'undefined' && leakStatus !== null && leakStatus !== ''
+        ? parseBoolean(leakStatus)
+        : null
+    };
+  }
+
+  _reject(row, errors) {
+    this.report.rejected++;
+    if (this.report.errors.length < MAX_REPORTED_ERRORS) {
+      this.report.errors.push({ row, errors });
+    } else {
+      this.report.errorsTruncated = true;
+    }
+  }
+
+  /**
+   * Load registry rows for the sensors referenced in a batch (registering them if allowed)
+   */
+  async _resolveSensors(sensorIds) {
+    const missing = sensorIds.filter(id => !this.sensorCache.has(id));
+    if (missing.length === 0) {
+      return;
+    }
+
+    const rows = await repositories.sensors.findByIds(missing);
+    rows.forEach(row => this.sensorCache.set(row.id, row));
+
+    for (const id of missing) {
+      if (this.sensorCache.has(id)) {
+        continue;
+      }
+      if (!this.autoRegister) {
+        this.sensorCache.set(id, null);
+        continue;
+      }
+
+      const sensor = { id, name: id, status: 'ACTIVE', pressure_offset: 0, flow_offset: 0, temperature_offset: 0 };
+      if (!this.dryRun) {
+        await repositories.sensors.create({ id, name: id });
+      }
+      this.sensorCache.set(id, sensor);
+      this.report.registeredSensors.push(id);
+    }
+  }
+
+  /**
+   * Keys already stored in sensor_data for the batch's sensors and time span
+   */
+  async _existingKeys(candidates) {
+    if (candidates.length === 0) {
+      return new Set();
+    }
+
+    const timestamps = candidates.map(c => c.timestamp);
+    const rows = await repositories.sensorData.findKeys({
+      sensorIds: [...new Set(candidates.map(c => c.reading.sensor_id))],
+      startTime: Math.min(...timestamps),
+      endTime: Math.max(...timestamps)
+    });
+
+    return new Set(rows.map(r => `${r.sensor_id}|${r.timestamp}`));
+  }
+
+  async _flushBatch(records) {
+    const valid = [];
+
+    records.forEach(({ row, data, parseError }) => {
+      if (parseError) {
+        this._reject(row, [parseError]);
+        return;
+      }
+
+      const mapped = this._mapRecord(data || {});
+      const errors = validateSensorData(mapped.reading).errors;
+      if (mapped.timestamp === null) {
+        errors.push('Timestamp is required (epoch or ISO-8601)');
+      }
+
+      if (errors.length > 0) {
+        this._reject(row, errors);
+        return;
+      }
+
+      valid.push({ row, ...mapped });
+    });
+
+    await this._resolveSensors([...new Set(valid.map(c => c.reading.sensor_id))]);
+
+    // Like live readings, only registered, active sensors accept data
+    const known = valid.filter(candidate => {
+      const sensor = this.sensorCache.get(candidate.reading.sensor_id);
+      if (!sensor) {
+        this._reject(candidate.row, [`Unknown sensor: ${candidate.reading.sensor_id}`]);
+        return false;
+      }
+      if (sensor.status !== 'ACTIVE') {
+        this._reject(candidate.row, [`Sensor ${sensor.id} is ${sensor.status}`]);
+        return false;
+      }
+      return true;
+    });
+
+    // De-duplicate against the table and within the batch on (sensor_id, timestamp)
+    const existing = await this._existingKeys(known);
+    const batchKeys = this.dryRun ? this.seenKeys : new Set();
+    const toInsert = [];
+
+    known.forEach(candidate => {
+      const key = `${candidate.reading.sensor_id}|${candidate.timestamp}`;
+      if (existing.has(key) || batchKeys.has(key)) {
+        this.report.duplicates++;
+        return;
+      }
+      batchKeys.add(key);
+      toInsert.push(candidate);
+    });
+
+    toInsert.forEach(candidate => {
+      const sensor = this.sensorCache.get(candidate.reading.sensor_id);
+      const reading = this.calibrate ? applyCalibration(candidate.reading, sensor) : candidate.reading;
+      reading.location = reading.location || sensor.location || null;
+
+      const prev = this.previousFlow.has(reading.sensor_id) ? this.previousFlow.get(reading.sensor_id) : null;
+      candidate.leakStatus = candidate.leakStatus !== null
+        ? candidate.leakStatus
+        : detectLeak(reading.pressure, reading.flow, prev);
+      this.previousFlow.set(reading.sensor_id, reading.flow);
+
+      candidate.id = generateId();
+      candidate.reading = reading;
+    });
+
+    let outcomes = toInsert.map(() => ({ success: true }));
+    if (!this.dryRun && toInsert.length > 0) {
+      outcomes = await repositories.sensorData.insertMany(
+        toInsert.map(({ id, timestamp, reading, leakStatus }) => ({
+          id,
+          sensor_id: reading.sensor_id,
+          timestamp,
+          pressure: reading.pressure,
+          flow: reading.flow,
+          leak_status: leakStatus,
+          valve_state: reading.valve_state,
+          temperature: reading.temperature,
+          conductivity: reading.conductivity,
+          location: reading.location
+        }))
+      );
+      // Historical rows usually land behind the rollup watermark
+      retentionManager.noteInsert(Math.min(...toInsert.map(c => c.timestamp)));
+    }
+
+    toInsert.forEach((candidate, i) => {
+      const outcome = outcomes[i] || { success: false, error: 'Insert not executed' };
+      if (!outcome.success) {
+        this._reject(candidate.row, [outcome.error]);
+        return;
+      }
+
+      const sensorId = candidate.reading.sensor_id;
+      this.report.imported++;
+      this.report.sensors[sensorId] = (this.report.sensors[sensorId] || 0) + 1;
+
+      const range = this.report.timeRange;
+      if (!range) {
+        this.report.timeRange = { start: candidate.timestamp, end: candidate.timestamp };
+      } else {
+        range.start = Math.min(range.start, candidate.timestamp);
+        range.end = Math.max(range.end, candidate.timestamp);
+      }
+    });
+  }
+}
+
+module.exports = {
+  SensorDataImporter,
+  IMPORT_FORMATS,
+  DEFAULT_MAPPING
+};
@@ -0,0 +1,251 @@
+/**
+ * Threshold Calibration Service
+ * Sweeps anomaly-score thresholds (raw 0-1 scores, the unit of
+ * mlDetector.recommendedThreshold) over labeled samples, picks one for an
+ * objective and applies it to the live detector. Every run is kept in the
+ * calibration history.
+ *
+ * Objectives:
+ *   max-f1        highest F1
+ *   recall-floor  highest precision with recall >= minRecall (0-1)
+ *   fpr-cap       highest recall with false-positive rate <= maxFpr (0-1)
+ * Ties go to the higher threshold (fewer alarms).
+ */
+
+const { mlDetector } = require('./mlAnomalyDetector');
+const { integratedEngine } = require('./integratedEngine');
+const { metricsFromCounts } = require('./modelEvaluation');
+const { generateId, getCurrentTimestamp } = require('./helpers');
+const { createMemoryRepositories } = require('../db/repositories/memoryRepositories');
+
+const OBJECTIVES = ['max-f1', 'recall-floor', 'fpr-cap'];
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+const isLabeled = (sample) => sample.label === 'normal' || sample.label === 'anomaly';
+
+const ratioOption = (value, name) => {
+  const ratio = Number(value);
+  if (!Number.isFinite(ratio) || ratio < 0 || ratio > 1) {
+    throw new Error(`${name} must be a number between 0 and 1`);
+  }
+  return ratio;
+};
+
+/**
+ * Objective request ('max-f1' or { type, minRecall, maxFpr }) -> { type, minRecall | maxFpr }
+ */
+const resolveObjective = (value = 'max-f1') => {
+  const objective = typeof value === 'string' ? { type: value } : { ...value };
+  if (!OBJECTIVES.includes(objective.type)) {
+    throw new Error(`objective must be one of: ${OBJECTIVES.join(', ')}`);
+  }
+
+  if (objective.type === 'recall-floor') {
+    return { type: objective.type, minRecall: ratioOption(typeof objective.minRecall === 'undefined' ? 0.95 : objective.minRecall, 'minRecall') };
+  }
+  if (objective.type === 'fpr-cap') {
+    return { type: objective.type, maxFpr: ratioOption(typeof objective.maxFpr === 'undefined' ? 0.05 : objective.maxFpr, 'maxFpr') };
+  }
+  return { type: objective.type };
+};
+
+/**
+ * Confusion counts and ratios at one threshold
+ * A sample is flagged when its score is above the threshold (same rule as mlDetector.predict)
+ * @param {Array} scored - [{ score, positive }]
+ */
+const confusionAt = (scored, threshold) => {
+  let tp = 0;
+  let fp = 0;
+  let tn = 0;
+  let fn = 0;
+  scored.forEach(({ score, positive }) => {
+    const flagged = score > threshold;
+    if (flagged && positive) tp++;
+    else if (flagged) fp++;
+    else if (positive) fn++;
+    else tn++;
+  });
+
+  const precision = tp + fp > 0 ? tp / (tp + fp) : 0;
+  const recall = tp + fn > 0 ? tp / (tp + fn) : 0;
+  return {
+    threshold,
+    tp,
+    fp,
+    tn,
+    fn,
+    precision: round(precision),
+    recall: round(recall),
+    f1: round(precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0),
+    fpr: round(fp + tn > 0 ? fp / (fp + tn) : 0)
+  };
+};
+
+/**
+ * Confusion counts and ratios at every `step` from 0 to 1
+ * @param {Object} options - { step } (default 0.01)
+ */
+const sweepThresholds = (scored, { step = 0.01 } = {}) => {
+  if (!(step > 0 && step <= 0.5)) {
+    throw new Error('step must be greater than 0 and at most 0.5');
+  }
+
+  const steps = Math.round(1 / step);
+  return Array.from({ length: steps + 1 }, (_, i) => confusionAt(scored, round(Math.min(1, i * step))));
+};
+
+/**
+ * Best sweep row for an objective, or null when no threshold meets its constraint
+ */
+const selectThreshold = (sweep, objective) => {
+  const rank = {
+    'max-f1': { eligible: () => true, keys: ['f1'] },
+    'recall-floor': { eligible: row => row.recall >= objective.minRecall, keys: ['precision', 'recall'] },
+    'fpr-cap': { eligible: row => row.fpr <= objective.maxFpr, keys: ['recall', 'precision'] }
+  }[objective.type];
+
+  return sweep.filter(rank.eligible).reduce((best, row) => {
+    if (!best) return row;
+    for (const key of rank.keys) {
+      if (row[key] !== best[key]) return row[key] > best[key] ? row : best;
+    }
+    return row.threshold > best.threshold ? row : best;
+  }, null);
+};
+
+const countsAt = (row) => ({ tp: row.tp, fp: row.fp, tn: row.tn, fn: row.fn });
+
+/**
+ * History rows store objective and metrics as JSON
+ */
+const rowToCalibration = (row) => ({
+  id: row.id,
+  timestamp: Number(row.timestamp),
+  objective: JSON.parse(row.objective),
+  threshold: row.threshold,
+  previousThreshold: row.previous_threshold,
+  applied: Boolean(row.applied),
+  modelVersion: row.model_version,
+  sampleCount: row.sample_count,
+  source: row.source,
+  metrics: row.metrics ? JSON.parse(row.metrics) : null
+});
+
+class ThresholdCalibrator {
+  constructor({ detector = mlDetector, engine = integratedEngine } = {}) {
+    this.detector = detector;
+    this.engine = engine;
+    this.store = createMemoryRepositories().calibrations;
+  }
+
+  /**
+   * Calibration runs are recorded in store.calibrations
+   */
+  attachStore(store) {
+    this.store = store.calibrations;
+  }
+
+  current() {
+    return {
+      threshold: this.detector.recommendedThreshold,
+      model: this.engine.activeModel
+    };
+  }
+
+  /**
+   * Sweep thresholds over labeled samples and pick one for the objective
+   * @param {Array} samples - feature samples with label 'normal' | 'anomaly' (others are skipped)
+   * @param {Object} options - { objective, step, apply (default true), source }
+   * @returns {Object} calibration: chosen threshold, metrics there and at the previous threshold, the sweep
+   */
+  async calibrate(samples, options = {}) {
+    const { step = 0.01, apply = true, source = null } = options;
+    const objective = resolveObjective(options.objective);
+
+    if (!this.detector.model.isTrained) {
+      throw new Error('The detector has no trained model to calibrate');
+    }
+
+    const labeled = (samples || []).filter(isLabeled);
+    const anomalies = labeled.filter(s => s.label === 'anomaly').length;
+    if (anomalies === 0 || anomalies === labeled.length) {
+      throw new Error('Calibration needs labeled samples of both classes (normal and anomaly)');
+    }
+
+    const scored = labeled.map(sample => ({
+      score: this.detector.model.predict(sample).anomalyScore,
+      positive: sample.label === 'anomaly'
+    }));
+    const sweep = sweepThresholds(scored, { step });
+    const best = selectThreshold(sweep, objective);
+    if (!best) {
+      throw new Error(objective.type === 'recall-floor'
+        ? `No threshold reaches a recall of ${objective.minRecall}`
+        : `No threshold keeps the false-positive rate at or below ${objective.maxFpr}`);
+    }
+
+    const previousThreshold = this.detector.recommendedThreshold;
+    const atPrevious = confusionAt(scored, previousThreshold);
+    const model = this.engine.activeModel;
+
+    const calibration = {
+      id: generateId(),
+      timestamp: getCurrentTimestamp(),
+      objective,
+      threshold: best.threshold,
+      previousThreshold,
+      applied: Boolean(apply),
+      modelVersion: model ? model.version : null,
+      sampleCount: labeled.length,
+      source,
+      metrics: { ...metricsFromCounts(countsAt(best)), fpr: best.fpr, anomalies }
+    };
+
+    if (apply) {
+      this.detector.setThreshold(best.threshold, {
+        calibrationId: calibration.id,
+        objective,
+        modelVersion: calibration.modelVersion
+      });
+    }
+
+    await this.store.insert({
+      id: calibration.id,
+      timestamp: calibration.timestamp,
+      objective: JSON.stringify(objective),
+      threshold: calibration.threshold,
+      previous_threshold: previousThreshold,
+      applied: apply ? 1 : 0,
+      model_version: calibration.modelVersion,
+      sample_count: calibration.sampleCount,
+      source,
+      metrics: JSON.stringify(calibration.metrics)
+    });
+
+    console.log(`[CALIBRATION] ${objective.type}: threshold ${best.threshold} on ${labeled.length} samples${apply ? ' (applied)' : ''}`);
+    return {
+      ...calibration,
+      previousMetrics: { ...metricsFromCounts(countsAt(atPrevious)), fpr: atPrevious.fpr },
+      sweep
+    };
+  }
+
+  async history({ limit = 20 } = {}) {
+    const rows = await this.store.list({ limit });
+    return rows.map(rowToCalibration);
+  }
+}
+
+// Shared instance for the live detector
+const thresholdCalibrator = new ThresholdCalibrator();
+
+module.exports = {
+  ThresholdCalibrator,
+  thresholdCalibrator,
+  OBJECTIVES,
+  resolveObjective,
+  sweepThresholds,
+  selectThreshold
+};
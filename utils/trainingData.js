@@ -0,0 +1,61 @@
+/**
+ * Training data sources shared by the training API and the feedback loop
+ */
+
+const fs = require('fs');
+const path = require('path');
+const DataPreparationService = require('../backend/scripts/prepareTrainingData');
+
+const PREPARED_DATA_PATH = path.join(__dirname, '../backend/training_data/processed/combined_training_data.json');
+
+const TRAINING_SOURCES = ['db', 'prepared', 'combined'];
+
+/**
+ * Training samples for a source: 'db' (recent sensor_data), 'prepared' or 'combined'
+ * (backend/training_data, falling back to the DB when preparation yields nothing)
+ * @param {string} source
+ * @param {Object} sensorData - sensor data repository (see db/repositories)
+ */
+const loadTrainingData = async (source, sensorData) => {
+  let trainingData = [];
+
+  if (source === 'prepared' || source === 'combined') {
+    // Prepare data from backend/training_data and load processed JSON
+    const prep = new DataPreparationService();
+    await prep.prepareAllData();
+    if (!fs.existsSync(PREPARED_DATA_PATH)) {
+      throw new Error('Prepared data not found after running preparation step');
+    }
+    trainingData = JSON.parse(fs.readFileSync(PREPARED_DATA_PATH, 'utf8'));
+  }
+
+  if (source === 'db' || trainingData.length === 0) {
+    // Fallback to using recent sensor_data from DB
+    const dbData = await sensorData.find({ limit: 5000 });
+    if (dbData && dbData.length > 0) {
+      // Map DB rows to feature objects expected by mlDetector
+      trainingData = dbData.map(row => ({
+        pressure: row.pressure,
+        flow: row.flow,
+        pressure_rate_of_change: row.pressure_rate_of_change,
+        flow_rate_of_change: row.flow_rate_of_change,
+        pressure_ma_30s: row.pressure_ma_30s,
+        flow_ma_30s: row.flow_ma_30s,
+        pressure_stddev_60s: row.pressure_stddev_60s,
+        flow_stddev_60s: row.flow_stddev_60s,
+        pressure_flow_ratio: row.pressure_flow_ratio,
+        hour_of_day: row.hour_of_day || new Date(row.timestamp).getHours(),
+        is_weekend: row.is_weekend || 0,
+        label: row.label || 'normal'
+      }));
+    }
+  }
+
+  return trainingData;
+};
+
+module.exports = {
+  PREPARED_DATA_PATH,
+  TRAINING_SOURCES,
+  loadTrainingData
+};
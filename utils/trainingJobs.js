@@ -0,0 +1,337 @@
+/**
+ * Training Job Manager
+ * Runs model training as a background job in a worker thread (utils/trainingWorker.js)
+ * so the event loop keeps serving requests. One job runs at a time; the finished
+ * model is registered as a candidate in the model registry (optionally promoted).
+ *
+ * Progress is pushed on the Socket.io `training` channel:
+ *   training:progress  { jobId, status, phase, completed, total, percent }
+ *   training:completed { job }   training:failed { job }   training:cancelled { job }
+ */
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { MLAnomalyDetector, DETECTOR_TYPES, resolveDetectorParams, deserializeDetectorModel } = require('./mlAnomalyDetector');
+const { modelRegistry } = require('./modelRegistry');
+const { generateId, getCurrentTimestamp } = require('./helpers');
+const { createMemoryRepositories } = require('../db/repositories/memoryRepositories');
+
+const WORKER_PATH = path.join(__dirname, 'trainingWorker.js');
+
+// Relative weight of each worker phase on the progress bar (cross-validation trains k more
+// models, comparison one per other algorithm); only the phases a job runs share the 100%
+const PHASE_WEIGHTS = { training: 4, evaluating: 1, 'cross-validating': 5, comparing: 4 };
+
+const MAX_FINISHED_JOBS = 20;
+
+/**
+ * Hyperparameters for the chosen algorithm from the request, falling back to its defaults
+ */
+const resolveHyperparameters = (overrides = {}, algorithm = 'isolation-forest') => resolveDetectorParams(algorithm, overrides);
+
+/**
+ * Algorithms to compare against the trained one: true for all others, or a list of model types
+ */
+const resolveComparison = (value, algorithm) => {
+  if (!value) return [];
+  const requested = value === true ? DETECTOR_TYPES : value;
+  if (!Array.isArray(requested) || requested.some(type => !DETECTOR_TYPES.includes(type))) {
+    throw new Error(`compareAlgorithms must be true or a list of: ${DETECTOR_TYPES.join(', ')}`);
+  }
+  return [...new Set(requested)].filter(type => type !== algorithm);
+};
+
+/**
+ * Cross-validation request (a fold count or { folds }) -> { folds } or null
+ */
+const resolveCrossValidation = (value) => {
+  if (value === null || typeof value === 'undefined' || value === false) return null;
+  const folds = typeof value === 'object' ? value.folds : value;
+  if (!Number.isInteger(folds) || folds < 2 || folds > 10) {
+    throw new Error('crossValidation folds must be an integer between 2 and 10');
+  }
+  return { folds };
+};
+
+class TrainingJobManager {
+  constructor({ registry = modelRegistry } = {}) {
+    this.registry = registry;
+    this.store = createMemoryRepositories();
+    this.broadcaster = null;
+    this.jobs = new Map();
+    this.workers = new Map();
+    this.completions = new Map();
+    this.currentJobId = null;
+  }
+
+  /**
+   * Finished jobs are logged to this store's trainingLogs (model_training_logs)
+   */
+  attachStore(store) {
+    this.store = store;
+  }
+
+  /**
+   * Progress, completion and cancel events go to the 'training' channel of this service
+   */
+  attachBroadcaster(wsService) {
+    this.broadcaster = wsService;
+  }
+
+  isBusy() {
+    return this.currentJobId !== null;
+  }
+
+  /**
+   * Public view of a job (without its training and evaluation data)
+   */
+  _view(job) {
+    if (!job) return null;
+    const { trainingData, evaluationSets, ...view } = job;
+    return { ...view, progress: { ...job.progress } };
+  }
+
+  _emit(event, payload) {
+    if (!this.broadcaster) return;
+    try {
+      this.broadcaster.broadcastToChannel('training', event, payload);
+    } catch (error) {
+      console.error('[TRAINING_JOBS] Failed to broadcast', event, error.message || error);
+    }
+  }
+
+  /**
+   * Start a training job
+   * @param {Object} options - { trainingData, evaluationSets, crossValidation, dataset, source, promote, algorithm, hyperparameters, compareAlgorithms, notes }
+   *   algorithm: model type to train (default 'isolation-forest', see DETECTOR_TYPES)
+   *   compareAlgorithms: true (all others) or model types to train and evaluate alongside for comparison
+   *   evaluationSets: held-out { validation, test } samples; metrics come from these instead of the training data
+   *   crossValidation: fold count (or { folds }) for stratified k-fold on the training data
+   *   dataset: description of the data shown with the job (e.g. upload name and split sizes)
+   * @returns {Object} the queued job
+   */
+  start(options = {}) {
+    const { trainingData, evaluationSets = null, dataset = null, source = null, promote = false, notes = null } = options;
+    const algorithm = options.algorithm || 'isolation-forest';
+    if (this.isBusy()) {
+      throw new Error('A training job is already running');
+    }
+    if (!Array.isArray(trainingData) || trainingData.length === 0) {
+      throw new Error('No training data provided');
+    }
+
+    const job = {
+      id: generateId(),
+      status: 'running',
+      source,
+      promote: Boolean(promote),
+      notes,
+      sampleCount: trainingData.length,
+      dataset,
+      algorithm,
+      hyperparameters: resolveHyperparameters(options.hyperparameters, algorithm),
+      crossValidation: resolveCrossValidation(options.crossValidation),
+      compareAlgorithms: resolveComparison(options.compareAlgorithms, algorithm),
+      progress: { phase: 'starting', completed: 0, total: 0, percent: 0 },
+      createdAt: getCurrentTimestamp(),
+      finishedAt: null,
+      model: null,
+      error: null,
+      trainingData,
+      evaluationSets
+    };
+
+    this.jobs.set(job.id, job);
+    this.currentJobId = job.id;
+    this.completions.set(job.id, new Promise(resolve => {
+      this._run(job, resolve);
+    }));
+
+    console.log(`[TRAINING_JOBS] Started job ${job.id} (${job.algorithm}, ${job.sampleCount} samples)`);
+    return this._view(job);
+  }
+
+  _run(job, resolve) {
+    const worker = new Worker(WORKER_PATH, {
+      workerData: {
+        trainingData: job.trainingData,
+        evaluationSets: job.evaluationSets,
+        crossValidation: job.crossValidation,
+        algorithm: job.algorithm,
+        hyperparameters: job.hyperparameters,
+        compareAlgorithms: job.compareAlgorithms
+      }
+    });
+    this.workers.set(job.id, worker);
+    let settled = false;
+
+    const settle = async (status, fields = {}) => {
+      if (settled) return;
+      settled = true;
+      this.workers.delete(job.id);
+      Object.assign(job, fields, { status, finishedAt: getCurrentTimestamp() });
+      delete job.trainingData;
+      delete job.evaluationSets;
+      if (this.currentJobId === job.id) this.currentJobId = null;
+      this._prune();
+
+      await this._logJob(job);
+      this._emit(`training:${status}`, { job: this._view(job) });
+      console.log(`[TRAINING_JOBS] Job ${job.id} ${status}${job.error ? `: ${job.error}` : ''}`);
+      resolve(this._view(job));
+    };
+
+    worker.on('message', (message) => {
+      if (message.type === 'progress') {
+        this._onProgress(job, message);
+      } else if (message.type === 'result') {
+        // A result already in flight when the job was cancelled is dropped; the exit handler settles it
+        if (job.status === 'cancelled') return;
+        this._register(job, message)
+          .then(model => settle('completed', { model }))
+          .catch(error => settle('failed', { error: error.message }));
+      } else if (message.type === 'error') {
+        settle('failed', { error: message.message });
+      }
+    });
+
+    worker.on('error', (error) => settle('failed', { error: error.message }));
+
+    worker.on('exit', (code) => {
+      if (job.status === 'cancelled') {
+        settle('cancelled');
+      } else if (code !== 0) {
+        settle('failed', { error: `Training worker exited with code ${code}` });
+      }
+    });
+  }
+
+  /**
+   * Track progress and broadcast it (once per whole percent)
+   */
+  _onProgress(job, { phase, completed, total }) {
+    const phases = Object.keys(PHASE_WEIGHTS).filter(name => (
+      (name !== 'cross-validating' || job.crossValidation) && (name !== 'comparing' || job.compareAlgorithms.length > 0)
+    ));
+    const weightSum = phases.reduce((sum, name) => sum + PHASE_WEIGHTS[name], 0);
+    const share = (name) => (phases.includes(name) ? (PHASE_WEIGHTS[name] / weightSum) * 100 : 0);
+    const before = phases.slice(0, phases.indexOf(phase)).reduce((sum, name) => sum + share(name), 0);
+    const fraction = total > 0 ? completed / total : 0;
+    const percent = Math.floor(before + fraction * share(phase));
+    const changed = percent !== job.progress.percent || phase !== job.progress.phase;
+
+    job.progress = { phase, completed, total, percent };
+    if (changed && job.status === 'running') {
+      this._emit('training:progress', { jobId: job.id, status: job.status, ...job.progress });
+    }
+  }
+
+  /**
+   * Register the worker's model as a candidate (and promote it when requested)
+   */
+  async _register(job, { model: serialized, evaluation, trainingTime }) {
+    job.progress = { ...job.progress, phase: 'registering', percent: 100 };
+    this._emit('training:progress', { jobId: job.id, status: job.status, ...job.progress });
+
+    // Save the artifact where the live detector loads promoted models from
+    const trained = new MLAnomalyDetector();
+    trained.modelPath = this.registry.detector.modelPath;
+    trained.model = deserializeDetectorModel(job.algorithm, serialized);
+
+    let model = await this.registry.register(trained, {
+      trainingData: job.trainingData,
+      source: job.source,
+      notes: job.notes,
+      evaluation,
+      trainingTimeMs: trainingTime
+    });
+    if (job.promote) {
+      ({ model } = await this.registry.promote(model.id));
+    }
+    return model;
+  }
+
+  async _logJob(job) {
+    try {
+      await this.store.trainingLogs.insert({
+        id: job.id,
+        training_date: job.finishedAt,
+        accuracy: job.model && job.model.metrics && typeof job.model.metrics.accuracy === 'number'
+          ? job.model.metrics.accuracy
+          : null,
+        model_version: job.model ? `v${job.model.version}` : null,
+        status: job.status.toUpperCase()
+      });
+    } catch (error) {
+      console.error('[TRAINING_JOBS] Failed to log training job:', error.message || error);
+    }
+  }
+
+  /**
+   * Forget the oldest finished jobs beyond MAX_FINISHED_JOBS
+   */
+  _prune() {
+    const finished = [...this.jobs.values()].filter(job => job.finishedAt !== null);
+    finished
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS))
+      .forEach(job => {
+        this.jobs.delete(job.id);
+        this.completions.delete(job.id);
+      });
+  }
+
+  /**
+   * Stop a running job (the worker is terminated; nothing is registered)
+   * @returns {Object|null} the job, or null when it does not exist
+   */
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job) return null;
+    if (job.status !== 'running') {
+      throw new Error(`Job is already ${job.status}`);
+    }
+    if (job.progress.phase === 'registering') {
+      throw new Error('Job is registering its model and can no longer be cancelled');
+    }
+
+    job.status = 'cancelled';
+    const worker = this.workers.get(id);
+    if (worker) worker.terminate();
+    return this._view(job);
+  }
+
+  get(id) {
+    return this._view(this.jobs.get(id));
+  }
+
+  /**
+   * Jobs newest first
+   */
+  list() {
+    return [...this.jobs.values()]
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .map(job => this._view(job));
+  }
+
+  current() {
+    return this.currentJobId ? this.get(this.currentJobId) : null;
+  }
+
+  /**
+   * Resolves with the job once it has completed, failed or been cancelled
+   */
+  wait(id) {
+    return this.completions.get(id) || Promise.resolve(this.get(id));
+  }
+}
+
+const trainingJobs = new TrainingJobManager();
+
+module.exports = {
+  TrainingJobManager,
+  trainingJobs,
+  resolveHyperparameters,
+  resolveComparison,
+  resolveCrossValidation
+};
@@ -0,0 +1,125 @@
+/**
+ * Training worker
+ * Builds and evaluates an anomaly model (see DETECTOR_TYPES in utils/mlAnomalyDetector.js)
+ * off the main thread for utils/trainingJobs.js. With `compareAlgorithms`, the other
+ * algorithms are trained on the same data and scored on the same held-out set.
+ * Messages to the parent:
+ *   { type: 'progress', phase: 'training'|'evaluating'|'cross-validating'|'comparing', completed, total }
+ *   { type: 'result', model, evaluation, trainingTime }
+ *   { type: 'error', message }
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const { MLAnomalyDetector, createDetectorModel, CUTOFF_THRESHOLD } = require('./mlAnomalyDetector');
+const { crossValidate } = require('./modelEvaluation');
+
+const {
+  trainingData,
+  evaluationSets = null,
+  crossValidation = null,
+  algorithm = 'isolation-forest',
+  hyperparameters,
+  compareAlgorithms = []
+} = workerData;
+
+const COMPARISON_METRICS = ['accuracy', 'precision', 'recall', 'specificity', 'f1Score', 'rocAuc', 'prAuc'];
+
+const progress = (phase, offset = 0, total = null) => (completed, phaseTotal) => {
+  parentPort.postMessage({ type: 'progress', phase, completed: offset + completed, total: total || phaseTotal });
+};
+
+const labeledCount = (samples = []) => samples.filter(s => s.label === 'normal' || s.label === 'anomaly').length;
+
+/**
+ * Untrained detector; comparison algorithms run with their default hyperparameters.
+ * Only the forest is evaluated at the calibrated threshold, the others at their cutoff.
+ */
+const createDetector = (type = algorithm, params = type === algorithm ? hyperparameters : {}) => {
+  const detector = new MLAnomalyDetector();
+  detector.model = createDetectorModel(type, params);
+  if (type !== 'isolation-forest') detector.recommendedThreshold = CUTOFF_THRESHOLD;
+  return detector;
+};
+
+/**
+ * Evaluation on the held-out sets: the test report (with the validation report attached),
+ * or whichever set has labels
+ */
+const evaluateHeldOut = (detector, onProgress) => {
+  const { validation = [], test = [] } = evaluationSets;
+  const validationCount = labeledCount(validation);
+  const total = validationCount + labeledCount(test);
+
+  const validationReport = detector.evaluate(validation, {
+    evaluatedOn: 'validation',
+    onProgress: onProgress ? (completed) => onProgress(completed, total) : null
+  });
+  const testReport = detector.evaluate(test, {
+    evaluatedOn: 'test',
+    onProgress: onProgress ? (completed) => onProgress(validationCount + completed, total) : null
+  });
+
+  const report = testReport || validationReport;
+  if (testReport && validationReport) report.validation = validationReport;
+  return report;
+};
+
+const evaluate = (detector, onProgress = null) => (evaluationSets
+  ? evaluateHeldOut(detector, onProgress)
+  : detector.evaluate(trainingData, { onProgress }));
+
+const metricsOf = (report) => COMPARISON_METRICS.reduce((metrics, key) => {
+  metrics[key] = report && typeof report[key] === 'number' ? report[key] : null;
+  return metrics;
+}, {});
+
+/**
+ * Train and evaluate every comparison algorithm the same way as the main model
+ * @returns {Array} [{ algorithm, evaluatedOn, trainingTime, ...metrics }] (error instead of metrics when one fails)
+ */
+const runComparison = (evaluation) => {
+  const onProgress = progress('comparing', 0, compareAlgorithms.length);
+  return [{ algorithm, evaluatedOn: evaluation.evaluatedOn || null, trainingTime: null, ...metricsOf(evaluation) }]
+    .concat(compareAlgorithms.map((type, index) => {
+      const detector = createDetector(type);
+      const result = detector.train(trainingData);
+      onProgress(index + 1);
+      if (!result.success) {
+        return { algorithm: type, error: result.error };
+      }
+      const report = evaluate(detector);
+      return { algorithm: type, evaluatedOn: report ? report.evaluatedOn || null : null, trainingTime: result.trainingTime, ...metricsOf(report) };
+    }));
+};
+
+try {
+  const detector = createDetector();
+
+  const trainResult = detector.train(trainingData, { onProgress: progress('training') });
+  if (!trainResult.success) {
+    throw new Error(trainResult.error);
+  }
+
+  const evaluation = evaluate(detector, progress('evaluating'));
+
+  if (evaluation && crossValidation) {
+    evaluation.crossValidation = crossValidate(trainingData.filter(s => s.label === 'normal' || s.label === 'anomaly'), {
+      folds: crossValidation.folds,
+      createDetector: () => createDetector(),
+      onProgress: progress('cross-validating')
+    });
+  }
+
+  if (evaluation && compareAlgorithms.length > 0) {
+    evaluation.algorithmComparison = runComparison(evaluation);
+  }
+
+  parentPort.postMessage({
+    type: 'result',
+    model: detector.model.serialize(),
+    evaluation,
+    trainingTime: trainResult.trainingTime
+  });
+} catch (error) {
+  parentPort.postMessage({ type: 'error', message: error.message });
+}